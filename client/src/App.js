@@ -3,6 +3,7 @@ import useFplData from './hooks/useFplData';
 import Header from './components/Header';
 import ManagerInfo from './components/ManagerInfo';
 import PicksTable from './components/PicksTable';
+import ShareButton from './components/ShareButton';
 
 // Lazy load non-essential components
 const LeagueStandings = lazy(() => import('./components/LeagueStandings'));
@@ -37,6 +38,8 @@ const App = memo(() => {
     autosubs,
     viceCaptainPoints,
     liveRank,
+    liveRankEstimate,
+    template,
     currentGameweek,
     isLoading,
     fetchData,
@@ -93,6 +96,8 @@ const App = memo(() => {
           totalLivePoints={totalLivePoints}
           transferPenalty={transferPenalty}
           liveRank={liveRank}
+          liveRankEstimate={liveRankEstimate}
+          template={template}
           isLoading={isLoading}
           picks={picks}
           activeChip={activeChip}
@@ -113,6 +118,11 @@ const App = memo(() => {
           assistantManager={assistantManager}
           currentGameweek={currentGameweek}
         />
+        {data && currentGameweek && (
+          <div className="w-full flex justify-end mb-6">
+            <ShareButton fplId={fplId} type="picks" gameweek={currentGameweek} label="Share team" />
+          </div>
+        )}
 
         {/* Lazy-loaded components with Suspense fallbacks */}
         <Suspense fallback={<ComponentLoader />}>
@@ -132,7 +142,6 @@ const App = memo(() => {
               error={error}
               isLoading={isLoading}
               activeChip={activeChip}
-              assistantManagerPoints={assistantManagerPoints}
             />
           )}
         </Suspense>
@@ -1,6 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { getApiUrl } from '../utils/apiConfig';
 
+const TIER_LABELS = { top10k: 'the top 10k', top100k: 'the top 100k', top1m: 'the top 1M' };
+
+const CAPTAINCY_BADGES = {
+  safe: 'bg-blue-100 text-blue-700',
+  balanced: 'bg-purple-100 text-purple-700',
+  differential: 'bg-orange-100 text-orange-700'
+};
+
 const CaptaincyOptimizer = ({ fplId, gameweek, activeChip }) => {
   const [suggestions, setSuggestions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -92,11 +100,16 @@ const CaptaincyOptimizer = ({ fplId, gameweek, activeChip }) => {
         ]);
         
         // Validate and cross-check EO values
-        const validatedSuggestions = suggestionsData.map(player => ({
-          ...player,
-          eo: Number(player.eo) || Number(top10kData.top100k?.eoBreakdown[player.id]?.eo) || 0,
-          score: activeChip === '3cap' ? player.score * 3 : player.score // Triple Captain adjustment
-        }));
+        const validatedSuggestions = suggestionsData.map(player => {
+          const tierCaptaincy = top10kData[player.tier || 'top100k']?.captaincy?.[player.id];
+          return {
+            ...player,
+            eo: Number(player.eo) || Number(top10kData.top100k?.eoBreakdown[player.id]?.eo) || 0,
+            captainShare: player.captainShare ?? tierCaptaincy?.captainShare ?? null,
+            tripleCaptainShare: player.tripleCaptainShare ?? tierCaptaincy?.tripleCaptainShare ?? null,
+            score: activeChip === '3cap' ? player.score * 3 : player.score // Triple Captain adjustment
+          };
+        });
         
         setSuggestions(validatedSuggestions);
         
@@ -146,7 +159,18 @@ const CaptaincyOptimizer = ({ fplId, gameweek, activeChip }) => {
                 <p className="text-sm text-gray-600">
                   Form: {player.form} | Difficulty: {player.difficulty} | EO: {player.eo}%
                 </p>
+                {player.captainShare !== null && player.captainShare !== undefined && (
+                  <p className="text-xs text-gray-500">
+                    Captained by {player.captainShare}% of {TIER_LABELS[player.tier] || 'similar ranks'}
+                    {player.tripleCaptainShare > 0 && ` (TC ${player.tripleCaptainShare}%)`}
+                  </p>
+                )}
               </div>
+              {player.captaincyType && (
+                <span className={`ml-auto mr-3 px-2 py-0.5 text-xs rounded-full ${CAPTAINCY_BADGES[player.captaincyType]}`}>
+                  {player.captaincyType === 'safe' ? 'Safe' : player.captaincyType === 'balanced' ? 'Balanced' : 'Differential'}
+                </span>
+              )}
               <span className="text-xl font-bold text-green-600">{player.score}</span>
             </div>
           ))}
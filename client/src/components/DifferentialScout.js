@@ -1,4 +1,5 @@
 import React, { useState, useMemo } from 'react';
+import { getFixtureDetails, getGameweekBadge } from '../utils/fixtureUtils';
 
 const DifferentialScout = ({ plannerData, currentSquad, activeChip, assistantManagerPoints }) => {
   const [sortBy, setSortBy] = useState('form'); // Options: 'form', 'potentialPoints', 'difficulty'
@@ -8,16 +9,22 @@ const DifferentialScout = ({ plannerData, currentSquad, activeChip, assistantMan
   const fixtures = plannerData?.fixtures || [];
   const currentGameweek = plannerData?.currentGameweek || 1;
 
-  // Calculate average fixture difficulty for next 3 gameweeks
+  // Calculate average fixture difficulty for next 3 gameweeks, counting every fixture in a double
   const getFixtureDifficulty = (player) => {
     const nextThreeGWs = fixtures.filter(f => f.gameweek >= currentGameweek && f.gameweek < currentGameweek + 3);
-    const playerFixtures = nextThreeGWs.map(gw => {
-      const match = gw.matches.find(m => m.teamH === player.teamId || m.teamA === player.teamId);
-      return match ? (match.teamH === player.teamId ? match.difficultyH : match.difficultyA) : 3; // Default to 3 if no fixture
-    });
+    const playerFixtures = nextThreeGWs.flatMap(gw =>
+      getFixtureDetails(player.teamId, gw.gameweek, fixtures).fixtures.map(f => f.difficulty || 3)
+    );
     return playerFixtures.length > 0 ? playerFixtures.reduce((sum, d) => sum + d, 0) / playerFixtures.length : 3;
   };
 
+  // Blank and double gameweeks for the player in the next 3 gameweeks
+  const getGameweekBadges = (player) =>
+    fixtures
+      .filter(f => f.gameweek >= currentGameweek && f.gameweek < currentGameweek + 3)
+      .map(gw => ({ gameweek: gw.gameweek, badge: getGameweekBadge(getFixtureDetails(player.teamId, gw.gameweek, fixtures).count) }))
+      .filter(({ badge }) => badge);
+
   // Calculate potential points with chip adjustments
   const getPotentialPoints = (player) => {
     let basePoints = Number(player.form) || 0;
@@ -40,6 +47,7 @@ const DifferentialScout = ({ plannerData, currentSquad, activeChip, assistantMan
       .map(p => ({
         ...p,
         difficulty: getFixtureDifficulty(p),
+        gameweekBadges: getGameweekBadges(p),
         potentialPoints: getPotentialPoints(p),
       }))
       .sort((a, b) => {
@@ -91,6 +99,11 @@ const DifferentialScout = ({ plannerData, currentSquad, activeChip, assistantMan
               <div>
                 <p className="font-medium text-gray-800">
                   {player.name} ({player.positionType})
+                  {player.gameweekBadges.map(({ gameweek, badge }) => (
+                    <span key={gameweek} className={`${badge.className} ml-1 px-1.5 py-0.5 rounded text-xs font-semibold`}>
+                      {badge.label} {gameweek}
+                    </span>
+                  ))}
                 </p>
                 <p className="text-sm text-gray-600">
                   EO: {player.selected_by_percent}% | Form: {player.form} | 
@@ -12,8 +12,7 @@ const LeagueStandings = memo(({
   fplId, 
   error, 
   isLoading, 
-  activeChip, 
-  assistantManagerPoints 
+  activeChip 
 }) => {
   // ===== STATE MANAGEMENT =====
   const [currentPage, setCurrentPage] = useState(1);
@@ -58,14 +57,8 @@ const LeagueStandings = memo(({
       return [];
     }
     
-    // Apply assistantManagerPoints to current user's standings
-    const adjustedStandings = paginatedStandings.map(entry => ({
-      ...entry,
-      livePoints: entry.entryId === parseInt(fplId) && assistantManagerPoints ? 
-        entry.livePoints + assistantManagerPoints : entry.livePoints,
-      totalPoints: entry.entryId === parseInt(fplId) && assistantManagerPoints ? 
-        entry.totalPoints + assistantManagerPoints : entry.totalPoints
-    }));
+    // Live points from the server already include each entry's assistant manager points
+    const adjustedStandings = paginatedStandings;
     
     // If showing full paginated view, return all standings in current page
     if (entriesPerPage <= 10) return adjustedStandings;
@@ -94,16 +87,7 @@ const LeagueStandings = memo(({
         allStandings[userIndex - 1],
         userEntry,
         allStandings[userIndex + 1]
-      ].filter(Boolean).map(entry => {
-        if (entry.entryId === parseInt(fplId) && assistantManagerPoints) {
-          return {
-            ...entry,
-            livePoints: entry.livePoints + assistantManagerPoints,
-            totalPoints: entry.totalPoints + assistantManagerPoints
-          };
-        }
-        return entry;
-      });
+      ].filter(Boolean);
       
       // Return top 3 and nearby entries
       const result = [...adjustedStandings.slice(0, 3)];
@@ -117,7 +101,7 @@ const LeagueStandings = memo(({
     }
     
     return topEntries;
-  }, [paginatedStandings, fplId, assistantManagerPoints, leagueData, entriesPerPage]);
+  }, [paginatedStandings, fplId, leagueData, entriesPerPage]);
 
   // ===== RENDERING HELPERS =====
   // Loading state skeleton with smoother animation
@@ -163,7 +147,6 @@ const LeagueStandings = memo(({
                     entry={entry}
                     isCurrentUser={entry.entryId === parseInt(fplId)}
                     activeChip={activeChip}
-                    assistantManagerPoints={assistantManagerPoints}
                   />
                 )
               ))
@@ -302,7 +285,7 @@ const DividerRow = () => (
 );
 
 // Standings Row
-const StandingsRow = memo(({ entry, isCurrentUser, activeChip, assistantManagerPoints }) => {
+const StandingsRow = memo(({ entry, isCurrentUser, activeChip }) => {
   // Rank badge styles based on position
   const getRankDisplay = () => {
     if (entry.rank <= 3) {
@@ -346,9 +329,9 @@ const StandingsRow = memo(({ entry, isCurrentUser, activeChip, assistantManagerP
             ({entry.transferPenalty})
           </span>
         )}
-        {isCurrentUser && assistantManagerPoints > 0 && (
+        {entry.assistantManagerPoints > 0 && (
           <span className="text-xs text-blue-500 ml-1 bg-blue-50 px-1.5 py-0.5 rounded font-medium">
-            +{assistantManagerPoints} (AM)
+            +{entry.assistantManagerPoints} (AM)
           </span>
         )}
       </div>
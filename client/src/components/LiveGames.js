@@ -76,7 +76,10 @@ const LiveGames = memo(({ gameweek }) => {
           homeScore: match.team_h_score ?? 0,
           awayScore: match.team_a_score ?? 0,
           homeBonus: match.homeTeamBonus || 0,
-          awayBonus: match.awayTeamBonus || 0
+          awayBonus: match.awayTeamBonus || 0,
+          bonusProvisional: !!match.bonusProvisional,
+          bonusPlayers: [...(match.bonus?.home || []), ...(match.bonus?.away || [])]
+            .sort((a, b) => b.bonus - a.bonus || b.bps - a.bps)
         }));
 
       setMatches(liveMatches);
@@ -211,7 +214,7 @@ const LiveGames = memo(({ gameweek }) => {
                 </div>
               </div>
               <div className="text-sm text-green-200 text-center">
-                <p>Projected Bonus: 
+                <p>{match.bonusProvisional ? 'Provisional Bonus' : 'Confirmed Bonus'}: 
                   <span className="mx-2">
                     {match.homeTeam}: <span className="font-bold text-yellow-300">{match.homeBonus}</span>
                   </span>
@@ -219,6 +222,16 @@ const LiveGames = memo(({ gameweek }) => {
                     {match.awayTeam}: <span className="font-bold text-yellow-300">{match.awayBonus}</span>
                   </span>
                 </p>
+                {match.bonusPlayers.length > 0 && (
+                  <p className="mt-1 text-xs text-green-100">
+                    {match.bonusPlayers.map(player => (
+                      <span key={player.element} className="mx-1">
+                        {player.name} <span className="font-bold text-yellow-300">+{player.bonus}</span>
+                        <span className="opacity-70"> ({player.bps} BPS)</span>
+                      </span>
+                    ))}
+                  </p>
+                )}
               </div>
             </motion.div>
           ))}
@@ -10,6 +10,8 @@ const ManagerInfo = memo(({
   totalLivePoints, 
   transferPenalty, 
   liveRank, 
+  liveRankEstimate,
+  template,
   isLoading, 
   activeChip, 
   chipsUsed = [] 
@@ -32,7 +34,13 @@ const ManagerInfo = memo(({
 
   // Format data
   const formattedRank = data.rank ? data.rank.toLocaleString() : 'N/A';
-  const formattedLiveRank = liveRank ? liveRank.toLocaleString() : 'N/A';
+  const hasRankRange = Number.isFinite(liveRankEstimate?.lower) && Number.isFinite(liveRankEstimate?.upper);
+  const formattedLiveRank = liveRank
+    ? (hasRankRange ? `~${formatCompactRank(liveRank)}` : liveRank.toLocaleString())
+    : 'N/A';
+  const liveRankDetail = hasRankRange
+    ? `(${formatCompactRank(liveRankEstimate.lower)}–${formatCompactRank(liveRankEstimate.upper)}) · ${Math.round((liveRankEstimate.confidence || 0.95) * 100)}% range from ${liveRankEstimate.sampleSize} sampled managers`
+    : null;
   const rankChange = (data.rank && liveRank) ? data.rank - liveRank : null;
   
   // Determine rank change status and styling
@@ -57,11 +65,15 @@ const ManagerInfo = memo(({
         totalPoints={data.totalPoints}
         formattedRank={formattedRank}
         formattedLiveRank={formattedLiveRank}
+        liveRankDetail={liveRankDetail}
         rankChangeInfo={rankChangeInfo}
         totalLivePoints={totalLivePoints}
         transferPenalty={transferPenalty}
       />
       
+      {/* Template Distance Section */}
+      {template && <TemplateDistance template={template} />}
+      
       {/* Wildcard Status Section */}
       <WildcardStatus 
         isActive={isWildcardActive} 
@@ -77,6 +89,27 @@ const ManagerInfo = memo(({
 
 // ===== HELPER FUNCTIONS =====
 
+/**
+ * Helper to shorten a rank, e.g. 120000 -> 120k, 1250000 -> 1.3m
+ */
+const formatCompactRank = (rank) => {
+  if (rank >= 1000000) return `${(rank / 1000000).toFixed(1)}m`;
+  if (rank >= 10000) return `${Math.round(rank / 1000)}k`;
+  if (rank >= 1000) return `${(rank / 1000).toFixed(1)}k`;
+  return `${rank}`;
+};
+
+/**
+ * Helper to describe a template distance (0% = the tier's EO, 100% = none of it)
+ */
+const getTemplateStyle = (distance) => {
+  if (distance < 35) return { label: 'Playing the template', color: 'bg-sky-500' };
+  if (distance < 60) return { label: 'Balanced', color: 'bg-purple-500' };
+  return { label: 'Chasing differentials', color: 'bg-orange-500' };
+};
+
+const TIER_LABELS = { top1k: 'Top 1k', top10k: 'Top 10k', top100k: 'Top 100k', top1m: 'Top 1M' };
+
 /**
  * Helper to determine rank change information
  */
@@ -177,6 +210,7 @@ const StatsGrid = memo(({
   totalPoints, 
   formattedRank, 
   formattedLiveRank, 
+  liveRankDetail,
   rankChangeInfo,
   totalLivePoints,
   transferPenalty
@@ -205,6 +239,7 @@ const StatsGrid = memo(({
     <StatCard 
       title="Live Rank"
       value={formattedLiveRank}
+      detail={liveRankDetail}
       icon={rankChangeInfo.icon}
       colorFrom="indigo-700"
       colorTo="indigo-800"
@@ -250,7 +285,8 @@ const StatCard = memo(({
   colorTo, 
   borderColor, 
   iconColor,
-  extra
+  extra,
+  detail
 }) => (
   <div className={`bg-gradient-to-r from-${colorFrom} to-${colorTo} rounded-lg p-4 border border-${borderColor} shadow-md hover:shadow-lg transition-shadow`}>
     <div className="flex items-center mb-3">
@@ -263,9 +299,34 @@ const StatCard = memo(({
       <span className="text-3xl font-bold text-white">{value}</span>
       {extra}
     </div>
+    {detail && <p className="mt-1 text-xs text-white opacity-75">{detail}</p>}
   </div>
 ));
 
+// Template Distance Component
+const TemplateDistance = memo(({ template }) => {
+  const style = getTemplateStyle(template.distance);
+  const missing = (template.missing || []).slice(0, 3);
+
+  return (
+    <div className="mt-4 p-4 rounded-xl bg-black bg-opacity-30 border border-gray-700">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-medium text-white">
+          Template distance <span className="text-gray-400">vs {TIER_LABELS[template.tier] || template.tier}</span>
+        </p>
+        <span className="text-sm font-semibold text-white">{template.distance}% · {style.label}</span>
+      </div>
+      <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden">
+        <div className={`h-2 ${style.color}`} style={{ width: `${Math.min(100, template.distance)}%` }} />
+      </div>
+      <p className="mt-2 text-xs text-gray-300">
+        {template.templateOwned}/{(template.xi || []).length || 11} of the template XI in your starting lineup
+        {missing.length > 0 && ` · missing ${missing.map(p => `${p.name} (${p.eo}%)`).join(', ')}`}
+      </p>
+    </div>
+  );
+});
+
 // Wildcard Status Component
 const WildcardStatus = memo(({ isActive, count, currentGameweek }) => {
   // If we're past gameweek 20 and count is 0, it means the first wildcard expired unused
@@ -325,6 +386,23 @@ ManagerInfo.propTypes = {
   totalLivePoints: PropTypes.number,
   transferPenalty: PropTypes.number,
   liveRank: PropTypes.number,
+  liveRankEstimate: PropTypes.shape({
+    rank: PropTypes.number,
+    lower: PropTypes.number,
+    upper: PropTypes.number,
+    confidence: PropTypes.number,
+    sampleSize: PropTypes.number,
+    method: PropTypes.string
+  }),
+  template: PropTypes.shape({
+    tier: PropTypes.string,
+    distance: PropTypes.number,
+    overlap: PropTypes.number,
+    templateOwned: PropTypes.number,
+    xi: PropTypes.array,
+    missing: PropTypes.array,
+    differentials: PropTypes.array
+  }),
   isLoading: PropTypes.bool,
   activeChip: PropTypes.string,
   chipsUsed: PropTypes.arrayOf(PropTypes.string)
@@ -335,6 +413,8 @@ ManagerInfo.defaultProps = {
   totalLivePoints: undefined,
   transferPenalty: 0,
   liveRank: undefined,
+  liveRankEstimate: null,
+  template: null,
   isLoading: false,
   activeChip: null,
   chipsUsed: []
@@ -1,6 +1,7 @@
 import React, { memo, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import PropTypes from 'prop-types';
+import { getGameweekBadge } from '../utils/fixtureUtils';
 
 
 
@@ -265,9 +266,10 @@ const FieldBackground = memo(() => (
 const PlayerCard = memo(({ pick, color, isBench = false, isBenchBoost = false, isHighestPoints = false }) => {
   const isCaptain = pick.multiplier === 2;
   const isTripleCaptain = pick.multiplier === 3;
-  const isViceCaptain = pick.multiplier === 1 && pick.viceCaptainPoints > 0;
+  const isViceCaptain = pick.multiplier === 1 && (pick.isViceCaptain || pick.viceCaptainPoints > 0);
   const hasPoints = pick.livePoints > 0;
   const isDifferential = pick.isDifferential;
+  const gameweekBadge = getGameweekBadge(pick.fixtureCount);
 
   // Team-specific styling
   const teamStyles = {
@@ -299,10 +301,11 @@ const PlayerCard = memo(({ pick, color, isBench = false, isBenchBoost = false, i
     // PlayerCard Component - Updated getPlayerStats Function
 const getPlayerStats = () => {
   if (!pick.events || !Array.isArray(pick.events)) {
-    return { bonusIcon: null, statIcons: [] };
+    return { bonusIcon: null, bonusProvisional: false, statIcons: [] };
   }
   
   let bonusIcon = null;
+  let bonusProvisional = false;
   const statIcons = [];
   
   pick.events.forEach(event => {
@@ -313,9 +316,11 @@ const getPlayerStats = () => {
     
     // Handle bonus points separately
     if (type === 'bonus') {
-      const points = parseInt(event.points || event.value || 0);
+      // Engine events carry the raw bonus in count; points include the captain multiplier
+      const points = parseInt(event.identifier ? event.count : (event.points || event.value || 0));
       if (points > 0) {
         bonusIcon = getBonusIcon(points);
+        bonusProvisional = !!event.provisional;
       }
       return;
     }
@@ -331,9 +336,9 @@ for (let i = 0; i < count; i++) {
 }
   });
   
-  return { bonusIcon, statIcons };
+  return { bonusIcon, bonusProvisional, statIcons };
 };
-    const { bonusIcon, statIcons } = getPlayerStats();
+    const { bonusIcon, bonusProvisional, statIcons } = getPlayerStats();
   return (
     <motion.div
       variants={ANIMATIONS.player}
@@ -396,6 +401,14 @@ for (let i = 0; i < count; i++) {
         <p className="text-xs font-bold uppercase text-gray-800 tracking-tight truncate w-full text-center">
           {pick.name}
         </p>
+        {gameweekBadge && (
+          <span
+            className={`mt-0.5 px-1.5 rounded text-[10px] font-semibold ${gameweekBadge.className}`}
+            title={pick.fixtureCount === 0 ? 'No fixture this gameweek' : `${pick.fixtureCount} fixtures this gameweek`}
+          >
+            {gameweekBadge.label}
+          </span>
+        )}
 
         {/* Points */}
         <motion.div
@@ -410,7 +423,14 @@ for (let i = 0; i < count; i++) {
         <div className="flex flex-col items-center">
   {/* Bonus points display */}
   {bonusIcon && (
-    <div className="mt-1 w-5 h-5 sm:w-6 sm:h-6 flex items-center justify-center rounded-full text-white font-bold text-xs bg-gradient-to-r from-yellow-500 to-yellow-700 animate-pulse">
+    <div
+      className={`mt-1 w-5 h-5 sm:w-6 sm:h-6 flex items-center justify-center rounded-full text-white font-bold text-xs ${
+        bonusProvisional
+          ? 'bg-yellow-400 bg-opacity-60 border border-dashed border-yellow-700'
+          : 'bg-gradient-to-r from-yellow-500 to-yellow-700 animate-pulse'
+      }`}
+      title={bonusProvisional ? 'Provisional bonus (live BPS)' : 'Confirmed bonus'}
+    >
       {bonusIcon}
     </div>
   )}
@@ -718,12 +738,16 @@ PicksTable.propTypes = {
         PropTypes.shape({
           type: PropTypes.string.isRequired,
           points: PropTypes.number.isRequired,
+          provisional: PropTypes.bool,
         })
       ),
       viceCaptainPoints: PropTypes.number,
+      bonus: PropTypes.number,
+      bonusProvisional: PropTypes.bool,
       isDifferential: PropTypes.bool,
       eo: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
       teamShortName: PropTypes.string,
+      fixtureCount: PropTypes.number,
     })
   ),
   lastUpdated: PropTypes.instanceOf(Date),
@@ -0,0 +1,71 @@
+import React, { useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import { getApiUrl } from '../utils/apiConfig';
+
+/**
+ * Freezes picks or a saved plan into a read-only snapshot and shows its link
+ */
+const ShareButton = memo(({ fplId, type, gameweek, planId, label = 'Share', className }) => {
+  const [link, setLink] = useState(null);
+  const [isSharing, setIsSharing] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const share = async () => {
+    setIsSharing(true);
+    setCopied(false);
+    try {
+      const response = await fetch(getApiUrl('/api/share'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fplId, type, gameweek, planId }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || 'Failed to create share link');
+      setLink(`${window.location.origin}${data.url}`);
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (err) {
+      console.error('Failed to copy share link:', err.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <button
+        onClick={share}
+        disabled={!fplId || isSharing}
+        className={className || 'bg-purple-600 text-white px-3 py-2 rounded-md disabled:bg-gray-400 disabled:cursor-not-allowed'}
+      >
+        {isSharing ? 'Sharing...' : label}
+      </button>
+      {link && (
+        <div className="flex items-center gap-2 text-sm">
+          <a href={link} target="_blank" rel="noopener noreferrer" className="text-purple-700 underline break-all">{link}</a>
+          <button onClick={copy} className="text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded">
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+ShareButton.propTypes = {
+  fplId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  type: PropTypes.oneOf(['picks', 'plan']).isRequired,
+  gameweek: PropTypes.number,
+  planId: PropTypes.string,
+  label: PropTypes.string,
+  className: PropTypes.string
+};
+
+export default ShareButton;
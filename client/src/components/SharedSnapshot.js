@@ -0,0 +1,257 @@
+import React, { useState, useEffect, memo } from 'react';
+import { useParams } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { getApiUrl } from '../utils/apiConfig';
+import { getGameweekBadge } from '../utils/fixtureUtils';
+import { getJerseyImage, handleJerseyError } from './PicksTable';
+import Header from './Header';
+
+const ROWS = ['GK', 'DEF', 'MID', 'FWD'];
+
+const CHIP_LABELS = {
+  wildcard: 'Wildcard',
+  freehit: 'Free Hit',
+  bboost: 'Bench Boost',
+  triplecaptain: 'Triple Captain',
+  '3xc': 'Triple Captain',
+  assistant_manager: 'Assistant Manager'
+};
+
+const getDifficultyColor = (difficulty) => {
+  switch (difficulty) {
+    case 1: return 'bg-green-100 text-green-800';
+    case 2: return 'bg-green-200 text-green-800';
+    case 3: return 'bg-yellow-100 text-yellow-800';
+    case 4: return 'bg-red-100 text-red-800';
+    case 5: return 'bg-red-200 text-red-800';
+    default: return 'bg-gray-100 text-gray-800';
+  }
+};
+
+/**
+ * Read-only view of a shared team or plan; needs no FPL ID of its own
+ */
+const SharedSnapshot = memo(() => {
+  const { shareId } = useParams();
+  const [snapshot, setSnapshot] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(getApiUrl(`/api/share/${shareId}`))
+      .then(async response => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || 'Failed to load snapshot');
+        return data;
+      })
+      .then(data => { if (!cancelled) setSnapshot(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [shareId]);
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex flex-col items-center py-8 px-4 font-sans">
+      <Header />
+      <div className="w-full max-w-4xl">
+        {error && (
+          <div className="bg-white p-6 rounded-lg shadow-md text-center">
+            <p className="text-red-600 font-semibold">{error}</p>
+            <a href="/" className="text-green-700 underline text-sm mt-2 inline-block">Go to FPL Pulse</a>
+          </div>
+        )}
+        {!error && !snapshot && (
+          <div className="bg-gradient-to-br from-green-700 to-green-900 p-6 rounded-xl shadow-lg animate-pulse border-2 border-white h-96"></div>
+        )}
+        {snapshot && <SnapshotView snapshot={snapshot} />}
+      </div>
+    </div>
+  );
+});
+
+const SnapshotView = memo(({ snapshot }) => {
+  const starters = snapshot.players.filter(p => p.position <= 11);
+  const bench = snapshot.players.filter(p => p.position > 11).sort((a, b) => a.position - b.position);
+  const showPoints = snapshot.totals?.points !== null && snapshot.totals?.points !== undefined;
+
+  return (
+    <>
+      <div className="bg-gradient-to-br from-green-700 to-green-900 p-4 sm:p-6 rounded-xl shadow-xl border-2 border-white mb-6">
+        <div className="mb-6 flex flex-col sm:flex-row justify-between items-center gap-2">
+          <div className="text-center sm:text-left">
+            <h3 className="text-2xl font-extrabold text-white drop-shadow-md">{snapshot.teamName || snapshot.title}</h3>
+            <p className="text-green-200 text-sm">
+              {snapshot.type === 'plan' ? `Plan: ${snapshot.title} (v${snapshot.planVersion})` : snapshot.title}
+              {snapshot.managerName && ` · ${snapshot.managerName}`}
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <span className="bg-black bg-opacity-60 rounded-full px-4 py-1 text-white text-sm">GW {snapshot.gameweek}</span>
+            {snapshot.activeChip && (
+              <span className="bg-blue-500 text-white rounded-full px-3 py-1 text-sm">{CHIP_LABELS[snapshot.activeChip] || snapshot.activeChip}</span>
+            )}
+            {showPoints && (
+              <span className="bg-black bg-opacity-60 rounded-full px-4 py-1 text-sm">
+                <span className="text-white mr-2">Points:</span>
+                <span className="text-green-400 font-bold">{snapshot.totals.points}</span>
+              </span>
+            )}
+            {snapshot.totals?.projectedPoints !== null && snapshot.totals?.projectedPoints !== undefined && (
+              <span className="bg-black bg-opacity-60 rounded-full px-4 py-1 text-sm">
+                <span className="text-white mr-2">{snapshot.type === 'plan' ? 'Plan xP:' : 'xP:'}</span>
+                <span className="text-green-400 font-bold">{snapshot.totals.projectedPoints}</span>
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="relative rounded-xl bg-green-600 border-2 border-white border-opacity-60 py-4 space-y-4">
+          {ROWS.map(positionType => (
+            <div key={positionType} className="flex justify-center flex-wrap gap-2 sm:gap-4">
+              {starters.filter(p => p.positionType === positionType).map(player => (
+                <SnapshotPlayer key={player.id} player={player} showPoints={showPoints} />
+              ))}
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-4 bg-black bg-opacity-30 rounded-xl p-3">
+          <p className="text-white text-sm font-semibold mb-2">Bench</p>
+          <div className="flex justify-center flex-wrap gap-2 sm:gap-4">
+            {bench.map(player => (
+              <SnapshotPlayer key={player.id} player={player} showPoints={showPoints} isBench />
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {snapshot.plan?.length > 0 && <PlanSummary plan={snapshot.plan} />}
+
+      <p className="text-center text-xs text-gray-500">
+        Read-only snapshot taken {new Date(snapshot.createdAt).toLocaleString()}. It will not change.{' '}
+        <a href="/" className="text-green-700 underline">Open FPL Pulse</a>
+      </p>
+    </>
+  );
+});
+
+const SnapshotPlayer = memo(({ player, showPoints, isBench = false }) => {
+  const gameweekBadge = getGameweekBadge(player.fixtureCount);
+  const captainLabel = player.isCaptain ? (player.multiplier === 3 ? 'TC' : 'C') : player.isViceCaptain ? 'VC' : null;
+
+  return (
+    <div className={`${isBench ? 'w-24' : 'w-28'} flex flex-col items-center`}>
+      <div className="relative w-14 h-16">
+        <img
+          src={getJerseyImage(player.teamShortName)}
+          alt={`${player.teamShortName} jersey`}
+          onError={handleJerseyError}
+          className="w-full h-full object-contain"
+        />
+        {captainLabel && (
+          <span className={`absolute top-0 right-0 w-6 h-6 flex items-center justify-center text-xs font-bold rounded-full text-white shadow-md transform translate-x-2 -translate-y-2 ${captainLabel === 'VC' ? 'bg-gray-500' : 'bg-green-500'}`}>
+            {captainLabel}
+          </span>
+        )}
+        {gameweekBadge && (
+          <span className={`absolute bottom-0 left-0 text-[10px] font-bold px-1 rounded ${gameweekBadge.className}`}>
+            {gameweekBadge.label}
+          </span>
+        )}
+      </div>
+      <div className="w-full bg-white rounded-lg p-1 text-center shadow-sm">
+        <p className="text-xs font-semibold text-gray-800 truncate" title={player.name}>{player.name}</p>
+        <div className="flex flex-wrap justify-center gap-1 my-1">
+          {player.fixtures.length > 0 ? player.fixtures.map((fixture, index) => (
+            <span key={index} className={`text-[10px] px-1 rounded ${getDifficultyColor(fixture.difficulty)}`}>
+              {fixture.opponent} ({fixture.location})
+            </span>
+          )) : (
+            <span className="text-[10px] text-gray-400">-</span>
+          )}
+        </div>
+        <p className="text-xs text-gray-700">
+          {showPoints && <span className="font-bold text-green-700 mr-1">{player.points} pts</span>}
+          {player.projectedPoints !== null && <span className="text-gray-500">{player.projectedPoints} xP</span>}
+        </p>
+      </div>
+    </div>
+  );
+});
+
+const PlanSummary = memo(({ plan }) => (
+  <div className="bg-white p-4 rounded-lg shadow-md mb-6">
+    <h4 className="text-md font-semibold text-gray-700 mb-3">Plan</h4>
+    <ul className="divide-y divide-gray-100">
+      {plan.map(gw => (
+        <li key={gw.gameweek} className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1">
+          <div className="text-sm text-gray-800">
+            <span className="font-semibold mr-2">GW {gw.gameweek}</span>
+            {gw.chip && <span className="text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded mr-2">{CHIP_LABELS[gw.chip] || gw.chip}</span>}
+            {gw.transfers.length > 0
+              ? gw.transfers.map(t => `${t.out.name} → ${t.in.name}`).join(', ')
+              : <span className="text-gray-500">No transfers</span>}
+          </div>
+          <div className="text-sm text-gray-600 whitespace-nowrap">
+            {gw.hitCost > 0 && <span className="text-red-600 mr-2">-{gw.hitCost}</span>}
+            {gw.projectedPoints} xP
+          </div>
+        </li>
+      ))}
+    </ul>
+  </div>
+));
+
+const fixtureShape = PropTypes.shape({
+  opponent: PropTypes.string,
+  location: PropTypes.string,
+  difficulty: PropTypes.number
+});
+
+const playerShape = PropTypes.shape({
+  id: PropTypes.number.isRequired,
+  name: PropTypes.string.isRequired,
+  positionType: PropTypes.string,
+  position: PropTypes.number,
+  multiplier: PropTypes.number,
+  isCaptain: PropTypes.bool,
+  isViceCaptain: PropTypes.bool,
+  teamShortName: PropTypes.string,
+  points: PropTypes.number,
+  projectedPoints: PropTypes.number,
+  fixtures: PropTypes.arrayOf(fixtureShape),
+  fixtureCount: PropTypes.number
+});
+
+SnapshotView.propTypes = {
+  snapshot: PropTypes.shape({
+    type: PropTypes.oneOf(['picks', 'plan']).isRequired,
+    title: PropTypes.string,
+    teamName: PropTypes.string,
+    managerName: PropTypes.string,
+    gameweek: PropTypes.number,
+    activeChip: PropTypes.string,
+    planVersion: PropTypes.number,
+    createdAt: PropTypes.string,
+    totals: PropTypes.shape({ points: PropTypes.number, projectedPoints: PropTypes.number }),
+    players: PropTypes.arrayOf(playerShape).isRequired,
+    plan: PropTypes.array
+  }).isRequired
+};
+
+SnapshotPlayer.propTypes = {
+  player: playerShape.isRequired,
+  showPoints: PropTypes.bool,
+  isBench: PropTypes.bool
+};
+
+PlanSummary.propTypes = {
+  plan: PropTypes.arrayOf(PropTypes.shape({
+    gameweek: PropTypes.number,
+    chip: PropTypes.string,
+    hitCost: PropTypes.number,
+    projectedPoints: PropTypes.number,
+    transfers: PropTypes.array
+  })).isRequired
+};
+
+export default SharedSnapshot;
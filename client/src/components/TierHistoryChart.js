@@ -0,0 +1,115 @@
+import React, { useState, useEffect, memo } from 'react';
+import PropTypes from 'prop-types';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ResponsiveContainer } from 'recharts';
+import { getApiUrl } from '../utils/apiConfig';
+
+const LINE_COLORS = ['#7c3aed', '#dc2626', '#059669', '#d97706', '#2563eb', '#db2777'];
+
+const CHIP_LABELS = {
+  wildcard: 'Wildcard',
+  freehit: 'Free Hit',
+  benchBoost: 'Bench Boost',
+  tripleCaptain: 'Triple Captain',
+  assistantManager: 'Assistant Manager'
+};
+
+const METRICS = [
+  { value: 'eo', label: 'EO %' },
+  { value: 'captaincy', label: 'Captaincy %' },
+  { value: 'chips', label: 'Chip usage %' },
+  { value: 'averagePoints', label: 'Average points' }
+];
+
+const TierHistoryChart = memo(({ tier }) => {
+  const [history, setHistory] = useState(null);
+  const [metric, setMetric] = useState('eo');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setError('');
+    fetch(getApiUrl(`/api/fpl/tier-history/${tier}`))
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed with status: ${response.status}`);
+        return response.json();
+      })
+      .then(data => { if (!cancelled) setHistory(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [tier]);
+
+  if (error) return <p className="text-sm text-red-500">Could not load trends: {error}</p>;
+  if (!history) return <p className="text-sm text-gray-500">Loading trends...</p>;
+  if (history.gameweeks.length < 2) {
+    return <p className="text-sm text-gray-500">Trends appear once two or more gameweeks of stats are stored.</p>;
+  }
+
+  // Flatten each gameweek into one row per x-axis point
+  const rows = history.gameweeks.map(gw => {
+    const row = { gameweek: `GW${gw.gameweek}`, averagePoints: gw.averagePoints };
+    history.players.forEach(player => {
+      row[`eo_${player.id}`] = gw.eo[player.id];
+      row[`captaincy_${player.id}`] = gw.captaincy[player.id];
+    });
+    Object.keys(CHIP_LABELS).forEach(chip => {
+      row[`chips_${chip}`] = gw.chips[chip];
+    });
+    return row;
+  });
+
+  let lines;
+  if (metric === 'eo' || metric === 'captaincy') {
+    lines = history.players.map(player => ({ key: `${metric}_${player.id}`, name: player.name }));
+  } else if (metric === 'chips') {
+    lines = Object.entries(CHIP_LABELS).map(([chip, name]) => ({ key: `chips_${chip}`, name }));
+  } else {
+    lines = [{ key: 'averagePoints', name: 'Average points' }];
+  }
+
+  return (
+    <div>
+      <div className="flex justify-end mb-2">
+        <select
+          value={metric}
+          onChange={(e) => setMetric(e.target.value)}
+          className="border rounded p-1 text-sm"
+        >
+          {METRICS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={rows} margin={{ top: 5, right: 10, left: -10, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="gameweek" tick={{ fontSize: 11 }} />
+            <YAxis tick={{ fontSize: 11 }} />
+            <Tooltip />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            {lines.map((line, index) => (
+              <Line
+                key={line.key}
+                type="monotone"
+                dataKey={line.key}
+                name={line.name}
+                stroke={LINE_COLORS[index % LINE_COLORS.length]}
+                dot={false}
+                connectNulls
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      {metric === 'captaincy' && history.gameweeks.some(gw => gw.sampleSize === null) && (
+        <p className="text-xs text-gray-500 mt-1">Captaincy share is missing for gameweeks stored before sample sizes were recorded.</p>
+      )}
+    </div>
+  );
+});
+
+TierHistoryChart.propTypes = {
+  tier: PropTypes.oneOf(['top1k', 'top10k', 'top100k', 'top1m']).isRequired
+};
+
+export default TierHistoryChart;
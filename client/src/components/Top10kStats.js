@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback, memo } from 'react';
 import { getApiUrl } from '../utils/apiConfig';
+import TierHistoryChart from './TierHistoryChart';
 
 const Top10kStats = memo(({ gameweek, isLoading, userPicks, activeChip }) => {
   const [stats, setStats] = useState(null);
@@ -8,6 +9,7 @@ const Top10kStats = memo(({ gameweek, isLoading, userPicks, activeChip }) => {
   const [selectedTier, setSelectedTier] = useState('top10k');
   const [isRetrying, setIsRetrying] = useState(false);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [showTrends, setShowTrends] = useState(false);
 
   // Helper function for exponential backoff retry
   const fetchWithRetry = async (url, maxRetries = 3) => {
@@ -90,8 +92,8 @@ const Top10kStats = memo(({ gameweek, isLoading, userPicks, activeChip }) => {
       setError('');
       setIsRetrying(false);
       
-      // Cache the successful response
-      saveToCache(cacheKey, {...data, timestamp: Date.now()});
+      // Cache the successful response; placeholder stats are refetched until the sample is built
+      if (!data.buildingSample) saveToCache(cacheKey, {...data, timestamp: Date.now()});
     } catch (err) {
       console.error('Error fetching top stats:', err.message);
       setError(err.message);
@@ -130,6 +132,9 @@ const Top10kStats = memo(({ gameweek, isLoading, userPicks, activeChip }) => {
   if (!stats || !gameweek) 
     return <div className="bg-white p-6 rounded-lg shadow-md mb-6">No top stats available for GW {gameweek || 'unknown'}</div>;
 
+  if (stats.buildingSample && !stats[selectedTier])
+    return <div className="bg-white p-6 rounded-lg shadow-md mb-6">Building the top manager sample for GW {gameweek}. Stats will appear once it is ready.</div>;
+
   const currentStats = stats[selectedTier] || { averagePoints: 0, topPlayers: [], formations: {}, eoBreakdown: {} };
   const userPickIds = userPicks ? userPicks.map(p => p.playerId) : [];
   
@@ -140,6 +145,9 @@ const Top10kStats = memo(({ gameweek, isLoading, userPicks, activeChip }) => {
         .slice(0, 5)
     : [];
 
+  const sample = currentStats.sample;
+  const formatRange = (range) => (Array.isArray(range) ? ` (${range[0]}–${range[1]})` : '');
+
   const renderPaginatedList = (items, renderItem, emptyMessage) => {
     if (!items || items.length === 0) return <p className="text-gray-600">{emptyMessage}</p>;
     return <div className="space-y-2">{items.map(renderItem)}</div>;
@@ -178,6 +186,21 @@ const Top10kStats = memo(({ gameweek, isLoading, userPicks, activeChip }) => {
         </div>
       )}
 
+      {sample?.weak && (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm p-3 rounded-lg mb-4" role="alert">
+          <span className="font-medium">Low confidence:</span> {sample.warning}. Treat EO and chip figures for this tier as rough.
+        </div>
+      )}
+
+      {sample && (
+        <div className="text-xs text-gray-500 mb-3">
+          Based on {sample.size} managers
+          {sample.fallbackCount > 0 && ` (${sample.fallbackShare}% from cached picks)`}
+          {sample.eoMarginOfError !== null && ` · EO ±${sample.eoMarginOfError} pts`}
+          {sample.collectedAt && ` · collected ${new Date(sample.collectedAt).toLocaleString()}`}
+        </div>
+      )}
+
       <div className="bg-purple-50 p-3 rounded-lg mb-4 flex items-center justify-center">
         <div className="text-center">
           <span className="text-2xl font-bold text-purple-700">
@@ -194,13 +217,29 @@ const Top10kStats = memo(({ gameweek, isLoading, userPicks, activeChip }) => {
           (player) => (
             <div key={player.id} className="flex justify-between bg-gray-50 p-2 rounded">
               <span className="font-medium">{player.name}</span>
-              <span className="text-purple-700 font-medium">EO: {player.eo}%</span>
+              <span className="text-purple-700 font-medium">
+                EO: {player.eo}%
+                <span className="text-xs text-gray-500 font-normal">{formatRange(player.eoCI)}</span>
+              </span>
             </div>
           ),
           "No player data available."
         )}
       </div>
 
+      <div className="mb-4">
+        <div className="flex justify-between items-center mb-2">
+          <h4 className="text-md font-medium text-gray-700">Season Trends</h4>
+          <button
+            onClick={() => setShowTrends(prev => !prev)}
+            className="text-xs text-purple-700 hover:underline"
+          >
+            {showTrends ? 'Hide' : 'Show'}
+          </button>
+        </div>
+        {showTrends && <TierHistoryChart tier={selectedTier} />}
+      </div>
+
       <div className="mb-4">
         <h4 className="text-md font-medium text-gray-700 mb-2">Popular Formations</h4>
         <div className="grid grid-cols-3 gap-2">
@@ -220,10 +259,13 @@ const Top10kStats = memo(({ gameweek, isLoading, userPicks, activeChip }) => {
           <h4 className="text-md font-medium text-gray-700 mb-2">Threats (High EO You Don't Own)</h4>
           {renderPaginatedList(
             threats,
-            ([id, { name, eo }]) => (
+            ([id, { name, eo, eoCI }]) => (
               <div key={id} className="flex justify-between bg-red-50 p-2 rounded">
                 <span className="font-medium">{name}</span>
-                <span className="text-red-700 font-medium">EO: {eo}%</span>
+                <span className="text-red-700 font-medium">
+                  EO: {eo}%
+                  <span className="text-xs text-gray-500 font-normal">{formatRange(eoCI)}</span>
+                </span>
               </div>
             ),
             "No significant threats identified."
@@ -1,6 +1,10 @@
-import React, { useState, useEffect, memo } from 'react';
+import React, { useState, useEffect, useCallback, memo } from 'react';
 import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
 import useDebouncedPricePredictions from '../hooks/useDebouncedPricePredictions';
+import useSquadValidation from '../hooks/useSquadValidation';
+import { getApiUrl } from '../utils/apiConfig';
+import ShareButton from './ShareButton';
+import { getFixtureDetails, getGameweekBadge } from '../utils/fixtureUtils';
 
 const TransferPlanner = memo(({ plannerData, fplId, isLoading, activeChip, assistantManagerPoints }) => {
   const [currentSquad, setCurrentSquad] = useState([]);
@@ -8,6 +12,7 @@ const TransferPlanner = memo(({ plannerData, fplId, isLoading, activeChip, assis
   const [transfers, setTransfers] = useState([]);
   const [selectedGameweek, setSelectedGameweek] = useState(1);
   const [planName, setPlanName] = useState('');
+  const [savedPlans, setSavedPlans] = useState([]);
   const [selectedPlayerOut, setSelectedPlayerOut] = useState(null);
   const [chips, setChips] = useState({
     wildcard1: { used: false, gameweek: null },
@@ -18,6 +23,7 @@ const TransferPlanner = memo(({ plannerData, fplId, isLoading, activeChip, assis
     assistant_manager: { used: false, gameweek: null }
   });
   const pricePredictions = useDebouncedPricePredictions();
+  const validateSquad = useSquadValidation();
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
 
   // Derived value for adjusted budget
@@ -46,37 +52,11 @@ const TransferPlanner = memo(({ plannerData, fplId, isLoading, activeChip, assis
     setBudget(adjustedBudget);
   }, [adjustedBudget]);
 
-  const validateSquad = (squad, newPlayer = null) => {
-    const updatedSquad = newPlayer ? [...squad.filter(p => p.id !== newPlayer.id), newPlayer] : squad;
-    const positions = { GK: 0, DEF: 0, MID: 0, FWD: 0 };
-    const teams = {};
-    const starters = updatedSquad.filter(p => p.position <= 11);
-
-    updatedSquad.forEach(player => {
-      positions[player.positionType]++;
-      teams[player.teamId] = (teams[player.teamId] || 0) + 1;
-    });
-    starters.forEach(player => positions[player.positionType]--);
-
-    const validXI = starters.length === 11 && positions.GK >= 1 && positions.DEF >= 3 && positions.MID >= 1 && positions.FWD >= 1;
-
-    return (
-      updatedSquad.length === 15 &&
-      positions.GK === 2 &&
-      positions.DEF === 5 &&
-      positions.MID === 5 &&
-      positions.FWD === 3 &&
-      Object.values(teams).every(count => count <= 3) &&
-      validXI
-    );
-  };
-
   const handleTransfer = async (playerOutId, playerInId) => {
     const playerOut = currentSquad.find(p => p.id === parseInt(playerOutId));
     const playerIn = plannerData?.allPlayers.find(p => p.id === parseInt(playerInId));
     if (!playerOut || !playerIn) return;
 
-    const costDifference = playerOut.cost - playerIn.cost;
     const newSquad = currentSquad.map(p => (p.id === parseInt(playerOutId) ? { ...playerIn, position: p.position, multiplier: p.multiplier } : p));
 
     if (!validateSquad(newSquad)) {
@@ -84,22 +64,28 @@ const TransferPlanner = memo(({ plannerData, fplId, isLoading, activeChip, assis
       return;
     }
 
-    if (budget + costDifference >= 0 || chips.wildcard1?.used || chips.wildcard2?.used || chips.freehit?.gameweek === selectedGameweek) {
-      try {
-        const response = await fetch(`http://localhost:5000/api/fpl/${fplId}/transfers`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ gameweek: selectedGameweek, out: playerOutId, in: playerInId }),
-        });
-        if (!response.ok) throw new Error('Failed to save transfer');
-        setCurrentSquad(newSquad);
-        setBudget(budget + costDifference);
-        setTransfers([...transfers, { gameweek: selectedGameweek, out: playerOut, in: playerIn }]);
-      } catch (err) {
-        alert(err.message);
+    // The server checks the budget at the manager's selling prices, so it has the final say
+    try {
+      const response = await fetch(getApiUrl(`/api/fpl/${fplId}/transfers`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          gameweek: selectedGameweek,
+          out: playerOutId,
+          in: playerInId,
+          planned: transfers.map(t => ({ out: t.out.id, in: t.in.id }))
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.reasons?.length ? `${data.error}:\n${data.reasons.join('\n')}` : data.error || 'Failed to save transfer');
       }
-    } else {
-      alert('Insufficient budget for this transfer!');
+      const sellingPrice = data.transfer?.playerOut?.sellingPrice ?? playerOut.cost;
+      setCurrentSquad(newSquad);
+      setBudget(budget + sellingPrice - playerIn.cost);
+      setTransfers([...transfers, { gameweek: selectedGameweek, out: playerOut, in: playerIn }]);
+    } catch (err) {
+      alert(err.message);
     }
   };
 
@@ -148,28 +134,132 @@ const TransferPlanner = memo(({ plannerData, fplId, isLoading, activeChip, assis
     setChips(updatedChips);
   };
 
-  const savePlan = () => {
+  // Plans are saved on the server, so they follow the manager across devices
+  const fetchSavedPlans = useCallback(async () => {
+    if (!fplId) return;
+    try {
+      const response = await fetch(getApiUrl(`/api/fpl/${fplId}/plans`));
+      if (!response.ok) throw new Error('Failed to load saved plans');
+      const data = await response.json();
+      setSavedPlans(data.plans || []);
+    } catch (err) {
+      console.error(err.message);
+    }
+  }, [fplId]);
+
+  useEffect(() => {
+    fetchSavedPlans();
+  }, [fetchSavedPlans]);
+
+  // Planned gameweeks come after the current one, whatever gameweek was selected when planning
+  const toPlanGameweek = (gameweek) => Math.max(gameweek || 0, (plannerData?.currentGameweek || 0) + 1);
+
+  const buildPlanGameweeks = () => {
+    const entries = new Map();
+    const entryFor = (gameweek) => {
+      const gw = toPlanGameweek(gameweek);
+      if (!entries.has(gw)) entries.set(gw, { gameweek: gw, transfers: [], chip: null });
+      return entries.get(gw);
+    };
+
+    transfers.forEach(t => entryFor(t.gameweek).transfers.push({ out: t.out.id, in: t.in.id }));
+    Object.entries(chips).forEach(([chipType, chip]) => {
+      if (chip?.used && chip.gameweek) {
+        entryFor(chip.gameweek).chip = chipType.startsWith('wildcard') ? 'wildcard' : chipType;
+      }
+    });
+
+    // The planner holds one line-up, which is the one for the last planned gameweek
+    const last = entryFor(Math.max(selectedGameweek, ...entries.keys()));
+    last.captain = currentSquad.find(p => p.multiplier > 1)?.id || null;
+    last.benchOrder = currentSquad
+      .filter(p => p.position > 11)
+      .sort((a, b) => a.position - b.position)
+      .map(p => p.id);
+
+    return [...entries.values()].sort((a, b) => a.gameweek - b.gameweek);
+  };
+
+  const savePlan = async () => {
     if (!planName) {
       alert('Please enter a plan name.');
       return;
     }
-    const plan = { name: planName, squad: currentSquad, budget, transfers, chips };
-    localStorage.setItem(`fplPlan_${planName}`, JSON.stringify(plan));
-    alert('Plan saved!');
+    const existing = savedPlans.find(p => p.name === planName);
+    try {
+      const response = await fetch(getApiUrl(`/api/fpl/${fplId}/plans${existing ? `/${existing.id}` : ''}`), {
+        method: existing ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: planName,
+          gameweeks: buildPlanGameweeks(),
+          ...(existing ? { version: existing.version } : {})
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.reasons?.length ? `${data.error}:\n${data.reasons.join('\n')}` : data.error || 'Failed to save plan');
+      }
+      await fetchSavedPlans();
+      alert(`Plan saved (version ${data.plan.version}, ${data.evaluation.projectedPoints} projected pts)`);
+    } catch (err) {
+      alert(err.message);
+    }
   };
 
-  const loadPlan = (name) => {
-    const savedPlan = localStorage.getItem(`fplPlan_${name}`);
-    if (savedPlan) {
-      const { squad, budget, transfers, chips } = JSON.parse(savedPlan);
-      setCurrentSquad(squad);
-      setBudget(budget);
-      setTransfers(transfers);
-      setChips(chips);
-      setPlanName(name);
-      alert('Plan loaded!');
-    } else {
+  // Only plans already saved on the server can be shared
+  const savedPlan = savedPlans.find(p => p.name === planName);
+
+  const loadPlan = async (name) => {
+    const saved = savedPlans.find(p => p.name === name);
+    if (!saved) {
       alert('No plan found with that name.');
+      return;
+    }
+    try {
+      const response = await fetch(getApiUrl(`/api/fpl/${fplId}/plans/${saved.id}?evaluate=true`));
+      if (!response.ok) throw new Error('Failed to load plan');
+      const plan = await response.json();
+
+      // Replay the plan's transfers on the current squad
+      let squad = plannerData?.currentPicks || [];
+      const loadedTransfers = [];
+      const loadedChips = { ...chips };
+      Object.keys(loadedChips).forEach(chipType => {
+        if (loadedChips[chipType]?.used) loadedChips[chipType] = { used: false, gameweek: null };
+      });
+      plan.gameweeks.forEach(entry => {
+        entry.transfers.forEach(t => {
+          const playerOut = squad.find(p => p.id === t.out);
+          const playerIn = plannerData?.allPlayers.find(p => p.id === t.in);
+          if (!playerOut || !playerIn) return;
+          squad = squad.map(p => (p.id === t.out ? { ...playerIn, position: p.position, multiplier: p.multiplier } : p));
+          loadedTransfers.push({ gameweek: entry.gameweek, out: playerOut, in: playerIn });
+        });
+        if (entry.chip) {
+          const chipType = entry.chip === 'wildcard' ? (entry.gameweek <= 20 ? 'wildcard1' : 'wildcard2') : entry.chip;
+          loadedChips[chipType] = { used: true, gameweek: entry.gameweek };
+        }
+      });
+
+      const last = plan.gameweeks[plan.gameweeks.length - 1];
+      if (last?.captain) {
+        squad = squad.map(p => ({ ...p, multiplier: p.id === last.captain ? 2 : (p.position <= 11 ? 1 : 0) }));
+      }
+
+      // The server replays the plan at selling prices, as handleTransfer does; current prices are only a fallback
+      const evaluatedBank = plan.evaluation?.gameweeks?.[plan.evaluation.gameweeks.length - 1]?.bank;
+      const assistantManagerCost = loadedChips.assistant_manager?.used ? (plannerData?.assistantManagerCost || 10) : 0;
+      setCurrentSquad(squad);
+      setBudget(typeof evaluatedBank === 'number'
+        ? evaluatedBank - assistantManagerCost
+        : adjustedBudget + loadedTransfers.reduce((sum, t) => sum + t.out.cost - t.in.cost, 0));
+      setTransfers(loadedTransfers);
+      setChips(loadedChips);
+      setPlanName(plan.name);
+      alert(`Plan loaded (version ${plan.version})`);
+    } catch (err) {
+      alert(err.message);
     }
   };
 
@@ -189,20 +279,6 @@ const TransferPlanner = memo(({ plannerData, fplId, isLoading, activeChip, assis
     }
   };
 
-  const getFixtureDetails = (teamId, gameweek) => {
-    const gwFixtures = plannerData?.fixtures?.find(f => f.gameweek === gameweek)?.matches || [];
-    const fixture = gwFixtures.find(f => f.teamH === teamId || f.teamA === teamId);
-    if (fixture) {
-      const isHome = fixture.teamH === teamId;
-      return {
-        opponent: isHome ? fixture.teamAName : fixture.teamHName,
-        difficulty: isHome ? fixture.difficultyH : fixture.difficultyA,
-        location: isHome ? 'H' : 'A'
-      };
-    }
-    return { opponent: '-', difficulty: 3, location: '-' };
-  };
-
   const getPositionColor = (position) => {
     switch (position) {
       case 'GK': return 'bg-yellow-500';
@@ -350,6 +426,9 @@ const TransferPlanner = memo(({ plannerData, fplId, isLoading, activeChip, assis
             Reset AM
           </button>
         </div>
+        {chips.assistant_manager?.used && (
+          <AssistantManagerOptions fplId={fplId} gameweek={chips.assistant_manager.gameweek} />
+        )}
       </div>
 
       {/* Controls Section */}
@@ -374,11 +453,22 @@ const TransferPlanner = memo(({ plannerData, fplId, isLoading, activeChip, assis
               value={planName}
               onChange={(e) => setPlanName(e.target.value)}
               placeholder="Enter plan name"
+              list="saved-plans"
               className="block w-full p-2 border border-gray-300 rounded-md"
             />
+            <datalist id="saved-plans">
+              {savedPlans.map(plan => (
+                <option key={plan.id} value={plan.name}>v{plan.version}</option>
+              ))}
+            </datalist>
             <button onClick={savePlan} className="bg-green-600 text-white px-3 py-2 rounded-md">Save</button>
             <button onClick={() => loadPlan(planName)} className="bg-blue-600 text-white px-3 py-2 rounded-md">Load</button>
           </div>
+          {savedPlan && (
+            <div className="mt-2">
+              <ShareButton fplId={fplId} type="plan" planId={savedPlan.id} label="Share plan" />
+            </div>
+          )}
         </div>
       </div>
 
@@ -575,12 +665,21 @@ const TransferPlanner = memo(({ plannerData, fplId, isLoading, activeChip, assis
                     {player.name}
                   </td>
                   {Array.from({ length: 5 }, (_, i) => selectedGameweek + i).map(gw => {
-                    const { opponent, difficulty, location } = getFixtureDetails(player.teamId, gw);
+                    const { fixtures, count } = getFixtureDetails(player.teamId, gw, plannerData?.fixtures);
+                    const badge = getGameweekBadge(count);
                     return (
                       <td key={gw} className="p-2 text-center">
-                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getDifficultyColor(difficulty)}`}>
-                          {opponent} ({location})
-                        </span>
+                        <div className="flex flex-col items-center gap-1">
+                          {fixtures.map((fixture, index) => (
+                            <span key={index} className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getDifficultyColor(fixture.difficulty)}`}>
+                              {fixture.opponent} ({fixture.location})
+                            </span>
+                          ))}
+                          {badge && (
+                            <span className={`px-1.5 rounded text-[10px] font-semibold ${badge.className}`}>{badge.label}</span>
+                          )}
+                          {fixtures.length === 0 && !badge && <span className="text-xs text-gray-400">-</span>}
+                        </div>
                       </td>
                     );
                   })}
@@ -662,4 +761,68 @@ const PlayerCard = ({ player, color, provided, handleCaptaincy, pricePrediction,
   );
 };
 
+// Top assistant managers for the chip window starting at the chosen gameweek
+const AssistantManagerOptions = memo(({ fplId, gameweek }) => {
+  const [options, setOptions] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!fplId || !gameweek) return;
+    let cancelled = false;
+    setOptions(null);
+    setError('');
+    fetch(getApiUrl(`/api/fpl/${fplId}/assistant-manager/recommendations?gameweek=${gameweek}&limit=5`))
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed with status: ${response.status}`);
+        return response.json();
+      })
+      .then(data => { if (!cancelled) setOptions(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [fplId, gameweek]);
+
+  if (error) return <p className="text-sm text-red-500 mt-3">Could not load manager options: {error}</p>;
+  if (!options) return <p className="text-sm text-gray-500 mt-3">Loading manager options...</p>;
+  if (options.recommendations.length === 0) {
+    return <p className="text-sm text-gray-500 mt-3">No managers available for GW {options.window.start}-{options.window.end}.</p>;
+  }
+
+  return (
+    <div className="mt-3">
+      <p className="text-sm font-medium text-gray-700 mb-2">
+        Top managers for GW {options.window.start}-{options.window.end}
+        {!options.chipAvailable && <span className="text-xs text-red-500 ml-2">Chip not available</span>}
+      </p>
+      <div className="space-y-2">
+        {options.recommendations.map(manager => (
+          <div
+            key={manager.id}
+            className={`flex items-center justify-between p-2 rounded-md border ${manager.affordable ? 'bg-white border-gray-200' : 'bg-gray-50 border-gray-200 opacity-60'}`}
+          >
+            <div>
+              <p className="text-sm font-medium text-gray-800">
+                {manager.name} <span className="text-xs text-gray-500">{manager.teamName}</span>
+              </p>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {manager.fixtures.map(f => (
+                  <span key={f.fixtureId} className="text-xs bg-gray-100 text-gray-700 px-1.5 py-0.5 rounded">
+                    GW{f.gameweek} {f.opponentName} ({f.isHome ? 'H' : 'A'}) {Math.round(f.winProbability * 100)}%
+                    {f.tableBonusEligible && <span className="text-purple-600 font-medium ml-1">+bonus</span>}
+                  </span>
+                ))}
+              </div>
+            </div>
+            <div className="text-right ml-2">
+              <p className="text-sm font-bold text-green-600">{manager.expectedPoints} xP</p>
+              <p className={`text-xs ${manager.affordable ? 'text-gray-600' : 'text-red-500'}`}>
+                £{manager.cost.toFixed(1)}m{!manager.affordable && ' (over budget)'}
+              </p>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
 export default TransferPlanner;
\ No newline at end of file
@@ -13,8 +13,9 @@ const WhatIfRankSimulator = ({
   activeChip, 
   assistantManagerPoints 
 }) => {
-  const [simulatedPoints, setSimulatedPoints] = useState({});
-  const [simulatedRank, setSimulatedRank] = useState(null);
+  // Hypothetical events per player: { [playerId]: { points, goal, assist, clean_sheet_lost, blank } }
+  const [scenario, setScenario] = useState({});
+  const [simulation, setSimulation] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
   const ownedPlayers = picks || [];
@@ -22,60 +23,111 @@ const WhatIfRankSimulator = ({
   
   // Maximum reasonable points a player might score in a gameweek
   const MAX_PLAYER_POINTS = 30;
+  const MAX_EVENT_COUNT = 5;
+
+  const updateScenario = (playerId, changes) => {
+    setScenario(prev => ({ ...prev, [playerId]: { ...prev[playerId], ...changes } }));
+  };
 
   const handlePointChange = (playerId, points) => {
     // Ensure points are non-negative and within reasonable range
     const validatedPoints = Math.min(Math.max(0, points), MAX_PLAYER_POINTS);
-    setSimulatedPoints(prev => ({ ...prev, [playerId]: validatedPoints }));
+    updateScenario(playerId, { points: validatedPoints });
   };
 
-  const calculateTotalSimulatedPoints = useCallback(() => {
-    let total = Object.entries(simulatedPoints).reduce((sum, [id, points]) => {
-      const player = picks.find(p => p.playerId === parseInt(id));
-      
-      // Triple Captain: Multiply captain's points by 3
-      if (player?.multiplier === 2 && activeChip === 'triplecaptain') {
-        return sum + (points * 3);
-      }
-      
-      return sum + points;
-    }, 0);
+  const handleEventCount = (playerId, type) => {
+    const current = scenario[playerId]?.[type] || 0;
+    updateScenario(playerId, { [type]: current >= MAX_EVENT_COUNT ? 0 : current + 1 });
+  };
 
-    // Bench Boost: Add points from all bench players
-    if (activeChip === 'bboost') {
-      total = Object.values(simulatedPoints).reduce((sum, points) => sum + points, 0);
-    }
+  const toggleEvent = (playerId, type) => {
+    updateScenario(playerId, { [type]: !scenario[playerId]?.[type] });
+  };
 
-    // Add Assistant Manager points if chip is active
-    return total + (activeChip === 'assistant_manager' ? (assistantManagerPoints || 0) : 0);
-  }, [simulatedPoints, picks, activeChip, assistantManagerPoints]);
+  // Flatten the scenario into the events the simulator endpoint expects
+  const buildEvents = useCallback(() => Object.entries(scenario).flatMap(([id, player]) => {
+    const playerId = parseInt(id);
+    const events = [];
+    if (player.points) events.push({ playerId, type: 'points', value: player.points });
+    if (player.goal) events.push({ playerId, type: 'goal', count: player.goal });
+    if (player.assist) events.push({ playerId, type: 'assist', count: player.assist });
+    if (player.clean_sheet_lost) events.push({ playerId, type: 'clean_sheet_lost' });
+    if (player.blank) events.push({ playerId, type: 'blank' });
+    return events;
+  }), [scenario]);
 
   const fetchSimulatedRank = useCallback(async () => {
+    const events = buildEvents();
+    if (events.length === 0) {
+      setSimulation(null);
+      return;
+    }
+
     setIsLoading(true);
     try {
-      const totalAdditionalPoints = calculateTotalSimulatedPoints();
-      const response = await fetch(getApiUrl(`/api/fpl/${fplId}/rank-simulator/${gameweek}?points=${totalAdditionalPoints}`));
+      const response = await fetch(getApiUrl(`/api/fpl/${fplId}/rank-simulator/${gameweek}`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events })
+      });
       
       if (!response.ok) {
-        throw new Error('Failed to simulate rank');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to simulate rank');
       }
       
       const data = await response.json();
-      setSimulatedRank(data.simulatedRank);
+      setSimulation(data);
       toast.success('Rank simulation completed successfully');
     } catch (err) {
       toast.error(`Simulation failed: ${err.message}`);
-      setSimulatedRank(null);
+      setSimulation(null);
     } finally {
       setIsLoading(false);
     }
-  }, [fplId, gameweek, calculateTotalSimulatedPoints]);
+  }, [fplId, gameweek, buildEvents]);
 
   useEffect(() => {
-    if (Object.keys(simulatedPoints).length > 0) {
+    if (Object.keys(scenario).length > 0) {
       fetchSimulatedRank();
     }
-  }, [simulatedPoints, fetchSimulatedRank]);
+  }, [scenario, fetchSimulatedRank]);
+
+  const renderEventButtons = (playerId, accent) => (
+    <div className="flex items-center space-x-1 mr-2">
+      {[
+        { type: 'goal', label: '⚽', title: 'Add a goal' },
+        { type: 'assist', label: '🅰️', title: 'Add an assist' }
+      ].map(({ type, label, title }) => (
+        <button
+          key={type}
+          type="button"
+          title={title}
+          onClick={() => handleEventCount(playerId, type)}
+          className={`px-1.5 py-0.5 text-xs rounded ${scenario[playerId]?.[type] ? accent : 'bg-gray-700'} text-white`}
+        >
+          {label}{scenario[playerId]?.[type] ? ` ${scenario[playerId][type]}` : ''}
+        </button>
+      ))}
+      {[
+        { type: 'clean_sheet_lost', label: 'CS✗', title: 'Clean sheet lost' },
+        { type: 'blank', label: '0', title: 'Player blanks' }
+      ].map(({ type, label, title }) => (
+        <button
+          key={type}
+          type="button"
+          title={title}
+          onClick={() => toggleEvent(playerId, type)}
+          className={`px-1.5 py-0.5 text-xs rounded ${scenario[playerId]?.[type] ? 'bg-red-500' : 'bg-gray-700'} text-white`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const simulatedRank = simulation?.simulatedRank;
+  const rankRange = simulation?.simulatedRankEstimate;
 
   const playerVariants = {
     hidden: { opacity: 0, y: 20 },
@@ -119,16 +171,19 @@ const WhatIfRankSimulator = ({
                   >
                     <span className="text-sm font-medium text-white">
                       {player.name} 
-                      {player.multiplier === 2 && activeChip === 'triplecaptain' && ' (3x)'}
+                      {player.multiplier > 1 && ` (${player.multiplier}x)`}
                     </span>
+                    <div className="flex items-center">
+                    {renderEventButtons(player.playerId, 'bg-green-500')}
                     <input
                       type="number"
                       min="0"
                       max={MAX_PLAYER_POINTS}
-                      value={simulatedPoints[player.playerId] || 0}
+                      value={scenario[player.playerId]?.points || 0}
                       onChange={(e) => handlePointChange(player.playerId, parseInt(e.target.value) || 0)}
                       className="w-16 p-1 border rounded text-center bg-green-700 text-white focus:ring-2 focus:ring-green-400"
                     />
+                    </div>
                   </motion.div>
                 ))
               ) : (
@@ -149,14 +204,17 @@ const WhatIfRankSimulator = ({
                     className="flex items-center justify-between mb-2 p-2 bg-red-900 bg-opacity-50 rounded"
                   >
                     <span className="text-sm font-medium text-white">{name}</span>
+                    <div className="flex items-center">
+                    {renderEventButtons(id, 'bg-red-500')}
                     <input
                       type="number"
                       min="0"
                       max={MAX_PLAYER_POINTS}
-                      value={simulatedPoints[id] || 0}
+                      value={scenario[id]?.points || 0}
                       onChange={(e) => handlePointChange(id, parseInt(e.target.value) || 0)}
                       className="w-16 p-1 border rounded text-center bg-red-700 text-white focus:ring-2 focus:ring-red-400"
                     />
+                    </div>
                   </motion.div>
                 ))
               ) : (
@@ -176,9 +234,21 @@ const WhatIfRankSimulator = ({
           <div>
             <p className="text-sm text-gray-300">Simulated Points:</p>
             <p className="font-bold text-green-300">
-              {(currentLivePoints || 0) + calculateTotalSimulatedPoints()}
+              {simulation ? simulation.simulatedPoints : (currentLivePoints || 0)}
               {activeChip === 'assistant_manager' && assistantManagerPoints > 0 && 
-                ` (+${assistantManagerPoints} AM)`}
+                ` (incl. ${assistantManagerPoints} AM)`}
+            </p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-300">Field Change ({simulation?.eoTier || 'EO'}):</p>
+            <p className="font-bold text-red-300">
+              {simulation ? `${simulation.fieldDelta > 0 ? '+' : ''}${simulation.fieldDelta}` : 'N/A'}
+            </p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-300">Net vs Field:</p>
+            <p className={`font-bold ${simulation?.netDelta < 0 ? 'text-red-300' : 'text-green-300'}`}>
+              {simulation ? `${simulation.netDelta > 0 ? '+' : ''}${simulation.netDelta}` : 'N/A'}
             </p>
           </div>
           <div>
@@ -190,6 +260,11 @@ const WhatIfRankSimulator = ({
             <p className="font-bold text-green-300">
               {isLoading ? 'Calculating...' : simulatedRank ? simulatedRank.toLocaleString() : 'N/A'}
             </p>
+            {!isLoading && Number.isFinite(rankRange?.lower) && Number.isFinite(rankRange?.upper) && (
+              <p className="text-xs text-gray-400">
+                {rankRange.lower.toLocaleString()}–{rankRange.upper.toLocaleString()}
+              </p>
+            )}
           </div>
         </div>
 
@@ -198,7 +273,7 @@ const WhatIfRankSimulator = ({
           whileTap={{ scale: 0.95 }}
           onClick={fetchSimulatedRank}
           className="w-full bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition disabled:bg-gray-600 disabled:cursor-not-allowed"
-          disabled={isLoading || Object.keys(simulatedPoints).length === 0}
+          disabled={isLoading || Object.keys(scenario).length === 0}
         >
           {isLoading ? 'Simulating...' : 'Simulate Rank'}
         </motion.button>
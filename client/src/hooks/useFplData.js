@@ -1,5 +1,6 @@
 import { useEffect, useRef, useCallback, useReducer, useState } from 'react';
 import { getApiUrl, WS_BASE_URL } from '../utils/apiConfig';
+import { scorePick } from '../utils/scoringEngine';
 
 // Module-level WebSocket management
 let globalWs = null;
@@ -71,12 +72,15 @@ const initialState = {
   autosubs: [],
   viceCaptainPoints: null,
   liveRank: null,
+  liveRankEstimate: null,
+  template: null,
   top10kStats: null,
   isLoading: false,
   usingPolling: false,
   activeChip: null,
   assistantManagerPoints: 0,
-  assistantManager: null
+  assistantManager: null,
+  rulesVersion: null
 };
 
 // Reducer function
@@ -101,9 +105,12 @@ function fplDataReducer(state, action) {
         autosubs: action.payload.autosubs !== undefined ? action.payload.autosubs : state.autosubs,
         viceCaptainPoints: action.payload.viceCaptainPoints !== undefined ? action.payload.viceCaptainPoints : state.viceCaptainPoints,
         liveRank: action.payload.liveRank !== undefined ? action.payload.liveRank : state.liveRank,
+        liveRankEstimate: action.payload.liveRankEstimate !== undefined ? action.payload.liveRankEstimate : state.liveRankEstimate,
+        template: action.payload.template !== undefined ? action.payload.template : state.template,
         activeChip: action.payload.activeChip !== undefined ? action.payload.activeChip : state.activeChip,
         assistantManagerPoints: action.payload.assistantManagerPoints !== undefined ? action.payload.assistantManagerPoints : state.assistantManagerPoints,
-        assistantManager: action.payload.assistantManager !== undefined ? action.payload.assistantManager : state.assistantManager
+        assistantManager: action.payload.assistantManager !== undefined ? action.payload.assistantManager : state.assistantManager,
+        rulesVersion: action.payload.rulesVersion !== undefined ? action.payload.rulesVersion : state.rulesVersion
       };
     case ACTIONS.UPDATE_PLANNER_DATA:
       return { ...state, plannerData: action.payload };
@@ -163,25 +170,22 @@ const useFplData = () => {
     if (!state.data || !state.fplId || !state.picks.length) return;
     
     const updatedPicks = state.picks.map(pick => {
-      const liveStats = liveData.find(el => el.id === pick.playerId)?.stats || {};
+      const liveElement = liveData.find(el => el.id === pick.playerId);
+      const liveStats = liveElement?.stats || {};
+      // Keep BPS-projected bonus from the server until the live stats confirm it
+      const provisionalBonus = pick.bonusProvisional && !liveStats.bonus ? { points: pick.bonus, provisional: true } : null;
+      const scored = scorePick(pick, liveElement, pick.positionType, state.rulesVersion || undefined, provisionalBonus);
       return {
         ...pick,
-        livePoints: liveStats.total_points ? liveStats.total_points * pick.multiplier : 0,
-        bonus: liveStats.bonus || 0,
+        basePoints: scored.basePoints,
+        livePoints: scored.livePoints,
+        bonus: provisionalBonus ? pick.bonus : liveStats.bonus || 0,
+        bonusProvisional: !!provisionalBonus,
         goals: liveStats.goals_scored || 0,
         assists: liveStats.assists || 0,
         minutes: liveStats.minutes || 0,
         teamShortName: pick.teamShortName,
-        events: [
-          ...(liveStats.goals_scored ? [{ type: 'Goal', points: liveStats.goals_scored * pick.multiplier * (pick.positionType === 'GK' || pick.positionType === 'DEF' ? 6 : pick.positionType === 'MID' ? 5 : 4) }] : []),
-          ...(liveStats.assists ? [{ type: 'Assist', points: liveStats.assists * 3 }] : []),
-          ...(liveStats.clean_sheets && pick.multiplier > 0 ? [{ type: 'Clean Sheet', points: pick.positionType === 'GK' || pick.positionType === 'DEF' ? 4 : pick.positionType === 'MID' ? 1 : 0 }] : []),
-          ...(liveStats.saves && pick.positionType === 'GK' ? [{ type: 'Saves', points: Math.floor(liveStats.saves / 3) * 1 }] : []),
-          ...(liveStats.bonus ? [{ type: 'Bonus', points: liveStats.bonus }] : []),
-          ...(liveStats.yellow_cards ? [{ type: 'Yellow Card', points: -1 }] : []),
-          ...(liveStats.red_cards ? [{ type: 'Red Card', points: -3 }] : []),
-          ...(liveStats.penalties_missed ? [{ type: 'Penalty Missed', points: -2 }] : [])
-        ]
+        events: scored.events
       };
     });
 
@@ -205,7 +209,7 @@ const useFplData = () => {
       });
       dispatch({ type: ACTIONS.SET_LAST_UPDATED, payload: new Date() });
     }, 1000);
-  }, [state.data, state.fplId, state.picks, state.transferPenalty, state.activeChip, state.assistantManagerPoints]);
+  }, [state.data, state.fplId, state.picks, state.transferPenalty, state.activeChip, state.assistantManagerPoints, state.rulesVersion]);
 
   const refreshLiveData = useCallback(async () => {
     if (!state.data || !state.fplId) return;
@@ -226,9 +230,12 @@ const useFplData = () => {
           autosubs: result.autosubs || [],
           viceCaptainPoints: result.viceCaptainPoints || null,
           liveRank: Number.isFinite(result.liveRank) ? result.liveRank : 0,
+          liveRankEstimate: result.liveRankEstimate || null,
+          template: result.template || null,
           activeChip: result.activeChip || null,
           assistantManagerPoints: result.assistantManagerPoints || 0,
-          assistantManager: result.assistantManager || null
+          assistantManager: result.assistantManager || null,
+          rulesVersion: result.rulesVersion || null
         }
       });
 
@@ -263,7 +270,6 @@ const useFplData = () => {
       clientCache.set(liveDataCacheKey, picksResult, 45000); // 45s TTL
     }
 
-    updateLiveData(picksResult.picks);
     dispatch({
       type: ACTIONS.UPDATE_PICKS_DATA,
       payload: {
@@ -275,7 +281,10 @@ const useFplData = () => {
         transferPenalty: picksResult.transferPenalty,
         autosubs: picksResult.autosubs,
         viceCaptainPoints: picksResult.viceCaptainPoints,
-        liveRank: picksResult.liveRank
+        liveRank: picksResult.liveRank,
+        liveRankEstimate: picksResult.liveRankEstimate,
+        template: picksResult.template,
+        rulesVersion: picksResult.rulesVersion
       }
     });
 
@@ -297,7 +306,7 @@ const useFplData = () => {
     }
 
     dispatch({ type: ACTIONS.SET_LAST_UPDATED, payload: new Date() });
-  }, [state.data, state.fplId, state.selectedLeague, state.top10kStats, updateLiveData, fetchLeague]);
+  }, [state.data, state.fplId, state.selectedLeague, state.top10kStats, fetchLeague]);
 
   const fetchData = useCallback(async () => {
     if (!state.fplId || state.fplId.trim() === '') {
@@ -341,9 +350,12 @@ const useFplData = () => {
                 autosubs: picksResult.autosubs || [],
                 viceCaptainPoints: picksResult.viceCaptainPoints || null,
                 liveRank: Number.isFinite(picksResult.liveRank) ? picksResult.liveRank : 0,
+                liveRankEstimate: picksResult.liveRankEstimate || null,
+                template: picksResult.template || null,
                 activeChip: picksResult.activeChip || null,
                 assistantManagerPoints: picksResult.assistantManagerPoints || 0,
-                assistantManager: picksResult.assistantManager || null
+                assistantManager: picksResult.assistantManager || null,
+                rulesVersion: picksResult.rulesVersion || null
               }
             });
           }
@@ -488,16 +500,18 @@ const useFplData = () => {
             break;
           case 'liveUpdate':
             if (message.gameweek === state.data?.currentGameweek && message.fplId === state.fplId) {
-              updateLiveData(message.data);
+              // Server picks already include autosubs and provisional bonus
               dispatch({ 
                 type: ACTIONS.UPDATE_PICKS_DATA, 
                 payload: {
                   picks: message.picks,
                   liveRank: message.liveRank,
+                  liveRankEstimate: message.liveRankEstimate,
                   totalLivePoints: message.totalLivePoints,
                   activeChip: message.activeChip,
                   assistantManagerPoints: message.assistantManagerPoints,
-                  assistantManager: message.assistantManager
+                  assistantManager: message.assistantManager,
+                  rulesVersion: message.rulesVersion
                 }
               });
             }
@@ -652,6 +666,8 @@ const useFplData = () => {
     autosubs: state.autosubs,
     viceCaptainPoints: state.viceCaptainPoints,
     liveRank: state.liveRank,
+    liveRankEstimate: state.liveRankEstimate,
+    template: state.template,
     top10kStats: state.top10kStats,
     currentGameweek: state.data?.currentGameweek || null,
     isLoading: state.isLoading,
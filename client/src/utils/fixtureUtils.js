@@ -1,27 +1,67 @@
+/**
+ * Get every fixture for a team in a specific gameweek
+ *
+ * @param {number} teamId - The team ID
+ * @param {number} gameweek - The gameweek number
+ * @param {Array} fixtures - The fixtures data from plannerData
+ * @returns {Array} Fixtures with opponent, difficulty and location (empty in a blank gameweek)
+ */
+export const getTeamFixtures = (teamId, gameweek, fixtures) => {
+    if (!fixtures || !teamId) return [];
+
+    const gwFixtures = fixtures.find(f => f.gameweek === gameweek)?.matches || [];
+    return gwFixtures
+      .filter(f => f.teamH === teamId || f.teamA === teamId)
+      .map(fixture => {
+        const isHome = fixture.teamH === teamId;
+        return {
+          opponent: isHome ? fixture.teamAName : fixture.teamHName,
+          difficulty: isHome ? fixture.difficultyH : fixture.difficultyA,
+          location: isHome ? 'H' : 'A'
+        };
+      });
+  };
+
 /**
  * Get fixture details for a team in a specific gameweek
- * 
+ *
  * @param {number} teamId - The team ID
  * @param {number} gameweek - The gameweek number
  * @param {Array} fixtures - The fixtures data from plannerData
- * @returns {Object} Fixture details including opponent, difficulty, and location
+ * @returns {Object} Fixture details including opponent, difficulty, and location, plus
+ *   every fixture, the count and blank/double flags for double and blank gameweeks
  */
 export const getFixtureDetails = (teamId, gameweek, fixtures) => {
-    if (!fixtures || !teamId) {
-      return { opponent: '-', difficulty: 3, location: '-' };
-    }
-    
-    const gwFixtures = fixtures.find(f => f.gameweek === gameweek)?.matches || [];
-    const fixture = gwFixtures.find(f => f.teamH === teamId || f.teamA === teamId);
-    
-    if (fixture) {
-      const isHome = fixture.teamH === teamId;
-      return {
-        opponent: isHome ? fixture.teamAName : fixture.teamHName,
-        difficulty: isHome ? fixture.difficultyH : fixture.difficultyA,
-        location: isHome ? 'H' : 'A'
-      };
+    const teamFixtures = getTeamFixtures(teamId, gameweek, fixtures);
+
+    if (teamFixtures.length === 0) {
+      // Only a blank if the gameweek is in the fixture list at all
+      const known = !!teamId && !!fixtures?.some(f => f.gameweek === gameweek);
+      return { opponent: '-', difficulty: 3, location: '-', fixtures: [], count: known ? 0 : null, isBlank: known, isDouble: false };
     }
-    
-    return { opponent: '-', difficulty: 3, location: '-' };
-  };
\ No newline at end of file
+
+    // Average difficulty across a double, rounded so it still maps to a difficulty colour
+    const difficulty = Math.round(teamFixtures.reduce((sum, f) => sum + (f.difficulty || 3), 0) / teamFixtures.length);
+    return {
+      opponent: teamFixtures.map(f => f.opponent).join(', '),
+      difficulty,
+      location: teamFixtures.map(f => f.location).join('/'),
+      fixtures: teamFixtures,
+      count: teamFixtures.length,
+      isBlank: false,
+      isDouble: teamFixtures.length > 1
+    };
+  };
+
+/**
+ * Badge for a player with a blank or double gameweek
+ *
+ * @param {number|null} fixtureCount - Fixtures for the player's team in the gameweek (null if unknown)
+ * @returns {Object|null} Label and Tailwind classes, or null for a single fixture
+ */
+export const getGameweekBadge = (fixtureCount) => {
+    if (fixtureCount === null || fixtureCount === undefined) return null;
+    if (fixtureCount === 0) return { label: 'BGW', className: 'bg-gray-200 text-gray-700' };
+    if (fixtureCount > 1) return { label: 'DGW', className: 'bg-purple-100 text-purple-800' };
+    return null;
+  };
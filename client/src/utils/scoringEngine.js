@@ -0,0 +1,225 @@
+/**
+ * FPL scoring engine
+ *
+ * Turns the `explain` arrays from event/{gw}/live into per-player point
+ * breakdowns. When a live element has no explain data (e.g. cached or
+ * partial payloads) points are derived from its raw stats using the rules
+ * for the configured season.
+ *
+ * Client copy of utils/scoringEngine.js on the server; the server's
+ * test/scoringEngine.test.js fails when the two drift apart. Bump the rules
+ * version when scoring changes.
+ */
+
+export const RULES = {
+  '2024/25': {
+    minutes: { short: 1, long: 2, threshold: 60 },
+    goals_scored: { GK: 10, DEF: 6, MID: 5, FWD: 4 },
+    assists: 3,
+    clean_sheets: { GK: 4, DEF: 4, MID: 1, FWD: 0, minMinutes: 60 },
+    saves: { per: 3, points: 1 },
+    penalties_saved: 5,
+    penalties_missed: -2,
+    goals_conceded: { per: 2, points: -1, positions: ['GK', 'DEF'] },
+    yellow_cards: -1,
+    red_cards: -3,
+    own_goals: -2,
+    defensive_contribution: null
+  },
+  '2025/26': {
+    minutes: { short: 1, long: 2, threshold: 60 },
+    goals_scored: { GK: 10, DEF: 6, MID: 5, FWD: 4 },
+    assists: 3,
+    clean_sheets: { GK: 4, DEF: 4, MID: 1, FWD: 0, minMinutes: 60 },
+    saves: { per: 3, points: 1 },
+    penalties_saved: 5,
+    penalties_missed: -2,
+    goals_conceded: { per: 2, points: -1, positions: ['GK', 'DEF'] },
+    yellow_cards: -1,
+    red_cards: -3,
+    own_goals: -2,
+    // Clearances, blocks, interceptions and tackles (plus recoveries for MID/FWD)
+    defensive_contribution: { DEF: 10, MID: 12, FWD: 12, points: 2 }
+  }
+};
+
+export const DEFAULT_RULES_VERSION = '2025/26';
+
+// Display labels, kept compatible with the event types the client renders icons for
+const EVENT_LABELS = {
+  minutes: 'Minutes',
+  goals_scored: 'Goal',
+  assists: 'Assist',
+  clean_sheets: 'Clean Sheet',
+  saves: 'Saves',
+  penalties_saved: 'Penalty Saved',
+  penalties_missed: 'Penalty Missed',
+  goals_conceded: 'Goals Conceded',
+  yellow_cards: 'Yellow Card',
+  red_cards: 'Red Card',
+  own_goals: 'Own Goal',
+  bonus: 'Bonus',
+  defensive_contribution: 'Defensive Contribution'
+};
+
+const toLabel = (identifier) => EVENT_LABELS[identifier] ||
+  identifier.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+/**
+ * Resolve the rules for a season, falling back to the default season
+ * @param {string} version - Rules version, e.g. '2025/26'
+ * @returns {Object} - { version, rules }
+ */
+export const getRules = (version = DEFAULT_RULES_VERSION) => {
+  const resolved = RULES[version] ? version : DEFAULT_RULES_VERSION;
+  return { version: resolved, rules: RULES[resolved] };
+};
+
+/**
+ * Aggregate explain entries (one per fixture, so DGWs have several) into a breakdown
+ * @param {Array} explain - live element `explain` array
+ * @returns {Array} - [{ identifier, value, points }]
+ */
+export const breakdownFromExplain = (explain = []) => {
+  const totals = {};
+  explain.forEach(fixtureExplain => {
+    (fixtureExplain?.stats || []).forEach(stat => {
+      if (!totals[stat.identifier]) {
+        totals[stat.identifier] = { identifier: stat.identifier, value: 0, points: 0 };
+      }
+      totals[stat.identifier].value += stat.value || 0;
+      totals[stat.identifier].points += (stat.points || 0) + (stat.points_modification || 0);
+    });
+  });
+  return Object.values(totals);
+};
+
+/**
+ * Derive a breakdown from raw live stats using the season rules
+ * @param {Object} stats - live element `stats`
+ * @param {string} positionType - GK, DEF, MID or FWD
+ * @param {Object} rules - Rules from getRules()
+ * @returns {Array} - [{ identifier, value, points }]
+ */
+export const breakdownFromStats = (stats = {}, positionType, rules) => {
+  const breakdown = [];
+  const add = (identifier, value, points) => {
+    if (value || points) breakdown.push({ identifier, value: value || 0, points });
+  };
+  const minutes = stats.minutes || 0;
+
+  if (minutes > 0) {
+    add('minutes', minutes, minutes >= rules.minutes.threshold ? rules.minutes.long : rules.minutes.short);
+  }
+  add('goals_scored', stats.goals_scored, (stats.goals_scored || 0) * (rules.goals_scored[positionType] || 0));
+  add('assists', stats.assists, (stats.assists || 0) * rules.assists);
+  if (stats.clean_sheets && minutes >= rules.clean_sheets.minMinutes) {
+    add('clean_sheets', stats.clean_sheets, stats.clean_sheets * (rules.clean_sheets[positionType] || 0));
+  }
+  if (positionType === 'GK') {
+    add('saves', stats.saves, Math.floor((stats.saves || 0) / rules.saves.per) * rules.saves.points);
+  }
+  add('penalties_saved', stats.penalties_saved, (stats.penalties_saved || 0) * rules.penalties_saved);
+  add('penalties_missed', stats.penalties_missed, (stats.penalties_missed || 0) * rules.penalties_missed);
+  if (rules.goals_conceded.positions.includes(positionType)) {
+    add('goals_conceded', stats.goals_conceded,
+      Math.floor((stats.goals_conceded || 0) / rules.goals_conceded.per) * rules.goals_conceded.points);
+  }
+  add('yellow_cards', stats.yellow_cards, (stats.yellow_cards || 0) * rules.yellow_cards);
+  add('red_cards', stats.red_cards, (stats.red_cards || 0) * rules.red_cards);
+  add('own_goals', stats.own_goals, (stats.own_goals || 0) * rules.own_goals);
+  add('bonus', stats.bonus, stats.bonus || 0);
+
+  const dc = rules.defensive_contribution;
+  if (dc && dc[positionType] && (stats.defensive_contribution || 0) >= dc[positionType]) {
+    add('defensive_contribution', stats.defensive_contribution, dc.points);
+  }
+
+  return breakdown;
+};
+
+/**
+ * Score a single live element
+ * @param {Object} liveElement - Element from event/{gw}/live ({ id, stats, explain })
+ * @param {string} positionType - GK, DEF, MID or FWD
+ * @param {string} rulesVersion - Rules version used when explain data is missing
+ * @returns {Object} - { basePoints, breakdown, source, rulesVersion }
+ */
+export const scoreElement = (liveElement, positionType, rulesVersion = DEFAULT_RULES_VERSION) => {
+  const { version, rules } = getRules(rulesVersion);
+  if (!liveElement) {
+    return { basePoints: 0, breakdown: [], source: 'none', rulesVersion: version };
+  }
+
+  const hasExplain = Array.isArray(liveElement.explain) &&
+    liveElement.explain.some(entry => Array.isArray(entry?.stats) && entry.stats.length > 0);
+  const breakdown = hasExplain
+    ? breakdownFromExplain(liveElement.explain)
+    : breakdownFromStats(liveElement.stats, positionType, rules);
+
+  // Bonus is not part of explain until it is confirmed; keep it in step with stats
+  if (hasExplain && liveElement.stats?.bonus && !breakdown.some(item => item.identifier === 'bonus')) {
+    breakdown.push({ identifier: 'bonus', value: liveElement.stats.bonus, points: liveElement.stats.bonus });
+  }
+
+  const basePoints = breakdown.reduce((sum, item) => sum + item.points, 0);
+  return { basePoints, breakdown, source: hasExplain ? 'explain' : 'stats', rulesVersion: version };
+};
+
+/**
+ * Bring a score up to the player's bonus for the gameweek, including bonus
+ * projected from BPS that the live stats do not carry yet
+ * @param {Object} scored - From scoreElement()
+ * @param {Object} bonus - { points, provisional } for the player, or null
+ * @returns {Object} - Score with the bonus line added or topped up
+ */
+export const withBonus = (scored, bonus) => {
+  const current = scored.breakdown.find(item => item.identifier === 'bonus');
+  const extra = (bonus?.points || 0) - (current ? current.points : 0);
+  if (extra <= 0) return scored;
+
+  const points = bonus.points;
+  const item = { identifier: 'bonus', value: points, points, ...(bonus.provisional && { provisional: true }) };
+  const breakdown = current
+    ? scored.breakdown.map(entry => (entry === current ? item : entry))
+    : [...scored.breakdown, item];
+  return { ...scored, breakdown, basePoints: scored.basePoints + extra };
+};
+
+/**
+ * Convert a breakdown into the pick `events` shape used by the API and client
+ * @param {Array} breakdown - From scoreElement()
+ * @param {number} multiplier - Pick multiplier (bench players are shown at 1)
+ * @returns {Array} - [{ type, identifier, points, count }]
+ */
+export const toEvents = (breakdown, multiplier = 1) => {
+  const displayMultiplier = multiplier || 1;
+  return breakdown
+    .filter(item => item.points !== 0)
+    .map(item => ({
+      type: toLabel(item.identifier),
+      identifier: item.identifier,
+      points: item.points * displayMultiplier,
+      count: item.identifier === 'clean_sheets' ? 1 : item.value,
+      ...(item.provisional && { provisional: true })
+    }));
+};
+
+/**
+ * Score a manager pick against live data
+ * @param {Object} pick - { multiplier }
+ * @param {Object} liveElement - Element from event/{gw}/live
+ * @param {string} positionType - GK, DEF, MID or FWD
+ * @param {string} rulesVersion - Rules version
+ * @param {Object} bonus - Optional { points, provisional } from the bonus engine
+ * @returns {Object} - { basePoints, livePoints, events, breakdown, source, rulesVersion }
+ */
+export const scorePick = (pick, liveElement, positionType, rulesVersion = DEFAULT_RULES_VERSION, bonus = null) => {
+  const scored = withBonus(scoreElement(liveElement, positionType, rulesVersion), bonus);
+  const multiplier = pick.multiplier ?? 1;
+  return {
+    ...scored,
+    livePoints: scored.basePoints * multiplier,
+    events: toEvents(scored.breakdown, multiplier)
+  };
+};
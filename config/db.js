@@ -70,9 +70,11 @@ const bootstrapSchema = new mongoose.Schema({
     managers: [{
       id: { type: Number, required: true },
       name: { type: String, required: true, trim: true },
+      web_name: { type: String, trim: true },
       team_id: { type: Number, required: true },
       cost: { type: Number, required: true, min: 5, max: 30 } // £0.5m–£3.0m in tenths
-    }]
+    }],
+    total_players: { type: Number }
   },
   timestamp: { type: Date, default: Date.now, required: true, expires: 3600 }
 });
@@ -104,21 +106,31 @@ const picksDataSchema = new mongoose.Schema({
       position: { type: Number },
       positionType: { type: String },
       multiplier: { type: Number },
+      selectedMultiplier: { type: Number },
+      isCaptain: { type: Boolean },
+      isViceCaptain: { type: Boolean },
+      basePoints: { type: Number },
       livePoints: { type: Number },
       bonus: { type: Number },
+      bonusProvisional: { type: Boolean },
+      bps: { type: Number },
       goals: { type: Number },
       assists: { type: Number },
       teamId: { type: Number },
+      fixtureCount: { type: Number }, // 0 in a blank gameweek, 2+ in a double
       eo: { type: mongoose.Schema.Types.Mixed }, // Can be string or number
       minutes: { type: Number },
       isDifferential: { type: Boolean },
       events: [{ 
         type: { type: String },
+        identifier: { type: String },
         points: { type: Number },
-        count: { type: Number, default: 1 } // Added count field with default value of 1
+        count: { type: Number, default: 1 }, // Added count field with default value of 1
+        provisional: { type: Boolean }
       }]
     }],
     transferPenalty: { type: Number, default: 0 },
+    freeTransfers: { type: Number },
     totalLivePoints: { type: Number },
     autosubs: [{ 
       in: { type: Number, required: true }, 
@@ -126,6 +138,19 @@ const picksDataSchema = new mongoose.Schema({
     }],
     viceCaptainPoints: { type: Number },
     liveRank: { type: Number },
+    liveRankEstimate: {
+      rank: { type: Number },
+      lower: { type: Number },
+      upper: { type: Number },
+      confidence: { type: Number },
+      sampleSize: { type: Number },
+      totalPlayers: { type: Number },
+      method: { type: String }
+    },
+    seasonPoints: { type: Number },
+    template: { type: mongoose.Schema.Types.Mixed }, // Template XI and distance for the manager's rank tier
+    rulesVersion: { type: String },
+    bonusProvisional: { type: Boolean },
     activeChip: { type: String, enum: ['wildcard', 'freehit', 'bboost', '3cap', 'assistant_manager', null], default: null },
     assistantManagerPoints: { type: Number, default: 0 },
     assistantManager: {
@@ -174,7 +199,11 @@ const plannerDataSchema = new mongoose.Schema({
         teamAName: { type: String },
         difficultyH: { type: Number },
         difficultyA: { type: Number }
-      }]
+      }],
+      blankTeams: [{ type: Number }],
+      doubleTeams: [{ type: Number }],
+      isBlank: { type: Boolean },
+      isDouble: { type: Boolean }
     }],
     budget: { type: Number },
     chipsUsed: [{ type: String }],
@@ -197,7 +226,8 @@ const plannerDataSchema = new mongoose.Schema({
     availableManagers: [{
       id: { type: Number },
       name: { type: String },
-      teamId: { type: Number },
+      web_name: { type: String },
+      team_id: { type: Number },
       cost: { type: Number }
     }]
   },
@@ -212,7 +242,8 @@ const transferSchema = new mongoose.Schema({
     id: { type: Number, required: true },
     name: { type: String, required: true, trim: true },
     positionType: { type: String, required: true, enum: ['GK', 'GKP', 'DEF', 'MID', 'FWD'] },
-    cost: { type: Number, required: true, min: 0 }
+    cost: { type: Number, required: true, min: 0 },
+    sellingPrice: { type: Number, min: 0 }
   },
   playerIn: {
     id: { type: Number, required: true },
@@ -232,12 +263,29 @@ const assistantManagerSchema = new mongoose.Schema({
   teamId: { type: Number, required: true },
   cost: { type: Number, required: true },
   activated: { type: Date, default: Date.now },
-  points: { type: Number, default: 0 }
+  points: { type: Number, default: 0 },
+  provisional: { type: Boolean, default: false }, // A fixture is still in progress
+  breakdown: { type: mongoose.Schema.Types.Mixed } // Per-fixture result, goals, clean sheet and table bonus
 });
 
 // Add compound index for fplId + gameweek
 assistantManagerSchema.index({ fplId: 1, gameweek: 1 }, { unique: true });
 
+// Manager Catalogue Schema - Assistant managers synced from bootstrap elements
+const managerCatalogueSchema = new mongoose.Schema({
+  _id: { type: Number, required: true, immutable: true }, // Bootstrap element ID
+  name: { type: String, required: true, trim: true },
+  web_name: { type: String, trim: true },
+  team_id: { type: Number, required: true },
+  cost: { type: Number, required: true, min: 0 }, // In tenths, like now_cost
+  active: { type: Boolean, default: true }, // False once the manager leaves bootstrap data
+  clubHistory: [{
+    team_id: { type: Number },
+    from: { type: Date }
+  }],
+  syncedAt: { type: Date, default: Date.now }
+});
+
 // API Metrics Schema - For tracking API reliability and performance
 const apiMetricsSchema = new mongoose.Schema({
   endpoint: { 
@@ -303,6 +351,99 @@ const cacheSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Sample Panel Schema - Managers discovered from overall league standings for tier stats
+const panelManagerSchema = new mongoose.Schema({
+  _id: { type: Number, required: true, immutable: true }, // FPL entry ID
+  name: { type: String, trim: true },
+  playerName: { type: String, trim: true },
+  rank: { type: Number, min: 1 }, // Latest known overall rank
+  band: { type: Number, required: true, min: 0 }, // Index into rankEngine.RANK_BANDS
+  discoveredPage: { type: Number, min: 1 },
+  rankHistory: [{
+    gameweek: { type: Number, min: 1, max: 38 },
+    rank: { type: Number },
+    totalPoints: { type: Number }
+  }],
+  discoveredAt: { type: Date, default: Date.now },
+  refreshedAt: { type: Date, default: Date.now }
+});
+
+panelManagerSchema.index({ band: 1, discoveredAt: 1 });
+panelManagerSchema.index({ refreshedAt: 1 });
+
+// Projection Schema - Expected points per player per gameweek (see utils/xpEngine.js)
+const projectionSchema = new mongoose.Schema({
+  _id: { type: String, required: true, immutable: true, match: /^xp:\d+:\d+$/ }, // xp:gameweek:playerId
+  gameweek: { type: Number, required: true, min: 1, max: 38 },
+  playerId: { type: Number, required: true },
+  teamId: { type: Number },
+  positionType: { type: String, enum: ['GK', 'DEF', 'MID', 'FWD'] },
+  cost: { type: Number }, // £m
+  xp: { type: Number, required: true },
+  xMins: { type: Number },
+  pPlay: { type: Number },
+  p60: { type: Number },
+  fixtures: [{
+    fixtureId: { type: Number },
+    opponentId: { type: Number },
+    isHome: { type: Boolean },
+    xp: { type: Number },
+    xGoals: { type: Number },
+    xAssists: { type: Number },
+    pCleanSheet: { type: Number }
+  }],
+  generatedAt: { type: Date, default: Date.now }
+});
+
+projectionSchema.index({ gameweek: 1, xp: -1 });
+projectionSchema.index({ playerId: 1, gameweek: 1 });
+
+// Plan Schema - Saved multi-gameweek transfer plans; every saved version is also kept in PlanVersion
+const planGameweekSchema = new mongoose.Schema({
+  gameweek: { type: Number, required: true, min: 1, max: 38 },
+  transfers: [{
+    out: { type: Number, required: true },
+    in: { type: Number, required: true },
+    _id: false
+  }],
+  captain: { type: Number, default: null },
+  viceCaptain: { type: Number, default: null },
+  chip: { type: String, enum: ['wildcard', 'freehit', 'bboost', 'triplecaptain', 'assistant_manager', null], default: null },
+  benchOrder: [{ type: Number }] // Four player IDs, first substitute first
+}, { _id: false });
+
+const planSchema = new mongoose.Schema({
+  fplId: { type: String, required: true, immutable: true },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  version: { type: Number, required: true, default: 1 },
+  gameweeks: [planGameweekSchema],
+  createdAt: { type: Date, default: Date.now, immutable: true },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+planSchema.index({ fplId: 1, name: 1 }, { unique: true });
+
+const planVersionSchema = new mongoose.Schema({
+  planId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  fplId: { type: String, required: true },
+  version: { type: Number, required: true },
+  name: { type: String, required: true },
+  gameweeks: [planGameweekSchema],
+  savedAt: { type: Date, default: Date.now }
+});
+
+planVersionSchema.index({ planId: 1, version: -1 }, { unique: true });
+
+// Shared Snapshot Schema - Frozen, read-only copies of a team or plan behind a short link
+const sharedSnapshotSchema = new mongoose.Schema({
+  _id: { type: String, required: true, immutable: true, match: /^[A-Za-z0-9]{8}$/ }, // Short share ID
+  type: { type: String, required: true, immutable: true, enum: ['picks', 'plan'] },
+  fplId: { type: String, required: true, immutable: true },
+  gameweek: { type: Number, required: true, immutable: true, min: 1, max: 38 },
+  data: { type: mongoose.Schema.Types.Mixed, required: true, immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
 // Models
 const Bootstrap = mongoose.model('Bootstrap', bootstrapSchema);
 const TopStats = mongoose.model('TopStats', topStatsSchema);
@@ -310,8 +451,14 @@ const PicksData = mongoose.model('PicksData', picksDataSchema);
 const PlannerData = mongoose.model('PlannerData', plannerDataSchema);
 const Transfer = mongoose.model('Transfer', transferSchema);
 const AssistantManager = mongoose.model('AssistantManager', assistantManagerSchema);
+const ManagerCatalogue = mongoose.model('ManagerCatalogue', managerCatalogueSchema);
 const ApiMetrics = mongoose.model('ApiMetrics', apiMetricsSchema);
 const Cache = mongoose.model('Cache', cacheSchema);
+const PanelManager = mongoose.model('PanelManager', panelManagerSchema);
+const Projection = mongoose.model('Projection', projectionSchema);
+const Plan = mongoose.model('Plan', planSchema);
+const PlanVersion = mongoose.model('PlanVersion', planVersionSchema);
+const SharedSnapshot = mongoose.model('SharedSnapshot', sharedSnapshotSchema);
 
 module.exports = { 
   db, 
@@ -321,7 +468,13 @@ module.exports = {
   Transfer, 
   Bootstrap,
   AssistantManager,
+  ManagerCatalogue,
   ApiMetrics,
   Cache,
+  PanelManager,
+  Projection,
+  Plan,
+  PlanVersion,
+  SharedSnapshot,
   reconnectWithBackoff
 };
\ No newline at end of file
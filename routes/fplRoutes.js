@@ -8,10 +8,24 @@ const {
   getTop10kStats, 
   predictPriceChanges, 
   getCaptaincySuggestions,
-  simulateRank
+  simulateRank,
+  simulateWhatIf,
+  getRankSwing,
+  getAssistantManagerRecommendations,
+  getChipPlan,
+  getTransferPlan,
+  validateTransfers,
+  getTierHistory
 } = require('../services/fplService');
 const { Transfer, Bootstrap } = require('../config/db');
 const FPLAPIProxyService = require('../services/fplApiProxyService');
+const upstreamSource = require('../services/upstreamSource');
+const whatIfEngine = require('../utils/whatIfEngine');
+const samplePanelService = require('../services/samplePanelService');
+const managerCatalogueService = require('../services/managerCatalogueService');
+const projectionService = require('../services/projectionService');
+
+const TIERS = ['top1k', 'top10k', 'top100k', 'top1m'];
 
 // Middleware to validate integer parameters
 const validateIntParams = (req, res, next) => {
@@ -208,7 +222,7 @@ router.get('/entry/:id/history',
       }
       
       // Directly use axios to fetch history as it's not in getManagerData
-      const response = await axios.get(`https://fantasy.premierleague.com/api/entry/${managerId}/history/`);
+      const response = await axios.get(upstreamSource.directUrl(`entry/${managerId}/history/`));
       
       // Parse and structure history data if needed
       const historyData = response.data;
@@ -529,13 +543,96 @@ router.get('/top10k/:gameweek',
     
     const data = await getTop10kStats(gameweek);
     
-    // Update cache
-    cache.set(cacheKey, data);
+    // Update cache, unless the stats are placeholders while the sample panel builds
+    if (!data?.buildingSample) cache.set(cacheKey, data);
     
     res.json(data);
   })
 );
 
+// Season series of tier EO, captaincy, chip usage and average points
+router.get('/tier-history/:tier', 
+  asyncHandler(async (req, res) => {
+    const { tier } = req.params;
+    if (!TIERS.includes(tier)) {
+      return res.status(400).json({ error: `Invalid tier. Expected one of ${TIERS.join(', ')}` });
+    }
+
+    const playerIds = req.query.players
+      ? req.query.players.split(',').map(id => parseInt(id)).filter(id => !isNaN(id))
+      : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+    const data = await getTierHistory(tier, { playerIds, limit });
+    res.json(data);
+  })
+);
+
+// Assistant manager catalogue and the last sync's changes
+router.get('/managers', 
+  asyncHandler(async (req, res) => {
+    const [managers, lastSync] = await Promise.all([
+      managerCatalogueService.getCatalogue(),
+      managerCatalogueService.getLastReport()
+    ]);
+    res.json({ managers, lastSync });
+  })
+);
+
+// Sample panel size per rank band
+router.get('/sample-panel', 
+  asyncHandler(async (req, res) => {
+    const bands = await samplePanelService.getSummary();
+    res.json({ bands, total: bands.reduce((sum, band) => sum + band.count, 0) });
+  })
+);
+
+// Expected points for one gameweek, best first
+router.get('/projections/:gameweek',
+  asyncHandler(async (req, res) => {
+    const gameweek = parseInt(req.params.gameweek);
+    if (isNaN(gameweek) || gameweek < 1 || gameweek > 38) {
+      return res.status(400).json({ error: 'Invalid gameweek: must be between 1 and 38' });
+    }
+
+    const playerIds = req.query.players
+      ? req.query.players.split(',').map(id => parseInt(id)).filter(id => !isNaN(id))
+      : null;
+    const position = req.query.position ? req.query.position.toUpperCase() : null;
+    if (position && !['GK', 'DEF', 'MID', 'FWD'].includes(position)) {
+      return res.status(400).json({ error: 'Invalid position: must be one of GK, DEF, MID, FWD' });
+    }
+
+    const projections = await projectionService.getGameweek(gameweek, {
+      playerIds,
+      positionType: position,
+      teamId: parseInt(req.query.team) || null,
+      limit: parseInt(req.query.limit) || null
+    });
+
+    if (projections.players.length === 0 && !playerIds && !position && !req.query.team) {
+      // Nothing stored yet: start a run in the background and let the client retry
+      projectionService.generate().catch(err => console.error('Projection generation failed:', err.message));
+    }
+    res.json(projections);
+  })
+);
+
+// One player's expected points across gameweeks
+router.get('/projections/player/:playerId',
+  asyncHandler(async (req, res) => {
+    const playerId = parseInt(req.params.playerId);
+    if (isNaN(playerId)) {
+      return res.status(400).json({ error: 'Invalid player ID: must be an integer' });
+    }
+    const from = parseInt(req.query.from) || 1;
+    const to = parseInt(req.query.to) || 38;
+
+    const gameweeks = await projectionService.getPlayer(playerId, { from, to });
+    res.json({ playerId, gameweeks });
+  })
+);
+
 // Rank simulator
 router.get('/:id/rank-simulator/:gameweek', 
   validateIntParams,
@@ -566,6 +663,121 @@ router.get('/:id/rank-simulator/:gameweek',
   })
 );
 
+// Per-player what-if rank simulation
+router.post('/:id/rank-simulator/:gameweek', 
+  validateIntParams,
+  asyncHandler(async (req, res) => {
+    // Number() rather than parseInt() so '12abc' is rejected, not read as 12
+    const id = Number(req.params.id);
+    const gameweek = Number(req.params.gameweek);
+    const { events, tier } = req.body || {};
+
+    if (!Number.isInteger(id) || id < 1 || !Number.isInteger(gameweek) || gameweek < 1 || gameweek > 38) {
+      return res.status(400).json({ error: 'Invalid manager ID or gameweek' });
+    }
+
+    const validationError = whatIfEngine.validateEvents(events);
+    if (validationError) {
+      return res.status(400).json({ error: validationError, eventTypes: whatIfEngine.WHAT_IF_EVENT_TYPES });
+    }
+
+    try {
+      const data = await simulateWhatIf(id, gameweek, events, { tier });
+      res.json(data);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+  })
+);
+
+// Rank swing per point: threats (field owns more than you) and gains (you own more than the field)
+router.get('/:id/rank-swing/:gameweek', 
+  validateIntParams,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const gameweek = parseInt(req.params.gameweek);
+    const minEo = req.query.minEo !== undefined ? parseFloat(req.query.minEo) : 5;
+
+    if (isNaN(id) || isNaN(gameweek) || !Number.isFinite(minEo) || minEo < 0) {
+      return res.status(400).json({ error: 'Invalid manager ID, gameweek or minEo' });
+    }
+
+    const data = await getRankSwing(id, gameweek, { tier: req.query.tier, minEo });
+    res.json(data);
+  })
+);
+
+// Assistant managers ranked for the chip window
+router.get('/:id/assistant-manager/recommendations', 
+  validateIntParams,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const gameweek = req.query.gameweek !== undefined ? parseInt(req.query.gameweek) : null;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 5;
+
+    if (isNaN(id) || (gameweek !== null && (isNaN(gameweek) || gameweek < 1 || gameweek > 38)) || isNaN(limit) || limit < 1) {
+      return res.status(400).json({ error: 'Invalid manager ID, gameweek or limit' });
+    }
+
+    const data = await getAssistantManagerRecommendations(id, { gameweek, limit: Math.min(limit, 20) });
+    res.json(data);
+  })
+);
+
+// Best gameweek for each remaining chip
+router.get('/:id/chip-plan', 
+  validateIntParams,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid manager ID' });
+    }
+
+    const data = await getChipPlan(id);
+    res.json(data);
+  })
+);
+
+// Best transfer plans over the next few gameweeks, hits included
+router.get('/:id/transfer-plan', 
+  validateIntParams,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid manager ID' });
+    }
+
+    const horizon = req.query.horizon !== undefined ? parseInt(req.query.horizon) : 4;
+    if (isNaN(horizon) || horizon < 1 || horizon > 6) {
+      return res.status(400).json({ error: 'Invalid horizon: must be between 1 and 6 gameweeks' });
+    }
+    const freeTransfers = req.query.freeTransfers !== undefined ? parseInt(req.query.freeTransfers) : null;
+    if (freeTransfers !== null && (isNaN(freeTransfers) || freeTransfers < 0 || freeTransfers > 5)) {
+      return res.status(400).json({ error: 'Invalid freeTransfers: must be between 0 and 5' });
+    }
+    const bank = req.query.bank !== undefined ? parseFloat(req.query.bank) : null;
+    if (bank !== null && (isNaN(bank) || bank < 0)) {
+      return res.status(400).json({ error: 'Invalid bank: must be a positive amount in £m' });
+    }
+    const maxHits = req.query.maxHits !== undefined ? parseInt(req.query.maxHits) : 2;
+    if (isNaN(maxHits) || maxHits < 0 || maxHits > 4) {
+      return res.status(400).json({ error: 'Invalid maxHits: must be between 0 and 4' });
+    }
+
+    const data = await getTransferPlan(id, {
+      horizon,
+      freeTransfers,
+      bank,
+      maxHits,
+      limit: Math.min(parseInt(req.query.limit) || 3, 10)
+    });
+    res.json(data);
+  })
+);
+
 // Captaincy suggestions
 router.get('/:id/captaincy/:gameweek', 
   validateIntParams,
@@ -600,7 +812,7 @@ router.post('/:id/transfers',
   validateIntParams,
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { gameweek, out: playerOutId, in: playerInId } = req.body;
+    const { gameweek, out: playerOutId, in: playerInId, planned = [] } = req.body;
 
     // Validate request body parameters
     if (!gameweek || !playerOutId || !playerInId) {
@@ -620,15 +832,30 @@ router.post('/:id/transfers',
       return res.status(400).json({ error: 'Invalid player IDs: must be integers' });
     }
 
-    // Fetch planner data to validate the transfer
-    const plannerData = await getPlannerData(id);
-    const playerOut = plannerData.currentPicks.find(p => p.id === outInt);
-    const playerIn = plannerData.allPlayers.find(p => p.id === inInt);
+    // Transfers already planned before this one, so the squad and bank are checked as they will be
+    if (!Array.isArray(planned)) {
+      return res.status(400).json({ error: 'Invalid planned transfers: must be an array of { out, in }' });
+    }
+    const plannedTransfers = planned.map(t => ({ out: parseInt(t?.out), in: parseInt(t?.in) }));
+    if (plannedTransfers.some(t => isNaN(t.out) || isNaN(t.in))) {
+      return res.status(400).json({ error: 'Invalid planned transfers: player IDs must be integers' });
+    }
 
-    if (!playerOut || !playerIn) {
-      return res.status(400).json({ error: 'Invalid player IDs' });
+    // Check every transfer against the squad rules and the budget at selling prices
+    const validation = await validateTransfers(parseInt(id), [...plannedTransfers, { out: outInt, in: inInt }]);
+    if (!validation.valid) {
+      const reasons = [
+        ...validation.results.flatMap(result => result.errors),
+        ...validation.squadErrors
+      ];
+      return res.status(400).json({ error: 'Invalid transfer', reasons });
     }
 
+    const outcome = validation.results[validation.results.length - 1];
+    const plannerData = await getPlannerData(id);
+    const playerOut = plannerData.allPlayers.find(p => p.id === outInt);
+    const playerIn = plannerData.allPlayers.find(p => p.id === inInt);
+
     // Save the transfer to MongoDB
     const transfer = new Transfer({
       fplId: id,
@@ -637,7 +864,8 @@ router.post('/:id/transfers',
         id: playerOut.id,
         name: playerOut.name,
         positionType: playerOut.positionType,
-        cost: playerOut.cost
+        cost: playerOut.cost,
+        sellingPrice: outcome.sellingPrice
       },
       playerIn: {
         id: playerIn.id,
@@ -653,7 +881,7 @@ router.post('/:id/transfers',
     // Clear related caches
     cache.clear(`planner_${id}`);
     
-    res.status(201).json({ message: 'Transfer saved successfully', transfer });
+    res.status(201).json({ message: 'Transfer saved successfully', transfer, bank: outcome.bank });
   })
 );
 
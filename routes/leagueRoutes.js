@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { loadBootstrapData} = require('../services/bootstrapService');
 const FPLAPIProxyService = require('../services/fplApiProxyService');
+const scoringEngine = require('../utils/scoringEngine');
+const autosubEngine = require('../utils/autosubEngine');
+const bonusEngine = require('../utils/bonusEngine');
+const transferEngine = require('../utils/transferEngine');
+const assistantManagerService = require('../services/assistantManagerService');
 
 
 const validateIntParams = (req, res, next) => {
@@ -32,6 +37,7 @@ const cache = {
   timestamps: {},
   ttl: {
     fixtures: 3600000,     // 1 hour
+    fixtures_live: 60000,  // 1 minute while bonus is provisional
     league_live: 300000    // 5 minutes
   }
 };
@@ -64,28 +70,45 @@ router.get('/fixtures/:gameweek',
     try {
       // Check cache first
       const cacheKey = `fixtures_${gameweek}`;
+      // Live BPS moves quickly, so fixtures with provisional bonus expire sooner
+      const ttl = cache.data[cacheKey]?.some(f => f.bonusProvisional) ? cache.ttl.fixtures_live : cache.ttl.fixtures;
       if (cache && cache.data && cache.data[cacheKey] && 
-          (Date.now() - cache.timestamps[cacheKey]) < cache.ttl.fixtures) {
+          (Date.now() - cache.timestamps[cacheKey]) < ttl) {
         console.log(`Returning cached fixtures data for gameweek ${gameweek}`);
         return res.json(cache.data[cacheKey]);
       }
       
       // Use FPLAPIProxyService for more reliable data fetching
-      const [fixturesData, liveData] = await Promise.all([
+      const [fixturesData, liveData, bootstrapData] = await Promise.all([
         FPLAPIProxyService.fetchFixtures(gameweek),
-        FPLAPIProxyService.fetchLiveData(gameweek)
+        FPLAPIProxyService.fetchLiveData(gameweek),
+        loadBootstrapData()
       ]);
-      
+
+      // Live elements carry no team, so sides come from bootstrap
+      const teamByElement = new Map(bootstrapData.elements.map(el => [el.id, el.team]));
+      const playerNames = new Map(bootstrapData.elements.map(el => [el.id, el.web_name]));
+      const teamNames = new Map((bootstrapData.teams || []).map(team => [team.id, team.name]));
+      const withName = (entry) => ({ ...entry, name: playerNames.get(entry.element) || 'Unknown' });
+
       // Process fixtures with live data
-      const enrichedFixtures = fixturesData.map(fixture => ({
-        ...fixture,
-        homeTeamBonus: liveData.elements
-          .filter(el => el.team === fixture.team_h)
-          .reduce((sum, player) => sum + (player.stats.bonus || 0), 0),
-        awayTeamBonus: liveData.elements
-          .filter(el => el.team === fixture.team_a)
-          .reduce((sum, player) => sum + (player.stats.bonus || 0), 0)
-      }));
+      const enrichedFixtures = fixturesData.map(fixture => {
+        const bonus = bonusEngine.computeFixtureBonus(fixture, liveData.elements, teamByElement);
+        return {
+          ...fixture,
+          team_h_name: fixture.team_h_name || teamNames.get(fixture.team_h),
+          team_a_name: fixture.team_a_name || teamNames.get(fixture.team_a),
+          homeTeamBonus: bonus.homeTotal,
+          awayTeamBonus: bonus.awayTotal,
+          bonusProvisional: bonus.provisional,
+          bonus: {
+            provisional: bonus.provisional,
+            confirmed: bonus.confirmed,
+            home: bonus.home.map(withName),
+            away: bonus.away.map(withName)
+          }
+        };
+      });
 
       // Cache the processed data
       if (cache && cache.data) {
@@ -128,13 +151,26 @@ router.get('/:leagueId/live/:gameweek',
       }
       
       // Use FPLAPIProxyService for more reliable data fetching
-      const [standingsData, liveData, bootstrapData] = await Promise.all([
+      const [standingsData, liveData, bootstrapData, fixturesData] = await Promise.all([
         FPLAPIProxyService.fetchLeagueStandings(leagueId),
         FPLAPIProxyService.fetchLiveData(gameweek),
-        loadBootstrapData()
+        loadBootstrapData(),
+        FPLAPIProxyService.fetchFixtures(gameweek).catch(err => {
+          console.warn(`Failed to fetch fixtures for GW ${gameweek}: ${err.message}`);
+          return [];
+        })
       ]);
 
-      const liveElements = liveData.elements;
+      const liveElements = new Map(liveData.elements.map(el => [el.id, el]));
+      const playersById = new Map(bootstrapData.elements.map(el => [el.id, el]));
+      const positionMap = { 1: 'GK', 2: 'DEF', 3: 'MID', 4: 'FWD' };
+      const bonusMap = bonusEngine.buildBonusMap(
+        fixturesData,
+        liveData.elements,
+        new Map(bootstrapData.elements.map(el => [el.id, el.team]))
+      );
+      // Fixtures and table for scoring assistant managers, shared by every entry
+      const amContext = await assistantManagerService.getContext(gameweek, { fixtures: fixturesData });
       const totalEntries = standingsData.standings.results.length;
       const paginatedResults = standingsData.standings.results.slice(offset, offset + limit);
       
@@ -149,25 +185,63 @@ router.get('/:leagueId/live/:gameweek',
                 return { picks: [] };
               });
               
-            // Use FPLAPIProxyService for transfers data
-            const transfersData = await FPLAPIProxyService.fetchTransfersData(entry.entry)
-              .catch(err => {
-                console.warn(`Failed to fetch transfers for entry ${entry.entry}: ${err.message}`);
-                return [];
-              });
+            // Use FPLAPIProxyService for transfers data and season history
+            const [transfersData, historyData] = await Promise.all([
+              FPLAPIProxyService.fetchTransfersData(entry.entry)
+                .catch(err => {
+                  console.warn(`Failed to fetch transfers for entry ${entry.entry}: ${err.message}`);
+                  return [];
+                }),
+              FPLAPIProxyService.fetchManagerData(entry.entry)
+                .then(data => data.historyData)
+                .catch(err => {
+                  console.warn(`Failed to fetch history for entry ${entry.entry}: ${err.message}`);
+                  return null;
+                })
+            ]);
 
             const picks = picksData.picks || [];
-            const transfersForGW = transfersData.filter(t => t.event === parseInt(gameweek)).length;
-            const freeTransfers = 1;
-            const extraTransfers = Math.max(0, transfersForGW - freeTransfers);
-            const transferPenalty = extraTransfers * -4;
+            const { freeTransfers, transferPenalty } = transferEngine.calculateTransferPenalty({
+              history: historyData,
+              gameweek,
+              activeChip: picksData.active_chip,
+              transfers: transfersData,
+              entryHistory: picksData.entry_history
+            });
 
-            // Calculate live points
-            const livePoints = picks.reduce((total, pick) => {
-              const liveStats = liveElements.find(el => el.id === pick.element);
-              const points = liveStats ? liveStats.stats.total_points * pick.multiplier : 0;
-              return total + points;
-            }, 0) + transferPenalty;
+            // Calculate live points after automatic substitutions
+            const scoredPicks = picks.map(pick => {
+              const player = playersById.get(pick.element);
+              const liveElement = liveElements.get(pick.element);
+              const positionType = positionMap[player?.element_type] || 'UNK';
+              return {
+                playerId: pick.element,
+                position: pick.position,
+                positionType,
+                multiplier: pick.multiplier,
+                isCaptain: !!pick.is_captain,
+                isViceCaptain: !!pick.is_vice_captain,
+                teamId: player?.team,
+                minutes: liveElement?.stats?.minutes || 0,
+                basePoints: scoringEngine.withBonus(
+                  scoringEngine.scoreElement(liveElement, positionType),
+                  bonusMap.get(pick.element)
+                ).basePoints
+              };
+            });
+            const substitution = autosubEngine.applyAutosubs(scoredPicks, {
+              activeChip: picksData.active_chip,
+              fixtures: fixturesData
+            });
+            let assistantManagerPoints = null;
+            if (picksData.active_chip === 'assistant_manager' && picksData.assistant_manager?.id) {
+              const amScore = await assistantManagerService.scoreEntry(entry.entry, gameweek, picksData.assistant_manager, {
+                bootstrapData,
+                context: amContext
+              });
+              assistantManagerPoints = amScore.points;
+            }
+            const livePoints = autosubEngine.sumLivePoints(substitution.picks) + transferPenalty + (assistantManagerPoints || 0);
 
             return {
               rank: entry.rank,
@@ -176,6 +250,9 @@ router.get('/:leagueId/live/:gameweek',
               totalPoints: entry.total,
               livePoints: livePoints,
               transferPenalty: transferPenalty,
+              freeTransfers,
+              autosubs: substitution.autosubs,
+              assistantManagerPoints,
               entryId: entry.entry,
               activeChip: picksData.active_chip
             };
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const planService = require('../services/planService');
+
+// Validate the manager ID from the parent path (/api/fpl/:id/plans)
+const validateIntParams = (req, res, next) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id) || id.toString() !== req.params.id) {
+    return res.status(400).json({ error: 'Invalid ID parameter: must be an integer' });
+  }
+  req.fplId = id;
+  next();
+};
+
+// Error handling wrapper; planService errors carry their own status and reasons
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(error => {
+    if (error.status) {
+      const body = { error: error.message };
+      if (error.reasons?.length) body.reasons = error.reasons;
+      return res.status(error.status).json(body);
+    }
+
+    console.error(`Plan API Error: ${req.method} ${req.originalUrl}`, {
+      error: error.message,
+      stack: error.stack,
+      params: req.params,
+      timestamp: new Date().toISOString()
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: process.env.NODE_ENV === 'production'
+        ? 'An unexpected error occurred'
+        : error.message
+    });
+  });
+};
+
+/**
+ * Optional version query parameter
+ * @param {string} value - Raw query value
+ * @returns {number|null|undefined} - Version, null when absent, undefined when invalid
+ */
+const parseVersion = (value) => {
+  if (value === undefined || value === '') return null;
+  const version = parseInt(value);
+  return isNaN(version) || version < 1 ? undefined : version;
+};
+
+router.use(validateIntParams);
+
+// List a manager's plans
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const plans = await planService.list(req.fplId);
+    res.json({ plans });
+  })
+);
+
+// Save a new plan
+router.post('/',
+  asyncHandler(async (req, res) => {
+    const result = await planService.create(req.fplId, req.body || {});
+    res.status(201).json(result);
+  })
+);
+
+// Compare two plans' projected points (?a=<planId>&b=<planId>&aVersion=&bVersion=)
+router.get('/compare',
+  asyncHandler(async (req, res) => {
+    const { a, b } = req.query;
+    const aVersion = parseVersion(req.query.aVersion);
+    const bVersion = parseVersion(req.query.bVersion);
+    if (!a || !b) {
+      return res.status(400).json({ error: 'Missing required query parameters: a and b plan IDs' });
+    }
+    if (aVersion === undefined || bVersion === undefined) {
+      return res.status(400).json({ error: 'Invalid version: must be a positive integer' });
+    }
+
+    const comparison = await planService.compare(req.fplId, { id: a, version: aVersion }, { id: b, version: bVersion });
+    res.json(comparison);
+  })
+);
+
+// One plan, latest version unless ?version= is given; ?evaluate=true adds its replay on the current squad
+router.get('/:planId',
+  asyncHandler(async (req, res) => {
+    const version = parseVersion(req.query.version);
+    if (version === undefined) {
+      return res.status(400).json({ error: 'Invalid version: must be a positive integer' });
+    }
+    const plan = await planService.get(req.fplId, req.params.planId, version);
+    if (req.query.evaluate !== 'true') return res.json(plan);
+
+    const [evaluation] = await planService.evaluate(req.fplId, [plan.gameweeks]);
+    res.json({ ...plan, evaluation });
+  })
+);
+
+// Saved versions of a plan
+router.get('/:planId/versions',
+  asyncHandler(async (req, res) => {
+    const versions = await planService.getVersions(req.fplId, req.params.planId);
+    res.json({ versions });
+  })
+);
+
+// Save a new version of a plan
+router.put('/:planId',
+  asyncHandler(async (req, res) => {
+    const result = await planService.update(req.fplId, req.params.planId, req.body || {});
+    res.json(result);
+  })
+);
+
+// Delete a plan and its versions
+router.delete('/:planId',
+  asyncHandler(async (req, res) => {
+    await planService.remove(req.fplId, req.params.planId);
+    res.status(204).end();
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const shareService = require('../services/shareService');
+
+// Error handling wrapper; shareService and planService errors carry their own status
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(error => {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error(`Share API Error: ${req.method} ${req.originalUrl}`, {
+      error: error.message,
+      stack: error.stack,
+      params: req.params,
+      timestamp: new Date().toISOString()
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: process.env.NODE_ENV === 'production'
+        ? 'An unexpected error occurred'
+        : error.message
+    });
+  });
+};
+
+// Freeze a manager's picks ({ fplId, type: 'picks', gameweek }) or a saved plan ({ fplId, type: 'plan', planId, version })
+router.post('/',
+  asyncHandler(async (req, res) => {
+    const { fplId, type, gameweek, planId, version } = req.body || {};
+
+    const id = parseInt(fplId);
+    if (isNaN(id) || id < 1 || id.toString() !== String(fplId)) {
+      return res.status(400).json({ error: 'Invalid fplId: must be a positive integer' });
+    }
+    if (type === 'picks') {
+      const gw = parseInt(gameweek);
+      if (isNaN(gw) || gw < 1 || gw > 38) {
+        return res.status(400).json({ error: 'Invalid gameweek: must be an integer between 1 and 38' });
+      }
+      const snapshot = await shareService.create(id, { type, gameweek: gw });
+      return res.status(201).json({ ...snapshot, url: `/share/${snapshot.id}` });
+    }
+    if (type === 'plan') {
+      if (!planId) {
+        return res.status(400).json({ error: 'Missing required field: planId' });
+      }
+      const planVersion = version !== undefined && version !== null ? parseInt(version) : null;
+      if (planVersion !== null && (isNaN(planVersion) || planVersion < 1)) {
+        return res.status(400).json({ error: 'Invalid version: must be a positive integer' });
+      }
+      const snapshot = await shareService.create(id, { type, planId: String(planId), version: planVersion });
+      return res.status(201).json({ ...snapshot, url: `/share/${snapshot.id}` });
+    }
+
+    res.status(400).json({ error: "Invalid type: must be 'picks' or 'plan'" });
+  })
+);
+
+// A shared snapshot; read-only and open to anyone with the link
+router.get('/:shareId',
+  asyncHandler(async (req, res) => {
+    const snapshot = await shareService.get(req.params.shareId);
+    // Snapshots never change once created
+    res.set('Cache-Control', 'public, max-age=86400, immutable');
+    res.json(snapshot);
+  })
+);
+
+module.exports = router;
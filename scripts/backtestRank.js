@@ -0,0 +1,269 @@
+// Live rank estimator backtest
+// Replays captured gameweeks (see FPL_CAPTURE / services/snapshotStore.js), runs the
+// rank estimator at checkpoints during each gameweek with only the data that had been
+// captured by then, and compares the estimate with the official final overall rank
+// from entry history.
+//
+// Usage: node scripts/backtestRank.js [--dir <snapshot version dir>] [--gw <n>]
+//                                     [--checkpoints <n>] [--total-players <n>] [--json]
+//
+// Managers whose entry and picks were captured by a checkpoint form the sample; each
+// one with a captured entry/{id}/history/ is also scored, leaving itself out of the
+// sample. simulateRank and the what-if simulator use the same estimator, so these
+// numbers cover them too.
+const fs = require('fs');
+const path = require('path');
+const upstreamSource = require('../services/upstreamSource');
+const snapshotStore = require('../services/snapshotStore');
+const rankEngine = require('../utils/rankEngine');
+const { buildPointInTimeIndex } = require('./replayServer');
+
+const ENTRY_PATH = /^entry\/(\d+)\/?$/;
+const HISTORY_PATH = /^entry\/(\d+)\/history\/?$/;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * List captured gameweek directories
+ * @param {string} versionDir - Snapshot version directory (snapshots/v1)
+ * @returns {number[]} - Gameweek numbers, ascending
+ */
+function listGameweeks(versionDir) {
+  if (!fs.existsSync(versionDir)) return [];
+  return fs.readdirSync(versionDir)
+    .map(name => name.match(/^gw(\d+)$/))
+    .filter(Boolean)
+    .map(match => parseInt(match[1]))
+    .filter(gw => gw > 0)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Official final overall ranks for a gameweek from the latest captured entry histories
+ * @param {Object[]} envelopes - Capture log entries from every gameweek directory
+ * @param {number} gameweek - Gameweek to look up
+ * @returns {Map<number, Object>} - Manager ID to { rank }
+ */
+function collectFinalRanks(envelopes, gameweek) {
+  const latest = new Map();
+  envelopes
+    .filter(envelope => HISTORY_PATH.test(envelope.path) && envelope.status >= 200 && envelope.status < 300)
+    .forEach(envelope => {
+      const id = parseInt(envelope.path.match(HISTORY_PATH)[1]);
+      const previous = latest.get(id);
+      if (!previous || new Date(envelope.timestamp) > new Date(previous.timestamp)) latest.set(id, envelope);
+    });
+
+  const ranks = new Map();
+  latest.forEach((envelope, id) => {
+    const rows = envelope.body?.current || [];
+    const row = rows.find(r => r.event === gameweek);
+    if (!row?.overall_rank) return;
+    ranks.set(id, { rank: row.overall_rank });
+  });
+  return ranks;
+}
+
+/**
+ * Pick evenly spaced checkpoints from the captured live responses
+ * @param {Object[]} envelopes - Capture log entries for the gameweek
+ * @param {number} gameweek - Gameweek number
+ * @param {number} count - Number of checkpoints
+ * @returns {Date[]} - Checkpoint times, oldest first
+ */
+function pickCheckpoints(envelopes, gameweek, count) {
+  // Worker captures record the path without a trailing slash, so compare replay file names
+  const livePath = upstreamSource.toReplayFile(`event/${gameweek}/live/`);
+  const liveTimes = envelopes
+    .filter(envelope => upstreamSource.toReplayFile(envelope.path) === livePath && envelope.status >= 200 && envelope.status < 300)
+    .map(envelope => new Date(envelope.timestamp))
+    .sort((a, b) => a - b);
+  if (liveTimes.length === 0) return [];
+  if (liveTimes.length <= count) return liveTimes;
+  return Array.from({ length: count }, (_, i) =>
+    liveTimes[Math.round((i + 1) * (liveTimes.length - 1) / count)]
+  );
+}
+
+/**
+ * Run the estimator for every scoreable manager at one checkpoint
+ * @param {Map} index - Point-in-time index from buildPointInTimeIndex()
+ * @param {number} gameweek - Gameweek number
+ * @param {Map} finalRanks - From collectFinalRanks()
+ * @param {number} totalPlayersOverride - Player count to use when bootstrap was not captured
+ * @returns {Object[]} - [{ id, actual, rank, lower, upper }]
+ */
+function runCheckpoint(index, gameweek, finalRanks, totalPlayersOverride) {
+  const body = (apiPath) => index.get(upstreamSource.toReplayFile(apiPath))?.body;
+  const live = body(`event/${gameweek}/live/`);
+  const totalPlayers = totalPlayersOverride || body('bootstrap-static/')?.total_players;
+  if (!live || !totalPlayers) return [];
+
+  const managers = [];
+  index.forEach(envelope => {
+    const match = envelope.path.match(ENTRY_PATH);
+    if (!match) return;
+    const id = parseInt(match[1]);
+    const picks = body(`entry/${id}/event/${gameweek}/picks/`);
+    if (!picks?.picks || !envelope.body?.summary_overall_rank) return;
+    managers.push({
+      id,
+      rank: envelope.body.summary_overall_rank,
+      preGwPoints: rankEngine.getPreGameweekPoints(envelope.body, gameweek),
+      transferCost: picks.entry_history?.event_transfers_cost || 0,
+      activeChip: picks.active_chip || null,
+      picks: picks.picks
+    });
+  });
+
+  const projected = rankEngine.projectSampleTotals(managers, live.elements || [], {
+    elements: body('bootstrap-static/')?.elements || [],
+    fixtures: body(`fixtures/?event=${gameweek}`) || []
+  })
+    .map((sample, i) => ({ ...sample, id: managers[i].id }));
+
+  const results = [];
+  projected.forEach(subject => {
+    const final = finalRanks.get(subject.id);
+    if (!final) return;
+    // Leave the manager out of their own sample
+    const sample = projected.filter(other => other.id !== subject.id);
+    const estimate = rankEngine.estimateRank(subject.totalPoints, sample, totalPlayers);
+    if (!estimate) return;
+    results.push({
+      id: subject.id,
+      actual: final.rank,
+      rank: estimate.rank,
+      lower: estimate.lower,
+      upper: estimate.upper,
+      sampleSize: estimate.sampleSize
+    });
+  });
+  return results;
+}
+
+/**
+ * Summarise estimator error, overall and by final rank band
+ * @param {Object[]} results - From runCheckpoint()
+ * @returns {Object[]} - [{ band, count, medianAbsPctError, meanAbsLogError, medianBiasPct, coverage, medianWidthPct }]
+ */
+function summarise(results) {
+  const describe = (band, rows) => ({
+    band,
+    count: rows.length,
+    medianAbsPctError: median(rows.map(r => Math.abs(r.rank - r.actual) / r.actual * 100)),
+    meanAbsLogError: mean(rows.map(r => Math.abs(Math.log(r.rank / r.actual)))),
+    medianBiasPct: median(rows.map(r => (r.rank - r.actual) / r.actual * 100)),
+    coverage: mean(rows.map(r => (r.actual >= r.lower && r.actual <= r.upper ? 100 : 0))),
+    medianWidthPct: median(rows.map(r => (r.upper - r.lower) / r.actual * 100))
+  });
+
+  const bands = [];
+  let lower = 1;
+  rankEngine.RANK_BANDS.forEach(upper => {
+    const rows = results.filter(r => r.actual >= lower && r.actual <= upper);
+    const label = upper === Infinity ? `${lower.toLocaleString()}+` : `${lower.toLocaleString()}-${upper.toLocaleString()}`;
+    if (rows.length > 0) bands.push(describe(label, rows));
+    lower = upper + 1;
+  });
+  bands.push(describe('all', results));
+  return bands;
+}
+
+/**
+ * Backtest the estimator over captured gameweeks
+ * @param {Object} options - { dir, gameweeks, checkpoints, totalPlayers }
+ * @returns {Promise<Object[]>} - [{ gameweek, finalRanks, checkpoints: [{ at, scored, summary }], summary }]
+ */
+async function runBacktest({ dir = snapshotStore.getVersionDir(), gameweeks = null, checkpoints = 4, totalPlayers = null } = {}) {
+  const versionDir = path.resolve(dir);
+  const available = listGameweeks(versionDir);
+  const logs = new Map();
+  for (const gw of available) {
+    logs.set(gw, await snapshotStore.readCaptureLog(path.join(versionDir, `gw${gw}`)));
+  }
+  const allEnvelopes = [...logs.values()].flat();
+
+  const reports = [];
+  for (const gw of (gameweeks || available)) {
+    const envelopes = logs.get(gw) || [];
+    const finalRanks = collectFinalRanks(allEnvelopes, gw);
+    const runs = pickCheckpoints(envelopes, gw, checkpoints).map(at => ({
+      at: at.toISOString(),
+      results: runCheckpoint(buildPointInTimeIndex(envelopes, at), gw, finalRanks, totalPlayers)
+    }));
+    reports.push({
+      gameweek: gw,
+      finalRanks: finalRanks.size,
+      checkpoints: runs.map(run => ({ at: run.at, scored: run.results.length, summary: summarise(run.results) })),
+      summary: summarise(runs.flatMap(run => run.results))
+    });
+  }
+  return reports;
+}
+
+function parseArgs(argv) {
+  const args = { gameweeks: null, checkpoints: 4, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir') args.dir = argv[++i];
+    else if (argv[i] === '--gw') args.gameweeks = [...(args.gameweeks || []), parseInt(argv[++i])];
+    else if (argv[i] === '--checkpoints') args.checkpoints = parseInt(argv[++i]) || 4;
+    else if (argv[i] === '--total-players') args.totalPlayers = parseInt(argv[++i]);
+    else if (argv[i] === '--json') args.json = true;
+  }
+  return args;
+}
+
+const formatNumber = (value, digits = 1) => (value === null ? '-' : value.toFixed(digits));
+
+function printReport(reports) {
+  reports.forEach(report => {
+    console.log(`\nGW ${report.gameweek}: ${report.finalRanks} managers with a final rank, ${report.checkpoints.length} checkpoints`);
+    report.checkpoints.forEach(checkpoint => {
+      console.log(`  ${checkpoint.at}: ${checkpoint.scored} estimates`);
+    });
+    if (report.summary.every(row => row.count === 0)) {
+      console.log('  No managers could be scored (need live, bootstrap, entry, picks and history captures)');
+      return;
+    }
+    console.log('  band                 n    med|err|%  mean|log err|  bias%   coverage%  width%');
+    report.summary.forEach(row => {
+      console.log(
+        `  ${row.band.padEnd(18)} ${String(row.count).padStart(4)}  ${formatNumber(row.medianAbsPctError).padStart(9)}  ` +
+        `${formatNumber(row.meanAbsLogError, 3).padStart(13)}  ${formatNumber(row.medianBiasPct).padStart(6)}  ` +
+        `${formatNumber(row.coverage).padStart(9)}  ${formatNumber(row.medianWidthPct).padStart(6)}`
+      );
+    });
+  });
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  runBacktest({
+    dir: args.dir,
+    gameweeks: args.gameweeks,
+    checkpoints: args.checkpoints,
+    totalPlayers: args.totalPlayers
+  })
+    .then(reports => {
+      if (reports.length === 0) {
+        console.error('No captured gameweeks found. Run the backend with FPL_CAPTURE=true first.');
+        process.exit(1);
+      }
+      if (args.json) console.log(JSON.stringify(reports, null, 2));
+      else printReport(reports);
+    })
+    .catch(err => {
+      console.error('Backtest failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runBacktest, collectFinalRanks, pickCheckpoints, runCheckpoint, summarise };
@@ -0,0 +1,138 @@
+// Local FPL API replay server
+// Serves recorded bootstrap-static, event/live, entry, picks, fixtures and league
+// JSON from disk so the backend can run offline with deterministic data.
+//
+// Usage: node scripts/replayServer.js [--dir <snapshot dir>] [--port <port>] [--at <ISO time>]
+// Then start the backend with FPL_UPSTREAM=replay.
+//
+// --dir can point at a captured gameweek (snapshots/v1/gw12). With --at, responses
+// are taken from that gameweek's capture log as they were at the given moment.
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const upstreamSource = require('../services/upstreamSource');
+const snapshotStore = require('../services/snapshotStore');
+
+/**
+ * Resolve a request path to a recorded response file inside the replay directory
+ * @param {string} replayDir - Root directory of recorded responses
+ * @param {string} apiPath - FPL API path including query string
+ * @returns {string|null} - Absolute file path, or null if it escapes the directory
+ */
+function resolveReplayFile(replayDir, apiPath) {
+  const filePath = path.resolve(replayDir, upstreamSource.toReplayFile(apiPath));
+  if (!filePath.startsWith(replayDir + path.sep)) return null;
+  return filePath;
+}
+
+/**
+ * Build a lookup of the latest successful response per path at a point in time
+ * @param {Object[]} envelopes - Capture log entries, oldest first
+ * @param {Date} at - Point in time to replay
+ * @returns {Map<string, Object>} - Replay file key to envelope
+ */
+function buildPointInTimeIndex(envelopes, at) {
+  const index = new Map();
+  envelopes
+    .filter(envelope => new Date(envelope.timestamp) <= at && envelope.status >= 200 && envelope.status < 300)
+    .forEach(envelope => index.set(upstreamSource.toReplayFile(envelope.path), envelope));
+  return index;
+}
+
+/**
+ * Create the replay Express app
+ * @param {string} replayDir - Root directory of recorded responses
+ * @param {Object} options - { pointInTime: Map } from buildPointInTimeIndex
+ * @returns {Object} - Express app
+ */
+function createReplayServer(replayDir = upstreamSource.getReplayDir(), options = {}) {
+  const app = express();
+  const root = path.resolve(replayDir);
+  const pointInTime = options.pointInTime || null;
+
+  const send = (res, contents) => {
+    // Captured envelopes carry the original status; plain files are served as-is
+    if (snapshotStore.isEnvelope(contents)) {
+      res.set('X-Replay-Captured-At', contents.timestamp);
+      return res.status(contents.status).json(contents.body);
+    }
+    res.json(contents);
+  };
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', replayDir: root, pointInTime: !!pointInTime });
+  });
+
+  // Official API style (/api/...) and worker style (/fpl-proxy/...) both map to the same files
+  app.get(['/api/*', '/fpl-proxy/*'], (req, res) => {
+    const apiPath = req.originalUrl.replace(/^\/(api|fpl-proxy)\//, '');
+    const filePath = resolveReplayFile(root, apiPath);
+
+    if (!filePath) {
+      return res.status(400).json({ error: 'Invalid replay path' });
+    }
+
+    if (pointInTime) {
+      const envelope = pointInTime.get(upstreamSource.toReplayFile(apiPath));
+      if (envelope) return send(res, envelope);
+    }
+
+    fs.readFile(filePath, 'utf8', (err, contents) => {
+      if (err) {
+        console.warn(`Replay miss: ${apiPath} (${path.relative(root, filePath)})`);
+        return res.status(404).json({ error: 'No recorded response', path: apiPath });
+      }
+
+      try {
+        send(res, JSON.parse(contents));
+      } catch (parseError) {
+        console.error(`Invalid JSON in ${filePath}:`, parseError.message);
+        res.status(500).json({ error: 'Recorded response is not valid JSON', path: apiPath });
+      }
+    });
+  });
+
+  return app;
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir') args.dir = argv[++i];
+    else if (argv[i] === '--port') args.port = parseInt(argv[++i]);
+    else if (argv[i] === '--at') args.at = argv[++i];
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const replayDir = path.resolve(args.dir || upstreamSource.getReplayDir());
+  const port = args.port || parseInt(process.env.FPL_REPLAY_PORT) || 5050;
+
+  if (!fs.existsSync(replayDir)) {
+    console.error(`Replay directory not found: ${replayDir}`);
+    process.exit(1);
+  }
+
+  const start = async () => {
+    let pointInTime = null;
+    if (args.at) {
+      const at = new Date(args.at);
+      if (isNaN(at.getTime())) {
+        console.error(`Invalid --at time: ${args.at}`);
+        process.exit(1);
+      }
+      pointInTime = buildPointInTimeIndex(await snapshotStore.readCaptureLog(replayDir), at);
+      console.log(`Replaying ${pointInTime.size} captured responses as of ${at.toISOString()}`);
+    }
+
+    createReplayServer(replayDir, { pointInTime }).listen(port, () => {
+      console.log(`FPL replay server listening on port ${port}, serving ${replayDir}`);
+    });
+  };
+
+  start();
+}
+
+module.exports = { createReplayServer, resolveReplayFile, buildPointInTimeIndex };
@@ -9,12 +9,16 @@ const { reconnectWithBackoff, Bootstrap } = require('./config/db');
 const { DEFAULT_BOOTSTRAP_DATA, loadBootstrapData } = require('./services/bootstrapService');
 const fplRoutes = require('./routes/fplRoutes');
 const leagueRoutes = require('./routes/leagueRoutes');
+const planRoutes = require('./routes/planRoutes');
+const shareRoutes = require('./routes/shareRoutes');
 const { setupWebSocket } = require('./services/websocketService');
 const logger = require('./utils/logger');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const workerCoordination = require('./services/workerCoordination');
+const samplePanelService = require('./services/samplePanelService');
+const projectionService = require('./services/projectionService');
 
 // Configuration constants
 const PORT = process.env.PORT || 5000;
@@ -111,8 +115,10 @@ const setupWorker = async () => {
   };
 
   // API Routes
+  app.use('/api/fpl/:id/plans', planRoutes);
   app.use('/api/fpl', fplRoutes);
   app.use('/api/league', leagueRoutes);
+  app.use('/api/share', shareRoutes);
 
   // Error handling middleware
   app.use((err, req, res, next) => {
@@ -151,6 +157,12 @@ const setupWorker = async () => {
   const wss = new WebSocket.Server({ server });
   setupWebSocket(wss);
 
+  // Keep the tier stats sample panel growing and its ranks current
+  samplePanelService.startSchedule();
+
+  // Refresh expected points projections for the upcoming gameweeks
+  projectionService.startSchedule();
+
   // Graceful shutdown
   const gracefulShutdown = (signal) => {
     logger.info(`Received ${signal}. Shutting down gracefully...`);
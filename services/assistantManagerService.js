@@ -0,0 +1,139 @@
+// services/assistantManagerService.js
+// Scores the Assistant Manager chip from fixture results (see utils/assistantManagerEngine.js)
+// and keeps each entry's score in the AssistantManager collection.
+const FPLAPIProxyService = require('./fplApiProxyService');
+const upstreamSource = require('./upstreamSource');
+const mongooseCache = require('./mongooseCache');
+const managerCatalogueService = require('./managerCatalogueService');
+const amEngine = require('../utils/assistantManagerEngine');
+const { AssistantManager } = require('../config/db');
+const logger = require('../utils/logger');
+
+const assistantManagerService = {
+  /**
+   * All season fixtures, for the league table at each deadline
+   * @returns {Promise<Array>} - fixtures/
+   */
+  async getSeasonFixtures() {
+    return mongooseCache.getOrSet('fixtures:all', async () => {
+      const response = await FPLAPIProxyService.fetchWithRetry(upstreamSource.directUrl('fixtures/'));
+      return response.data || [];
+    }, 3600);
+  },
+
+  /**
+   * Fixtures and league table needed to score any manager in a gameweek
+   * @param {number} gameweek - Gameweek number
+   * @param {Object} options - { fixtures } to reuse already fetched gameweek fixtures
+   * @returns {Promise<Object>} - { gameweek, fixtures, table }
+   */
+  async getContext(gameweek, { fixtures = null } = {}) {
+    const gw = parseInt(gameweek);
+    const seasonFixtures = await this.getSeasonFixtures().catch(err => {
+      logger.warn('Season fixtures unavailable, table bonus disabled', { error: err.message });
+      return [];
+    });
+    const gameweekFixtures = fixtures && fixtures.length > 0
+      ? fixtures
+      : seasonFixtures.filter(f => f.event === gw);
+    return {
+      gameweek: gw,
+      fixtures: gameweekFixtures,
+      table: amEngine.buildLeagueTable(seasonFixtures, gw)
+    };
+  },
+
+  /**
+   * Score one assistant manager pick
+   * @param {Object} assistantManager - Picks endpoint assistant_manager ({ id, name, ... })
+   * @param {Object} context - From getContext()
+   * @param {Object} bootstrapData - Bootstrap data, to find the manager's club
+   * @returns {Object} - { managerId, teamId, points, provisional, fixtures }
+   */
+  score(assistantManager, context, bootstrapData) {
+    const teamId = amEngine.resolveManagerTeam(assistantManager, bootstrapData, managerCatalogueService.getCached());
+    if (!teamId) {
+      return { managerId: assistantManager?.id || null, teamId: null, points: 0, provisional: false, fixtures: [] };
+    }
+    return {
+      managerId: assistantManager.id,
+      teamId,
+      ...amEngine.scoreAssistantManager(teamId, context.fixtures, context.table)
+    };
+  },
+
+  /**
+   * Score an entry's assistant manager and store it against the entry and gameweek
+   * @param {number|string} fplId - Entry ID
+   * @param {number} gameweek - Gameweek number
+   * @param {Object} assistantManager - Picks endpoint assistant_manager
+   * @param {Object} options - { bootstrapData, context }
+   * @returns {Promise<Object>} - Result of score()
+   */
+  async scoreEntry(fplId, gameweek, assistantManager, { bootstrapData, context = null } = {}) {
+    const scoringContext = context || await this.getContext(gameweek);
+    const result = this.score(assistantManager, scoringContext, bootstrapData);
+    if (!result.teamId) return result;
+
+    const catalogueEntry = (bootstrapData?.managers || managerCatalogueService.getCached()).find(m => m.id === assistantManager.id);
+    try {
+      await AssistantManager.findOneAndUpdate(
+        { fplId: String(fplId), gameweek: parseInt(gameweek) },
+        {
+          managerId: assistantManager.id,
+          managerName: assistantManager.name || catalogueEntry?.name || `Manager ${assistantManager.id}`,
+          teamId: result.teamId,
+          cost: catalogueEntry?.cost || 0,
+          points: result.points,
+          provisional: result.provisional,
+          breakdown: result.fixtures
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+    } catch (err) {
+      logger.error('Failed to store assistant manager score', { fplId, gameweek, error: err.message });
+    }
+    return result;
+  },
+
+  /**
+   * Rank managers by projected points over the gameweeks the chip would cover
+   * @param {Object} options - { startGameweek, bank (£m, null to skip the check), bootstrapData, limit }
+   * @returns {Promise<Object>} - { window: { start, end }, bank, recommendations }
+   */
+  async recommend({ startGameweek, bank = null, bootstrapData = {}, limit = 5 }) {
+    const start = parseInt(startGameweek);
+    const end = Math.min(start + amEngine.CHIP_WINDOW - 1, 38);
+    const seasonFixtures = await this.getSeasonFixtures();
+    const windowFixtures = seasonFixtures.filter(f => f.event >= start && f.event <= end);
+    const table = amEngine.buildLeagueTable(seasonFixtures, start);
+    const teams = bootstrapData.teams || [];
+    const teamNames = new Map(teams.map(team => [team.id, team.short_name || team.name]));
+
+    const catalogue = await managerCatalogueService.getCatalogue();
+    const recommendations = catalogue
+      .map(manager => {
+        const projection = amEngine.projectAssistantManager(manager.team_id, windowFixtures, { table, teams });
+        return {
+          id: manager.id,
+          name: manager.name,
+          teamId: manager.team_id,
+          teamName: teamNames.get(manager.team_id) || null,
+          tablePosition: table.get(manager.team_id) || null,
+          cost: manager.cost / 10,
+          affordable: bank === null || manager.cost / 10 <= bank,
+          ...projection,
+          fixtures: projection.fixtures.map(f => ({ ...f, opponentName: teamNames.get(f.opponentId) || null }))
+        };
+      })
+      .sort((a, b) => (b.affordable - a.affordable) || b.expectedPoints - a.expectedPoints);
+
+    return {
+      window: { start, end },
+      bank,
+      recommendations: recommendations.slice(0, limit)
+    };
+  }
+};
+
+module.exports = assistantManagerService;
@@ -1,6 +1,8 @@
 const logger = require('../utils/logger');
 const { Bootstrap } = require('../config/db');
 const FPLAPIProxyService = require('./fplApiProxyService');
+const managerCatalogueService = require('./managerCatalogueService');
+const { buildManagerCatalogue } = require('../utils/assistantManagerEngine');
 
 // Enhanced default data with more comprehensive dummy values
 const DEFAULT_BOOTSTRAP_DATA = {
@@ -58,6 +60,7 @@ const loadBootstrapData = async (forceRefresh = false, retries = 3) => {
     const bootstrapData = {
       events: rawData.events || [],
       teams: rawData.teams || [],
+      total_players: rawData.total_players || 0,
       elements: rawData.elements.map(player => ({
         id: player.id,
         first_name: player.first_name || 'Unknown',
@@ -68,7 +71,8 @@ const loadBootstrapData = async (forceRefresh = false, retries = 3) => {
         now_cost: player.now_cost || 40,
         total_points: player.total_points || 0,
         selected_by_percent: player.selected_by_percent || '0.0'
-      }))
+      })),
+      managers: buildManagerCatalogue(rawData)
     };
     
     // Cache in MongoDB
@@ -81,6 +85,11 @@ const loadBootstrapData = async (forceRefresh = false, retries = 3) => {
       { upsert: true }
     );
     
+    // Keep the assistant manager catalogue in step with fresh bootstrap data
+    await managerCatalogueService.sync(rawData).catch(err =>
+      logger.error('Manager catalogue sync failed', { message: err.message })
+    );
+
     logger.info('Bootstrap data successfully fetched and cached', {
       elementCount: bootstrapData.elements.length,
       teamCount: bootstrapData.teams.length,
@@ -3,6 +3,8 @@ const https = require('https');
 const logger = require('../utils/logger');
 const mongooseCache = require('./mongooseCache');
 const workerCoordination = require('./workerCoordination');
+const upstreamSource = require('./upstreamSource');
+const snapshotStore = require('./snapshotStore');
 
 const memoryCache = {
   data: {},
@@ -36,9 +38,6 @@ class FPLAPIProxyService {
       failedAttempts: 0,
       lastErrors: []
     };
-    
-    this.baseURL = process.env.FPL_WORKER_URL || 'https://fpl-api.fpl-test.workers.dev';
-    this.directURL = 'https://fantasy.premierleague.com/api';
   }
 
   async fetchLiveData(gameweek) {
@@ -64,10 +63,7 @@ class FPLAPIProxyService {
   
           try {
             try {
-              const workerResponse = await axios.get(
-                `${this.baseURL}/fpl-proxy/event/${gameweek}/live`,
-                { timeout: 15000, headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' } }
-              );
+              const workerResponse = await this._fetchFromWorker(upstreamSource.workerUrl(`event/${gameweek}/live`));
               if (workerResponse.data && Array.isArray(workerResponse.data.elements)) {
                 memoryCache.set(cacheKey, workerResponse.data, 180000);
                 this.errorTracker.successfulAttempts++;
@@ -76,7 +72,7 @@ class FPLAPIProxyService {
               throw new Error('Invalid data structure from worker');
             } catch (workerError) {
               this.logger.warn('Worker fetch failed, attempting direct', { error: workerError.message });
-              const response = await this.fetchWithRetry(`${this.directURL}/event/${gameweek}/live/`);
+              const response = await this.fetchWithRetry(upstreamSource.directUrl(`event/${gameweek}/live/`));
               memoryCache.set(cacheKey, response.data, 180000);
               this.errorTracker.successfulAttempts++;
               return response.data;
@@ -118,10 +114,7 @@ class FPLAPIProxyService {
 
       try {
         try {
-          const workerResponse = await axios.get(
-            `${this.baseURL}/fpl-proxy/bootstrap-static/`,
-            { timeout: 15000, headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' } }
-          );
+          const workerResponse = await this._fetchFromWorker(upstreamSource.workerUrl('bootstrap-static/'));
           if (workerResponse.data && Array.isArray(workerResponse.data.elements)) {
             await mongooseCache.set(cacheKey, workerResponse.data, 3600);
             await mongooseCache.set(`stale:${cacheKey}`, workerResponse.data, 86400);
@@ -131,7 +124,7 @@ class FPLAPIProxyService {
           throw new Error('Invalid data structure from worker');
         } catch (workerError) {
           this.logger.warn('Worker fetch failed', { error: workerError.message });
-          const response = await this.fetchWithRetry(`${this.directURL}/bootstrap-static/`);
+          const response = await this.fetchWithRetry(upstreamSource.directUrl('bootstrap-static/'));
           await mongooseCache.set(cacheKey, response.data, 3600);
           await mongooseCache.set(`stale:${cacheKey}`, response.data, 86400);
           this.errorTracker.successfulAttempts++;
@@ -163,14 +156,8 @@ class FPLAPIProxyService {
           try {
             try {
               const [workerResponse, historyResponse] = await Promise.all([
-                axios.get(`${this.baseURL}/fpl-proxy/entry/${managerId}/`, {
-                  timeout: 15000,
-                  headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' }
-                }),
-                axios.get(`${this.baseURL}/fpl-proxy/entry/${managerId}/history/`, {
-                  timeout: 15000,
-                  headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' }
-                })
+                this._fetchFromWorker(upstreamSource.workerUrl(`entry/${managerId}/`)),
+                this._fetchFromWorker(upstreamSource.workerUrl(`entry/${managerId}/history/`))
               ]);
               if (workerResponse.data && workerResponse.data.player_first_name) {
                 const data = { managerData: workerResponse.data, historyData: historyResponse.data };
@@ -182,8 +169,8 @@ class FPLAPIProxyService {
             } catch (workerError) {
               this.logger.warn('Worker fetch failed', { error: workerError.message });
               const [managerResponse, historyResponse] = await Promise.all([
-                this.fetchWithRetry(`${this.directURL}/entry/${managerId}/`),
-                this.fetchWithRetry(`${this.directURL}/entry/${managerId}/history/`)
+                this.fetchWithRetry(upstreamSource.directUrl(`entry/${managerId}/`)),
+                this.fetchWithRetry(upstreamSource.directUrl(`entry/${managerId}/history/`))
               ]);
               const data = { managerData: managerResponse.data, historyData: historyResponse.data };
               memoryCache.set(cacheKey, data, 300000);
@@ -224,10 +211,7 @@ class FPLAPIProxyService {
 
           try {
             try {
-              const workerResponse = await axios.get(
-                `${this.baseURL}/fpl-proxy/entry/${managerId}/event/${gameweek}/picks/`,
-                { timeout: 15000, headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' } }
-              );
+              const workerResponse = await this._fetchFromWorker(upstreamSource.workerUrl(`entry/${managerId}/event/${gameweek}/picks/`));
               if (workerResponse.data && Array.isArray(workerResponse.data.picks)) {
                 memoryCache.set(cacheKey, workerResponse.data, 300000);
                 this.errorTracker.successfulAttempts++;
@@ -237,7 +221,7 @@ class FPLAPIProxyService {
             } catch (workerError) {
               this.logger.warn('Worker fetch failed', { error: workerError.message });
               const response = await this.fetchWithRetry(
-                `${this.directURL}/entry/${managerId}/event/${gameweek}/picks/`
+                upstreamSource.directUrl(`entry/${managerId}/event/${gameweek}/picks/`)
               );
               memoryCache.set(cacheKey, response.data, 300000);
               this.errorTracker.successfulAttempts++;
@@ -277,10 +261,7 @@ class FPLAPIProxyService {
 
           try {
             try {
-              const workerResponse = await axios.get(
-                `${this.baseURL}/fpl-proxy/fixtures/?event=${gameweek}`,
-                { timeout: 15000, headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' } }
-              );
+              const workerResponse = await this._fetchFromWorker(upstreamSource.workerUrl(`fixtures/?event=${gameweek}`));
               if (workerResponse.data && Array.isArray(workerResponse.data)) {
                 memoryCache.set(cacheKey, workerResponse.data, 300000);
                 this.errorTracker.successfulAttempts++;
@@ -289,7 +270,7 @@ class FPLAPIProxyService {
               throw new Error('Invalid fixtures data structure from worker');
             } catch (workerError) {
               this.logger.warn('Worker fetch failed', { error: workerError.message });
-              const response = await this.fetchWithRetry(`${this.directURL}/fixtures/?event=${gameweek}`);
+              const response = await this.fetchWithRetry(upstreamSource.directUrl(`fixtures/?event=${gameweek}`));
               memoryCache.set(cacheKey, response.data, 300000);
               this.errorTracker.successfulAttempts++;
               return response.data;
@@ -328,10 +309,7 @@ class FPLAPIProxyService {
 
           try {
             try {
-              const workerResponse = await axios.get(
-                `${this.baseURL}/fpl-proxy/leagues-classic/${leagueId}/standings/`,
-                { timeout: 15000, headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' } }
-              );
+              const workerResponse = await this._fetchFromWorker(upstreamSource.workerUrl(`leagues-classic/${leagueId}/standings/`));
               if (workerResponse.data && workerResponse.data.standings && Array.isArray(workerResponse.data.standings.results)) {
                 memoryCache.set(cacheKey, workerResponse.data, 300000);
                 this.errorTracker.successfulAttempts++;
@@ -341,7 +319,7 @@ class FPLAPIProxyService {
             } catch (workerError) {
               this.logger.warn('Worker fetch failed', { error: workerError.message });
               const response = await this.fetchWithRetry(
-                `${this.directURL}/leagues-classic/${leagueId}/standings/`
+                upstreamSource.directUrl(`leagues-classic/${leagueId}/standings/`)
               );
               memoryCache.set(cacheKey, response.data, 300000);
               this.errorTracker.successfulAttempts++;
@@ -381,10 +359,7 @@ class FPLAPIProxyService {
 
           try {
             try {
-              const workerResponse = await axios.get(
-                `${this.baseURL}/fpl-proxy/element-summary/${playerId}/`,
-                { timeout: 15000, headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' } }
-              );
+              const workerResponse = await this._fetchFromWorker(upstreamSource.workerUrl(`element-summary/${playerId}/`));
               if (workerResponse.data && Array.isArray(workerResponse.data.history)) {
                 memoryCache.set(cacheKey, workerResponse.data, 300000);
                 this.errorTracker.successfulAttempts++;
@@ -394,7 +369,7 @@ class FPLAPIProxyService {
             } catch (workerError) {
               this.logger.warn('Worker fetch failed', { error: workerError.message });
               const response = await this.fetchWithRetry(
-                `${this.directURL}/element-summary/${playerId}/`
+                upstreamSource.directUrl(`element-summary/${playerId}/`)
               );
               memoryCache.set(cacheKey, response.data, 300000);
               this.errorTracker.successfulAttempts++;
@@ -434,10 +409,7 @@ class FPLAPIProxyService {
 
           try {
             try {
-              const workerResponse = await axios.get(
-                `${this.baseURL}/fpl-proxy/entry/${managerId}/transfers/`,
-                { timeout: 15000, headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' } }
-              );
+              const workerResponse = await this._fetchFromWorker(upstreamSource.workerUrl(`entry/${managerId}/transfers/`));
               if (workerResponse.data && Array.isArray(workerResponse.data)) {
                 memoryCache.set(cacheKey, workerResponse.data, 300000);
                 this.errorTracker.successfulAttempts++;
@@ -447,7 +419,7 @@ class FPLAPIProxyService {
             } catch (workerError) {
               this.logger.warn('Worker fetch failed', { error: workerError.message });
               const response = await this.fetchWithRetry(
-                `${this.directURL}/entry/${managerId}/transfers/`
+                upstreamSource.directUrl(`entry/${managerId}/transfers/`)
               );
               memoryCache.set(cacheKey, response.data, 300000);
               this.errorTracker.successfulAttempts++;
@@ -487,10 +459,7 @@ class FPLAPIProxyService {
 
           try {
             try {
-              const workerResponse = await axios.get(
-                `${this.baseURL}/fpl-proxy/element-summary/${playerId}/`,
-                { timeout: 15000, headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' } }
-              );
+              const workerResponse = await this._fetchFromWorker(upstreamSource.workerUrl(`element-summary/${playerId}/`));
               if (workerResponse.data && (Array.isArray(workerResponse.data.history) || Array.isArray(workerResponse.data.fixtures))) {
                 memoryCache.set(cacheKey, workerResponse.data, 300000);
                 this.errorTracker.successfulAttempts++;
@@ -500,7 +469,7 @@ class FPLAPIProxyService {
             } catch (workerError) {
               this.logger.warn('Worker fetch failed', { error: workerError.message });
               const response = await this.fetchWithRetry(
-                `${this.directURL}/element-summary/${playerId}/`
+                upstreamSource.directUrl(`element-summary/${playerId}/`)
               );
               memoryCache.set(cacheKey, response.data, 300000);
               this.errorTracker.successfulAttempts++;
@@ -541,7 +510,7 @@ class FPLAPIProxyService {
           try {
             try {
               const workerResponse = await axios.get(
-                `${this.baseURL}/api/fpl/${managerId}/rank-simulator/${gameweek}?points=0`,
+                `${upstreamSource.getWorkerBaseURL()}/api/fpl/${managerId}/rank-simulator/${gameweek}?points=0`,
                 { timeout: 15000, headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' } }
               );
               if (workerResponse.data && workerResponse.data.simulatedRank) {
@@ -595,7 +564,7 @@ class FPLAPIProxyService {
 
           try {
             const workerResponse = await axios.get(
-              `${this.baseURL}/api/fpl/top10k/${gameweek}`,
+              `${upstreamSource.getWorkerBaseURL()}/api/fpl/top10k/${gameweek}`,
               { timeout: 15000, headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' } }
             );
             if (workerResponse.data) {
@@ -643,8 +612,10 @@ class FPLAPIProxyService {
           },
           httpsAgent: new https.Agent({ rejectUnauthorized: true, keepAlive: false })
         });
+        snapshotStore.record(url, response);
         return response;
       } catch (err) {
+        if (err.response) snapshotStore.record(url, err.response);
         this.logger.error(`Fetch attempt ${i + 1}/${retries} failed for ${url}`, {
           errorMessage: err.message,
           status: err.response?.status
@@ -667,6 +638,20 @@ class FPLAPIProxyService {
     }
   }
 
+  async _fetchFromWorker(url) {
+    try {
+      const response = await axios.get(url, {
+        timeout: 15000,
+        headers: { 'User-Agent': this._getRandomUserAgent(), 'Accept': 'application/json' }
+      });
+      snapshotStore.record(url, response);
+      return response;
+    } catch (err) {
+      if (err.response) snapshotStore.record(url, err.response);
+      throw err;
+    }
+  }
+
   _getRandomUserAgent() {
     const userAgents = [
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
@@ -697,7 +682,8 @@ class FPLAPIProxyService {
         ? ((this.errorTracker.successfulAttempts / this.errorTracker.totalAttempts) * 100).toFixed(2) + '%'
         : '0%',
       lastErrors: this.errorTracker.lastErrors,
-      usingWorker: !!process.env.FPL_WORKER_URL
+      usingWorker: !!process.env.FPL_WORKER_URL,
+      upstreamSource: upstreamSource.getSource()
     };
   }
 }
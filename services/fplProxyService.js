@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const upstreamSource = require('./upstreamSource');
 const { 
   getBootstrapData, 
   getPicksData, 
@@ -253,7 +254,7 @@ const setupFplProxy = (app) => {
       const gameweek = req.params.gameweek;
       
       // Try to fetch directly from FPL API without database dependency
-      const response = await fetch(`https://fantasy.premierleague.com/api/event/${gameweek}/live/`, {
+      const response = await fetch(upstreamSource.directUrl(`event/${gameweek}/live/`), {
         timeout: 15000
         // No headers to avoid CORS issues
       });
@@ -293,7 +294,7 @@ const setupFplProxy = (app) => {
     try {
       const id = req.params.id;
       const data = await fetchFplData(
-        `https://fantasy.premierleague.com/api/entry/${id}/history/`,
+        upstreamSource.directUrl(`entry/${id}/history/`),
         `entry:${id}:history`
       );
       res.json(data);
@@ -326,7 +327,7 @@ const setupFplProxy = (app) => {
     try {
       const id = req.params.id;
       const data = await fetchFplData(
-        `https://fantasy.premierleague.com/api/element-summary/${id}/`,
+        upstreamSource.directUrl(`element-summary/${id}/`),
         `player:${id}`
       );
       res.json(data);
@@ -342,7 +343,7 @@ const setupFplProxy = (app) => {
   app.get('/fpl-basic/fixtures', async (req, res) => {
     try {
       const data = await fetchFplData(
-        'https://fantasy.premierleague.com/api/fixtures/',
+        upstreamSource.directUrl('fixtures/'),
         'fixtures'
       );
       res.json(data);
@@ -359,7 +360,7 @@ const setupFplProxy = (app) => {
     try {
       const id = req.params.id;
       const data = await fetchFplData(
-        `https://fantasy.premierleague.com/api/leagues-classic/${id}/standings/`,
+        upstreamSource.directUrl(`leagues-classic/${id}/standings/`),
         `league:${id}`
       );
       res.json(data);
@@ -376,7 +377,7 @@ const setupFplProxy = (app) => {
     try {
       const id = req.params.id;
       const data = await fetchFplData(
-        `https://fantasy.premierleague.com/api/entry/${id}/transfers/`,
+        upstreamSource.directUrl(`entry/${id}/transfers/`),
         `entry:${id}:transfers`
       );
       res.json(data);
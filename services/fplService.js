@@ -1,13 +1,32 @@
 const axios = require('axios');
 const { loadBootstrapData } = require('./bootstrapService');
 const FPLAPIProxyService = require('./fplApiProxyService');
+const upstreamSource = require('./upstreamSource');
+const snapshotStore = require('./snapshotStore');
+const scoringEngine = require('../utils/scoringEngine');
+const autosubEngine = require('../utils/autosubEngine');
+const bonusEngine = require('../utils/bonusEngine');
+const transferEngine = require('../utils/transferEngine');
+const rankEngine = require('../utils/rankEngine');
+const whatIfEngine = require('../utils/whatIfEngine');
+const templateEngine = require('../utils/templateEngine');
+const chipPlannerEngine = require('../utils/chipPlannerEngine');
+const fixtureEngine = require('../utils/fixtureEngine');
+const squadEngine = require('../utils/squadEngine');
+const transferOptimiserEngine = require('../utils/transferOptimiserEngine');
+const mongooseCache = require('./mongooseCache');
+const samplePanelService = require('./samplePanelService');
+const assistantManagerService = require('./assistantManagerService');
+const managerCatalogueService = require('./managerCatalogueService');
+const projectionService = require('./projectionService');
+const sampleStats = require('../utils/sampleStats');
 const { TopStats, PicksData, PlannerData } = require('../config/db');
-const managersData = require('../utils/data/managers.json');
 
 // In-memory cache with longer duration
 const memoryCache = {};
 const CACHE_DURATION_SHORT = 900000; // 15 minutes for frequently updated data
 const CACHE_DURATION_LONG = 43200000; // 6 hours for stable data
+const DEFAULT_TOTAL_PLAYERS = 10000000; // Only when bootstrap has no total_players
 
 // Enhanced utility function for delay with jitter
 const delay = (ms) => new Promise(resolve => {
@@ -20,8 +39,10 @@ const fetchWithRetry = async (url, retries = 3, initialDelayMs = 1000) => {
   for (let i = 0; i < retries; i++) {
     try {
       const response = await axios.get(url, { timeout: 15000 });
+      snapshotStore.record(url, response);
       return response;
     } catch (err) {
+      if (err.response) snapshotStore.record(url, err.response);
       const isNetworkError = err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' || err.code === 'ENOTFOUND';
       const isRateLimited = err.response?.status === 429;
       const isServerError = err.response?.status >= 500 && err.response?.status < 600;
@@ -167,181 +188,120 @@ const getCurrentGameweek = () => {
   return 30; // Adjust based on the current time of year
 };
 
-const estimateLiveRank = async (totalPoints, seasonPoints, managerRank, picks = [], assistantManagerPoints = 0) => {
-  try {
-    // Ensure numeric inputs with safe defaults
-    totalPoints = Number(totalPoints) || 0;
-    seasonPoints = Number(seasonPoints) || 0;
-    managerRank = Number(managerRank) || 5000000;
-    const adjustedTotalPoints = totalPoints + assistantManagerPoints;
-
-    console.log('estimateLiveRank inputs:', { totalPoints, seasonPoints, managerRank, adjustedTotalPoints });
-
-    // Use FPLAPIProxyService to get required data
-    const rankData = await FPLAPIProxyService.fetchRankData(
-      'estimate', // Use 'estimate' as placeholder for managerId
-      getCurrentGameweek(),
-      totalPoints,
-      seasonPoints,
-      managerRank
-    );
-    
-    // If we got a direct result from the worker, return it
-    if (rankData.simulatedRank) {
-      return rankData.simulatedRank;
-    }
-    
-    // Otherwise, calculate the rank using fetched data
-    const bootstrapData = rankData.bootstrapData || await getBootstrapData();
-    const top10kStats = rankData.top10kStats || memoryCache[`gw${getCurrentGameweek() - 1}`]?.data || await getTop10kStats(getCurrentGameweek() - 1);
-    
-    const currentGW = bootstrapData.events.find(e => e.is_current)?.id || 1;
-    const pastGW = Math.max(1, currentGW - 1);
-
-    const avgPointsTop10k = Number(top10kStats?.top10k?.averagePoints) || 80;
-    const avgPointsOverall = Number(bootstrapData.events.find(e => e.id === pastGW)?.average_entry_score) || 50;
-    
-    const totalManagers = 10000000;
-    const maxPoints = avgPointsTop10k * 1.5;
-
-    // If picks are provided, enhance calculation with EO and bonus points
-    if (picks && picks.length > 0) {
-      // Use cached top100k EO for rank ~100k
-      const nearRankEO = top10kStats?.top100k?.eoBreakdown || {};
-      const updatedPicks = picks.map(pick => ({
-        ...pick,
-        eo: nearRankEO[pick.playerId]?.eo || pick.eo
-      }));
-
-      // Calculate bonus points if not already included
-      const bonusPoints = updatedPicks.reduce((sum, pick) => {
-        return sum + (pick.bonus || 0) * (pick.multiplier || 1);
-      }, 0);
-
-      const livePoints = adjustedTotalPoints + bonusPoints;
-      const newTotalPoints = seasonPoints + livePoints;
-
-      const calculateRankShift = (points, baseRank, picks) => {
-        const avgLiveGain = avgPointsOverall * 0.7 + avgPointsTop10k * 0.3;
-        const pointDiff = points - (seasonPoints + avgLiveGain);
-        const eoImpact = Math.min(1.5, picks.reduce((sum, pick) => {
-          const eo = Number(pick.eo) / 100;
-          return sum + (pick.livePoints * (1 - eo));
-        }, 0) / picks.length || 1);
-
-        const steepness = 0.02;
-        const rankDensityFactor = baseRank < 10000 ? 0.005 : baseRank < 100000 ? 0.03 : 0.07;
-        const rankChange = pointDiff >= 0 
-          ? -baseRank * eoImpact * Math.tanh(steepness * pointDiff) * rankDensityFactor
-          : baseRank * eoImpact * Math.tanh(steepness * -pointDiff) * rankDensityFactor;
-
-        let estimatedRank = baseRank + rankChange;
-
-        if (points > seasonPoints + avgPointsTop10k * 1.2) {
-          const top10kPrecision = (points - (seasonPoints + avgLiveGain)) / (avgPointsTop10k * 1.5);
-          estimatedRank = Math.min(estimatedRank, Math.round(10000 * (1 - top10kPrecision)));
-        }
-
-        return Math.round(Math.max(1, Math.min(totalManagers, estimatedRank)));
-      };
-
-      const estimatedRank = calculateRankShift(newTotalPoints, managerRank, updatedPicks);
-
-      console.log('Final estimated live rank:', { 
-        totalPoints, 
-        seasonPoints, 
-        managerRank, 
-        bonusPoints, 
-        estimatedRank 
-      });
-      
-      return estimatedRank;
-    } 
-    
-    // Original sigmoid-based calculation if no picks provided
-    else {
-      // Advanced ranking calculation using sigmoid-like function
-      const calculateRank = (points) => {
-        // Sigmoid-like function for more natural rank distribution
-        const steepness = 0.02; // Controls how quickly rank changes with points
-        const midpoint = avgPointsOverall;
-        
-        // Normalized score between 0 and 1
-        const normalizedScore = 1 / (1 + Math.exp(-steepness * (points - midpoint)));
-        
-        // Map normalized score to rank, giving preference to top performers
-        const rank = totalManagers * Math.pow(1 - normalizedScore, 1.5);
-        
-        return Math.max(1, Math.min(totalManagers, Math.round(rank)));
-      };
-
-      // Incorporate season performance and live points
-      const performanceWeight = 0.3; // Weight of season points
-      const livePointsWeight = 1 - performanceWeight;
-
-      const weightedPoints = (
-        (seasonPoints * performanceWeight) + 
-        (adjustedTotalPoints * livePointsWeight)
-      );
-
-      // Apply rank calculation
-      let estimatedRank = calculateRank(weightedPoints);
+/**
+ * Store the sampled managers used by the live rank estimator
+ * @param {number} gameweek - Gameweek the sample was taken for
+ * @param {Array} managers - Sampled managers with rank, preGwPoints, transferCost and picks
+ * @param {number} totalPlayers - bootstrap total_players
+ * @returns {Promise<Object>} - Stored sample
+ */
+const saveRankSample = async (gameweek, managers, totalPlayers) => {
+  const sample = {
+    gameweek: Number(gameweek),
+    totalPlayers: totalPlayers || null,
+    managers: managers
+      .filter(m => m.rank && Number.isFinite(m.preGwPoints))
+      .map(m => ({
+        rank: m.rank,
+        preGwPoints: m.preGwPoints,
+        transferCost: m.transferCost || 0,
+        activeChip: m.active_chip || null,
+        picks: m.picks.map(p => ({
+          element: p.element,
+          position: p.position,
+          multiplier: p.multiplier,
+          is_captain: !!p.is_captain,
+          is_vice_captain: !!p.is_vice_captain
+        }))
+      })),
+    timestamp: Date.now()
+  };
+  memoryCache[`rankSample:gw${gameweek}`] = { data: sample, timestamp: Date.now() };
+  await mongooseCache.set(`rankSample:gw${gameweek}`, sample, 86400);
+  return sample;
+};
 
-      // Top 10k precision refinement
-      if (weightedPoints >= avgPointsTop10k) {
-        const top10kPrecision = Math.min(1, (weightedPoints - avgPointsTop10k) / (maxPoints - avgPointsTop10k));
-        estimatedRank = Math.round(10000 * (1 - top10kPrecision));
-      }
+const getRankSample = async (gameweek) => {
+  const cacheKey = `rankSample:gw${gameweek}`;
+  if (memoryCache[cacheKey] && (Date.now() - memoryCache[cacheKey].timestamp) < CACHE_DURATION_SHORT) {
+    return memoryCache[cacheKey].data;
+  }
+  const sample = await mongooseCache.get(cacheKey);
+  if (sample) memoryCache[cacheKey] = { data: sample, timestamp: Date.now() };
+  return sample;
+};
 
-      // Position adjustment based on initial season rank
-      const rankAdjustmentFactor = Math.min(1, Math.max(0.5, 1 - (managerRank / totalManagers)));
-      estimatedRank = Math.round(estimatedRank * rankAdjustmentFactor);
+/**
+ * Estimate live overall rank from the sampled points distribution
+ * @param {number} totalPoints - Live gameweek points (after hits and chips)
+ * @param {number} seasonPoints - Season total before this gameweek
+ * @param {number} managerRank - Last known overall rank, returned when no estimate is possible
+ * @param {number} gameweek - Gameweek being played
+ * @returns {Promise<Object>} - { rank, lower, upper, confidence, sampleSize, totalPlayers, method }
+ */
+const estimateLiveRank = async (totalPoints, seasonPoints, managerRank, gameweek = getCurrentGameweek()) => {
+  const lastKnown = {
+    rank: Number(managerRank) || null,
+    lower: null,
+    upper: null,
+    confidence: null,
+    sampleSize: 0,
+    totalPlayers: null,
+    method: 'last_known'
+  };
 
-      // Final safeguards
-      estimatedRank = Math.max(1, Math.min(totalManagers, estimatedRank));
+  try {
+    const projectedTotal = (Number(seasonPoints) || 0) + (Number(totalPoints) || 0);
+    const [sample, liveData, bootstrapData, fixtures] = await Promise.all([
+      getRankSample(gameweek),
+      FPLAPIProxyService.fetchLiveData(gameweek),
+      getBootstrapData(),
+      FPLAPIProxyService.fetchFixtures(gameweek).catch(() => [])
+    ]);
 
-      console.log('Estimated live rank:', { 
-        totalPoints, 
-        seasonPoints, 
-        managerRank, 
-        weightedPoints, 
-        estimatedRank 
-      });
+    const totalPlayers = bootstrapData.total_players || sample?.totalPlayers;
+    if (!sample || !totalPlayers) {
+      console.warn(`No rank sample for GW ${gameweek}, keeping last known rank`);
+      return { ...lastKnown, totalPlayers: totalPlayers || null };
+    }
 
-      return estimatedRank;
+    // Score the sample with the same bonus and autosub rules as the manager's own points
+    const samples = rankEngine.projectSampleTotals(sample.managers, liveData.elements || [], {
+      elements: bootstrapData.elements || [],
+      fixtures
+    });
+    const estimate = rankEngine.estimateRank(projectedTotal, samples, totalPlayers);
+    if (!estimate) {
+      console.warn(`Rank sample for GW ${gameweek} too small (${samples.length}), keeping last known rank`);
+      return { ...lastKnown, sampleSize: samples.length, totalPlayers };
     }
+
+    console.log('Estimated live rank:', { totalPoints, seasonPoints, projectedTotal, ...estimate });
+    return estimate;
   } catch (err) {
     console.error('Error estimating live rank:', err.message);
-    return 10000000; // Fallback to worst rank
+    return lastKnown;
   }
 };
 
 const simulateRank = async (id, gameweek, additionalPoints) => {
   try {
     const picksData = await getPicksData(id, gameweek);
+    // Live points already include any assistant manager points
     const currentPoints = picksData.totalLivePoints || 0;
-    const assistantManagerPoints = picksData.assistantManagerPoints || 0;
     
     // Get manager data to pass to estimateLiveRank
     const managerData = await getManagerData(id);
-    const seasonPoints = managerData.totalPoints || 0;
-    const managerRank = managerData.rank || 5000000;
+    const seasonPoints = picksData.seasonPoints ?? (managerData.totalPoints || 0);
+    const managerRank = managerData.rank || null;
     
-    // Include assistant manager points in the simulation if active
     const simulatedPoints = currentPoints + additionalPoints;
-    
-    // Pass all required parameters to estimateLiveRank
-    const simulatedRank = await estimateLiveRank(
-      simulatedPoints, 
-      seasonPoints,
-      managerRank,
-      picksData.picks || [],
-      assistantManagerPoints
-    );
+    const simulatedRankEstimate = await estimateLiveRank(simulatedPoints, seasonPoints, managerRank, gameweek);
     
     return { 
       simulatedPoints, 
-      simulatedRank,
+      simulatedRank: simulatedRankEstimate.rank,
+      simulatedRankEstimate,
       currentRank: picksData.liveRank || managerRank,
       additionalPoints 
     };
@@ -351,6 +311,373 @@ const simulateRank = async (id, gameweek, additionalPoints) => {
   }
 };
 
+/**
+ * Simulate per-player what-if events against the manager and the field
+ * @param {number} id - Manager ID
+ * @param {number} gameweek - Gameweek number
+ * @param {Array} events - [{ playerId, type, count, value }], see whatIfEngine.WHAT_IF_EVENT_TYPES
+ * @param {Object} options - { tier } to compare against a specific getTop10kStats tier
+ * @returns {Promise<Object>} - Points changes per player, simulated points and simulated rank
+ */
+const simulateWhatIf = async (id, gameweek, events, { tier } = {}) => {
+  const picksData = await getPicksData(id, gameweek);
+  const [liveData, bootstrapData, top10kStats, managerData] = await Promise.all([
+    FPLAPIProxyService.fetchLiveData(gameweek),
+    getBootstrapData(),
+    getTop10kStats(gameweek),
+    getManagerData(id)
+  ]);
+
+  const picks = picksData.picks || [];
+  const managerRank = picksData.liveRank || managerData.rank || null;
+  const eoTier = tier && top10kStats?.[tier] ? tier : whatIfEngine.getEoTier(managerRank);
+  const eoByPlayer = top10kStats?.[eoTier]?.eoBreakdown || {};
+
+  // captain_blank targets whoever currently holds the armband (the vice if they were promoted)
+  const captain = picks.reduce((best, pick) => (!best || pick.multiplier > best.multiplier ? pick : best), null);
+  const resolvedEvents = events.map(event => (
+    event.type === 'captain_blank' && !event.playerId ? { ...event, playerId: captain?.playerId } : event
+  ));
+
+  const positionMap = { 1: 'GK', 2: 'DEF', 3: 'MID', 4: 'FWD' };
+  const players = new Map();
+  resolvedEvents.forEach(event => {
+    const playerId = Number(event.playerId);
+    if (players.has(playerId)) return;
+    const element = bootstrapData.elements.find(el => el.id === playerId);
+    if (!element) return;
+    const pick = picks.find(p => p.playerId === playerId);
+    const positionType = positionMap[element.element_type] || 'UNK';
+    const liveElement = (liveData.elements || []).find(el => el.id === playerId);
+    const scored = scoringEngine.scoreElement(liveElement, positionType, picksData.rulesVersion);
+    players.set(playerId, {
+      name: element.web_name,
+      positionType,
+      basePoints: pick ? pick.basePoints : scored.basePoints,
+      breakdown: scored.breakdown,
+      multiplier: pick ? pick.multiplier : 0
+    });
+  });
+
+  const unknown = resolvedEvents.filter(event => !players.has(Number(event.playerId)));
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown player: ${unknown.map(event => event.playerId).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const simulation = whatIfEngine.simulateEvents(resolvedEvents, {
+    players,
+    eoByPlayer,
+    rulesVersion: picksData.rulesVersion
+  });
+
+  const currentPoints = picksData.totalLivePoints || 0;
+  const seasonPoints = picksData.seasonPoints ?? (managerData.totalPoints || 0);
+  // The sampled field does not move with the events, so shift the manager by the net change instead
+  const simulatedRankEstimate = await estimateLiveRank(
+    currentPoints + simulation.netDelta,
+    seasonPoints,
+    managerData.rank,
+    gameweek
+  );
+
+  return {
+    currentPoints,
+    simulatedPoints: currentPoints + simulation.managerDelta,
+    managerDelta: simulation.managerDelta,
+    fieldDelta: simulation.fieldDelta,
+    netDelta: simulation.netDelta,
+    eoTier,
+    players: simulation.players,
+    currentRank: managerRank,
+    simulatedRank: simulatedRankEstimate.rank,
+    simulatedRankEstimate
+  };
+};
+
+/**
+ * Rank gained or lost per point for every player that matters to a manager
+ * @param {number} id - Manager ID
+ * @param {number} gameweek - Gameweek number
+ * @param {Object} options - { tier, minEo } tier overrides the manager's rank tier, minEo is the field EO cut-off
+ * @returns {Promise<Object>} - { eoTier, currentRank, rankPerPoint, threats, gains }
+ */
+const getRankSwing = async (id, gameweek, { tier, minEo = 5 } = {}) => {
+  const picksData = await getPicksData(id, gameweek);
+  const [bootstrapData, top10kStats, managerData] = await Promise.all([
+    getBootstrapData(),
+    getTop10kStats(gameweek),
+    getManagerData(id)
+  ]);
+
+  const managerRank = picksData.liveRank || managerData.rank || null;
+  const eoTier = tier && top10kStats?.[tier] ? tier : whatIfEngine.getEoTier(managerRank);
+  const currentPoints = picksData.totalLivePoints || 0;
+  const seasonPoints = picksData.seasonPoints ?? (managerData.totalPoints || 0);
+
+  // Places one point is worth at the manager's current total, from the same estimator as the live rank
+  const [above, below] = await Promise.all([
+    estimateLiveRank(currentPoints + 1, seasonPoints, managerData.rank, gameweek),
+    estimateLiveRank(currentPoints - 1, seasonPoints, managerData.rank, gameweek)
+  ]);
+  const rankPerPoint = above.method === 'distribution' && below.method === 'distribution'
+    ? Math.max(0, (below.rank - above.rank) / 2)
+    : null;
+
+  const swing = whatIfEngine.buildRankSwing({
+    picks: picksData.picks || [],
+    eoByPlayer: top10kStats?.[eoTier]?.eoBreakdown || {},
+    elements: bootstrapData.elements || [],
+    rankPerPoint,
+    minEo
+  });
+
+  return {
+    eoTier,
+    currentRank: managerRank,
+    rankPerPoint,
+    ...swing
+  };
+};
+
+/**
+ * Money in the bank from a picks response
+ * @param {Object} picksData - entry/{id}/event/{gw}/picks/ response
+ * @returns {number} - Bank in £m (0 when missing)
+ */
+const getBank = (picksData) =>
+  typeof picksData?.entry_history?.bank === 'number' ? picksData.entry_history.bank / 10 : 0;
+
+/**
+ * Assistant managers ranked for the gameweeks the chip would cover
+ * @param {number} id - Manager ID
+ * @param {Object} options - { gameweek: first gameweek of the window (defaults to the next one), limit }
+ * @returns {Promise<Object>} - { chipAvailable, window, bank, recommendations }
+ */
+const getAssistantManagerRecommendations = async (id, { gameweek = null, limit = 5 } = {}) => {
+  const [plannerData, bootstrapData] = await Promise.all([
+    getPlannerData(id),
+    getBootstrapData()
+  ]);
+  const nextEvent = (bootstrapData.events || []).find(event => event.is_next)?.id;
+  const startGameweek = gameweek || nextEvent || Math.min((plannerData.currentGameweek || 0) + 1, 38);
+  // The manager's real bank; plannerData.budget is last season's bank less the active manager's cost
+  const picksData = await FPLAPIProxyService.fetchPicksData(id, plannerData.currentGameweek || 1).catch(err => {
+    console.warn(`Failed to fetch picks for ID ${id}, recommending without a budget:`, err.message);
+    return null;
+  });
+
+  const result = await assistantManagerService.recommend({
+    startGameweek,
+    bank: picksData ? getBank(picksData) : null,
+    bootstrapData,
+    limit
+  });
+  return {
+    chipAvailable: !!plannerData.chipsAvailable?.assistant_manager,
+    ...result
+  };
+};
+
+/**
+ * Best gameweek for each remaining chip, with the expected point gain
+ * @param {number} id - Manager ID
+ * @returns {Promise<Object>} - { currentGameweek, chipsAvailable, startGameweek, plan, candidates, gameweeks }
+ */
+const getChipPlan = async (id) => {
+  // Free Hit and Wildcard budgets come from the real bank and the squad's selling prices
+  const [{ plannerData, squad, bank }, bootstrapData] = await Promise.all([
+    getSquadState(id),
+    getBootstrapData()
+  ]);
+  const currentGameweek = plannerData.currentGameweek || 1;
+
+  // Best manager for each window start, only worth working out if the chip is still to play
+  const assistantManagerGains = {};
+  if (chipPlannerEngine.getPlannableChips(plannerData.chipsAvailable || {}, currentGameweek).assistant_manager) {
+    for (let gw = Math.max(currentGameweek + 1, chipPlannerEngine.ASSISTANT_MANAGER_FROM); gw <= 38; gw++) {
+      try {
+        const { recommendations } = await assistantManagerService.recommend({ startGameweek: gw, bank, bootstrapData, limit: 1 });
+        assistantManagerGains[gw] = recommendations[0]?.affordable ? recommendations[0].expectedPoints : 0;
+      } catch (err) {
+        console.error(`Error projecting assistant managers for GW ${gw}: ${err.message}`);
+        break;
+      }
+    }
+  }
+
+  const plan = chipPlannerEngine.planChips({
+    squad,
+    players: plannerData.allPlayers || [],
+    fixtures: plannerData.fixtures || [],
+    chipsAvailable: plannerData.chipsAvailable || {},
+    currentGameweek,
+    bank,
+    assistantManagerGains
+  });
+
+  return {
+    currentGameweek,
+    chipsAvailable: plannerData.chipsAvailable || {},
+    ...plan
+  };
+};
+
+/**
+ * Projected points for every player in each gameweek: stored xP where it has
+ * been generated, otherwise points per game scaled by fixture difficulty
+ * @param {Array} gameweeks - Gameweeks to project
+ * @param {Object} plannerData - From getPlannerData()
+ * @returns {Promise<Object>} - { projections: Map of gameweek to Map of player ID to points, sources: gameweek to 'xp' or 'fixtures' }
+ */
+const getGameweekProjections = async (gameweeks, plannerData) => {
+  const projections = await projectionService.getProjectionMap(gameweeks).catch(err => {
+    console.error('Error loading xP projections:', err.message);
+    return new Map();
+  });
+  const teamFixtures = fixtureEngine.buildTeamFixtures(plannerData.fixtures || []);
+  const squadById = new Map((plannerData.currentPicks || []).map(p => [p.id, p]));
+  const sources = {};
+
+  gameweeks.forEach(gw => {
+    if (projections.has(gw)) {
+      sources[gw] = 'xp';
+      return;
+    }
+    sources[gw] = 'fixtures';
+    projections.set(gw, new Map((plannerData.allPlayers || []).map(p => {
+      const pointsPerGame = chipPlannerEngine.getPointsPerGame(squadById.get(p.id) || p, plannerData.currentGameweek || 1);
+      return [p.id, chipPlannerEngine.projectPlayer(pointsPerGame, teamFixtures.get(gw)?.get(p.teamId))];
+    })));
+  });
+
+  return { projections, sources };
+};
+
+/**
+ * A manager's current squad with selling prices, bank and free transfers
+ * @param {number} id - Manager ID
+ * @returns {Promise<Object>} - { plannerData, currentGameweek, squad, bank, freeTransfers }
+ */
+const getSquadState = async (id) => {
+  const plannerData = await getPlannerData(id);
+  const currentGameweek = plannerData.currentGameweek || 1;
+
+  const [rawBootstrap, { managerData, historyData }, transfers, picksData] = await Promise.all([
+    FPLAPIProxyService.fetchBootstrapData(),
+    FPLAPIProxyService.fetchManagerData(id),
+    FPLAPIProxyService.fetchTransfersData(id).catch(err => {
+      console.warn(`Failed to fetch transfers for ID ${id}:`, err.message);
+      return [];
+    }),
+    FPLAPIProxyService.fetchPicksData(id, currentGameweek)
+  ]);
+
+  // Selling prices from the manager's purchase prices
+  const freeHitEvents = (historyData?.chips || []).filter(chip => chip.name === 'freehit').map(chip => chip.event);
+  const squadPicks = plannerData.currentPicks || [];
+
+  // A manager who joined after GW1 bought their first squad at the prices of their started_event
+  const startedEvent = managerData?.started_event || 1;
+  const startPrices = new Map();
+  if (startedEvent > 1) {
+    const boughtIds = new Set(transfers.filter(t => !freeHitEvents.includes(t.event)).map(t => t.element_in));
+    const originals = squadPicks.filter(p => !boughtIds.has(p.id));
+    const summaries = await Promise.allSettled(originals.map(p => FPLAPIProxyService.fetchPlayerSummary(p.id)));
+    summaries.forEach((result, index) => {
+      const price = result.status === 'fulfilled'
+        ? squadEngine.getPriceAtGameweek(result.value?.history || [], startedEvent)
+        : null;
+      if (price !== null) startPrices.set(originals[index].id, price);
+      else console.warn(`No GW${startedEvent} price for player ${originals[index].id}; using their start of season price`);
+    });
+  }
+
+  const prices = squadEngine.getSquadPrices(
+    squadPicks.map(p => p.id), transfers, rawBootstrap.elements || [], freeHitEvents, startPrices
+  );
+  const squad = squadPicks.map(p => {
+    const price = prices.get(p.id);
+    return { ...p, purchasePrice: price.purchasePrice / 10, sellingPrice: price.sellingPrice / 10 };
+  });
+
+  return {
+    plannerData,
+    currentGameweek,
+    squad,
+    bank: getBank(picksData),
+    // Unlimited before the first deadline, which the bank cap covers for planning
+    freeTransfers: transferEngine.getFreeTransfers(historyData, currentGameweek + 1) ?? transferEngine.MAX_BANKED_TRANSFERS
+  };
+};
+
+/**
+ * Check planned transfers against the squad rules and the real budget
+ * @param {number} id - Manager ID
+ * @param {Array} transfers - [{ out, in }] player IDs, in the order they are made
+ * @returns {Promise<Object>} - applyTransfers() result plus the starting bank
+ */
+const validateTransfers = async (id, transfers) => {
+  const { plannerData, squad, bank } = await getSquadState(id);
+  const playersById = new Map((plannerData.allPlayers || []).map(p => [p.id, p]));
+  return {
+    startingBank: bank,
+    ...squadEngine.applyTransfers(squad, bank, transfers, playersById)
+  };
+};
+
+/**
+ * Best transfer plans for the next few gameweeks
+ * @param {number} id - Manager ID
+ * @param {Object} options - { horizon, freeTransfers, bank, maxHits, limit }; freeTransfers and bank default to the manager's own
+ * @returns {Promise<Object>} - { startGameweek, gameweeks, bank, freeTransfers, squad, baseline, plans, projectionSources }
+ */
+const getTransferPlan = async (id, { horizon = 4, freeTransfers = null, bank = null, maxHits = 2, limit = 3 } = {}) => {
+  const state = await getSquadState(id);
+  const startGameweek = state.currentGameweek + 1;
+  const bankValue = bank ?? state.bank;
+  const freeTransferCount = freeTransfers ?? state.freeTransfers;
+  if (startGameweek > 38) {
+    return {
+      startGameweek,
+      gameweeks: [],
+      bank: bankValue,
+      freeTransfers: freeTransferCount,
+      squad: [],
+      baseline: null,
+      plans: [],
+      projectionSources: {}
+    };
+  }
+
+  const gameweeks = [];
+  for (let gw = startGameweek; gw < startGameweek + horizon && gw <= 38; gw++) gameweeks.push(gw);
+  const { projections, sources } = await getGameweekProjections(gameweeks, state.plannerData);
+
+  const result = transferOptimiserEngine.optimiseTransfers({
+    squad: state.squad,
+    players: state.plannerData.allPlayers || [],
+    projections,
+    gameweeks,
+    bank: bankValue,
+    freeTransfers: freeTransferCount,
+    maxHits,
+    limit
+  });
+
+  return {
+    startGameweek,
+    gameweeks,
+    bank: bankValue,
+    freeTransfers: freeTransferCount,
+    squad: state.squad.map(({ id: playerId, name, teamId, positionType, cost, purchasePrice, sellingPrice }) =>
+      ({ id: playerId, name, teamId, positionType, cost, purchasePrice, sellingPrice })),
+    ...result,
+    projectionSources: sources
+  };
+};
+
 const identifyDifferentials = (picks, top10kStats, managerRank) => {
   const nearRankEOThreshold = managerRank < 10000 ? 5 : 10; // Stricter for top ranks
   const top10kEOThreshold = 5;
@@ -381,13 +708,17 @@ const getPicksData = async (id, gameweek) => {
 
   try {
     // Use FPLAPIProxyService for more reliable data fetching
-    const [picksData, liveData, managerData, transfersData] = await Promise.all([
+    const [picksData, liveData, { managerData, historyData }, transfersData, fixturesData] = await Promise.all([
       FPLAPIProxyService.fetchPicksData(id, gameweek),
       FPLAPIProxyService.fetchLiveData(gameweek),
-      FPLAPIProxyService.fetchManagerData(id).then(data => data.managerData),
+      FPLAPIProxyService.fetchManagerData(id),
       FPLAPIProxyService.fetchTransfersData(id).catch(err => {
         console.warn(`Failed to fetch transfers for ID ${id}, GW ${gameweek}:`, err.message);
         return []; // Default to empty array if transfers fetch fails
+      }),
+      FPLAPIProxyService.fetchFixtures(gameweek).catch(err => {
+        console.warn(`Failed to fetch fixtures for GW ${gameweek}:`, err.message);
+        return []; // Without fixtures no starter can be confirmed as finished, so no autosubs are made
       })
     ]);
     
@@ -402,9 +733,10 @@ const getPicksData = async (id, gameweek) => {
     }
 
     const liveElements = liveData.elements;
-    const managerRank = managerData.summary_overall_rank || 5000000;
-    const seasonPoints = managerData.summary_overall_points || 0;
-    const totalManagers = 10000000;
+    const totalManagers = bootstrapData.total_players || DEFAULT_TOTAL_PLAYERS;
+    // Unranked managers sit at the middle of the field
+    const managerRank = managerData.summary_overall_rank || Math.round(totalManagers / 2);
+    const seasonPoints = rankEngine.getPreGameweekPoints(managerData, gameweek);
     const rankFactor = Math.min(1, Math.max(0.5, 1 - (managerRank / totalManagers)));
 
     const activeChip = picksData.active_chip; // e.g., "wildcard", "3cap", "bboost", "freehit", "assistant_manager"
@@ -417,86 +749,23 @@ const getPicksData = async (id, gameweek) => {
         }, {})
       : {};
 
+    // Bonus from BPS for fixtures where FPL has not confirmed it yet
+    const teamByElement = new Map(bootstrapData.elements.map(el => [el.id, el.team]));
+    const bonusMap = bonusEngine.buildBonusMap(fixturesData, liveElements, teamByElement);
+    const fixtureCounts = fixtureEngine.countTeamFixtures(fixturesData);
+
+    const scoredById = {};
     const picks = picksData.picks.map(pick => {
       const player = bootstrapData.elements.find(el => el.id === pick.element);
-      const liveStats = liveElements.find(el => el.id === pick.element)?.stats || {};
+      const liveElement = liveElements.find(el => el.id === pick.element);
+      const liveStats = liveElement?.stats || {};
       
       const positionMap = { 1: 'GK', 2: 'DEF', 3: 'MID', 4: 'FWD' };
       const ownership = player ? parseFloat(player.selected_by_percent) : 0;
       const positionType = player?.element_type ? positionMap[player.element_type] : 'UNK';
-
-      const events = [];
-      if (liveStats.goals_scored) events.push({ 
-        type: 'Goal', 
-        points: liveStats.goals_scored * (pick.multiplier || 1) * (positionType === 'GK' || positionType === 'DEF' ? 6 : positionType === 'MID' ? 5 : 4), 
-        count: liveStats.goals_scored 
-      });
-      
-      if (liveStats.assists) events.push({ 
-        type: 'Assist', 
-        points: liveStats.assists * 3, 
-        count: liveStats.assists 
-      });
-      
-      if (liveStats.clean_sheets && pick.multiplier > 0) events.push({ 
-        type: 'Clean Sheet', 
-        points: positionType === 'GK' || positionType === 'DEF' ? 4 : positionType === 'MID' ? 1 : 0, 
-        count: 1 
-      });
-      
-      if (liveStats.saves && positionType === 'GK') events.push({ 
-        type: 'Saves', 
-        points: Math.floor(liveStats.saves / 3) * 1, 
-        count: liveStats.saves 
-      });
-      
-      if (liveStats.bonus) events.push({ 
-        type: 'Bonus', 
-        points: liveStats.bonus, 
-        count: 1 
-      });
-      
-      if (liveStats.yellow_cards) events.push({ 
-        type: 'Yellow Card', 
-        points: -1, 
-        count: liveStats.yellow_cards 
-      });
-      
-      if (liveStats.red_cards) events.push({ 
-        type: 'Red Card', 
-        points: -3, 
-        count: liveStats.red_cards 
-      });
-      
-      if (liveStats.penalties_missed) events.push({ 
-        type: 'Penalty Missed', 
-        points: -2, 
-        count: liveStats.penalties_missed 
-      });
-      
-      if (liveStats.own_goals) events.push({
-        type: 'Own Goal',
-        points: -2,
-        count: liveStats.own_goals
-      });
-      
-      if (liveStats.penalties_saved && positionType === 'GK') events.push({
-        type: 'Penalty Saved',
-        points: 5,
-        count: liveStats.penalties_saved
-      });
-      
-      if (liveStats.goals_conceded && pick.multiplier > 0 && 
-         (positionType === 'GK' || positionType === 'DEF')) {
-        const pointsDeduction = -Math.floor(liveStats.goals_conceded / 2);
-        if (pointsDeduction !== 0) {
-          events.push({
-            type: 'Goals Conceded',
-            points: pointsDeduction,
-            count: liveStats.goals_conceded
-          });
-        }
-      }
+      const bonus = bonusMap.get(pick.element) || null;
+      const scored = scoringEngine.scorePick(pick, liveElement, positionType, undefined, bonus);
+      scoredById[pick.element] = scored;
 
       return {
         name: player ? (player.web_name || `${player.first_name} ${player.second_name}`) : 'Unknown Player',
@@ -504,96 +773,56 @@ const getPicksData = async (id, gameweek) => {
         position: pick.position,
         positionType: positionType,
         multiplier: pick.multiplier,
-        livePoints: liveStats.total_points ? liveStats.total_points * pick.multiplier : 0,
-        bonus: liveStats.bonus || 0,
+        isCaptain: !!pick.is_captain,
+        isViceCaptain: !!pick.is_vice_captain,
+        basePoints: scored.basePoints,
+        livePoints: scored.livePoints,
+        bonus: Math.max(liveStats.bonus || 0, bonus?.points || 0),
+        bonusProvisional: !!bonus?.provisional,
+        bps: liveStats.bps || 0,
         goals: liveStats.goals_scored || 0,
         assists: liveStats.assists || 0,
         teamId: player ? player.team : 0,
         teamShortName: player ? teamMap[player.team] || 'UNK' : 'UNK',
+        // Unknown without fixtures, rather than flagging every team as blank
+        fixtureCount: player && fixturesData.length > 0 ? fixtureCounts.get(player.team) || 0 : null,
         eo: (ownership * rankFactor).toFixed(1),
         minutes: liveStats.minutes || 0,
-        events: events,
-        viceCaptainPoints: pick.is_vice_captain && pick.multiplier === 1 ? liveStats.total_points || 0 : 0,
+        events: scored.events,
+        viceCaptainPoints: pick.is_vice_captain && pick.multiplier === 1 ? scored.basePoints : 0,
       };
     });
 
     console.log('Player positions:', picks.map(p => ({ name: p.name, position: p.positionType })));
 
-    // Auto-substitutions and vice-captain logic
-    const starters = picks.filter(p => p.position <= 11);
-    const bench = picks.filter(p => p.position > 11).sort((a, b) => a.position - b.position);
-    const captain = starters.find(p => p.multiplier > 1);
-    const viceCaptain = bench.find(p => p.multiplier > 1) || starters.find(p => p.multiplier > 1 && p !== captain);
-
-    let autosubs = picksData.automatic_subs || [];
-    // Validate autosubs against picks
-    autosubs.forEach(sub => {
-      const inPlayer = picks.some(p => p.playerId === sub.in);
-      const outPlayer = picks.some(p => p.playerId === sub.out);
-      if (!inPlayer || !outPlayer) {
-        console.warn(`Invalid autosub for ID ${id}, GW ${gameweek}: in=${sub.in} (${inPlayer ? 'found' : 'missing'}), out=${sub.out} (${outPlayer ? 'found' : 'missing'})`);
-      }
+    // Auto-substitutions and vice-captain promotion
+    const substitution = autosubEngine.applyAutosubs(picks, { activeChip, fixtures: fixturesData });
+    const autosubs = substitution.autosubs;
+    const viceCaptainPoints = substitution.viceCaptainPoints;
+    const adjustedPicks = substitution.picks.map(pick => {
+      if (pick.selectedMultiplier === pick.multiplier) return pick;
+      // Multiplier changed (autosub or armband moved), so restate the events at the new multiplier
+      return { ...pick, events: scoringEngine.toEvents(scoredById[pick.playerId].breakdown, pick.multiplier) };
     });
-    // Filter out invalid autosubs
-    autosubs = autosubs.filter(sub => 
-      picks.some(p => p.playerId === sub.in) && picks.some(p => p.playerId === sub.out)
-    );
-
-    let adjustedPicks = [...picks];
-
-    // Only apply auto-subs if Bench Boost isn't active and there are valid autosubs
-    if (activeChip !== 'bboost' && autosubs.length === 0) {
-      const nonPlayingStarters = starters.filter(p => p.minutes === 0);
-
-      if (nonPlayingStarters.length > 0) {
-        let benchIndex = 0;
-        for (const nonPlayer of nonPlayingStarters) {
-          while (benchIndex < bench.length && bench[benchIndex].minutes === 0) {
-            benchIndex++;
-          }
-          if (benchIndex < bench.length) {
-            const sub = bench[benchIndex];
-            autosubs.push({ out: nonPlayer.playerId, in: sub.playerId });
-            adjustedPicks = adjustedPicks.map(p =>
-              p.playerId === nonPlayer.playerId ? { ...p, livePoints: sub.livePoints } : p
-            );
-            benchIndex++;
-          }
-        }
-      }
-    }
-
-    let viceCaptainPoints = 0;
-    if (captain && captain.minutes === 0 && viceCaptain && viceCaptain.minutes > 0) {
-      viceCaptainPoints = viceCaptain.livePoints;
-      adjustedPicks = adjustedPicks.map(p =>
-        p.playerId === captain.playerId ? { ...p, livePoints: 0, multiplier: 1 } :
-        p.playerId === viceCaptain.playerId ? { ...p, multiplier: activeChip === '3cap' ? 3 : 2 } : p
-      );
-    }
 
-    // Calculate transfer penalty - updated to use transfersData
-    let transferPenalty = 0;
-    if (activeChip !== 'wildcard' && activeChip !== 'freehit') {
-      const transfersForGW = Array.isArray(transfersData) ? 
-        transfersData.filter(t => t.event === parseInt(gameweek)).length : 0;
-      const freeTransfers = Math.min(2, transfersData.length > 0 ? 
-        transfersData[transfersData.length - 1].event_transfers || 1 : 1);
-      const extraTransfers = Math.max(0, transfersForGW - freeTransfers);
-      transferPenalty = extraTransfers * -4;
-    }
+    // Calculate transfer penalty from the manager's banked free transfers
+    const { freeTransfers, transferPenalty } = transferEngine.calculateTransferPenalty({
+      history: historyData,
+      gameweek,
+      activeChip,
+      transfers: transfersData,
+      entryHistory: picksData.entry_history
+    });
 
-    let totalLivePoints = adjustedPicks.reduce((sum, pick) => 
-      activeChip === 'bboost' ? sum + pick.livePoints : sum + (pick.multiplier > 0 ? pick.livePoints : 0), 0
-    ) + transferPenalty;
+    let totalLivePoints = autosubEngine.sumLivePoints(adjustedPicks) + transferPenalty;
 
     let assistantManagerPoints = 0;
     if (activeChip === 'assistant_manager') {
       try {
-        const managerId = picksData.assistant_manager?.id;
-        if (managerId) {
-          const teamId = bootstrapData.teams.find(t => t.manager_id === managerId)?.id;
-          assistantManagerPoints = calculateAssistantPoints(picksData.assistant_manager, liveData, gameweek);
+        if (picksData.assistant_manager?.id) {
+          const context = await assistantManagerService.getContext(gameweek, { fixtures: fixturesData });
+          const amScore = await assistantManagerService.scoreEntry(id, gameweek, picksData.assistant_manager, { bootstrapData, context });
+          assistantManagerPoints = amScore.points;
           totalLivePoints += assistantManagerPoints;
         }
       } catch (err) {
@@ -604,18 +833,32 @@ const getPicksData = async (id, gameweek) => {
 
     const top10kStats = await getTop10kStats(gameweek);
     const updatedPicks = identifyDifferentials(adjustedPicks, top10kStats, managerRank);
-    const liveRank = await estimateLiveRank(totalLivePoints, seasonPoints, managerRank, updatedPicks, assistantManagerPoints);
+
+    // Template XI for the manager's rank tier and how far these picks are from it
+    const templateTier = whatIfEngine.getEoTier(managerRank);
+    const tierBreakdown = top10kStats?.[templateTier]?.eoBreakdown || {};
+    const templateXI = templateEngine.buildTemplateXI(tierBreakdown, bootstrapData.elements);
+    const template = Object.keys(tierBreakdown).length > 0
+      ? { tier: templateTier, xi: templateXI, ...templateEngine.getTemplateDistance(updatedPicks, tierBreakdown, templateXI) }
+      : null;
+    const liveRankEstimate = await estimateLiveRank(totalLivePoints, seasonPoints, managerData.summary_overall_rank, gameweek);
 
     const result = {
       picks: updatedPicks,
       transferPenalty,
+      freeTransfers,
       totalLivePoints,
       autosubs,
       viceCaptainPoints: viceCaptainPoints > 0 ? viceCaptainPoints : null,
-      liveRank,
+      liveRank: liveRankEstimate.rank,
+      liveRankEstimate,
+      seasonPoints,
       assistantManagerPoints: activeChip === 'assistant_manager' ? assistantManagerPoints : null,
       activeChip,
-      assistantManager: activeChip === 'assistant_manager' ? picksData.assistant_manager : null
+      assistantManager: activeChip === 'assistant_manager' ? picksData.assistant_manager : null,
+      bonusProvisional: updatedPicks.some(pick => pick.bonusProvisional),
+      template,
+      rulesVersion: scoringEngine.DEFAULT_RULES_VERSION
     };
 
     console.log('getPicksData result:', result);
@@ -646,120 +889,67 @@ const getPicksData = async (id, gameweek) => {
 
 
 // Updated updatePicksFromLiveData function to match getPicksData logic
-const updatePicksFromLiveData = (id, gameweek, liveData) => {
+const updatePicksFromLiveData = async (id, gameweek, liveData) => {
   const cacheKey = `picks:${id}:${gameweek}`;
   if (memoryCache[cacheKey]) {
     const cached = memoryCache[cacheKey].data;
-    const updatedPicks = cached.picks.map(pick => {
-      const liveStats = liveData.find(el => el.id === pick.playerId)?.stats || {};
-      
-      // Recalculate events with count
-      const events = [];
-      if (liveStats.goals_scored) events.push({ 
-        type: 'Goal', 
-        points: liveStats.goals_scored * (pick.multiplier || 1) * (pick.positionType === 'GK' || pick.positionType === 'DEF' ? 6 : pick.positionType === 'MID' ? 5 : 4), 
-        count: liveStats.goals_scored 
-      });
-      
-      if (liveStats.assists) events.push({ 
-        type: 'Assist', 
-        points: liveStats.assists * 3, 
-        count: liveStats.assists 
-      });
-      
-      if (liveStats.clean_sheets && pick.multiplier > 0) events.push({ 
-        type: 'Clean Sheet', 
-        points: pick.positionType === 'GK' || pick.positionType === 'DEF' ? 4 : pick.positionType === 'MID' ? 1 : 0, 
-        count: 1 
-      });
-      
-      if (liveStats.saves && pick.positionType === 'GK') events.push({ 
-        type: 'Saves', 
-        points: Math.floor(liveStats.saves / 3) * 1, 
-        count: liveStats.saves 
-      });
-      
-      if (liveStats.bonus) events.push({ 
-        type: 'Bonus', 
-        points: liveStats.bonus, 
-        count: 1 
-      });
-      
-      if (liveStats.yellow_cards) events.push({ 
-        type: 'Yellow Card', 
-        points: -1, 
-        count: liveStats.yellow_cards 
-      });
-      
-      if (liveStats.red_cards) events.push({ 
-        type: 'Red Card', 
-        points: -3, 
-        count: liveStats.red_cards 
-      });
-      
-      if (liveStats.penalties_missed) events.push({ 
-        type: 'Penalty Missed', 
-        points: -2, 
-        count: liveStats.penalties_missed 
-      });
-      
-      if (liveStats.own_goals) events.push({
-        type: 'Own Goal',
-        points: -2,
-        count: liveStats.own_goals
-      });
-      
-      if (liveStats.penalties_saved && pick.positionType === 'GK') events.push({
-        type: 'Penalty Saved',
-        points: 5,
-        count: liveStats.penalties_saved
-      });
-      
-      if (liveStats.goals_conceded && pick.multiplier > 0 && 
-         (pick.positionType === 'GK' || pick.positionType === 'DEF')) {
-        const pointsDeduction = -Math.floor(liveStats.goals_conceded / 2);
-        if (pointsDeduction !== 0) {
-          events.push({
-            type: 'Goals Conceded',
-            points: pointsDeduction,
-            count: liveStats.goals_conceded
-          });
-        }
-      }
+    const fixtures = await FPLAPIProxyService.fetchFixtures(gameweek).catch(() => []);
+    const bootstrapData = await getBootstrapData();
+    const teamByElement = new Map((bootstrapData.elements || []).map(el => [el.id, el.team]));
+    const bonusMap = bonusEngine.buildBonusMap(fixtures, liveData, teamByElement);
+
+    const scoredById = {};
+    const rescoredPicks = cached.picks.map(pick => {
+      const liveElement = liveData.find(el => el.id === pick.playerId);
+      const liveStats = liveElement?.stats || {};
+      const bonus = bonusMap.get(pick.playerId) || null;
+      const scored = scoringEngine.withBonus(
+        scoringEngine.scoreElement(liveElement, pick.positionType, cached.rulesVersion),
+        bonus
+      );
+      scoredById[pick.playerId] = scored;
       
       return {
         ...pick,
-        livePoints: liveStats.total_points * pick.multiplier || 0,
-        bonus: liveStats.bonus || 0,
+        basePoints: scored.basePoints,
+        bonus: Math.max(liveStats.bonus || 0, bonus?.points || 0),
+        bonusProvisional: !!bonus?.provisional,
+        bps: liveStats.bps || 0,
         goals: liveStats.goals_scored || 0,
         assists: liveStats.assists || 0,
-        minutes: liveStats.minutes || 0,
-        events // Update events with counts
+        minutes: liveStats.minutes || 0
       };
     });
+
+    const substitution = autosubEngine.applyAutosubs(rescoredPicks, { activeChip: cached.activeChip, fixtures });
+    const updatedPicks = substitution.picks.map(pick => ({
+      ...pick,
+      events: scoringEngine.toEvents(scoredById[pick.playerId].breakdown, pick.multiplier)
+    }));
     
-    // Update assistant manager points if team stats are available and chip is active
+    // Rescore the assistant manager from the latest fixture scores
     let assistantManagerPoints = cached.assistantManagerPoints || 0;
-    if (cached.assistantManager && liveData.team_stats) {
-      const teamId = cached.assistantManager.teamId;
-      const teamStats = liveData.team_stats[teamId];
-      
-      // Simple example calculation - actual implementation would depend on your scoring system
-      if (teamStats) {
-        const goalBonus = (teamStats.goals_scored || 0) * 3;
-        const cleanSheetBonus = (teamStats.clean_sheets || 0) * 4;
-        assistantManagerPoints = goalBonus + cleanSheetBonus;
+    if (cached.assistantManager?.id) {
+      try {
+        const context = await assistantManagerService.getContext(gameweek, { fixtures });
+        const amScore = await assistantManagerService.scoreEntry(id, gameweek, cached.assistantManager, { bootstrapData, context });
+        assistantManagerPoints = amScore.points;
+      } catch (err) {
+        console.error(`Error updating Assistant Manager points: ${err.message}`);
       }
     }
     
-    const totalLivePoints = updatedPicks.reduce((sum, p) => sum + p.livePoints, 0) + 
+    const totalLivePoints = autosubEngine.sumLivePoints(updatedPicks) + 
                            cached.transferPenalty + 
                            (cached.assistantManager ? assistantManagerPoints : 0);
                            
     const updatedResult = { 
       ...cached, 
       picks: updatedPicks, 
+      autosubs: substitution.autosubs,
+      viceCaptainPoints: substitution.viceCaptainPoints > 0 ? substitution.viceCaptainPoints : null,
       totalLivePoints,
+      bonusProvisional: updatedPicks.some(pick => pick.bonusProvisional),
       assistantManagerPoints: assistantManagerPoints > 0 ? assistantManagerPoints : null
     };
 
@@ -770,7 +960,9 @@ const updatePicksFromLiveData = (id, gameweek, liveData) => {
       { upsert: true }
     ).catch(err => console.error(`Failed to update Mongoose cache for ${cacheKey}:`, err.message));
     console.log(`Updated picks for ${cacheKey} from live data`);
+    return updatedResult;
   }
+  return null;
 };
 
 
@@ -778,30 +970,31 @@ const getPlannerData = async (id) => {
   const cacheKey = `planner:${id}`;
   if (memoryCache[cacheKey] && (Date.now() - memoryCache[cacheKey].timestamp) < CACHE_DURATION_LONG) {
     console.log(`Memory cache hit for ${cacheKey}`);
-    return memoryCache[cacheKey].data;
+    // Managers can change club between syncs, so always read them fresh
+    return { ...memoryCache[cacheKey].data, availableManagers: await managerCatalogueService.getCatalogue() };
   }
 
   const cachedDoc = await PlannerData.findById(cacheKey).lean();
   if (cachedDoc && (Date.now() - new Date(cachedDoc.timestamp).getTime()) < CACHE_DURATION_LONG) {
     console.log(`Mongoose cache hit for ${cacheKey}`);
     memoryCache[cacheKey] = { data: cachedDoc.data, timestamp: Date.now() };
-    return cachedDoc.data;
+    return { ...cachedDoc.data, availableManagers: await managerCatalogueService.getCatalogue() };
   }
 
   try {
     console.log(`Fetching planner data for ID ${id}`);
-    const managerResponse = await fetchWithRetry(`https://fantasy.premierleague.com/api/entry/${id}/`);
+    const managerResponse = await fetchWithRetry(upstreamSource.directUrl(`entry/${id}/`));
     const currentGameweek = managerResponse.data.current_event || 1;
     const [picksResponse, historyResponse, fixturesResponse, bootstrapResponse] = await Promise.all([
-      fetchWithRetry(`https://fantasy.premierleague.com/api/entry/${id}/event/${currentGameweek}/picks/`),
-      fetchWithRetry(`https://fantasy.premierleague.com/api/entry/${id}/history/`),
-      fetchWithRetry(`https://fantasy.premierleague.com/api/fixtures/`),
-      fetchWithRetry('https://fantasy.premierleague.com/api/bootstrap-static/')
+      fetchWithRetry(upstreamSource.directUrl(`entry/${id}/event/${currentGameweek}/picks/`)),
+      fetchWithRetry(upstreamSource.directUrl(`entry/${id}/history/`)),
+      fetchWithRetry(upstreamSource.directUrl('fixtures/')),
+      fetchWithRetry(upstreamSource.directUrl('bootstrap-static/'))
     ]);
     const bootstrapData = bootstrapResponse.data;
 
     // Process player data as before...
-    const playerUrls = picksResponse.data?.picks.map(pick => `https://fantasy.premierleague.com/api/element-summary/${pick.element}/`) || [];
+    const playerUrls = picksResponse.data?.picks.map(pick => upstreamSource.directUrl(`element-summary/${pick.element}/`)) || [];
     const playerSummaries = await batchFetch(playerUrls);
     const currentPicks = Array.isArray(picksResponse.data?.picks)
       ? picksResponse.data.picks.map((pick, index) => {
@@ -847,7 +1040,7 @@ const getPlannerData = async (id) => {
       return acc;
     }, {});
 
-    const fixtures = bootstrapData.events.map(event => ({
+    const gameweekFixtures = bootstrapData.events.map(event => ({
       gameweek: event.id,
       deadline: event.deadline_time,
       isCurrent: event.is_current,
@@ -862,6 +1055,8 @@ const getPlannerData = async (id) => {
           difficultyA: f.team_a_difficulty
         }))
     }));
+    // Teams with no fixture (blank) or more than one (double) in each gameweek
+    const fixtures = fixtureEngine.flagBlankAndDoubleGameweeks(gameweekFixtures, bootstrapData.teams.map(team => team.id));
 
     // Chip management logic
     const chipsUsed = historyResponse.data.chips?.map(chip => chip.name) || [];
@@ -881,15 +1076,13 @@ const getPlannerData = async (id) => {
       : 0;
       
     // Adjust budget if assistant manager chip is active
+    // Assistant managers synced from bootstrap (see managerCatalogueService)
+    const availableManagers = await managerCatalogueService.getCatalogue();
     if (picksResponse.data.active_chip === 'assistant_manager' && picksResponse.data.assistant_manager) {
-      // Get manager cost from bootstrap data if available
-      const managerCost = bootstrapData.managers?.find(m => m.id === picksResponse.data.assistant_manager.id)?.cost / 10 || 1.0;
+      const managerCost = availableManagers.find(m => m.id === picksResponse.data.assistant_manager.id)?.cost / 10 || 1.0;
       budget -= managerCost; // Deduct cost (e.g., £1.5m for Arteta)
     }
 
-    // List of available assistant managers from managers.json
-    const availableManagers = bootstrapData.managers || managersData;
-
     const result = { 
       currentPicks, 
       allPlayers, 
@@ -957,63 +1150,28 @@ const getTop10kStats = async (gameweek, forceRefresh = false) => {
         top100k: { maxRank: 100000, minSamples: 100, targetSamples: 150 },
         top1m: { maxRank: 1000000, minSamples: 150, targetSamples: 200 }
       };
-      const totalManagers = 10000000;
-      const sampledIds = new Set();
-
-      // Approach 1: Seed from leagues
-      const leagueIds = [313, 314, 315];
-      const leagueUrls = leagueIds.map(id => `https://fantasy.premierleague.com/api/leagues-classic/${id}/standings/`);
-      const leagueResponses = await batchFetch(leagueUrls);
-      leagueResponses.forEach((result, idx) => {
-        if (result.status === 'fulfilled' && result.value?.data?.standings?.results) {
-          const topIds = result.value.data.standings.results.slice(0, 50).map(r => r.entry);
-          console.log(`Seeded ${topIds.length} IDs from league ${leagueIds[idx]}:`, topIds.slice(0, 5));
-          topIds.forEach(id => sampledIds.add(id));
-        } else {
-          console.warn(`Failed to seed from league ${leagueIds[idx]}:`, result.reason?.message);
-        }
-      });
-
-      // Approach 2: Strategic random sampling for each tier
-      if (sampledIds.size < 100) {
-        // Add stratified random samples if league seeding didn't provide enough
-        for (const [tierName, { maxRank, targetSamples }] of Object.entries(tiers)) {
-          const lowerBound = tierName === 'top1k' ? 1 : (tiers[Object.keys(tiers)[Object.keys(tiers).indexOf(tierName) - 1]].maxRank + 1);
-          const samplesNeeded = Math.ceil(targetSamples / 3); // Only add a portion from random sampling
-          
-          for (let i = 0; i < samplesNeeded; i++) {
-            const id = Math.floor(Math.random() * (maxRank - lowerBound + 1)) + lowerBound;
-            sampledIds.add(id);
-          }
-        }
-      }
-
-      // Approach 3: Additional random sampling with validation
-      const maxAttempts = tiers.top1m.targetSamples * 2;
-      let attempts = 0;
-      while (sampledIds.size < tiers.top100k.targetSamples && attempts < maxAttempts) {
-        const id = Math.floor(Math.random() * 100000) + 1; // Seed from top 100k as a reasonable pool
-        if (sampledIds.has(id)) continue;
-        try {
-          const response = await fetchWithRetry(`https://fantasy.premierleague.com/api/entry/${id}/`);
-          const rank = response.data.summary_overall_rank;
-          if (rank && rank <= tiers.top1m.maxRank) {
-            sampledIds.add(id);
-            console.log(`Added ID ${id} with rank ${rank}`);
-          }
-        } catch (err) {
-          console.warn(`Skipping ID ${id}: ${err.message}`);
-        }
-        attempts++;
+      const bootstrapData = await getBootstrapData();
+      const totalPlayers = bootstrapData.total_players || DEFAULT_TOTAL_PLAYERS;
+
+      // Draw the sample from the persistent panel
+      const panelSample = await samplePanelService.getTierSample(tiers, parseInt(gameweek), totalPlayers);
+      if (panelSample.ids.length === 0) {
+        // Discovery pages through standings and refreshes histories, too slow for a request;
+        // the panel schedule fills it and a later request computes the stats
+        console.warn(`Sample panel is empty, serving ${cachedDoc ? 'stale' : 'empty'} stats for GW ${gameweek} while it builds`);
+        return { ...(cachedDoc?.stats || cachedDoc?.data || {}), buildingSample: true };
       }
+      const sampledIds = new Set(panelSample.ids);
+      console.log(`Sampling ${sampledIds.size} panel managers for GW ${gameweek}`);
 
       // Fetch data in batches
       const sampledIdsArray = Array.from(sampledIds);
       const batchUrls = sampledIdsArray.map(id => [
-        `https://fantasy.premierleague.com/api/entry/${id}/`,
-        `https://fantasy.premierleague.com/api/entry/${id}/event/${gameweek}/picks/`
+        upstreamSource.directUrl(`entry/${id}/`),
+        upstreamSource.directUrl(`entry/${id}/event/${gameweek}/picks/`)
       ]).flat();
       const responses = await batchFetch(batchUrls);
+      const collectedAt = new Date();
 
       // Process responses
       const sampledManagers = [];
@@ -1021,23 +1179,25 @@ const getTop10kStats = async (gameweek, forceRefresh = false) => {
         const entryResult = responses[i];
         const picksResult = responses[i + 1];
         if (entryResult.status === 'fulfilled' && entryResult.value?.data) {
-          const rank = entryResult.value.data.summary_overall_rank || totalManagers;
+          const rank = entryResult.value.data.summary_overall_rank || totalPlayers;
           const picks = picksResult.status === 'fulfilled' ? picksResult.value.data.picks || [] : [];
           const id = sampledIdsArray[i / 2];
           const active_chip = picksResult.status === 'fulfilled' ? picksResult.value.data.active_chip : null;
           const assistant_manager = picksResult.status === 'fulfilled' ? picksResult.value.data.assistant_manager : null;
-          sampledManagers.push({ id, rank, picks, active_chip, assistant_manager });
+          const preGwPoints = rankEngine.getPreGameweekPoints(entryResult.value.data, gameweek);
+          const transferCost = picksResult.status === 'fulfilled' ? picksResult.value.data.entry_history?.event_transfers_cost || 0 : 0;
+          sampledManagers.push({ id, rank, picks, active_chip, assistant_manager, preGwPoints, transferCost });
           console.log(`Sampled ID ${id}: rank ${rank}, picks ${picks.length}, chip: ${active_chip}`);
         }
       }
 
-      // Organize by tier
-      const managersByTier = { top1k: [], top10k: [], top100k: [], top1m: [] };
-      sampledManagers.forEach(manager => {
-        if (manager.rank <= tiers.top1k.maxRank) managersByTier.top1k.push(manager);
-        if (manager.rank <= tiers.top10k.maxRank) managersByTier.top10k.push(manager);
-        if (manager.rank <= tiers.top100k.maxRank) managersByTier.top100k.push(manager);
-        if (manager.rank <= tiers.top1m.maxRank) managersByTier.top1m.push(manager);
+      // Organize by tier using the panel's band allocation
+      const managersById = new Map(sampledManagers.map(manager => [manager.id, manager]));
+      const managersByTier = {};
+      Object.keys(tiers).forEach(tierName => {
+        managersByTier[tierName] = (panelSample.byTier[tierName] || [])
+          .map(id => managersById.get(id))
+          .filter(Boolean);
       });
 
       // Check if we have enough samples and add fallbacks if needed
@@ -1045,25 +1205,41 @@ const getTop10kStats = async (gameweek, forceRefresh = false) => {
         if (managersByTier[tierName]?.length < minSamples) {
           console.warn(`${tierName} has ${managersByTier[tierName]?.length} samples, below minimum ${minSamples}`);
           const shortfall = minSamples - (managersByTier[tierName]?.length || 0);
-          const cachedPicks = await PicksData.find({ 'data.liveRank': { $lte: maxRank } })
+          const cachedPicks = await PicksData.find({
+            _id: new RegExp(`^picks:\\d+:${parseInt(gameweek)}$`),
+            'data.liveRank': { $lte: maxRank }
+          })
             .sort('data.liveRank')
             .limit(shortfall)
             .lean();
           const fallbackManagers = cachedPicks.map(doc => ({
-            id: doc._id.split(':')[1],
+            id: parseInt(doc._id.split(':')[1]),
             rank: doc.data.liveRank || maxRank,
-            picks: doc.data.picks || [],
+            // Stored picks use playerId and the pre-autosub selectedMultiplier
+            picks: (doc.data.picks || []).map(p => ({
+              element: p.playerId,
+              position: p.position,
+              multiplier: p.selectedMultiplier ?? p.multiplier,
+              is_captain: !!p.isCaptain,
+              is_vice_captain: !!p.isViceCaptain
+            })),
             active_chip: doc.data.activeChip || null,
-            assistant_manager: doc.data.assistantManager || null
+            assistant_manager: doc.data.assistantManager || null,
+            fallback: true,
+            collectedAt: doc.timestamp
           }));
-          managersByTier[tierName] = [...(managersByTier[tierName] || []), ...fallbackManagers];
+          const existingIds = new Set((managersByTier[tierName] || []).map(m => m.id));
+          managersByTier[tierName] = [
+            ...(managersByTier[tierName] || []),
+            ...fallbackManagers.filter(m => !existingIds.has(m.id))
+          ];
           console.log(`Added ${fallbackManagers.length} fallback managers to ${tierName}`);
         }
       }
 
-      // Fetch live data and bootstrap
-      const liveData = await fetchWithRetry(`https://fantasy.premierleague.com/api/event/${gameweek}/live/`);
-      const bootstrapData = await getBootstrapData();
+      // Fetch live data, and the fixtures and table assistant managers are scored from
+      const liveData = await fetchWithRetry(upstreamSource.directUrl(`event/${gameweek}/live/`));
+      const amContext = await assistantManagerService.getContext(gameweek);
 
       // Calculate stats
       const tierStats = {};
@@ -1079,7 +1255,10 @@ const getTop10kStats = async (gameweek, forceRefresh = false) => {
             topPlayers: [], 
             formations: {},
             eoBreakdown: {},
-            managerEO: {}
+            captaincy: {},
+            topCaptains: [],
+            managerEO: {},
+            sample: sampleStats.describeSample([], tiers[tierName].minSamples, collectedAt)
           };
           console.warn(`No managers for ${tierName} after fallback`);
           continue;
@@ -1108,28 +1287,7 @@ const getTop10kStats = async (gameweek, forceRefresh = false) => {
               return sum + (liveStats.total_points || 0) * (pick.multiplier > 0 ? pick.multiplier : 1);
             }, 0);
           } else if (manager.active_chip === 'assistant_manager' && manager.assistant_manager) {
-            // Add points for assistant manager chip
-            const calculateAssistantPoints = (assistantManager, liveData, gameweek) => {
-              try {
-                const managerId = assistantManager.id;
-                
-                // Get team stats if available
-                const teamStats = liveData.data.team_stats?.[managerId];
-                if (!teamStats) return 5; // Default fallback
-                
-                // Example calculation based on team performance
-                const goalBonus = (teamStats.goals_scored || 0) * 3;
-                const cleanSheetBonus = (teamStats.clean_sheets || 0) * 4;
-                const winBonus = teamStats.result === 'W' ? 5 : 0;
-                
-                return goalBonus + cleanSheetBonus + winBonus || 5; // Default to 5 points if calculation is 0
-              } catch (err) {
-                console.error(`Error calculating assistant points: ${err.message}`);
-                return 5; // Default fallback
-              }
-            };
-            
-            points += calculateAssistantPoints(manager.assistant_manager, liveData, gameweek);
+            points += assistantManagerService.score(manager.assistant_manager, amContext, bootstrapData).points;
           }
           
           return points;
@@ -1137,6 +1295,39 @@ const getTop10kStats = async (gameweek, forceRefresh = false) => {
         
         const averagePoints = livePoints.reduce((sum, points) => sum + points, 0) / Math.max(managers.length, 1);
 
+        // Captaincy breakdown: share of managers giving each player the armband, TC or vice
+        const captaincyCounts = {};
+        managers.forEach(manager => {
+          const tripleCaptain = ['3xc', '3cap'].includes(manager.active_chip);
+          manager.picks.forEach(pick => {
+            // Key on the armband the manager chose: a vice promoted by autosubs also carries multiplier 2
+            const isCaptain = !!pick.is_captain;
+            if (!isCaptain && !pick.is_vice_captain) return;
+            const counts = captaincyCounts[pick.element] || (captaincyCounts[pick.element] = { captained: 0, tripleCaptained: 0, viceCaptained: 0 });
+            if (isCaptain && (tripleCaptain || pick.multiplier === 3)) counts.tripleCaptained++;
+            else if (isCaptain) counts.captained++;
+            if (pick.is_vice_captain) counts.viceCaptained++;
+          });
+        });
+        const captaincy = {};
+        Object.entries(captaincyCounts).forEach(([id, counts]) => {
+          const player = bootstrapData.elements.find(el => el.id === parseInt(id));
+          const armband = counts.captained + counts.tripleCaptained;
+          captaincy[id] = {
+            name: player ? player.web_name : `Player ${id}`,
+            ...counts,
+            captainShare: parseFloat((armband / managers.length * 100).toFixed(1)),
+            captainShareCI: sampleStats.proportionInterval(armband, managers.length),
+            tripleCaptainShare: parseFloat((counts.tripleCaptained / managers.length * 100).toFixed(1)),
+            viceCaptainShare: parseFloat((counts.viceCaptained / managers.length * 100).toFixed(1))
+          };
+        });
+        const topCaptains = Object.entries(captaincy)
+          .map(([id, entry]) => ({ id: parseInt(id), ...entry }))
+          .filter(entry => entry.captainShare > 0)
+          .sort((a, b) => b.captainShare - a.captainShare)
+          .slice(0, 10);
+
         // Calculate player ownership and effective ownership (EO)
         const playerOwnership = bootstrapData.elements.map(player => {
           const owned = managers.filter(m => m.picks.some(p => p.element === player.id && p.multiplier > 0)).length;
@@ -1152,7 +1343,9 @@ const getTop10kStats = async (gameweek, forceRefresh = false) => {
             id: player.id, 
             name: `${player.first_name} ${player.second_name}`, 
             ownership: (owned / managers.length) * 100, 
-            eo: eo > 0 ? eo.toFixed(1) : 0 
+            ownershipCI: sampleStats.proportionInterval(owned, managers.length),
+            eo: eo > 0 ? eo.toFixed(1) : 0,
+            eoCI: sampleStats.eoInterval(owned, captained, tripleCaptained, managers.length)
           };
         }).sort((a, b) => b.eo - a.eo).slice(0, 10);
 
@@ -1187,7 +1380,10 @@ const getTop10kStats = async (gameweek, forceRefresh = false) => {
               owned: owned,
               captained: captained,
               tripleCaptained: tripleCaptained,
-              eo: eo.toFixed(1) 
+              eo: eo.toFixed(1),
+              eoCI: sampleStats.eoInterval(owned, captained, tripleCaptained, managers.length),
+              ownership: (owned / managers.length * 100).toFixed(1),
+              ownershipCI: sampleStats.proportionInterval(owned, managers.length)
             };
           }
         });
@@ -1220,16 +1416,23 @@ const getTop10kStats = async (gameweek, forceRefresh = false) => {
           topPlayers: playerOwnership, 
           formations, 
           eoBreakdown,
-          managerEO
+          captaincy,
+          topCaptains,
+          managerEO,
+          sample: sampleStats.describeSample(managers, tiers[tierName].minSamples, collectedAt)
         };
         console.log(`${tierName} stats:`, { 
           managers: managers.length, 
           avgPoints: averagePoints,
           wildcardUsage: wildcardActive.toFixed(1) + '%',
-          assistantManagerUsage: assistantManagerActive.toFixed(1) + '%'
+          assistantManagerUsage: assistantManagerActive.toFixed(1) + '%',
+          fallbackShare: tierStats[tierName].sample.fallbackShare + '%'
         });
       }
 
+      // Keep the sampled season totals for the live rank estimator
+      await saveRankSample(gameweek, sampledManagers, bootstrapData.total_players);
+
       // Save to cache and database
       memoryCache[cacheKey] = { data: tierStats, timestamp: Date.now() };
       await TopStats.findOneAndUpdate(
@@ -1247,28 +1450,81 @@ const getTop10kStats = async (gameweek, forceRefresh = false) => {
   }
 };
 
-// Helper function that would be defined elsewhere
-const calculateAssistantPoints = (assistantManager, liveData, gameweek) => {
-  try {
-    // This is a placeholder for the actual calculation logic
-    const managerId = assistantManager.id;
-    
-    // Get team stats if available (would be implemented elsewhere)
-    const teamStats = liveData.team_stats?.[managerId];
-    if (!teamStats) return 5; // Default fallback
-    
-    // Example calculation based on team performance
-    const goalBonus = (teamStats.goals_scored || 0) * 3;
-    const cleanSheetBonus = (teamStats.clean_sheets || 0) * 4;
-    const winBonus = teamStats.result === 'W' ? 5 : 0;
-    
-    return goalBonus + cleanSheetBonus + winBonus || 5; // Default to 5 points if calculation is 0
-  } catch (err) {
-    console.error(`Error calculating assistant points: ${err.message}`);
-    return 5; // Default fallback
+/**
+ * Season series of tier stats from the stored TopStats documents
+ * @param {string} tier - top1k, top10k, top100k or top1m
+ * @param {Object} options - { playerIds } to track, otherwise the players with the highest EO peak
+ * @returns {Promise<Object>} - { tier, players: [{ id, name }], gameweeks: [{ gameweek, averagePoints, sampleSize, weak, chips, eo, captaincy }] }
+ */
+const getTierHistory = async (tier, { playerIds = null, limit = 5 } = {}) => {
+  const docs = await TopStats.find({ _id: /^gw\d+$/ }).lean();
+  const seasons = docs
+    .map(doc => ({ gameweek: parseInt(doc._id.slice(2)), stats: (doc.stats || doc.data)?.[tier] }))
+    .filter(row => row.stats && row.gameweek > 0)
+    .sort((a, b) => a.gameweek - b.gameweek);
+
+  // Default to the players whose EO peaked highest over the season
+  let tracked = playerIds;
+  if (!tracked || tracked.length === 0) {
+    const peaks = {};
+    seasons.forEach(({ stats }) => {
+      Object.entries(stats.eoBreakdown || {}).forEach(([id, entry]) => {
+        peaks[id] = Math.max(peaks[id] || 0, parseFloat(entry.eo) || 0);
+      });
+    });
+    tracked = Object.entries(peaks)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, limit)
+      .map(([id]) => parseInt(id));
   }
-};
 
+  const names = {};
+  const gameweeks = seasons.map(({ gameweek, stats }) => {
+    const sampleSize = stats.sample?.size || null;
+    const eo = {};
+    const captaincy = {};
+    tracked.forEach(id => {
+      const entry = stats.eoBreakdown?.[id];
+      if (entry?.name) names[id] = entry.name;
+      eo[id] = parseFloat(entry?.eo) || 0;
+      // Captaincy share needs the sample size, which older documents don't store
+      captaincy[id] = sampleSize
+        ? Math.round(((entry?.captained || 0) + (entry?.tripleCaptained || 0)) / sampleSize * 1000) / 10
+        : null;
+    });
+
+    return {
+      gameweek,
+      averagePoints: typeof stats.averagePoints === 'number' ? stats.averagePoints : parseFloat(stats.averagePoints) || 0,
+      sampleSize,
+      weak: stats.sample?.weak ?? null,
+      chips: {
+        wildcard: parseFloat(stats.wildcardUsage) || 0,
+        freehit: parseFloat(stats.freehitUsage) || 0,
+        benchBoost: parseFloat(stats.benchBoostUsage) || 0,
+        tripleCaptain: parseFloat(stats.tripleCaptainUsage) || 0,
+        assistantManager: parseFloat(stats.assistantManagerUsage) || 0
+      },
+      eo,
+      captaincy
+    };
+  });
+
+  if (tracked.some(id => !names[id])) {
+    const bootstrapData = await getBootstrapData();
+    tracked.forEach(id => {
+      if (names[id]) return;
+      const element = bootstrapData.elements?.find(el => el.id === id);
+      names[id] = element ? `${element.first_name} ${element.second_name}` : `Player ${id}`;
+    });
+  }
+
+  return {
+    tier,
+    players: tracked.map(id => ({ id, name: names[id] })),
+    gameweeks
+  };
+};
 
 const clearCache = async () => {
   await TopStats.deleteMany({});
@@ -1284,10 +1540,10 @@ const predictPriceChanges = async () => {
     const players = bootstrapData.elements;
 
     const sampleManagerId = 1;
-    const historyResponse = await fetchWithRetry(`https://fantasy.premierleague.com/api/entry/${sampleManagerId}/history/`);
+    const historyResponse = await fetchWithRetry(upstreamSource.directUrl(`entry/${sampleManagerId}/history/`));
     const pastGameweeks = historyResponse.data.past;
 
-    const transferUrls = players.map(player => `https://fantasy.premierleague.com/api/element-summary/${player.id}/`);
+    const transferUrls = players.map(player => upstreamSource.directUrl(`element-summary/${player.id}/`));
     const transferResponses = await batchFetch(transferUrls);
 
     const predictions = players.map((player, index) => {
@@ -1352,11 +1608,11 @@ const getCaptaincySuggestions = async (managerId, gameweek) => {
     const managerRank = managerData.rank || 5000000;
     const rankTier = managerRank < 10000 ? 'top10k' : managerRank < 100000 ? 'top100k' : 'top1m';
 
-    const fixturesResponse = await fetchWithRetry(`https://fantasy.premierleague.com/api/fixtures/`).catch(() => ({ data: [] }));
+    const fixturesResponse = await fetchWithRetry(upstreamSource.directUrl('fixtures/')).catch(() => ({ data: [] }));
     const fixtures = fixturesResponse.data.filter(f => f.event === parseInt(gameweek));
 
     const playerIds = picksData.picks.map(pick => pick.playerId);
-    const summaryUrls = playerIds.map(id => `https://fantasy.premierleague.com/api/element-summary/${id}/`);
+    const summaryUrls = playerIds.map(id => upstreamSource.directUrl(`element-summary/${id}/`));
     const summaryResponses = await batchFetch(summaryUrls);
 
     const playerSummaries = {};
@@ -1385,8 +1641,14 @@ const getCaptaincySuggestions = async (managerId, gameweek) => {
       const top10kEO = top10kStats.top10k?.eoBreakdown[pick.playerId]?.eo || 0;
       const eo = Math.max(Number(tierEO), Number(pick.eo), Number(top10kEO));
 
+      // Real captaincy share in the manager's tier; older stats without it fall back to EO
+      const tierCaptaincy = top10kStats[rankTier]?.captaincy;
+      const captainShare = tierCaptaincy ? (tierCaptaincy[pick.playerId]?.captainShare || 0) : null;
+      const tripleCaptainShare = tierCaptaincy ? (tierCaptaincy[pick.playerId]?.tripleCaptainShare || 0) : null;
+      const fieldShare = captainShare !== null ? captainShare : Math.min(eo, 100);
+
       const scoreClassic = (form * 0.5) + ((5 - difficulty) * 0.3) + (eo * 0.2);
-      const scoreDifferential = (form * (1 - eo / 100) / difficulty);
+      const scoreDifferential = (form * (1 - fieldShare / 100) / difficulty);
       const combinedScore = (scoreClassic * 0.7) + (scoreDifferential * 10 * 0.3);
 
       return {
@@ -1396,6 +1658,10 @@ const getCaptaincySuggestions = async (managerId, gameweek) => {
         form: form.toFixed(1),
         difficulty,
         eo: parseFloat(eo) || 0,
+        captainShare,
+        tripleCaptainShare,
+        captaincyType: fieldShare >= 25 ? 'safe' : fieldShare >= 5 ? 'balanced' : 'differential',
+        tier: rankTier,
         score: combinedScore.toFixed(1)
       };
     });
@@ -1415,11 +1681,13 @@ const fetchLiveDataFromFPL = async (gameweek) => {
   try {
     // Use direct Node.js https request to bypass potential Axios restrictions
     return new Promise((resolve, reject) => {
-      const https = require('https');
+      const url = new URL(upstreamSource.directUrl(`event/${gameweek}/live/`));
+      const client = url.protocol === 'http:' ? require('http') : require('https');
       
       const options = {
-        hostname: 'fantasy.premierleague.com',
-        path: `/api/event/${gameweek}/live/`,
+        hostname: url.hostname,
+        port: url.port || undefined,
+        path: `${url.pathname}${url.search}`,
         method: 'GET',
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
@@ -1432,7 +1700,7 @@ const fetchLiveDataFromFPL = async (gameweek) => {
         }
       };
 
-      const req = https.request(options, (res) => {
+      const req = client.request(options, (res) => {
         let data = '';
         
         console.log('FPL API Response Details:', {
@@ -1447,6 +1715,7 @@ const fetchLiveDataFromFPL = async (gameweek) => {
         res.on('end', () => {
           try {
             const parsedData = JSON.parse(data);
+            snapshotStore.record(url.toString(), { status: res.statusCode, headers: res.headers, data: parsedData });
             resolve(parsedData);
           } catch (parseError) {
             reject(new Error(`Failed to parse response: ${parseError.message}`));
@@ -1489,6 +1758,15 @@ module.exports = {
   updatePicksFromLiveData,
   getCaptaincySuggestions,
   estimateLiveRank,
+  simulateWhatIf,
+  getRankSwing,
+  getAssistantManagerRecommendations,
+  getChipPlan,
+  getTransferPlan,
+  getSquadState,
+  getGameweekProjections,
+  validateTransfers,
+  getTierHistory,
   fetchLiveDataFromFPL,
   memoryCache
 };
\ No newline at end of file
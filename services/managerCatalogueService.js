@@ -0,0 +1,127 @@
+// services/managerCatalogueService.js
+// Assistant manager catalogue, synced from bootstrap elements of the manager type
+// (see utils/assistantManagerEngine.js). Each sync is diffed against the stored
+// catalogue so club moves and price changes mid-season are logged and reported.
+const workerCoordination = require('./workerCoordination');
+const mongooseCache = require('./mongooseCache');
+const amEngine = require('../utils/assistantManagerEngine');
+const { ManagerCatalogue } = require('../config/db');
+const logger = require('../utils/logger');
+
+const REPORT_CACHE_KEY = 'managers:lastSyncReport';
+const REPORT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Last catalogue read or synced by this worker, for synchronous lookups
+let cachedCatalogue = [];
+
+/**
+ * Stored catalogue document in the shape the rest of the app uses
+ * @param {Object} doc - ManagerCatalogue document
+ * @returns {Object} - { id, name, web_name, team_id, cost }
+ */
+const toManager = (doc) => ({
+  id: doc._id,
+  name: doc.name,
+  web_name: doc.web_name || null,
+  team_id: doc.team_id,
+  cost: doc.cost
+});
+
+const managerCatalogueService = {
+  /**
+   * Sync the catalogue with bootstrap data, on one worker at a time
+   * @param {Object} bootstrapData - Raw bootstrap data (elements, element_types)
+   * @returns {Promise<Object|null>} - Diff report, or null if there was nothing to sync or another worker holds the lock
+   */
+  async sync(bootstrapData) {
+    const next = amEngine.buildManagerCatalogue(bootstrapData);
+    if (next.length === 0) {
+      logger.warn('No managers in bootstrap data, keeping stored catalogue');
+      return null;
+    }
+
+    const isLeader = await workerCoordination.becomeLeader('manager-catalogue', 5 * 60);
+    if (!isLeader) return null;
+
+    try {
+      const stored = await ManagerCatalogue.find({ active: true }).lean();
+      const report = amEngine.diffManagerCatalogue(stored.map(toManager), next);
+      const now = new Date();
+      const changedClub = new Set(report.clubChanges.map(change => change.id));
+      const storedIds = new Set(stored.map(doc => doc._id));
+
+      await ManagerCatalogue.bulkWrite([
+        ...next.map(manager => {
+          const update = {
+            $set: {
+              name: manager.name,
+              web_name: manager.web_name,
+              team_id: manager.team_id,
+              cost: manager.cost,
+              active: true,
+              syncedAt: now
+            }
+          };
+          if (!storedIds.has(manager.id) || changedClub.has(manager.id)) {
+            update.$push = { clubHistory: { team_id: manager.team_id, from: now } };
+          }
+          return { updateOne: { filter: { _id: manager.id }, update, upsert: true } };
+        }),
+        ...report.removed.map(manager => ({
+          updateOne: { filter: { _id: manager.id }, update: { $set: { active: false, syncedAt: now } } }
+        }))
+      ]);
+
+      cachedCatalogue = next;
+      const summary = { ...report, managers: next.length, syncedAt: now };
+      if (report.added.length || report.removed.length || report.clubChanges.length || report.costChanges.length) {
+        await mongooseCache.set(REPORT_CACHE_KEY, summary, REPORT_TTL_SECONDS);
+        report.clubChanges.forEach(change =>
+          logger.info(`Manager ${change.name} moved from team ${change.fromTeamId} to team ${change.toTeamId}`)
+        );
+      }
+      logger.info('Manager catalogue synced', {
+        managers: next.length,
+        added: report.added.length,
+        removed: report.removed.length,
+        clubChanges: report.clubChanges.length,
+        costChanges: report.costChanges.length
+      });
+      return summary;
+    } finally {
+      await workerCoordination.releaseLeadership('manager-catalogue');
+    }
+  },
+
+  /**
+   * Current managers, from the stored catalogue
+   * @returns {Promise<Array>} - [{ id, name, web_name, team_id, cost }]
+   */
+  async getCatalogue() {
+    try {
+      const docs = await ManagerCatalogue.find({ active: true }).sort({ _id: 1 }).lean();
+      if (docs.length > 0) cachedCatalogue = docs.map(toManager);
+    } catch (err) {
+      logger.error('Failed to read manager catalogue', { error: err.message });
+    }
+    return cachedCatalogue;
+  },
+
+  /**
+   * Catalogue last read or synced by this worker, for synchronous callers
+   * @returns {Array} - [{ id, name, web_name, team_id, cost }]
+   */
+  getCached() {
+    return cachedCatalogue;
+  },
+
+  /**
+   * Diff report from the last sync that changed anything
+   * @returns {Promise<Object|null>} - { added, removed, clubChanges, costChanges, managers, syncedAt }
+   */
+  async getLastReport() {
+    return mongooseCache.get(REPORT_CACHE_KEY);
+  }
+};
+
+module.exports = managerCatalogueService;
@@ -0,0 +1,276 @@
+// services/planService.js
+// Saved multi-gameweek transfer plans. Every save is checked by replaying the
+// plan from the manager's current squad (see utils/planEngine.js), bumps the
+// plan's version and keeps a copy of that version, so earlier versions can be
+// loaded and any two plans compared on the same projections.
+const mongoose = require('mongoose');
+const { Plan, PlanVersion } = require('../config/db');
+const planEngine = require('../utils/planEngine');
+const { getSquadState, getGameweekProjections } = require('./fplService');
+
+const MAX_PLANS_PER_MANAGER = 20;
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Error the routes turn into a response with the given status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Array} reasons - Details for the client
+ * @returns {Error} - Error with status and reasons
+ */
+const planError = (status, message, reasons = []) => {
+  const error = new Error(message);
+  error.status = status;
+  error.reasons = reasons;
+  return error;
+};
+
+/**
+ * Check a request body's shape and turn it into plan fields
+ * @param {Object} body - { name, gameweeks }
+ * @returns {Object} - { name, gameweeks }
+ */
+const normalisePlan = ({ name, gameweeks } = {}) => {
+  const reasons = [];
+  const toId = (value) => (value === null || value === undefined || value === '' ? null : parseInt(value));
+
+  if (typeof name !== 'string' || !name.trim()) reasons.push('name is required');
+  else if (name.trim().length > 60) reasons.push('name must be 60 characters or fewer');
+  if (!Array.isArray(gameweeks) || gameweeks.length === 0) reasons.push('gameweeks must be a non-empty array');
+  if (reasons.length > 0) throw planError(400, 'Invalid plan', reasons);
+
+  const normalised = gameweeks.map(entry => {
+    const gameweek = parseInt(entry?.gameweek);
+    if (isNaN(gameweek) || gameweek < 1 || gameweek > 38) reasons.push(`Invalid gameweek: ${entry?.gameweek}`);
+    const transfers = Array.isArray(entry?.transfers) ? entry.transfers.map(t => ({ out: toId(t?.out), in: toId(t?.in) })) : [];
+    if (transfers.some(t => t.out === null || t.in === null || isNaN(t.out) || isNaN(t.in))) {
+      reasons.push(`GW${gameweek}: transfers need integer out and in player IDs`);
+    }
+    const benchOrder = Array.isArray(entry?.benchOrder) ? entry.benchOrder.map(toId) : [];
+    if (benchOrder.some(id => id === null || isNaN(id))) reasons.push(`GW${gameweek}: benchOrder must be player IDs`);
+    const chip = entry?.chip || null;
+    if (chip && !planEngine.PLAN_CHIPS.includes(chip)) reasons.push(`GW${gameweek}: unknown chip ${chip}`);
+
+    return {
+      gameweek,
+      transfers,
+      captain: toId(entry?.captain),
+      viceCaptain: toId(entry?.viceCaptain),
+      chip,
+      benchOrder
+    };
+  });
+
+  if (reasons.length > 0) throw planError(400, 'Invalid plan', reasons);
+  return { name: name.trim(), gameweeks: normalised.sort((a, b) => a.gameweek - b.gameweek) };
+};
+
+/**
+ * Plan in the shape the API returns
+ * @param {Object} doc - Plan or PlanVersion document
+ * @returns {Object} - Plan
+ */
+const toPlan = (doc) => ({
+  id: String(doc.planId || doc._id),
+  name: doc.name,
+  version: doc.version,
+  gameweeks: doc.gameweeks,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt || doc.savedAt
+});
+
+const planService = {
+  /**
+   * Replay plans from the manager's current squad on the same projections
+   * @param {number} fplId - Manager ID
+   * @param {Array} plans - Lists of plan gameweeks
+   * @returns {Promise<Array>} - evaluatePlan() result for each plan
+   */
+  async evaluate(fplId, plans) {
+    const state = await getSquadState(fplId);
+    const lastGameweek = Math.max(state.currentGameweek + 1, ...plans.flat().map(entry => entry.gameweek));
+    const gameweeks = [];
+    for (let gw = state.currentGameweek + 1; gw <= Math.min(lastGameweek, 38); gw++) gameweeks.push(gw);
+    const { projections } = await getGameweekProjections(gameweeks, state.plannerData);
+    const playersById = new Map((state.plannerData.allPlayers || []).map(p => [p.id, p]));
+
+    return plans.map(plan => planEngine.evaluatePlan({
+      plan,
+      squad: state.squad,
+      bank: state.bank,
+      freeTransfers: state.freeTransfers,
+      currentGameweek: state.currentGameweek,
+      chipsAvailable: state.plannerData.chipsAvailable || {},
+      playersById,
+      projections
+    }));
+  },
+
+  /**
+   * A manager's plans, most recently saved first
+   * @param {number} fplId - Manager ID
+   * @returns {Promise<Array>} - [{ id, name, version, gameweeks: [first, last], updatedAt }]
+   */
+  async list(fplId) {
+    const plans = await Plan.find({ fplId: String(fplId) }).sort({ updatedAt: -1 }).lean();
+    return plans.map(plan => ({
+      id: String(plan._id),
+      name: plan.name,
+      version: plan.version,
+      gameweeks: plan.gameweeks.length
+        ? [plan.gameweeks[0].gameweek, plan.gameweeks[plan.gameweeks.length - 1].gameweek]
+        : [],
+      updatedAt: plan.updatedAt
+    }));
+  },
+
+  /**
+   * One plan, at its latest or an earlier version
+   * @param {number} fplId - Manager ID
+   * @param {string} planId - Plan ID
+   * @param {number|null} version - Version to load (latest when null)
+   * @returns {Promise<Object>} - Plan
+   */
+  async get(fplId, planId, version = null) {
+    if (!mongoose.isValidObjectId(planId)) throw planError(404, 'Plan not found');
+    const plan = await Plan.findOne({ _id: planId, fplId: String(fplId) }).lean();
+    if (!plan) throw planError(404, 'Plan not found');
+    if (version === null || version === plan.version) return toPlan(plan);
+
+    const saved = await PlanVersion.findOne({ planId: plan._id, version }).lean();
+    if (!saved) throw planError(404, `Plan version ${version} not found`);
+    return { ...toPlan(saved), createdAt: plan.createdAt, latestVersion: plan.version };
+  },
+
+  /**
+   * Save a new plan
+   * @param {number} fplId - Manager ID
+   * @param {Object} body - { name, gameweeks }
+   * @returns {Promise<Object>} - { plan, evaluation }
+   */
+  async create(fplId, body) {
+    const { name, gameweeks } = normalisePlan(body);
+    const count = await Plan.countDocuments({ fplId: String(fplId) });
+    if (count >= MAX_PLANS_PER_MANAGER) {
+      throw planError(400, `A manager can save up to ${MAX_PLANS_PER_MANAGER} plans`);
+    }
+    if (await Plan.exists({ fplId: String(fplId), name })) {
+      throw planError(409, `A plan called "${name}" already exists`);
+    }
+
+    const [evaluation] = await this.evaluate(fplId, [gameweeks]);
+    if (!evaluation.valid) throw planError(400, 'Invalid plan', evaluation.errors);
+
+    // The unique { fplId, name } index catches a save that raced the check above
+    const plan = await Plan.create({ fplId: String(fplId), name, version: 1, gameweeks }).catch(err => {
+      if (err.code === DUPLICATE_KEY) throw planError(409, `A plan called "${name}" already exists`);
+      throw err;
+    });
+    await PlanVersion.create({ planId: plan._id, fplId: String(fplId), version: 1, name, gameweeks });
+    return { plan: toPlan(plan.toObject()), evaluation };
+  },
+
+  /**
+   * Save a new version of a plan
+   * @param {number} fplId - Manager ID
+   * @param {string} planId - Plan ID
+   * @param {Object} body - { name, gameweeks, version } where version is the one the edit was based on
+   * @returns {Promise<Object>} - { plan, evaluation }
+   */
+  async update(fplId, planId, body) {
+    const requestedVersion = body?.version !== undefined ? parseInt(body.version) : null;
+    if (requestedVersion !== null && (isNaN(requestedVersion) || requestedVersion < 1)) {
+      throw planError(400, 'Invalid version: must be a positive integer');
+    }
+
+    const current = await this.get(fplId, planId);
+    const baseVersion = requestedVersion ?? current.version;
+    if (baseVersion !== current.version) {
+      throw planError(409, `Plan has changed since version ${body.version}; the latest is version ${current.version}`);
+    }
+
+    const { name, gameweeks } = normalisePlan(body);
+    if (name !== current.name && await Plan.exists({ fplId: String(fplId), name })) {
+      throw planError(409, `A plan called "${name}" already exists`);
+    }
+    const [evaluation] = await this.evaluate(fplId, [gameweeks]);
+    if (!evaluation.valid) throw planError(400, 'Invalid plan', evaluation.errors);
+
+    // Only one save per version wins
+    const plan = await Plan.findOneAndUpdate(
+      { _id: planId, fplId: String(fplId), version: current.version },
+      { $set: { name, gameweeks, updatedAt: new Date() }, $inc: { version: 1 } },
+      { new: true }
+    ).lean().catch(err => {
+      if (err.code === DUPLICATE_KEY) throw planError(409, `A plan called "${name}" already exists`);
+      throw err;
+    });
+    if (!plan) throw planError(409, 'Plan was saved by someone else; reload it and try again');
+
+    await PlanVersion.create({ planId: plan._id, fplId: String(fplId), version: plan.version, name, gameweeks });
+    return { plan: toPlan(plan), evaluation };
+  },
+
+  /**
+   * Delete a plan and its versions
+   * @param {number} fplId - Manager ID
+   * @param {string} planId - Plan ID
+   * @returns {Promise<void>}
+   */
+  async remove(fplId, planId) {
+    if (!mongoose.isValidObjectId(planId)) throw planError(404, 'Plan not found');
+    const deleted = await Plan.findOneAndDelete({ _id: planId, fplId: String(fplId) });
+    if (!deleted) throw planError(404, 'Plan not found');
+    await PlanVersion.deleteMany({ planId: deleted._id });
+  },
+
+  /**
+   * Saved versions of a plan, newest first
+   * @param {number} fplId - Manager ID
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Array>} - [{ version, name, savedAt }]
+   */
+  async getVersions(fplId, planId) {
+    const plan = await this.get(fplId, planId);
+    const versions = await PlanVersion.find({ planId: plan.id }, { version: 1, name: 1, savedAt: 1 })
+      .sort({ version: -1 })
+      .lean();
+    return versions.map(({ version, name, savedAt }) => ({ version, name, savedAt }));
+  },
+
+  /**
+   * Projected points of two plans side by side
+   * @param {number} fplId - Manager ID
+   * @param {Object} a - { id, version }
+   * @param {Object} b - { id, version }
+   * @returns {Promise<Object>} - { a, b, difference, gameweeks } with b minus a
+   */
+  async compare(fplId, a, b) {
+    const [planA, planB] = await Promise.all([
+      this.get(fplId, a.id, a.version),
+      this.get(fplId, b.id, b.version)
+    ]);
+
+    // Both plans over the same gameweeks, so a gameweek one of them leaves out counts as no transfers
+    const covered = [...new Set([...planA.gameweeks, ...planB.gameweeks].map(entry => entry.gameweek))];
+    const fill = (plan) => covered.map(gw => plan.gameweeks.find(entry => entry.gameweek === gw) || { gameweek: gw, transfers: [] });
+    const [evaluationA, evaluationB] = await this.evaluate(fplId, [fill(planA), fill(planB)]);
+
+    const summary = (plan, evaluation) => ({
+      id: plan.id,
+      name: plan.name,
+      version: plan.version,
+      projectedPoints: evaluation.projectedPoints,
+      hitCost: evaluation.hitCost,
+      valid: evaluation.valid,
+      errors: evaluation.errors
+    });
+    return {
+      a: summary(planA, evaluationA),
+      b: summary(planB, evaluationB),
+      ...planEngine.comparePlans(evaluationA, evaluationB)
+    };
+  }
+};
+
+module.exports = planService;
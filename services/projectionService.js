@@ -0,0 +1,174 @@
+// services/projectionService.js
+// Expected points (xP) for every player in the upcoming gameweeks, from each
+// player's element-summary history, the fixture list and bootstrap team ratings
+// (see utils/xpEngine.js). Projections are regenerated on a schedule and stored
+// one document per player per gameweek, so every feature reads the same numbers.
+const FPLAPIProxyService = require('./fplApiProxyService');
+const workerCoordination = require('./workerCoordination');
+const assistantManagerService = require('./assistantManagerService');
+const xpEngine = require('../utils/xpEngine');
+const { Projection } = require('../config/db');
+const logger = require('../utils/logger');
+
+const DEFAULT_HORIZON = 6;
+const HISTORY_BATCH_SIZE = 10;
+const SCHEDULE_INTERVAL_MS = parseInt(process.env.PROJECTION_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+/**
+ * First gameweek still to be played
+ * @param {Object} bootstrapData - Raw bootstrap data
+ * @returns {number} - Gameweek number
+ */
+const getNextGameweek = (bootstrapData) => {
+  const events = bootstrapData.events || [];
+  const next = events.find(event => event.is_next);
+  if (next) return next.id;
+  const current = events.find(event => event.is_current);
+  return Math.min((current?.id || 0) + 1, 38);
+};
+
+/**
+ * Stored projection in the shape the API returns
+ * @param {Object} doc - Projection document
+ * @returns {Object} - Projection without Mongo fields
+ */
+const toProjection = ({ _id, __v, ...projection }) => projection;
+
+const projectionService = {
+  /**
+   * Project every player who has played this season, on one worker at a time
+   * @param {Object} options - { fromGameweek (defaults to the next gameweek), horizon }
+   * @returns {Promise<Object|null>} - { gameweeks, players, generatedAt }, or null if another worker holds the lock
+   */
+  async generate({ fromGameweek = null, horizon = DEFAULT_HORIZON } = {}) {
+    const isLeader = await workerCoordination.becomeLeader('projections', 30 * 60);
+    if (!isLeader) return null;
+
+    try {
+      const [bootstrapData, seasonFixtures] = await Promise.all([
+        FPLAPIProxyService.fetchBootstrapData(),
+        assistantManagerService.getSeasonFixtures()
+      ]);
+      const start = fromGameweek || getNextGameweek(bootstrapData);
+      const gameweeks = [];
+      for (let gw = start; gw < start + horizon && gw <= 38; gw++) gameweeks.push(gw);
+
+      const ratings = xpEngine.getTeamRatings(bootstrapData.teams || []);
+      const players = (bootstrapData.elements || [])
+        .filter(el => xpEngine.POSITION_TYPES[el.element_type] && el.minutes > 0);
+
+      // Histories in small batches to stay inside the upstream rate limits
+      const histories = new Map();
+      for (let i = 0; i < players.length; i += HISTORY_BATCH_SIZE) {
+        const batch = players.slice(i, i + HISTORY_BATCH_SIZE);
+        const results = await Promise.allSettled(batch.map(el => FPLAPIProxyService.fetchPlayerSummary(el.id)));
+        results.forEach((result, index) => {
+          if (result.status === 'fulfilled') histories.set(batch[index].id, result.value?.history || []);
+        });
+      }
+
+      const generatedAt = new Date();
+      const operations = [];
+      players.forEach(element => {
+        if (!histories.has(element.id)) return;
+        const rates = xpEngine.getPlayerRates(element, histories.get(element.id));
+        gameweeks.forEach(gw => {
+          const projection = xpEngine.projectGameweek(
+            element,
+            rates,
+            seasonFixtures.filter(f => f.event === gw),
+            ratings
+          );
+          operations.push({
+            updateOne: {
+              filter: { _id: `xp:${gw}:${element.id}` },
+              update: {
+                $set: {
+                  gameweek: gw,
+                  playerId: element.id,
+                  teamId: element.team,
+                  positionType: rates.positionType,
+                  cost: element.now_cost / 10,
+                  ...projection,
+                  generatedAt
+                }
+              },
+              upsert: true
+            }
+          });
+        });
+      });
+
+      if (operations.length > 0) await Projection.bulkWrite(operations);
+      // Players no longer in the pool drop out; those whose history failed to load keep their last projection
+      await Projection.deleteMany({ gameweek: { $in: gameweeks }, playerId: { $nin: players.map(el => el.id) } });
+
+      logger.info(`Projected ${histories.size}/${players.length} players for GW ${gameweeks[0]}-${gameweeks[gameweeks.length - 1]}`);
+      return { gameweeks, players: histories.size, generatedAt };
+    } finally {
+      await workerCoordination.releaseLeadership('projections');
+    }
+  },
+
+  /**
+   * Run generate() now and then on an interval
+   * @param {number} intervalMs - Time between runs
+   * @returns {Object} - Interval handle
+   */
+  startSchedule(intervalMs = SCHEDULE_INTERVAL_MS) {
+    const run = () => this.generate().catch(err => logger.error('Projection update failed', { error: err.message }));
+    run();
+    return setInterval(run, intervalMs);
+  },
+
+  /**
+   * Projections for one gameweek, best first
+   * @param {number} gameweek - Gameweek number
+   * @param {Object} filters - { playerIds, positionType, teamId, limit }
+   * @returns {Promise<Object>} - { gameweek, generatedAt, players }
+   */
+  async getGameweek(gameweek, { playerIds = null, positionType = null, teamId = null, limit = null } = {}) {
+    const query = { gameweek };
+    if (playerIds) query.playerId = { $in: playerIds };
+    if (positionType) query.positionType = positionType;
+    if (teamId) query.teamId = teamId;
+
+    let cursor = Projection.find(query).sort({ xp: -1 });
+    if (limit) cursor = cursor.limit(limit);
+    const docs = await cursor.lean();
+
+    return {
+      gameweek,
+      generatedAt: docs.reduce((latest, doc) => (!latest || doc.generatedAt > latest ? doc.generatedAt : latest), null),
+      players: docs.map(toProjection)
+    };
+  },
+
+  /**
+   * One player's projections across gameweeks
+   * @param {number} playerId - Player ID
+   * @param {Object} range - { from, to } gameweeks
+   * @returns {Promise<Array>} - Projections by gameweek
+   */
+  async getPlayer(playerId, { from = 1, to = 38 } = {}) {
+    const docs = await Projection.find({ playerId, gameweek: { $gte: from, $lte: to } }).sort({ gameweek: 1 }).lean();
+    return docs.map(toProjection);
+  },
+
+  /**
+   * xP lookup for features that project many players at once
+   * @param {number[]} gameweeks - Gameweeks to load
+   * @returns {Promise<Map>} - Gameweek to Map of player ID to xP; gameweeks without projections are left out
+   */
+  async getProjectionMap(gameweeks) {
+    const docs = await Projection.find({ gameweek: { $in: gameweeks } }, { gameweek: 1, playerId: 1, xp: 1 }).lean();
+    const map = new Map();
+    docs.forEach(doc => {
+      if (!map.has(doc.gameweek)) map.set(doc.gameweek, new Map());
+      map.get(doc.gameweek).set(doc.playerId, doc.xp);
+    });
+    return map;
+  }
+};
+
+module.exports = projectionService;
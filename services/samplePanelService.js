@@ -0,0 +1,272 @@
+// services/samplePanelService.js
+// Persistent manager sample panel for tier stats and the live rank estimator.
+// Managers are discovered from the overall league standings, one rank band at a
+// time, so every band (see rankEngine.RANK_BANDS) has a known, growing sample.
+// Each manager's rank history is refreshed on a schedule, and tier samples are
+// drawn from the panel in proportion to band sizes.
+const FPLAPIProxyService = require('./fplApiProxyService');
+const upstreamSource = require('./upstreamSource');
+const workerCoordination = require('./workerCoordination');
+const { loadBootstrapData } = require('./bootstrapService');
+const rankEngine = require('../utils/rankEngine');
+const { PanelManager } = require('../config/db');
+const logger = require('../utils/logger');
+
+const OVERALL_LEAGUE_ID = 314;
+const STANDINGS_PAGE_SIZE = 50;
+const ENTRIES_PER_PAGE = 5; // Spread across the page so one page doesn't dominate a band
+const BAND_TARGETS = [60, 120, 160, 200, 100]; // Panel size per rank band
+const DISCOVERY_PAGES_PER_RUN = 20;
+const REFRESH_BATCH_SIZE = 100;
+const REFRESH_AGE_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_INTERVAL_MS = parseInt(process.env.SAMPLE_PANEL_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const DEFAULT_TOTAL_PLAYERS = 10000000;
+
+/**
+ * Rank band index for an overall rank
+ * @param {number} rank - Overall rank
+ * @returns {number} - Index into rankEngine.RANK_BANDS
+ */
+const getBand = (rank) => rankEngine.RANK_BANDS.findIndex(bound => rank <= bound);
+
+/**
+ * First and last rank of a band
+ * @param {number} band - Band index
+ * @param {number} totalPlayers - Real number of players
+ * @returns {Object} - { lower, upper }
+ */
+const getBandBounds = (band, totalPlayers) => ({
+  lower: band === 0 ? 1 : rankEngine.RANK_BANDS[band - 1] + 1,
+  upper: Math.min(rankEngine.RANK_BANDS[band], totalPlayers)
+});
+
+/**
+ * Overall rank going into a gameweek, from rank history where available
+ * @param {Object} manager - PanelManager document
+ * @param {number} gameweek - Gameweek being sampled
+ * @returns {number} - Overall rank
+ */
+const getRankBefore = (manager, gameweek) => {
+  const previous = (manager.rankHistory || [])
+    .filter(row => row.gameweek < gameweek && row.rank)
+    .sort((a, b) => b.gameweek - a.gameweek)[0];
+  return previous?.rank || manager.rank;
+};
+
+const samplePanelService = {
+  /**
+   * Add managers to bands that are below target from random overall league pages
+   * @param {number} totalPlayers - Real number of players (bootstrap total_players)
+   * @param {number} maxPages - Standings pages to fetch in this run
+   * @returns {Promise<number>} - Managers added
+   */
+  async discover(totalPlayers, maxPages = DISCOVERY_PAGES_PER_RUN) {
+    let pagesLeft = maxPages;
+    let added = 0;
+
+    for (let band = 0; band < rankEngine.RANK_BANDS.length && pagesLeft > 0; band++) {
+      const { lower, upper } = getBandBounds(band, totalPlayers);
+      if (lower > upper) break;
+
+      const count = await PanelManager.countDocuments({ band });
+      const shortfall = BAND_TARGETS[band] - count;
+      if (shortfall <= 0) continue;
+
+      const visited = new Set(await PanelManager.distinct('discoveredPage', { band }));
+      const firstPage = Math.ceil(lower / STANDINGS_PAGE_SIZE);
+      const lastPage = Math.ceil(upper / STANDINGS_PAGE_SIZE);
+      const pagesNeeded = Math.min(pagesLeft, Math.ceil(shortfall / ENTRIES_PER_PAGE));
+
+      for (let i = 0; i < pagesNeeded; i++) {
+        let page = null;
+        for (let attempt = 0; attempt < 10 && page === null; attempt++) {
+          const candidate = firstPage + Math.floor(Math.random() * (lastPage - firstPage + 1));
+          if (!visited.has(candidate)) page = candidate;
+        }
+        if (page === null) break;
+        visited.add(page);
+        pagesLeft--;
+
+        try {
+          const response = await FPLAPIProxyService.fetchWithRetry(
+            upstreamSource.directUrl(`leagues-classic/${OVERALL_LEAGUE_ID}/standings/?page_standings=${page}`)
+          );
+          const results = (response.data?.standings?.results || [])
+            .filter(row => row.rank >= lower && row.rank <= upper);
+          const step = Math.max(1, Math.floor(results.length / ENTRIES_PER_PAGE));
+          const chosen = results.filter((_, index) => index % step === 0).slice(0, ENTRIES_PER_PAGE);
+
+          for (const row of chosen) {
+            const result = await PanelManager.updateOne(
+              { _id: row.entry },
+              {
+                $setOnInsert: {
+                  name: row.entry_name,
+                  playerName: row.player_name,
+                  rank: row.rank,
+                  band: getBand(row.rank),
+                  discoveredPage: page,
+                  discoveredAt: new Date(),
+                  refreshedAt: new Date(0)
+                }
+              },
+              { upsert: true }
+            );
+            added += result.upsertedCount || 0;
+          }
+        } catch (err) {
+          logger.warn(`Sample panel discovery failed for page ${page}`, { error: err.message });
+        }
+      }
+    }
+
+    logger.info(`Sample panel discovery added ${added} managers`);
+    return added;
+  },
+
+  /**
+   * Refresh rank history for the managers refreshed longest ago
+   * @param {number} limit - Managers to refresh in this run
+   * @returns {Promise<number>} - Managers refreshed
+   */
+  async refresh(limit = REFRESH_BATCH_SIZE) {
+    const stale = await PanelManager.find({ refreshedAt: { $lt: new Date(Date.now() - REFRESH_AGE_MS) } })
+      .sort({ refreshedAt: 1 })
+      .limit(limit)
+      .lean();
+
+    let refreshed = 0;
+    for (let i = 0; i < stale.length; i += 10) {
+      const batch = stale.slice(i, i + 10);
+      const results = await Promise.allSettled(batch.map(manager =>
+        FPLAPIProxyService.fetchWithRetry(upstreamSource.directUrl(`entry/${manager._id}/history/`))
+      ));
+
+      for (let j = 0; j < batch.length; j++) {
+        const manager = batch[j];
+        const result = results[j];
+        if (result.status === 'rejected') {
+          // Entries that no longer exist drop out of the panel
+          if (result.reason?.response?.status === 404) {
+            await PanelManager.deleteOne({ _id: manager._id });
+          }
+          continue;
+        }
+
+        const rankHistory = (result.value.data?.current || []).map(row => ({
+          gameweek: row.event,
+          rank: row.overall_rank,
+          totalPoints: row.total_points
+        }));
+        const latest = rankHistory[rankHistory.length - 1];
+        const rank = latest?.rank || manager.rank;
+        await PanelManager.updateOne(
+          { _id: manager._id },
+          { rankHistory, rank, band: getBand(rank), refreshedAt: new Date() }
+        );
+        refreshed++;
+      }
+    }
+
+    logger.info(`Sample panel refreshed ${refreshed}/${stale.length} managers`);
+    return refreshed;
+  },
+
+  /**
+   * Discover and refresh once, on one worker at a time
+   * @returns {Promise<Object|null>} - { added, refreshed }, or null if another worker holds the lock
+   */
+  async update() {
+    const isLeader = await workerCoordination.becomeLeader('sample-panel', 30 * 60);
+    if (!isLeader) return null;
+
+    try {
+      const bootstrapData = await loadBootstrapData();
+      const totalPlayers = bootstrapData.total_players || DEFAULT_TOTAL_PLAYERS;
+      const added = await this.discover(totalPlayers);
+      const refreshed = await this.refresh();
+      return { added, refreshed };
+    } finally {
+      await workerCoordination.releaseLeadership('sample-panel');
+    }
+  },
+
+  /**
+   * Run update() now and then on an interval
+   * @param {number} intervalMs - Time between runs
+   * @returns {Object} - Interval handle
+   */
+  startSchedule(intervalMs = SCHEDULE_INTERVAL_MS) {
+    const run = () => this.update().catch(err => logger.error('Sample panel update failed', { error: err.message }));
+    run();
+    return setInterval(run, intervalMs);
+  },
+
+  /**
+   * Managers per band in the panel
+   * @returns {Promise<Object[]>} - [{ band, lower, upper, count, target, lastRefreshed }]
+   */
+  async getSummary() {
+    const counts = await PanelManager.aggregate([
+      { $group: { _id: '$band', count: { $sum: 1 }, lastRefreshed: { $max: '$refreshedAt' } } }
+    ]);
+    return rankEngine.RANK_BANDS.map((upper, band) => {
+      const row = counts.find(c => c._id === band);
+      return {
+        band,
+        lower: band === 0 ? 1 : rankEngine.RANK_BANDS[band - 1] + 1,
+        upper: upper === Infinity ? null : upper,
+        count: row?.count || 0,
+        target: BAND_TARGETS[band],
+        lastRefreshed: row?.lastRefreshed || null
+      };
+    });
+  },
+
+  /**
+   * Draw a stratified sample for each tier, allocating managers to bands in
+   * proportion to band size. Managers are taken in discovery order, so the same
+   * panel always gives the same sample.
+   * @param {Object} tiers - { top1k: { maxRank, targetSamples }, ... }
+   * @param {number} gameweek - Gameweek being sampled (ranks are taken from before it)
+   * @param {number} totalPlayers - Real number of players
+   * @returns {Promise<Object>} - { ids, byTier: { tierName: [ids] } }
+   */
+  async getTierSample(tiers, gameweek, totalPlayers) {
+    const panel = await PanelManager.find({}).sort({ discoveredAt: 1, _id: 1 }).lean();
+    const byBand = rankEngine.RANK_BANDS.map(() => []);
+    panel.forEach(manager => {
+      const band = getBand(getRankBefore(manager, gameweek));
+      if (band >= 0) byBand[band].push(manager._id);
+    });
+
+    const byTier = {};
+    const ids = new Set();
+    Object.entries(tiers).forEach(([tierName, { maxRank, targetSamples }]) => {
+      byTier[tierName] = [];
+      const tierSize = Math.min(maxRank, totalPlayers);
+      byBand.forEach((bandIds, band) => {
+        const { lower, upper } = getBandBounds(band, totalPlayers);
+        if (lower > Math.min(upper, tierSize)) return;
+        const share = (Math.min(upper, tierSize) - lower + 1) / tierSize;
+        const take = Math.max(bandIds.length > 0 ? 1 : 0, Math.round(targetSamples * share));
+        bandIds.slice(0, take).forEach(id => {
+          byTier[tierName].push(id);
+          ids.add(id);
+        });
+      });
+    });
+
+    // Managers outside every tier still inform the rank estimator
+    const deepestTier = Math.max(...Object.values(tiers).map(tier => tier.maxRank));
+    byBand.forEach((bandIds, band) => {
+      if (getBandBounds(band, totalPlayers).lower > deepestTier) {
+        bandIds.slice(0, BAND_TARGETS[band]).forEach(id => ids.add(id));
+      }
+    });
+
+    return { ids: Array.from(ids), byTier };
+  }
+};
+
+module.exports = samplePanelService;
@@ -0,0 +1,265 @@
+// services/shareService.js
+// Shareable snapshots: a manager's picks for a gameweek, or a saved plan's
+// squad for its last gameweek, frozen with fixtures and projected points at
+// the moment they are shared. Snapshots are stored once under a short random
+// ID and never updated, so a link always shows what was shared.
+const crypto = require('crypto');
+const FPLAPIProxyService = require('./fplApiProxyService');
+const planService = require('./planService');
+const { getPicksData, getPlannerData, getGameweekProjections } = require('./fplService');
+const fixtureEngine = require('../utils/fixtureEngine');
+const { SharedSnapshot } = require('../config/db');
+
+const SHARE_ID_LENGTH = 8;
+const SHARE_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const MAX_ID_ATTEMPTS = 3;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Random short ID for a share link
+ * @returns {string} - SHARE_ID_LENGTH characters from SHARE_ID_ALPHABET
+ */
+const createShareId = () => [...crypto.randomBytes(SHARE_ID_LENGTH)]
+  .map(byte => SHARE_ID_ALPHABET[byte % SHARE_ID_ALPHABET.length])
+  .join('');
+
+/**
+ * Error the routes turn into a response with the given status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status
+ */
+const shareError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Fixtures and projected points for each player in a gameweek
+ * @param {Object} plannerData - From getPlannerData()
+ * @param {number} gameweek - Gameweek to describe
+ * @returns {Promise<Function>} - (player) => { fixtures, fixtureCount, projectedPoints }
+ */
+const getGameweekContext = async (plannerData, gameweek) => {
+  const teamNames = new Map();
+  (plannerData.fixtures || []).forEach(gw => (gw.matches || []).forEach(match => {
+    teamNames.set(match.teamH, match.teamHName);
+    teamNames.set(match.teamA, match.teamAName);
+  }));
+  const teamFixtures = fixtureEngine.buildTeamFixtures(plannerData.fixtures || []).get(gameweek);
+  const { projections } = await getGameweekProjections([gameweek], plannerData);
+  const xp = projections.get(gameweek) || new Map();
+
+  return (player) => {
+    const fixtures = (teamFixtures?.get(player.teamId) || []).map(f => ({
+      opponent: teamNames.get(f.opponentId) || 'UNK',
+      location: f.isHome ? 'H' : 'A',
+      difficulty: f.difficulty
+    }));
+    return {
+      teamShortName: teamNames.get(player.teamId) || 'UNK',
+      fixtures,
+      fixtureCount: teamFixtures ? fixtures.length : null,
+      projectedPoints: xp.has(player.id) ? round1(xp.get(player.id)) : null
+    };
+  };
+};
+
+/**
+ * Manager details shown on a snapshot
+ * @param {number} fplId - Manager ID
+ * @returns {Promise<Object>} - { teamName, managerName }
+ */
+const getManagerSummary = async (fplId) => {
+  try {
+    const { managerData } = await FPLAPIProxyService.fetchManagerData(fplId);
+    return {
+      teamName: managerData.name || null,
+      managerName: `${managerData.player_first_name || ''} ${managerData.player_last_name || ''}`.trim() || null
+    };
+  } catch (err) {
+    console.warn(`Failed to fetch manager ${fplId} for snapshot:`, err.message);
+    return { teamName: null, managerName: null };
+  }
+};
+
+const shareService = {
+  /**
+   * Freeze a manager's picks for a gameweek
+   * @param {number} fplId - Manager ID
+   * @param {number} gameweek - Gameweek of the picks
+   * @returns {Promise<Object>} - Snapshot data
+   */
+  async buildPicksSnapshot(fplId, gameweek) {
+    const [picksData, plannerData, manager] = await Promise.all([
+      getPicksData(fplId, gameweek),
+      getPlannerData(fplId),
+      getManagerSummary(fplId)
+    ]);
+    // getPicksData() answers upstream failures with empty picks rather than an error
+    if (!picksData?.picks?.length) {
+      if (gameweek > (plannerData.currentGameweek || 1)) throw shareError(404, `No picks for GW${gameweek} yet`);
+      throw shareError(502, `Could not load the picks for GW${gameweek}; try again later`);
+    }
+    const describe = await getGameweekContext(plannerData, gameweek);
+
+    const players = picksData.picks.map(pick => {
+      const context = describe({ id: pick.playerId, teamId: pick.teamId });
+      return {
+        id: pick.playerId,
+        name: pick.name,
+        positionType: pick.positionType,
+        position: pick.position,
+        multiplier: pick.multiplier,
+        isCaptain: pick.isCaptain,
+        isViceCaptain: pick.isViceCaptain,
+        teamShortName: pick.teamShortName || context.teamShortName,
+        points: pick.livePoints,
+        projectedPoints: context.projectedPoints,
+        fixtures: context.fixtures,
+        fixtureCount: pick.fixtureCount ?? context.fixtureCount
+      };
+    });
+
+    return {
+      title: `GW${gameweek} team`,
+      ...manager,
+      gameweek,
+      activeChip: picksData.activeChip || null,
+      totals: {
+        points: picksData.totalLivePoints,
+        projectedPoints: players.some(p => p.projectedPoints !== null)
+          ? round1(players.filter(p => p.multiplier > 0).reduce((sum, p) => sum + (p.projectedPoints || 0) * p.multiplier, 0))
+          : null
+      },
+      players
+    };
+  },
+
+  /**
+   * Freeze a saved plan: its squad for the last planned gameweek and what each gameweek does
+   * @param {number} fplId - Manager ID
+   * @param {string} planId - Plan ID
+   * @param {number|null} version - Plan version (latest when null)
+   * @returns {Promise<Object>} - Snapshot data
+   */
+  async buildPlanSnapshot(fplId, planId, version = null) {
+    const plan = await planService.get(fplId, planId, version);
+    const [[evaluation], plannerData, manager] = await Promise.all([
+      planService.evaluate(fplId, [plan.gameweeks]),
+      getPlannerData(fplId),
+      getManagerSummary(fplId)
+    ]);
+    if (!evaluation.valid) {
+      throw shareError(400, 'The plan is no longer valid for this squad; update it before sharing');
+    }
+
+    const last = evaluation.gameweeks[evaluation.gameweeks.length - 1];
+    const describe = await getGameweekContext(plannerData, last.gameweek);
+    const playersById = new Map((plannerData.allPlayers || []).map(p => [p.id, p]));
+    const name = (id) => playersById.get(id)?.name || `Player ${id}`;
+    const order = { GK: 0, DEF: 1, MID: 2, FWD: 3 };
+    const lineup = [
+      ...last.xi.map(id => playersById.get(id)).filter(Boolean).sort((a, b) => order[a.positionType] - order[b.positionType]),
+      ...last.bench.map(id => playersById.get(id)).filter(Boolean)
+    ];
+    const captainMultiplier = last.chip === 'triplecaptain' ? 3 : 2;
+
+    const players = lineup.map((player, index) => {
+      const isStarter = index < 11;
+      const isCaptain = player.id === last.captain;
+      return {
+        id: player.id,
+        name: player.name,
+        positionType: player.positionType,
+        position: index + 1,
+        multiplier: isCaptain ? captainMultiplier : (isStarter || last.chip === 'bboost' ? 1 : 0),
+        isCaptain,
+        isViceCaptain: player.id === last.viceCaptain,
+        points: null,
+        ...describe(player)
+      };
+    });
+
+    return {
+      title: plan.name,
+      ...manager,
+      gameweek: last.gameweek,
+      activeChip: last.chip,
+      planVersion: plan.version,
+      totals: {
+        points: null,
+        projectedPoints: evaluation.projectedPoints
+      },
+      players,
+      plan: evaluation.gameweeks.map(gw => ({
+        gameweek: gw.gameweek,
+        chip: gw.chip,
+        hitCost: gw.hitCost,
+        projectedPoints: gw.projectedPoints,
+        transfers: (plan.gameweeks.find(entry => entry.gameweek === gw.gameweek)?.transfers || [])
+          .map(t => ({ out: { id: t.out, name: name(t.out) }, in: { id: t.in, name: name(t.in) } }))
+      }))
+    };
+  },
+
+  /**
+   * Freeze picks or a plan under a new short ID
+   * @param {number} fplId - Manager ID
+   * @param {Object} options - { type: 'picks', gameweek } or { type: 'plan', planId, version }
+   * @returns {Promise<Object>} - { id, type, gameweek, createdAt }
+   */
+  async create(fplId, { type, gameweek = null, planId = null, version = null }) {
+    let data;
+    if (type === 'picks') {
+      data = await this.buildPicksSnapshot(fplId, gameweek);
+    } else if (type === 'plan') {
+      data = await this.buildPlanSnapshot(fplId, planId, version);
+    } else {
+      throw shareError(400, "Invalid type: must be 'picks' or 'plan'");
+    }
+    // A snapshot never changes, so one without a squad would stay empty for good
+    if (!data.players?.length) throw shareError(502, 'Could not load the squad to share; try again later');
+
+    for (let attempt = 1; attempt <= MAX_ID_ATTEMPTS; attempt++) {
+      try {
+        const snapshot = await SharedSnapshot.create({
+          _id: createShareId(),
+          type,
+          fplId: String(fplId),
+          gameweek: data.gameweek,
+          data
+        });
+        return { id: snapshot._id, type, gameweek: snapshot.gameweek, createdAt: snapshot.createdAt };
+      } catch (err) {
+        // Duplicate short ID: draw another one
+        if (err.code !== 11000 || attempt === MAX_ID_ATTEMPTS) throw err;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * A shared snapshot
+   * @param {string} shareId - Short share ID
+   * @returns {Promise<Object>} - { id, type, fplId, gameweek, createdAt, ...data }
+   */
+  async get(shareId) {
+    if (!/^[A-Za-z0-9]+$/.test(shareId || '') || shareId.length !== SHARE_ID_LENGTH) {
+      throw shareError(404, 'Snapshot not found');
+    }
+    const snapshot = await SharedSnapshot.findById(shareId).lean();
+    if (!snapshot) throw shareError(404, 'Snapshot not found');
+    return {
+      id: snapshot._id,
+      type: snapshot.type,
+      fplId: Number(snapshot.fplId),
+      createdAt: snapshot.createdAt,
+      ...snapshot.data
+    };
+  }
+};
+
+module.exports = shareService;
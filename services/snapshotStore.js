@@ -0,0 +1,155 @@
+// services/snapshotStore.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const upstreamSource = require('./upstreamSource');
+
+// Bump when the envelope layout changes so old captures stay readable
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, '..', 'snapshots');
+const CAPTURE_LOG = 'capture.ndjson';
+
+// Last gameweek seen in upstream traffic, used for URLs that carry no gameweek
+let lastKnownGameweek = null;
+
+const toPlainHeaders = (headers) => {
+  if (!headers) return {};
+  return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+};
+
+// Snapshot store - records upstream FPL responses for later replay
+const snapshotStore = {
+  /**
+   * Whether capture mode is switched on (FPL_CAPTURE=true)
+   * @returns {boolean} - True if responses should be recorded
+   */
+  isEnabled() {
+    const flag = (process.env.FPL_CAPTURE || '').toLowerCase();
+    return (flag === 'true' || flag === '1') && !upstreamSource.isReplay();
+  },
+
+  /**
+   * Root directory for the current snapshot format version
+   * @returns {string} - Absolute directory path
+   */
+  getVersionDir() {
+    const root = path.resolve(process.env.FPL_SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR);
+    return path.join(root, `v${SNAPSHOT_VERSION}`);
+  },
+
+  /**
+   * Directory holding the snapshot for a gameweek
+   * @param {number} gameweek - Gameweek number
+   * @returns {string} - Absolute directory path
+   */
+  getGameweekDir(gameweek) {
+    return path.join(this.getVersionDir(), `gw${gameweek}`);
+  },
+
+  /**
+   * Strip the upstream base from a URL, leaving the FPL API path and query
+   * @param {string} url - Full upstream URL
+   * @returns {string|null} - API path, or null if the URL is not an FPL API call
+   */
+  toApiPath(url) {
+    const parsed = new URL(url);
+    const match = parsed.pathname.match(/\/(?:api|fpl-proxy)\/(.+)$/);
+    if (!match) return null;
+    return `${match[1]}${parsed.search}`;
+  },
+
+  /**
+   * Work out which gameweek a response belongs to
+   * @param {string} apiPath - FPL API path
+   * @param {any} body - Parsed response body
+   * @returns {number|null} - Gameweek number, or null if unknown
+   */
+  resolveGameweek(apiPath, body) {
+    const fromPath = apiPath.match(/event[/=](\d+)/);
+    if (fromPath) return parseInt(fromPath[1]);
+
+    if (apiPath.startsWith('bootstrap-static') && Array.isArray(body?.events)) {
+      const current = body.events.find(e => e.is_current) || body.events.find(e => e.is_next);
+      if (current) return current.id;
+    }
+
+    return lastKnownGameweek;
+  },
+
+  /**
+   * Record an upstream response. Never throws; capture must not break requests.
+   * @param {string} url - Requested URL
+   * @param {Object} response - Axios-style response ({ status, headers, data })
+   * @returns {Promise<string|null>} - Path of the written snapshot file, or null
+   */
+  async record(url, response) {
+    if (!this.isEnabled() || !response) return null;
+
+    try {
+      const apiPath = this.toApiPath(url);
+      if (!apiPath) return null;
+
+      const gameweek = this.resolveGameweek(apiPath, response.data);
+      if (gameweek) lastKnownGameweek = Math.max(lastKnownGameweek || 0, gameweek);
+
+      const envelope = {
+        version: SNAPSHOT_VERSION,
+        url,
+        path: apiPath,
+        gameweek,
+        status: response.status,
+        headers: toPlainHeaders(response.headers),
+        body: response.data,
+        timestamp: new Date().toISOString()
+      };
+
+      const gwDir = this.getGameweekDir(gameweek || 0);
+      const filePath = path.join(gwDir, upstreamSource.toReplayFile(apiPath));
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(path.join(gwDir, CAPTURE_LOG), `${JSON.stringify(envelope)}\n`);
+
+      // Error responses stay in the log only so they never shadow good data on replay
+      if (response.status >= 200 && response.status < 300) {
+        await fs.promises.writeFile(filePath, JSON.stringify(envelope));
+      }
+      return filePath;
+    } catch (error) {
+      logger.warn(`Snapshot capture failed for ${url}`, { error: error.message });
+      return null;
+    }
+  },
+
+  /**
+   * Read every captured response for a gameweek, oldest first
+   * @param {string} gwDir - Gameweek snapshot directory
+   * @returns {Promise<Object[]>} - Envelopes from the capture log
+   */
+  async readCaptureLog(gwDir) {
+    const logPath = path.join(gwDir, CAPTURE_LOG);
+    const contents = await fs.promises.readFile(logPath, 'utf8').catch(() => '');
+    return contents
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Whether a parsed snapshot file is a capture envelope rather than raw API JSON
+   * @param {any} contents - Parsed file contents
+   * @returns {boolean} - True for envelopes written by record()
+   */
+  isEnvelope(contents) {
+    return !!contents && typeof contents === 'object' && !Array.isArray(contents) &&
+      typeof contents.version === 'number' && 'body' in contents && 'status' in contents;
+  }
+};
+
+module.exports = snapshotStore;
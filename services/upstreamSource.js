@@ -0,0 +1,110 @@
+// services/upstreamSource.js
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_WORKER_URL = 'https://fpl-api.fpl-test.workers.dev';
+const DEFAULT_DIRECT_URL = 'https://fantasy.premierleague.com/api';
+const DEFAULT_REPLAY_URL = 'http://localhost:5050';
+const DEFAULT_REPLAY_DIR = path.join(__dirname, '..', 'snapshots', 'replay');
+
+const SOURCES = ['live', 'replay'];
+
+const resolveSource = () => {
+  const source = (process.env.FPL_UPSTREAM || 'live').toLowerCase();
+  if (!SOURCES.includes(source)) {
+    logger.warn(`Unknown FPL_UPSTREAM "${source}", falling back to live`);
+    return 'live';
+  }
+  return source;
+};
+
+const trimSlashes = (value) => value.replace(/^\/+|\/+$/g, '');
+
+// Upstream source - single place that decides where FPL data comes from
+const upstreamSource = {
+  /**
+   * Currently configured upstream source
+   * @returns {string} - 'live' or 'replay'
+   */
+  getSource() {
+    return resolveSource();
+  },
+
+  /**
+   * Whether the backend is serving recorded data instead of the real API
+   * @returns {boolean} - True in replay mode
+   */
+  isReplay() {
+    return resolveSource() === 'replay';
+  },
+
+  /**
+   * Base URL of the Cloudflare worker (or the replay server in replay mode)
+   * @returns {string} - Base URL without trailing slash
+   */
+  getWorkerBaseURL() {
+    if (this.isReplay()) return this.getReplayBaseURL();
+    return (process.env.FPL_WORKER_URL || DEFAULT_WORKER_URL).replace(/\/+$/, '');
+  },
+
+  /**
+   * Base URL of the official FPL API (or the replay server in replay mode)
+   * @returns {string} - Base URL without trailing slash
+   */
+  getDirectBaseURL() {
+    if (this.isReplay()) return `${this.getReplayBaseURL()}/api`;
+    return (process.env.FPL_DIRECT_URL || DEFAULT_DIRECT_URL).replace(/\/+$/, '');
+  },
+
+  /**
+   * Base URL of the local replay server
+   * @returns {string} - Base URL without trailing slash
+   */
+  getReplayBaseURL() {
+    return (process.env.FPL_REPLAY_URL || DEFAULT_REPLAY_URL).replace(/\/+$/, '');
+  },
+
+  /**
+   * Directory the replay server reads recorded responses from
+   * @returns {string} - Absolute directory path
+   */
+  getReplayDir() {
+    return path.resolve(process.env.FPL_REPLAY_DIR || DEFAULT_REPLAY_DIR);
+  },
+
+  /**
+   * Build a worker proxy URL for an FPL API path
+   * @param {string} apiPath - FPL API path, e.g. 'event/12/live/'
+   * @returns {string} - Full URL
+   */
+  workerUrl(apiPath) {
+    return `${this.getWorkerBaseURL()}/fpl-proxy/${apiPath.replace(/^\/+/, '')}`;
+  },
+
+  /**
+   * Build an official FPL API URL for an FPL API path
+   * @param {string} apiPath - FPL API path, e.g. 'event/12/live/'
+   * @returns {string} - Full URL
+   */
+  directUrl(apiPath) {
+    return `${this.getDirectBaseURL()}/${apiPath.replace(/^\/+/, '')}`;
+  },
+
+  /**
+   * Map an FPL API path (with optional query string) to the relative file
+   * the replay server stores it under, e.g. 'fixtures/?event=12' becomes
+   * 'fixtures@event=12.json'
+   * @param {string} apiPath - FPL API path
+   * @returns {string} - Relative file path
+   */
+  toReplayFile(apiPath) {
+    const [pathname, query = ''] = apiPath.split('?');
+    const base = trimSlashes(pathname) || 'index';
+    const params = new URLSearchParams(query);
+    params.sort();
+    const suffix = params.toString();
+    return `${base}${suffix ? `@${suffix}` : ''}.json`;
+  }
+};
+
+module.exports = upstreamSource;
@@ -186,23 +186,25 @@ const fetchLiveData = async (gameweek) => {
         // Now process the data and update clients
         const newData = liveData.elements || [];
         
+        // Check if data has changed before processing (compare before overwriting the cache)
+        const existingDataString = JSON.stringify(global.liveDataCache[gameweek] || []);
+        const newDataString = JSON.stringify(newData);
+        
         // Cache the new data globally for legacy compatibility
         global.liveDataCache[gameweek] = newData;
         global.liveDataCache[`${gameweek}:timestamp`] = Date.now();
         global.liveDataCache[`${gameweek}:source`] = dataSource;
         
-        // Check if data has changed before processing
-        const existingDataString = JSON.stringify(global.liveDataCache[gameweek] || []);
-        const newDataString = JSON.stringify(newData);
-        
         if (newDataString !== existingDataString) {
           // Update top10k stats once to avoid multiple API calls
           let updatedStats;
           try {
             updatedStats = await getTop10kStats(gameweek);
             
-            // Cache the top10k stats
-            await mongooseCache.set(`top10k:${gameweek}`, updatedStats, 600); // 10 minutes cache
+            // Cache the top10k stats once the sample panel has been built
+            if (!updatedStats?.buildingSample) {
+              await mongooseCache.set(`top10k:${gameweek}`, updatedStats, 600); // 10 minutes cache
+            }
           } catch (statsError) {
             logger.warn(`Failed to get top10k stats: ${statsError.message}`);
             
@@ -248,12 +250,13 @@ const fetchLiveData = async (gameweek) => {
                     }
                   }
                   
-                  updatePicksFromLiveData(fplId, gameweek, newData);
+                  // Re-score picks against the new live data so the push carries current points
+                  picksData = (await updatePicksFromLiveData(fplId, gameweek, newData)) || picksData;
 
                   const totalLivePoints = picksData.totalLivePoints || 0;
                   const assistantManagerPoints = picksData.assistantManagerPoints || 0;
                   
-                  let managerData, liveRank;
+                  let managerData, liveRankEstimate;
                   
                   // Use cached manager data if available
                   const managerKey = `manager:${fplId}`;
@@ -281,43 +284,41 @@ const fetchLiveData = async (gameweek) => {
                   }
                   
                   // Use cached rank if available
-                  const rankKey = `rank:${fplId}:${gameweek}:${totalLivePoints}`;
+                  const rankKey = `rankEstimate:${fplId}:${gameweek}:${totalLivePoints}`;
                   
                   // Try memory cache first
                   if (memoryCache[rankKey]?.data) {
-                    liveRank = memoryCache[rankKey].data;
+                    liveRankEstimate = memoryCache[rankKey].data;
                   } else {
                     // Try mongoose cache
                     const cachedRank = await mongooseCache.get(rankKey);
                     
                     if (cachedRank) {
-                      liveRank = cachedRank;
+                      liveRankEstimate = cachedRank;
                     } else {
                       try {
-                        liveRank = await estimateLiveRank(
+                        liveRankEstimate = await estimateLiveRank(
                           totalLivePoints, 
-                          managerData.totalPoints, 
+                          picksData.seasonPoints ?? managerData.totalPoints, 
                           managerData.rank, 
-                          picksData.picks, 
-                          assistantManagerPoints
+                          gameweek
                         );
                         
                         // Cache the rank estimation
-                        await mongooseCache.set(rankKey, liveRank, 600); // 10 minutes cache
+                        await mongooseCache.set(rankKey, liveRankEstimate, 600); // 10 minutes cache
                         
                         // Also cache in memory
-                        if (memoryCache[rankKey]) {
-                          memoryCache[rankKey] = {
-                            data: liveRank,
-                            timestamp: Date.now()
-                          };
-                        }
+                        memoryCache[rankKey] = {
+                          data: liveRankEstimate,
+                          timestamp: Date.now()
+                        };
                       } catch (err) {
                         logger.warn(`estimateLiveRank failed for fplId ${fplId}`, { error: err.message });
-                        liveRank = null;
+                        liveRankEstimate = null;
                       }
                     }
                   }
+                  const liveRank = liveRankEstimate?.rank ?? null;
 
                   // Only send if client is still connected
                   if (client.readyState === WebSocket.OPEN) {
@@ -328,10 +329,13 @@ const fetchLiveData = async (gameweek) => {
                       fplId,
                       totalLivePoints,
                       liveRank,
+                      liveRankEstimate,
                       picks: picksData.picks || [],
                       activeChip: picksData.activeChip,
                       assistantManagerPoints,
                       assistantManager: picksData.assistantManager,
+                      rulesVersion: picksData.rulesVersion,
+                      bonusProvisional: !!picksData.bonusProvisional,
                       dataSource,
                       timestamp: Date.now()
                     }));
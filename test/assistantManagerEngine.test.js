@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getManagerElementType,
+  buildManagerCatalogue,
+  diffManagerCatalogue,
+  buildLeagueTable,
+  resolveManagerTeam,
+  scoreAssistantManager,
+  projectAssistantManager
+} = require('../utils/assistantManagerEngine');
+
+const fixture = (id, event, teamH, teamA, homeScore, awayScore, extra = {}) => ({
+  id, event, team_h: teamH, team_a: teamA, team_h_score: homeScore, team_a_score: awayScore,
+  started: true, finished: true, ...extra
+});
+
+test('getManagerElementType reads element_types and falls back to 5', () => {
+  assert.equal(getManagerElementType({ element_types: [{ id: 1, singular_name_short: 'GKP' }, { id: 6, singular_name_short: 'AM' }] }), 6);
+  assert.equal(getManagerElementType({}), 5);
+});
+
+test('buildManagerCatalogue lists managers of the manager element type', () => {
+  const catalogue = buildManagerCatalogue({
+    element_types: [{ id: 6, singular_name: 'Manager' }],
+    elements: [
+      { id: 3, element_type: 6, team: 2, first_name: 'Mikel', second_name: 'Arteta', web_name: 'Arteta', now_cost: 15 },
+      { id: 1, element_type: 3, team: 2, web_name: 'Saka', now_cost: 100 },
+      { id: 2, element_type: 6, team: null, web_name: 'Unattached', now_cost: 5 }
+    ]
+  });
+
+  assert.deepEqual(catalogue, [{ id: 3, name: 'Mikel Arteta', web_name: 'Arteta', team_id: 2, cost: 15 }]);
+});
+
+test('diffManagerCatalogue reports club and cost changes', () => {
+  const report = diffManagerCatalogue(
+    [{ id: 1, name: 'A', team_id: 1, cost: 10 }, { id: 2, name: 'B', team_id: 2, cost: 10 }],
+    [{ id: 1, name: 'A', team_id: 3, cost: 12 }, { id: 4, name: 'D', team_id: 4, cost: 8 }]
+  );
+
+  assert.deepEqual(report.added, [{ id: 4, name: 'D', teamId: 4 }]);
+  assert.deepEqual(report.removed, [{ id: 2, name: 'B', teamId: 2 }]);
+  assert.deepEqual(report.clubChanges, [{ id: 1, name: 'A', fromTeamId: 1, toTeamId: 3 }]);
+  assert.deepEqual(report.costChanges, [{ id: 1, name: 'A', fromCost: 10, toCost: 12 }]);
+});
+
+test('buildLeagueTable only counts fixtures before the gameweek', () => {
+  const table = buildLeagueTable([
+    fixture(1, 1, 1, 2, 2, 0),
+    fixture(2, 1, 3, 4, 1, 1),
+    fixture(3, 2, 2, 1, 5, 0)
+  ], 2);
+
+  assert.equal(table.get(1), 1);
+  assert.equal(table.get(2), 4);
+});
+
+test('resolveManagerTeam uses the manager element type from bootstrap', () => {
+  const bootstrapData = {
+    element_types: [{ id: 6, singular_name_short: 'AM' }],
+    elements: [{ id: 10, element_type: 3, team: 1 }, { id: 11, element_type: 6, team: 7 }]
+  };
+
+  assert.equal(resolveManagerTeam({ id: 11 }, bootstrapData), 7);
+  assert.equal(resolveManagerTeam({ id: 10 }, bootstrapData), null);
+  assert.equal(resolveManagerTeam({ id: 10, team_id: 4 }, bootstrapData), 4);
+  assert.equal(resolveManagerTeam({ id: 12 }, bootstrapData, [{ id: 12, team_id: 9 }]), 9);
+});
+
+test('scoreAssistantManager adds the table bonus for beating a side five places higher', () => {
+  const table = new Map([[1, 15], [2, 3], [3, 12]]);
+  const result = scoreAssistantManager(1, [
+    fixture(1, 5, 1, 2, 2, 0),
+    fixture(2, 5, 3, 1, 1, 1, { finished: false })
+  ], table);
+
+  // Win 6 + 2 goals + clean sheet 2 + bonus 10; draw 3 + 1 goal (opponent only 3 places higher)
+  assert.deepEqual(result.fixtures.map(f => f.points), [20, 4]);
+  assert.equal(result.points, 24);
+  assert.equal(result.provisional, true);
+});
+
+test('projectAssistantManager favours the stronger side and counts table bonus fixtures', () => {
+  const teams = [
+    { id: 1, strength_overall_home: 1300, strength_overall_away: 1300 },
+    { id: 2, strength_overall_home: 1100, strength_overall_away: 1100 }
+  ];
+  const upcoming = [{ id: 1, event: 6, team_h: 1, team_a: 2, team_h_difficulty: 2, team_a_difficulty: 4 }];
+
+  const strong = projectAssistantManager(1, upcoming, { teams });
+  const weak = projectAssistantManager(2, upcoming, { teams, table: new Map([[1, 1], [2, 18]]) });
+
+  const weakWithoutBonus = projectAssistantManager(2, upcoming, { teams });
+
+  assert.ok(strong.expectedPoints > weakWithoutBonus.expectedPoints);
+  assert.ok(weak.expectedPoints > weakWithoutBonus.expectedPoints);
+  assert.ok(strong.winProbability > weak.winProbability);
+  assert.equal(weak.tableBonusFixtures, 1);
+  assert.equal(strong.averageDifficulty, 2);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyAutosubs, getPlayStatus, buildTeamFixtureStatus, sumLivePoints } = require('../utils/autosubEngine');
+
+// 1-4-4-2 with a GK, DEF, MID, FWD bench; player N plays for team N
+const LAYOUT = ['GK', 'DEF', 'DEF', 'DEF', 'DEF', 'MID', 'MID', 'MID', 'MID', 'FWD', 'FWD', 'GK', 'DEF', 'MID', 'FWD'];
+
+const buildPicks = (overrides = {}) => LAYOUT.map((positionType, index) => {
+  const id = index + 1;
+  return {
+    playerId: id,
+    position: id,
+    positionType,
+    teamId: id,
+    multiplier: id <= 11 ? 1 : 0,
+    minutes: 90,
+    basePoints: 2,
+    isCaptain: false,
+    isViceCaptain: false,
+    ...overrides[id]
+  };
+});
+
+const finishedFixtures = (teamIds, finished = true) =>
+  teamIds.map((teamId, index) => ({ id: index + 1, team_h: teamId, team_a: 100 + teamId, finished }));
+
+const ALL_FINISHED = finishedFixtures(LAYOUT.map((_, index) => index + 1));
+
+test('getPlayStatus treats blank and finished teams as did not play', () => {
+  const status = buildTeamFixtureStatus(finishedFixtures([1]).concat(finishedFixtures([2], false)));
+
+  assert.equal(getPlayStatus({ teamId: 1, minutes: 0 }, status), 'dnp');
+  assert.equal(getPlayStatus({ teamId: 2, minutes: 0 }, status), 'pending');
+  assert.equal(getPlayStatus({ teamId: 3, minutes: 0 }, status), 'dnp');
+  assert.equal(getPlayStatus({ teamId: 2, minutes: 1 }, status), 'played');
+  assert.equal(getPlayStatus({ teamId: 1, minutes: 0 }, null), 'pending');
+});
+
+test('a non-playing starter is replaced by the first bench outfielder', () => {
+  const { picks, autosubs } = applyAutosubs(buildPicks({ 6: { minutes: 0 } }), { fixtures: ALL_FINISHED });
+
+  assert.deepEqual(autosubs, [{ out: 6, in: 13 }]);
+  assert.equal(picks.find(p => p.playerId === 6).multiplier, 0);
+  assert.equal(picks.find(p => p.playerId === 13).multiplier, 1);
+});
+
+test('a goalkeeper is only replaced by the bench goalkeeper', () => {
+  const { autosubs } = applyAutosubs(buildPicks({ 1: { minutes: 0 } }), { fixtures: ALL_FINISHED });
+
+  assert.deepEqual(autosubs, [{ out: 1, in: 12 }]);
+});
+
+test('substitutions keep at least three defenders', () => {
+  // 3-5-2: losing a defender must bring on the bench defender, even after the bench MID
+  const picks = buildPicks({
+    5: { positionType: 'MID', minutes: 90 },
+    2: { minutes: 0 },
+    13: { positionType: 'MID', position: 13 },
+    14: { positionType: 'DEF', position: 14 }
+  });
+  const { autosubs } = applyAutosubs(picks, { fixtures: ALL_FINISHED });
+
+  assert.deepEqual(autosubs, [{ out: 2, in: 14 }]);
+});
+
+test('substitutions keep at least one forward', () => {
+  // 5-4-1: the lone forward can only be replaced by the bench forward
+  const picks = buildPicks({
+    10: { positionType: 'DEF' },
+    11: { minutes: 0 }
+  });
+  const { autosubs } = applyAutosubs(picks, { fixtures: ALL_FINISHED });
+
+  assert.deepEqual(autosubs, [{ out: 11, in: 15 }]);
+});
+
+test('a bench player who did not play is skipped', () => {
+  const { autosubs } = applyAutosubs(buildPicks({ 6: { minutes: 0 }, 13: { minutes: 0 } }), { fixtures: ALL_FINISHED });
+
+  assert.deepEqual(autosubs, [{ out: 6, in: 14 }]);
+});
+
+test('a bench player still to play holds the substitution', () => {
+  const fixtures = ALL_FINISHED.map(f => (f.team_h === 13 ? { ...f, finished: false } : f));
+  const { autosubs, pendingSubs } = applyAutosubs(buildPicks({ 6: { minutes: 0 }, 13: { minutes: 0 } }), { fixtures });
+
+  assert.deepEqual(autosubs, []);
+  assert.equal(pendingSubs, 1);
+});
+
+test('no substitutions are made with Bench Boost active', () => {
+  const picks = buildPicks({ 6: { minutes: 0 } }).map(p => ({ ...p, multiplier: 1 }));
+  const { autosubs } = applyAutosubs(picks, { fixtures: ALL_FINISHED, activeChip: 'bboost' });
+
+  assert.deepEqual(autosubs, []);
+});
+
+test('the vice-captain takes the armband when the captain does not play', () => {
+  const picks = buildPicks({
+    10: { isCaptain: true, multiplier: 3, minutes: 0 },
+    11: { isViceCaptain: true, basePoints: 5 }
+  });
+  const result = applyAutosubs(picks, { fixtures: ALL_FINISHED, activeChip: '3xc' });
+
+  assert.equal(result.picks.find(p => p.playerId === 11).multiplier, 3);
+  assert.equal(result.viceCaptainPoints, 15);
+  assert.deepEqual(result.autosubs, [{ out: 10, in: 13 }]);
+});
+
+test('re-running on updated picks starts from the selected multipliers', () => {
+  const first = applyAutosubs(buildPicks({ 6: { minutes: 0 } }), { fixtures: ALL_FINISHED });
+  const replayed = first.picks.map(p => (p.playerId === 6 ? { ...p, minutes: 20 } : p));
+  const second = applyAutosubs(replayed, { fixtures: ALL_FINISHED });
+
+  assert.deepEqual(second.autosubs, []);
+  assert.equal(second.picks.find(p => p.playerId === 13).multiplier, 0);
+  assert.equal(sumLivePoints(second.picks), 22);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pickCheckpoints, runBacktest } = require('../scripts/backtestRank');
+
+const MANAGERS = 30;
+const GAMEWEEK = 5;
+
+const envelope = (apiPath, body, timestamp) => ({ version: 1, path: apiPath, status: 200, timestamp, body });
+
+// A gameweek captured by the worker: live data recorded as event/{gw}/live, no trailing slash
+const buildCaptureLog = () => {
+  const early = '2025-01-01T12:00:00.000Z';
+  const late = '2025-01-01T18:00:00.000Z';
+  const elements = Array.from({ length: MANAGERS }, (_, i) => ({ id: i + 1, element_type: 3, team: 1 }));
+  const envelopes = [envelope('bootstrap-static/', { total_players: 1000, elements }, early)];
+
+  for (let id = 1; id <= MANAGERS; id++) {
+    const rank = id * 30;
+    envelopes.push(envelope(`entry/${id}/`, { summary_overall_rank: rank, summary_overall_points: 1000 - id * 5, current_event: GAMEWEEK - 1 }, early));
+    envelopes.push(envelope(`entry/${id}/event/${GAMEWEEK}/picks/`, {
+      active_chip: null,
+      entry_history: { event_transfers_cost: 0 },
+      picks: [{ element: id, position: 1, multiplier: 1, is_captain: false, is_vice_captain: false }]
+    }, early));
+    envelopes.push(envelope(`entry/${id}/history/`, { current: [{ event: GAMEWEEK, overall_rank: rank }] }, late));
+  }
+
+  const live = (minutes) => ({ elements: elements.map(el => ({ id: el.id, stats: { minutes, total_points: 2 }, explain: [] })) });
+  envelopes.push(envelope(`event/${GAMEWEEK}/live`, live(30), '2025-01-01T15:00:00.000Z'));
+  envelopes.push(envelope(`event/${GAMEWEEK}/live`, live(90), late));
+  return envelopes;
+};
+
+test('pickCheckpoints finds live captures recorded without a trailing slash', () => {
+  const checkpoints = pickCheckpoints(buildCaptureLog(), GAMEWEEK, 4);
+
+  assert.deepEqual(checkpoints.map(at => at.toISOString()), ['2025-01-01T15:00:00.000Z', '2025-01-01T18:00:00.000Z']);
+});
+
+test('pickCheckpoints still accepts the direct fetch path and skips failed captures', () => {
+  const envelopes = [
+    envelope(`event/${GAMEWEEK}/live/`, {}, '2025-01-01T15:00:00.000Z'),
+    { ...envelope(`event/${GAMEWEEK}/live`, {}, '2025-01-01T16:00:00.000Z'), status: 503 },
+    envelope(`event/${GAMEWEEK + 1}/live`, {}, '2025-01-01T17:00:00.000Z')
+  ];
+
+  assert.equal(pickCheckpoints(envelopes, GAMEWEEK, 4).length, 1);
+});
+
+test('runBacktest scores managers from a worker-captured gameweek', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+  try {
+    fs.mkdirSync(path.join(dir, `gw${GAMEWEEK}`));
+    fs.writeFileSync(
+      path.join(dir, `gw${GAMEWEEK}`, 'capture.ndjson'),
+      buildCaptureLog().map(line => JSON.stringify(line)).join('\n')
+    );
+
+    const [report] = await runBacktest({ dir, checkpoints: 2 });
+    const all = report.summary.find(row => row.band === 'all');
+
+    assert.equal(report.finalRanks, MANAGERS);
+    assert.equal(report.checkpoints.length, 2);
+    assert.equal(all.count, MANAGERS * 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rankBonus, computeFixtureBonus, buildBonusMap } = require('../utils/bonusEngine');
+
+const bonusOf = (ranked) => Object.fromEntries(ranked.map(entry => [entry.element, entry.bonus]));
+
+const bpsFixture = (h, a, extra = {}) => ({
+  id: 1,
+  team_h: 1,
+  team_a: 2,
+  started: true,
+  finished: false,
+  stats: [{
+    identifier: 'bps',
+    h: h.map(([element, value]) => ({ element, value })),
+    a: a.map(([element, value]) => ({ element, value }))
+  }],
+  ...extra
+});
+
+test('rankBonus awards 3, 2 and 1 to the top three BPS', () => {
+  const ranked = rankBonus([{ element: 1, bps: 20 }, { element: 2, bps: 35 }, { element: 3, bps: 28 }, { element: 4, bps: 10 }]);
+
+  assert.deepEqual(bonusOf(ranked), { 2: 3, 3: 2, 1: 1, 4: 0 });
+});
+
+test('two players tied first both get 3 and the next gets 1', () => {
+  const ranked = rankBonus([{ element: 1, bps: 30 }, { element: 2, bps: 30 }, { element: 3, bps: 25 }, { element: 4, bps: 20 }]);
+
+  assert.deepEqual(bonusOf(ranked), { 1: 3, 2: 3, 3: 1, 4: 0 });
+});
+
+test('two players tied second both get 2 and nobody gets 1', () => {
+  const ranked = rankBonus([{ element: 1, bps: 40 }, { element: 2, bps: 30 }, { element: 3, bps: 30 }, { element: 4, bps: 20 }]);
+
+  assert.deepEqual(bonusOf(ranked), { 1: 3, 2: 2, 3: 2, 4: 0 });
+});
+
+test('three players tied third all get 1', () => {
+  const ranked = rankBonus([
+    { element: 1, bps: 40 }, { element: 2, bps: 30 }, { element: 3, bps: 20 }, { element: 4, bps: 20 }, { element: 5, bps: 20 }
+  ]);
+
+  assert.deepEqual(bonusOf(ranked), { 1: 3, 2: 2, 3: 1, 4: 1, 5: 1 });
+});
+
+test('computeFixtureBonus ranks both sides together and marks it provisional', () => {
+  const result = computeFixtureBonus(bpsFixture([[1, 30], [2, 12]], [[3, 25], [4, 18]]));
+
+  assert.equal(result.provisional, true);
+  assert.deepEqual(bonusOf(result.home), { 1: 3 });
+  assert.deepEqual(bonusOf(result.away), { 3: 2, 4: 1 });
+  assert.equal(result.homeTotal, 3);
+  assert.equal(result.awayTotal, 3);
+});
+
+test('computeFixtureBonus uses FPL awards once they exist', () => {
+  const fixture = bpsFixture([[1, 30]], [[3, 25]]);
+  fixture.stats.push({ identifier: 'bonus', h: [{ element: 1, value: 3 }], a: [{ element: 3, value: 1 }] });
+  const result = computeFixtureBonus(fixture);
+
+  assert.equal(result.confirmed, true);
+  assert.deepEqual(bonusOf(result.away), { 3: 1 });
+});
+
+test('computeFixtureBonus falls back to explain BPS and ignores fixtures not started', () => {
+  const fixture = { id: 7, team_h: 1, team_a: 2, started: true, stats: [] };
+  const liveElements = [
+    { id: 10, explain: [{ fixture: 7, stats: [{ identifier: 'bps', value: 22 }] }] },
+    { id: 20, explain: [{ fixture: 7, stats: [{ identifier: 'bps', value: 31 }] }] }
+  ];
+  const result = computeFixtureBonus(fixture, liveElements, new Map([[10, 1], [20, 2]]));
+
+  assert.deepEqual(bonusOf(result.home), { 10: 2 });
+  assert.deepEqual(bonusOf(result.away), { 20: 3 });
+  assert.deepEqual(computeFixtureBonus({ ...fixture, started: false }, liveElements).home, []);
+});
+
+test('buildBonusMap sums double gameweek bonus and keeps it provisional', () => {
+  const first = bpsFixture([[1, 30]], [[2, 20]], { id: 1, finished: true });
+  const second = bpsFixture([[1, 25]], [[3, 10]], { id: 2 });
+  const bonusMap = buildBonusMap([first, second]);
+
+  assert.deepEqual(bonusMap.get(1), { points: 6, provisional: true });
+  assert.deepEqual(bonusMap.get(2), { points: 2, provisional: false });
+});
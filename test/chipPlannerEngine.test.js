@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPointsPerGame, projectPlayer, pickBestXI, getPlannableChips, planChips } = require('../utils/chipPlannerEngine');
+
+const LAYOUT = ['GK', 'DEF', 'DEF', 'DEF', 'DEF', 'MID', 'MID', 'MID', 'MID', 'FWD', 'FWD', 'GK', 'DEF', 'MID', 'FWD'];
+
+// Fifteen 1 point per game players over teams 1-5, three per team
+const buildSquad = (overrides = {}) => LAYOUT.map((positionType, index) => ({
+  id: index + 1,
+  teamId: (index % 5) + 1,
+  positionType,
+  position: index + 1,
+  cost: 6,
+  total_points: 10,
+  ...overrides
+}));
+
+// A 10 point per game midfielder and eleven 0.5 point per game fillers on teams 6-12
+const STAR = { id: 100, teamId: 6, positionType: 'MID', cost: 11, total_points: 100 };
+const FILLERS = ['GK', 'DEF', 'DEF', 'DEF', 'DEF', 'MID', 'MID', 'MID', 'MID', 'FWD', 'FWD'].map((positionType, index) => ({
+  id: 200 + index,
+  teamId: 7 + Math.floor(index / 2),
+  positionType,
+  cost: 5.5,
+  total_points: 5
+}));
+
+const gameweek = (gw, teamIds, difficulty = 3) => {
+  const matches = [];
+  for (let i = 0; i + 1 < teamIds.length; i += 2) {
+    matches.push({ teamH: teamIds[i], teamA: teamIds[i + 1], difficultyH: difficulty, difficultyA: difficulty });
+  }
+  return { gameweek: gw, matches };
+};
+const ALL_TEAMS = Array.from({ length: 12 }, (_, i) => i + 1);
+
+test('getPointsPerGame blends form with the season rate', () => {
+  assert.equal(getPointsPerGame({ total_points: 40 }, 10), 4);
+  assert.equal(getPointsPerGame({ total_points: 40, form: '8.0' }, 10), 6);
+  assert.equal(getPointsPerGame({ total_points: 40 }, 0), 40);
+});
+
+test('projectPlayer scores blanks as 0 and doubles as both fixtures', () => {
+  assert.equal(projectPlayer(4, []), 0);
+  assert.equal(projectPlayer(4, [{ difficulty: 3 }]), 4);
+  assert.equal(projectPlayer(4, [{ difficulty: 3 }, { difficulty: 1 }]), 9);
+});
+
+test('pickBestXI keeps a valid formation inside the budget', () => {
+  const pool = [
+    { ...STAR, projected: 10 },
+    ...FILLERS.map(p => ({ ...p, projected: 0.5 }))
+  ];
+
+  const rich = pickBestXI(pool, 66);
+  assert.equal(rich.players.length, 11);
+  assert.ok(rich.players.some(p => p.id === STAR.id));
+  assert.equal(rich.cost, 66);
+
+  const poor = pickBestXI(pool, 65);
+  assert.ok(!poor.players.some(p => p.id === STAR.id));
+  assert.equal(poor.players.filter(p => p.positionType === 'GK').length, 1);
+});
+
+test('planChips sizes the Free Hit budget from selling prices and the bank', () => {
+  const options = {
+    players: [...buildSquad(), STAR, ...FILLERS],
+    fixtures: [gameweek(11, ALL_TEAMS)],
+    chipsAvailable: { freehit: true },
+    currentGameweek: 10
+  };
+  const freeHitGain = (result) => result.candidates.freehit[0].expectedGain;
+
+  // Valued at now_cost the XI budget is 66, enough for the star plus ten fillers
+  const atCost = planChips({ ...options, squad: buildSquad() });
+  assert.equal(freeHitGain(atCost), 4);
+  assert.deepEqual(atCost.plan, [{ chip: 'freehit', gameweek: 11, expectedGain: 4 }]);
+
+  // Selling for 5.9 each leaves 64.9, and the star no longer fits
+  const atSellingPrice = planChips({ ...options, squad: buildSquad({ sellingPrice: 5.9 }) });
+  assert.equal(freeHitGain(atSellingPrice), 0);
+  assert.deepEqual(atSellingPrice.plan, []);
+
+  // Money in the bank makes up the difference
+  const withBank = planChips({ ...options, squad: buildSquad({ sellingPrice: 5.9 }), bank: 1.1 });
+  assert.equal(freeHitGain(withBank), 4);
+});
+
+test('planChips values Bench Boost and Triple Captain from the squad', () => {
+  const squad = buildSquad();
+  squad[0].total_points = 50; // Goalkeeper on 5 points per game
+  const result = planChips({
+    squad,
+    players: squad,
+    fixtures: [gameweek(11, ALL_TEAMS), gameweek(12, [1, 2, 3, 4, 1, 2])],
+    chipsAvailable: { bboost: true, triplecaptain: true },
+    currentGameweek: 10
+  });
+
+  assert.deepEqual(result.candidates.bboost.find(c => c.gameweek === 11), { gameweek: 11, expectedGain: 4 });
+  assert.deepEqual(result.candidates.triplecaptain.find(c => c.gameweek === 11), { gameweek: 11, expectedGain: 5, playerId: 1 });
+  // In GW 12 teams 1 and 2 double and team 5 blanks: the goalkeeper projects 10 and the bench (teams 2-5) still 4
+  assert.deepEqual(result.candidates.triplecaptain[0], { gameweek: 12, expectedGain: 10, playerId: 1 });
+  assert.deepEqual(result.candidates.bboost.find(c => c.gameweek === 12), { gameweek: 12, expectedGain: 4 });
+  // One chip per gameweek, biggest gain first
+  assert.deepEqual(result.plan.map(p => [p.chip, p.gameweek]), [['bboost', 11], ['triplecaptain', 12]]);
+});
+
+test('planChips flags blank and double gameweeks for the squad', () => {
+  const squad = buildSquad();
+  const result = planChips({
+    squad,
+    players: squad,
+    fixtures: [gameweek(11, [1, 2, 1, 3])],
+    currentGameweek: 10
+  });
+
+  const [summary] = result.gameweeks;
+  assert.deepEqual(summary.blankTeams, [4, 5]);
+  assert.deepEqual(summary.doubleTeams, [1]);
+  assert.equal(summary.squadBlanks, 4);
+  assert.equal(summary.squadDoubles, 3);
+});
+
+test('planChips plans the second wildcard only before it is unlocked or while held', () => {
+  const squad = buildSquad();
+  const fixtures = [gameweek(21, ALL_TEAMS)];
+
+  const early = planChips({ squad, players: squad, fixtures, chipsAvailable: {}, currentGameweek: 10 });
+  assert.ok('wildcard2' in early.candidates);
+  assert.ok(!('wildcard1' in early.candidates));
+
+  const late = planChips({ squad, players: squad, fixtures, chipsAvailable: {}, currentGameweek: 25 });
+  assert.ok(!('wildcard2' in late.candidates));
+});
+
+test('planChips only offers the Assistant Manager from its first gameweek', () => {
+  const squad = buildSquad();
+  const result = planChips({
+    squad,
+    players: squad,
+    fixtures: [gameweek(23, ALL_TEAMS), gameweek(24, ALL_TEAMS)],
+    chipsAvailable: { assistant_manager: true },
+    currentGameweek: 22,
+    assistantManagerGains: { 23: 30, 24: 12 }
+  });
+
+  assert.deepEqual(result.candidates.assistant_manager, [{ gameweek: 24, expectedGain: 12 }]);
+  assert.deepEqual(result.plan, [{ chip: 'assistant_manager', gameweek: 24, expectedGain: 12 }]);
+});
+
+test('getPlannableChips counts chips that have not unlocked yet as still to play', () => {
+  const chipsAvailable = { wildcard1: true, wildcard2: false, freehit: false, assistant_manager: false };
+
+  assert.deepEqual(getPlannableChips(chipsAvailable, 10), { ...chipsAvailable, wildcard2: true, assistant_manager: true });
+  assert.deepEqual(getPlannableChips(chipsAvailable, 24), { ...chipsAvailable, wildcard2: false, assistant_manager: false });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  countTeamFixtures,
+  buildTeamFixtures,
+  getBlankAndDoubleTeams,
+  flagBlankAndDoubleGameweeks
+} = require('../utils/fixtureEngine');
+
+const match = (teamH, teamA, difficultyH = 3, difficultyA = 3) => ({ teamH, teamA, difficultyH, difficultyA });
+
+test('countTeamFixtures counts home and away fixtures', () => {
+  const counts = countTeamFixtures([
+    { team_h: 1, team_a: 2 },
+    { team_h: 3, team_a: 1 }
+  ]);
+
+  assert.equal(counts.get(1), 2);
+  assert.equal(counts.get(2), 1);
+  assert.equal(counts.get(3), 1);
+  assert.equal(counts.get(4), undefined);
+});
+
+test('buildTeamFixtures gives each team its opponents and difficulty per gameweek', () => {
+  const byGameweek = buildTeamFixtures([
+    { gameweek: 5, matches: [match(1, 2, 2, 4)] },
+    { gameweek: 6, matches: [] }
+  ]);
+
+  assert.deepEqual(byGameweek.get(5).get(1), [{ opponentId: 2, isHome: true, difficulty: 2 }]);
+  assert.deepEqual(byGameweek.get(5).get(2), [{ opponentId: 1, isHome: false, difficulty: 4 }]);
+  assert.equal(byGameweek.get(6).size, 0);
+});
+
+test('getBlankAndDoubleTeams finds blanks and doubles from fixture lists', () => {
+  const teamFixtures = buildTeamFixtures([{ gameweek: 7, matches: [match(1, 2), match(3, 1)] }]).get(7);
+
+  assert.deepEqual(getBlankAndDoubleTeams(teamFixtures, [1, 2, 3, 4]), { blankTeams: [4], doubleTeams: [1] });
+});
+
+test('getBlankAndDoubleTeams accepts fixture counts', () => {
+  const counts = countTeamFixtures([{ team_h: 1, team_a: 2 }, { team_h: 2, team_a: 3 }]);
+
+  assert.deepEqual(getBlankAndDoubleTeams(counts, [1, 2, 3, 4]), { blankTeams: [4], doubleTeams: [2] });
+  assert.deepEqual(getBlankAndDoubleTeams(undefined, [1, 2]), { blankTeams: [1, 2], doubleTeams: [] });
+});
+
+test('flagBlankAndDoubleGameweeks flags each gameweek', () => {
+  const flagged = flagBlankAndDoubleGameweeks([
+    { gameweek: 1, matches: [match(1, 2), match(3, 4)] },
+    { gameweek: 2, matches: [match(1, 2)] },
+    { gameweek: 3, matches: [match(1, 2), match(3, 4), match(1, 3)] }
+  ], [1, 2, 3, 4]);
+
+  assert.deepEqual(flagged.map(({ gameweek, blankTeams, doubleTeams, isBlank, isDouble }) =>
+    ({ gameweek, blankTeams, doubleTeams, isBlank, isDouble })), [
+    { gameweek: 1, blankTeams: [], doubleTeams: [], isBlank: false, isDouble: false },
+    { gameweek: 2, blankTeams: [3, 4], doubleTeams: [], isBlank: true, isDouble: false },
+    { gameweek: 3, blankTeams: [], doubleTeams: [1, 3], isBlank: false, isDouble: true }
+  ]);
+  assert.equal(flagged[2].matches.length, 3);
+});
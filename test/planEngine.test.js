@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluatePlan, comparePlans } = require('../utils/planEngine');
+
+const LAYOUT = ['GK', 'GK', 'DEF', 'DEF', 'DEF', 'DEF', 'DEF', 'MID', 'MID', 'MID', 'MID', 'MID', 'FWD', 'FWD', 'FWD'];
+const ALL_CHIPS = { wildcard1: true, wildcard2: false, freehit: true, bboost: true, triplecaptain: true, assistant_manager: false };
+
+// Fifteen £5.0m players over teams 1-5, three per team
+const SQUAD = LAYOUT.map((positionType, index) => ({
+  id: index + 1,
+  name: `P${index + 1}`,
+  teamId: (index % 5) + 1,
+  positionType,
+  position: index + 1,
+  sellingPrice: 5
+}));
+const PLAYERS = new Map([
+  ...SQUAD.map(p => [p.id, { ...p, cost: p.sellingPrice }]),
+  [100, { id: 100, name: 'Star', teamId: 6, positionType: 'MID', cost: 5 }],
+  [101, { id: 101, name: 'Striker', teamId: 7, positionType: 'FWD', cost: 5 }]
+]);
+
+// Every player projects 2 a gameweek, the star 10
+const projectionsFor = (gameweeks) => new Map(gameweeks.map(gw => [gw, new Map(
+  [...PLAYERS.keys()].map(id => [id, id === 100 ? 10 : 2])
+)]));
+
+const evaluate = (plan, options = {}) => evaluatePlan({
+  plan,
+  squad: SQUAD,
+  bank: 0,
+  freeTransfers: 1,
+  currentGameweek: 10,
+  chipsAvailable: ALL_CHIPS,
+  playersById: PLAYERS,
+  projections: projectionsFor([11, 12, 13, 21, 22, 24, 25]),
+  ...options
+});
+
+test('evaluatePlan charges for transfers beyond the free ones', () => {
+  const result = evaluate([
+    { gameweek: 11, transfers: [{ out: 8, in: 100 }, { out: 13, in: 101 }] }
+  ]);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.hitCost, 4);
+  // Ten starters on 2, the star on 10 captained, less the hit
+  assert.equal(result.gameweeks[0].projectedPoints, 10 * 2 + 20 - 4);
+});
+
+test('evaluatePlan banks a free transfer for each gameweek without an entry', () => {
+  const result = evaluate([
+    { gameweek: 11, transfers: [] },
+    { gameweek: 13, transfers: [{ out: 8, in: 100 }, { out: 13, in: 101 }] }
+  ]);
+
+  assert.deepEqual(result.gameweeks.map(gw => gw.freeTransfers), [1, 3]);
+  assert.equal(result.hitCost, 0);
+});
+
+test('evaluatePlan makes Wildcard and Free Hit transfers free and reverts the Free Hit', () => {
+  const freeHit = evaluate([
+    { gameweek: 11, chip: 'freehit', transfers: [{ out: 8, in: 100 }, { out: 13, in: 101 }] },
+    { gameweek: 12, transfers: [] }
+  ]);
+  assert.equal(freeHit.valid, true);
+  assert.equal(freeHit.hitCost, 0);
+  assert.ok(freeHit.gameweeks[0].xi.includes(100));
+  assert.ok(!freeHit.gameweeks[1].xi.includes(100));
+  assert.equal(freeHit.gameweeks[1].freeTransfers, 2);
+
+  const wildcard = evaluate([
+    { gameweek: 11, chip: 'wildcard', transfers: [{ out: 8, in: 100 }, { out: 13, in: 101 }] },
+    { gameweek: 12, transfers: [] }
+  ]);
+  assert.equal(wildcard.hitCost, 0);
+  assert.ok(wildcard.gameweeks[1].xi.includes(100));
+});
+
+test('evaluatePlan scores Bench Boost and Triple Captain', () => {
+  const result = evaluate([
+    { gameweek: 11, chip: 'bboost', transfers: [] },
+    { gameweek: 12, chip: 'triplecaptain', transfers: [], captain: 8 }
+  ]);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.gameweeks[0].projectedPoints, 15 * 2 + 2);
+  assert.equal(result.gameweeks[1].projectedPoints, 11 * 2 + 2 * 2);
+});
+
+test('evaluatePlan rejects chips already used this season', () => {
+  const result = evaluate([
+    { gameweek: 11, chip: 'freehit', transfers: [] },
+    { gameweek: 12, chip: 'bboost', transfers: [] },
+    { gameweek: 13, chip: 'triplecaptain', transfers: [] }
+  ], { chipsAvailable: { ...ALL_CHIPS, freehit: false, bboost: false } });
+
+  assert.deepEqual(result.errors, [
+    'GW11: freehit has already been used this season',
+    'GW12: bboost has already been used this season'
+  ]);
+});
+
+test('evaluatePlan allows one wildcard in each half, if it is still to play', () => {
+  const twice = evaluate([
+    { gameweek: 11, chip: 'wildcard', transfers: [] },
+    { gameweek: 12, chip: 'wildcard', transfers: [] },
+    { gameweek: 21, chip: 'wildcard', transfers: [] }
+  ]);
+  // The second wildcard is not available yet at GW10 but unlocks after GW20
+  assert.deepEqual(twice.errors, ['GW12: wildcard is already played earlier in the plan']);
+
+  const firstUsed = evaluate([{ gameweek: 11, chip: 'wildcard', transfers: [] }], {
+    chipsAvailable: { ...ALL_CHIPS, wildcard1: false }
+  });
+  assert.deepEqual(firstUsed.errors, ['GW11: the first half wildcard has already been used']);
+
+  const secondUsed = evaluate([{ gameweek: 22, chip: 'wildcard', transfers: [] }], {
+    currentGameweek: 21,
+    chipsAvailable: { ...ALL_CHIPS, wildcard1: false, wildcard2: false }
+  });
+  assert.deepEqual(secondUsed.errors, ['GW22: the second half wildcard has already been used']);
+});
+
+test('evaluatePlan only plays the Assistant Manager from GW24, and only once', () => {
+  // Not available at GW10 because it has not unlocked yet, not because it was used
+  const early = evaluate([
+    { gameweek: 21, chip: 'assistant_manager', transfers: [] },
+    { gameweek: 24, transfers: [] }
+  ]);
+  assert.deepEqual(early.errors, ['GW21: assistant_manager can only be played from GW24']);
+
+  assert.equal(evaluate([{ gameweek: 24, chip: 'assistant_manager', transfers: [] }]).valid, true);
+
+  const used = evaluate([{ gameweek: 25, chip: 'assistant_manager', transfers: [] }], { currentGameweek: 24 });
+  assert.deepEqual(used.errors, ['GW25: assistant_manager has already been used this season']);
+});
+
+test('evaluatePlan checks the bench, captain and formation', () => {
+  const result = evaluate([
+    { gameweek: 11, transfers: [], benchOrder: [2, 3, 4, 5], captain: 3, viceCaptain: 8 }
+  ]);
+
+  assert.deepEqual(result.errors, [
+    'GW11: the XI must have at least 3 DEF',
+    'GW11: the captain must be in the XI'
+  ]);
+});
+
+test('comparePlans reports the difference by gameweek', () => {
+  const a = evaluate([{ gameweek: 11, transfers: [] }]);
+  const b = evaluate([{ gameweek: 11, transfers: [{ out: 8, in: 100 }] }, { gameweek: 12, transfers: [] }]);
+
+  assert.deepEqual(comparePlans(a, b), {
+    difference: 16 + 40,
+    gameweeks: [
+      { gameweek: 11, a: 24, b: 40, difference: 16 },
+      { gameweek: 12, a: null, b: 40, difference: 40 }
+    ]
+  });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPreGameweekPoints, projectSampleTotals, estimateRank, MIN_SAMPLE_SIZE } = require('../utils/rankEngine');
+
+// 1-4-4-2 plus a GK, DEF, MID, FWD bench; element N plays for team N
+const LAYOUT = [1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 1, 2, 3, 4];
+const ELEMENTS = LAYOUT.map((elementType, index) => ({ id: index + 1, element_type: elementType, team: index + 1 }));
+const FIXTURES = ELEMENTS.map(el => ({
+  id: el.id,
+  team_h: el.team,
+  team_a: 100 + el.team,
+  started: true,
+  finished: true,
+  stats: []
+}));
+
+const samplePicks = () => LAYOUT.map((_, index) => ({
+  element: index + 1,
+  position: index + 1,
+  multiplier: index === 9 ? 2 : index < 11 ? 1 : 0,
+  is_captain: index === 9,
+  is_vice_captain: index === 10
+}));
+
+const live = (overrides = {}) => ELEMENTS.map(el => ({
+  id: el.id,
+  stats: { minutes: 90, total_points: 2, ...overrides[el.id] },
+  explain: []
+}));
+
+test('getPreGameweekPoints removes the gameweek once FPL includes it', () => {
+  const entry = { summary_overall_points: 1500, summary_event_points: 60, current_event: 10 };
+
+  assert.equal(getPreGameweekPoints(entry, 10), 1440);
+  assert.equal(getPreGameweekPoints(entry, 11), 1500);
+});
+
+test('projectSampleTotals applies autosubs like the ranked manager', () => {
+  const manager = { rank: 100, preGwPoints: 1000, transferCost: 4, picks: samplePicks() };
+  // Starter 6 did not play; bench DEF 13 comes on with a goal
+  const liveElements = live({ 6: { minutes: 0 }, 13: { goals_scored: 1 } });
+  const [projected] = projectSampleTotals([manager], liveElements, { elements: ELEMENTS, fixtures: FIXTURES });
+
+  // 10 starters x 2, captain doubled (+2), bench DEF 2 + 6, less the hit
+  assert.equal(projected.totalPoints, 1000 + 20 + 2 + 8 - 4);
+});
+
+test('projectSampleTotals adds provisional bonus and promotes the vice-captain', () => {
+  const picks = samplePicks();
+  const fixtures = FIXTURES.map(f => (f.id === 11
+    ? { ...f, finished: false, stats: [{ identifier: 'bps', h: [{ element: 11, value: 40 }], a: [] }] }
+    : f));
+  const liveElements = live({ 10: { minutes: 0 } });
+  const [projected] = projectSampleTotals([{ rank: 1, preGwPoints: 0, picks }], liveElements, { elements: ELEMENTS, fixtures });
+
+  // Captain 10 is subbed off for DEF 13; vice 11 (2 + 3 bonus) is doubled
+  assert.equal(projected.totalPoints, 9 * 2 + 5 * 2 + 2);
+});
+
+test('projectSampleTotals reads samples stored without positions', () => {
+  const picks = samplePicks().map(({ element, multiplier }) => ({ element, multiplier }));
+  const [projected] = projectSampleTotals([{ rank: 1, preGwPoints: 0, picks }], live(), { elements: ELEMENTS, fixtures: FIXTURES });
+
+  assert.equal(projected.totalPoints, 24);
+});
+
+test('estimateRank needs a minimum sample', () => {
+  const samples = Array.from({ length: MIN_SAMPLE_SIZE - 1 }, (_, i) => ({ rank: i + 1, totalPoints: 100 }));
+
+  assert.equal(estimateRank(100, samples, 1000), null);
+});
+
+test('estimateRank counts managers ahead within each band', () => {
+  // 1,000 players in one band; the sample is evenly spread from 1 to 100 points
+  const samples = Array.from({ length: 100 }, (_, i) => ({ rank: 1000 - i * 10, totalPoints: i + 1 }));
+  const estimate = estimateRank(75, samples, 1000);
+
+  assert.equal(estimate.rank, 251);
+  assert.ok(estimate.lower < estimate.rank && estimate.upper > estimate.rank);
+  assert.equal(estimate.sampleSize, 100);
+  assert.equal(estimate.method, 'distribution');
+});
+
+test('estimateRank widens the interval for bands without samples', () => {
+  const dense = Array.from({ length: 100 }, (_, i) => ({ rank: 1 + i * 10, totalPoints: 200 - i }));
+  const withGap = estimateRank(150, dense, 20000);
+  const covered = estimateRank(150, dense.concat(
+    Array.from({ length: 100 }, (_, i) => ({ rank: 1001 + i * 190, totalPoints: 100 - i }))
+  ), 20000);
+
+  assert.ok(withGap.upper - withGap.lower > covered.upper - covered.lower);
+});
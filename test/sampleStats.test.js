@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { proportionInterval, eoInterval, describeSample } = require('../utils/sampleStats');
+
+test('proportionInterval is the Wilson interval in percent', () => {
+  assert.deepEqual(proportionInterval(50, 100), [40.4, 59.6]);
+  assert.deepEqual(proportionInterval(0, 20), [0, 16.1]);
+  assert.deepEqual(proportionInterval(0, 0), [0, 100]);
+});
+
+test('proportionInterval narrows as the sample grows', () => {
+  const [smallLower, smallUpper] = proportionInterval(10, 20);
+  const [largeLower, largeUpper] = proportionInterval(100, 200);
+
+  assert.ok(largeUpper - largeLower < smallUpper - smallLower);
+});
+
+test('eoInterval is centred on the mean multiplier', () => {
+  // 60 start, 20 of them captained: EO 80%
+  const [lower, upper] = eoInterval(60, 20, 0, 100);
+
+  assert.ok(lower < 80 && upper > 80);
+  assert.equal(Math.round((lower + upper) / 2), 80);
+  assert.deepEqual(eoInterval(0, 0, 0, 0), [0, 300]);
+});
+
+test('eoInterval collapses when every manager has the same multiplier', () => {
+  assert.deepEqual(eoInterval(50, 50, 0, 50), [200, 200]);
+});
+
+test('describeSample flags small samples and heavy use of cached picks', () => {
+  const managers = [
+    ...Array.from({ length: 6 }, () => ({})),
+    { fallback: true, collectedAt: '2025-01-02T00:00:00Z' },
+    { fallback: true, collectedAt: '2025-01-01T00:00:00Z' },
+    { fallback: true, collectedAt: '2025-01-03T00:00:00Z' }
+  ];
+  const summary = describeSample(managers, 20);
+
+  assert.equal(summary.size, 9);
+  assert.equal(summary.panelCount, 6);
+  assert.equal(summary.fallbackShare, 33.3);
+  assert.equal(summary.oldestFallbackAt.toISOString(), '2025-01-01T00:00:00.000Z');
+  assert.equal(summary.weak, true);
+  assert.match(summary.warning, /only 9 managers sampled/);
+  assert.match(summary.warning, /33% of managers come from cached picks/);
+});
+
+test('describeSample passes a full panel sample', () => {
+  const summary = describeSample(Array.from({ length: 100 }, () => ({})), 50);
+
+  assert.equal(summary.weak, false);
+  assert.equal(summary.warning, null);
+  assert.equal(summary.eoMarginOfError, 9.8);
+});
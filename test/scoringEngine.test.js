@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const scoringEngine = require('../utils/scoringEngine');
+
+const CLIENT_COPY = path.join(__dirname, '..', 'client', 'src', 'utils', 'scoringEngine.js');
+
+// The client copy is an ES module with no imports, so it can be loaded from its source
+const loadClientCopy = () => {
+  const source = fs.readFileSync(CLIENT_COPY, 'utf8');
+  return import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+};
+
+test('client copy has the same rules and scoring functions as the server', async () => {
+  const client = await loadClientCopy();
+
+  assert.deepEqual(client.RULES, scoringEngine.RULES);
+  assert.equal(client.DEFAULT_RULES_VERSION, scoringEngine.DEFAULT_RULES_VERSION);
+  assert.deepEqual(Object.keys(client).sort(), Object.keys(scoringEngine).sort());
+  Object.keys(scoringEngine)
+    .filter(name => typeof scoringEngine[name] === 'function')
+    .forEach(name => assert.equal(client[name].toString(), scoringEngine[name].toString(), `${name} differs`));
+});
+
+test('getRules falls back to the default season', () => {
+  assert.equal(scoringEngine.getRules('1999/00').version, scoringEngine.DEFAULT_RULES_VERSION);
+  assert.equal(scoringEngine.getRules('2024/25').version, '2024/25');
+});
+
+test('breakdownFromExplain sums both fixtures of a double gameweek', () => {
+  const breakdown = scoringEngine.breakdownFromExplain([
+    { fixture: 1, stats: [{ identifier: 'minutes', value: 90, points: 2 }, { identifier: 'goals_scored', value: 1, points: 4 }] },
+    { fixture: 2, stats: [{ identifier: 'minutes', value: 30, points: 1 }] }
+  ]);
+
+  assert.deepEqual(breakdown.find(item => item.identifier === 'minutes'), { identifier: 'minutes', value: 120, points: 3 });
+  assert.deepEqual(breakdown.find(item => item.identifier === 'goals_scored'), { identifier: 'goals_scored', value: 1, points: 4 });
+});
+
+test('scoreElement derives points from stats when explain is missing', () => {
+  const scored = scoringEngine.scoreElement({
+    id: 1,
+    stats: { minutes: 90, goals_scored: 1, clean_sheets: 1, goals_conceded: 0, saves: 0, bonus: 2 }
+  }, 'DEF');
+
+  // 2 (minutes) + 6 (goal) + 4 (clean sheet) + 2 (bonus)
+  assert.equal(scored.basePoints, 14);
+  assert.equal(scored.source, 'stats');
+});
+
+test('scoreElement applies saves and goals conceded for goalkeepers', () => {
+  const scored = scoringEngine.scoreElement({ id: 1, stats: { minutes: 90, saves: 7, goals_conceded: 3 } }, 'GK');
+
+  // 2 (minutes) + 2 (saves) - 1 (goals conceded)
+  assert.equal(scored.basePoints, 3);
+});
+
+test('clean sheets need the minimum minutes', () => {
+  const scored = scoringEngine.scoreElement({ id: 1, stats: { minutes: 45, clean_sheets: 1 } }, 'DEF');
+
+  assert.equal(scored.basePoints, 1);
+});
+
+test('defensive contribution only counts from the 2025/26 rules', () => {
+  const element = { id: 1, stats: { minutes: 90, defensive_contribution: 10 } };
+
+  assert.equal(scoringEngine.scoreElement(element, 'DEF', '2025/26').basePoints, 4);
+  assert.equal(scoringEngine.scoreElement(element, 'DEF', '2024/25').basePoints, 2);
+  assert.equal(scoringEngine.scoreElement(element, 'MID', '2025/26').basePoints, 2);
+});
+
+test('withBonus tops up to provisional bonus without counting it twice', () => {
+  const scored = scoringEngine.scoreElement({ id: 1, stats: { minutes: 90, bonus: 1 } }, 'MID');
+  const topped = scoringEngine.withBonus(scored, { points: 3, provisional: true });
+
+  assert.equal(topped.basePoints, 5);
+  assert.deepEqual(topped.breakdown.filter(item => item.identifier === 'bonus'),
+    [{ identifier: 'bonus', value: 3, points: 3, provisional: true }]);
+  assert.equal(scoringEngine.withBonus(scored, { points: 1 }), scored);
+});
+
+test('scorePick multiplies live points but shows bench events at face value', () => {
+  const liveElement = { id: 1, stats: { minutes: 90, goals_scored: 1 } };
+
+  const captain = scoringEngine.scorePick({ multiplier: 2 }, liveElement, 'FWD');
+  assert.equal(captain.livePoints, 12);
+  assert.equal(captain.events.find(event => event.identifier === 'goals_scored').points, 8);
+
+  const bench = scoringEngine.scorePick({ multiplier: 0 }, liveElement, 'FWD');
+  assert.equal(bench.livePoints, 0);
+  assert.equal(bench.events.find(event => event.identifier === 'goals_scored').points, 4);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getSellingPrice, getPriceAtGameweek, getSquadPrices, validateSquad, applyTransfers } = require('../utils/squadEngine');
+
+const LAYOUT = ['GK', 'GK', 'DEF', 'DEF', 'DEF', 'DEF', 'DEF', 'MID', 'MID', 'MID', 'MID', 'MID', 'FWD', 'FWD', 'FWD'];
+
+// Fifteen players over teams 1-5, three per team, each selling for £5.0m
+const buildSquad = () => LAYOUT.map((positionType, index) => ({
+  id: index + 1,
+  name: `P${index + 1}`,
+  teamId: (index % 5) + 1,
+  positionType,
+  position: index + 1,
+  sellingPrice: 5
+}));
+
+test('getSellingPrice keeps half of the profit, rounded down', () => {
+  assert.equal(getSellingPrice(50, 50), 50);
+  assert.equal(getSellingPrice(50, 51), 50);
+  assert.equal(getSellingPrice(50, 52), 51);
+  assert.equal(getSellingPrice(50, 53), 51);
+  assert.equal(getSellingPrice(100, 107), 103);
+});
+
+test('getSellingPrice passes on the full loss', () => {
+  assert.equal(getSellingPrice(50, 47), 47);
+  assert.equal(getSellingPrice(null, 62), 62);
+});
+
+test('getSquadPrices prices players kept since the start from their start price', () => {
+  const prices = getSquadPrices([1], [], [{ id: 1, now_cost: 83, cost_change_start: 3 }]);
+
+  assert.deepEqual(prices.get(1), { purchasePrice: 80, currentPrice: 83, sellingPrice: 81, fromTransfer: false });
+});
+
+test('getSquadPrices prices a mid-season joiner\'s first squad at their started_event prices', () => {
+  // Started at £8.0m, rose to £8.6m by GW10 when the manager joined, now £8.9m
+  const elements = [{ id: 1, now_cost: 89, cost_change_start: 9 }, { id: 2, now_cost: 60, cost_change_start: 0 }];
+  const history = [
+    { round: 1, value: 80 },
+    { round: 9, value: 85 },
+    { round: 10, value: 86 },
+    { round: 11, value: 87 }
+  ];
+  const startPrices = new Map([[1, getPriceAtGameweek(history, 10)]]);
+  const prices = getSquadPrices([1, 2], [], elements, [], startPrices);
+
+  assert.deepEqual(prices.get(1), { purchasePrice: 86, currentPrice: 89, sellingPrice: 87, fromTransfer: false });
+  // Without the started_event price the rise since GW1 would count as profit
+  assert.equal(getSquadPrices([1], [], elements).get(1).sellingPrice, 84);
+  assert.equal(prices.get(2).purchasePrice, 60);
+});
+
+test('getPriceAtGameweek reads the gameweek, or the next fixture when the team blanks', () => {
+  const history = [{ round: 3, value: 55 }, { round: 1, value: 50 }, { round: 5, value: 57 }];
+
+  assert.equal(getPriceAtGameweek(history, 3), 55);
+  assert.equal(getPriceAtGameweek(history, 4), 57);
+  assert.equal(getPriceAtGameweek(history, 7), 57);
+  assert.equal(getPriceAtGameweek([], 7), null);
+});
+
+test('getSquadPrices uses the latest transfer in and skips Free Hit transfers', () => {
+  const elements = [{ id: 1, now_cost: 70, cost_change_start: 0 }];
+  const transfers = [
+    { element_in: 1, element_in_cost: 66, event: 9, time: '2025-10-20T10:00:00Z' },
+    { element_in: 1, element_in_cost: 60, event: 5, time: '2025-09-20T10:00:00Z' }
+  ];
+
+  assert.equal(getSquadPrices([1], transfers, elements).get(1).purchasePrice, 66);
+  assert.equal(getSquadPrices([1], transfers, elements, [9]).get(1).purchasePrice, 60);
+});
+
+test('getSquadPrices orders transfers in the same gameweek by time', () => {
+  const elements = [{ id: 1, now_cost: 70, cost_change_start: 0 }];
+  // Bought, sold and bought back in GW 9; transfers/ lists the newest first
+  const transfers = [
+    { element_in: 1, element_in_cost: 68, event: 9, time: '2025-10-24T18:00:00Z' },
+    { element_in: 1, element_in_cost: 64, event: 9, time: '2025-10-21T09:00:00Z' }
+  ];
+
+  assert.equal(getSquadPrices([1], transfers, elements).get(1).purchasePrice, 68);
+  assert.equal(getSquadPrices([1], [...transfers].reverse(), elements).get(1).purchasePrice, 68);
+  // Without times the newest-first order decides
+  const untimed = transfers.map(({ time, ...t }) => t);
+  assert.equal(getSquadPrices([1], untimed, elements).get(1).purchasePrice, 68);
+});
+
+test('validateSquad checks size, positions, clubs and budget', () => {
+  assert.deepEqual(validateSquad(buildSquad(), 0), []);
+
+  const squad = buildSquad();
+  squad[0] = { ...squad[0], positionType: 'DEF', teamId: 2 };
+  assert.deepEqual(validateSquad(squad, -0.5), [
+    'Squad has 1 GK; it must have 2',
+    'Squad has 6 DEF; it must have 5',
+    'Squad has 4 players from team 2; the limit is 3',
+    'Squad is £0.5m over budget'
+  ]);
+
+  assert.deepEqual(validateSquad(buildSquad().slice(1), 0.1).slice(0, 1), ['Squad has 14 players; it must have 15']);
+});
+
+test('applyTransfers sells at the selling price and checks each transfer in turn', () => {
+  const players = new Map([
+    [100, { id: 100, name: 'Star', teamId: 6, positionType: 'MID', cost: 6.5 }],
+    [101, { id: 101, name: 'Cheap', teamId: 7, positionType: 'DEF', cost: 4.0 }]
+  ]);
+
+  const short = applyTransfers(buildSquad(), 1.0, [{ out: 8, in: 100 }], players);
+  assert.equal(short.valid, false);
+  assert.match(short.results[0].errors[0], /£0\.5m short/);
+
+  // Selling the defender first frees the money for the midfielder
+  const funded = applyTransfers(buildSquad(), 1.0, [{ out: 3, in: 101 }, { out: 8, in: 100 }], players);
+  assert.equal(funded.valid, true);
+  assert.deepEqual(funded.results.map(r => r.bank), [2, 0.5]);
+  assert.equal(funded.squad.find(p => p.id === 100).position, 8);
+  assert.equal(funded.squad.find(p => p.id === 100).sellingPrice, 6.5);
+});
+
+test('applyTransfers rejects position changes, duplicates and a fourth player from a club', () => {
+  const players = new Map([
+    [2, { id: 2, name: 'P2', teamId: 2, positionType: 'GK', cost: 5 }],
+    [100, { id: 100, name: 'Striker', teamId: 1, positionType: 'FWD', cost: 5 }]
+  ]);
+
+  const result = applyTransfers(buildSquad(), 0, [{ out: 8, in: 100 }, { out: 1, in: 2 }, { out: 13, in: 100 }], players);
+  assert.match(result.results[0].errors[0], /cannot replace/);
+  assert.match(result.results[1].errors[0], /already in the squad/);
+  assert.match(result.results[2].errors[0], /4 players from team 1/);
+  assert.equal(result.valid, false);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTemplateXI, getTemplateDistance } = require('../utils/templateEngine');
+
+// Two GKs, six DEF, six MID, three FWD with falling EO inside each position
+const ELEMENTS = [
+  ...[1, 2].map(id => ({ id, element_type: 1, web_name: `GK${id}` })),
+  ...[3, 4, 5, 6, 7, 8].map(id => ({ id, element_type: 2, web_name: `DEF${id}` })),
+  ...[9, 10, 11, 12, 13, 14].map(id => ({ id, element_type: 3, web_name: `MID${id}` })),
+  ...[15, 16, 17].map(id => ({ id, element_type: 4, web_name: `FWD${id}` }))
+];
+const EO = {
+  1: 90, 2: 10,
+  3: 80, 4: 75, 5: 70, 6: 65, 7: 60, 8: 55,
+  9: 200, 10: 95, 11: 88, 12: 50, 13: 40, 14: 35,
+  15: 85, 16: 30, 17: 5
+};
+const EO_BREAKDOWN = Object.fromEntries(Object.entries(EO).map(([id, eo]) => [id, {
+  eo: eo.toFixed(1),
+  captained: Number(id) === 9 ? 90 : 0
+}]));
+
+test('buildTemplateXI picks the highest-EO valid XI', () => {
+  const xi = buildTemplateXI(EO_BREAKDOWN, ELEMENTS);
+  const count = (type) => xi.filter(p => p.positionType === type).length;
+
+  assert.equal(xi.length, 11);
+  assert.equal(count('GK'), 1);
+  // Five defenders beat the fifth midfielder and second forward on EO
+  assert.deepEqual([count('DEF'), count('MID'), count('FWD')], [5, 4, 1]);
+  assert.deepEqual(xi.map(p => p.id), [1, 3, 4, 5, 6, 7, 9, 10, 11, 12, 15]);
+  assert.deepEqual(xi.filter(p => p.isCaptain).map(p => p.id), [9]);
+});
+
+test('buildTemplateXI keeps formation minimums over higher EO', () => {
+  const breakdown = { ...EO_BREAKDOWN, 15: { eo: '1.0' }, 16: { eo: '0.5' } };
+  const xi = buildTemplateXI(breakdown, ELEMENTS);
+
+  // The best forward is on 5% EO, but the XI still needs one
+  assert.deepEqual(xi.filter(p => p.positionType === 'FWD').map(p => p.id), [17]);
+  assert.ok(!xi.some(p => p.id === 8));
+});
+
+test('getTemplateDistance is 0% for a team matching the field exactly', () => {
+  const breakdown = { 1: { eo: '100' }, 2: { eo: '200' } };
+  const picks = [{ playerId: 1, multiplier: 1 }, { playerId: 2, multiplier: 2 }];
+
+  assert.equal(getTemplateDistance(picks, breakdown).distance, 0);
+});
+
+test('getTemplateDistance is 100% for players the field does not start', () => {
+  const picks = [{ playerId: 50, multiplier: 2 }, { playerId: 51, multiplier: 1 }];
+
+  assert.equal(getTemplateDistance(picks, { 1: { eo: '100' } }).distance, 100);
+});
+
+test('getTemplateDistance uses the selected multipliers and lists missing and differential players', () => {
+  const xi = buildTemplateXI(EO_BREAKDOWN, ELEMENTS);
+  const picks = [
+    // Autosubbed off, but picked to start
+    { playerId: 1, name: 'GK1', multiplier: 0, selectedMultiplier: 1 },
+    { playerId: 9, name: 'MID9', multiplier: 2 },
+    { playerId: 17, name: 'FWD17', multiplier: 1 },
+    { playerId: 2, name: 'GK2', multiplier: 0 }
+  ];
+  const result = getTemplateDistance(picks, EO_BREAKDOWN, xi);
+
+  assert.equal(result.templateOwned, 2);
+  assert.deepEqual(result.differentials, [{ id: 17, name: 'FWD17', eo: 5 }]);
+  assert.ok(!result.missing.some(p => p.id === 1 || p.id === 9));
+  assert.equal(result.missing.length, 9);
+  assert.ok(result.distance > 0 && result.distance < 100);
+  assert.equal(Math.round(result.distance + result.overlap), 100);
+});
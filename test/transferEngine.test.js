@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getFreeTransfers, calculateTransferPenalty, MAX_BANKED_TRANSFERS } = require('../utils/transferEngine');
+
+const row = (event, transfers = 0, cost = 0) => ({ event, event_transfers: transfers, event_transfers_cost: cost });
+
+test('the first deadline has unlimited transfers', () => {
+  assert.equal(getFreeTransfers({ current: [] }, 1), null);
+});
+
+test('one free transfer is added each gameweek and banked up to the cap', () => {
+  const history = { current: [1, 2, 3, 4, 5, 6, 7, 8].map(gw => row(gw)) };
+
+  assert.equal(getFreeTransfers(history, 2), 1);
+  assert.equal(getFreeTransfers(history, 4), 3);
+  assert.equal(getFreeTransfers(history, 9), MAX_BANKED_TRANSFERS);
+});
+
+test('transfers used come off the bank and paid ones do not', () => {
+  // GW2 starts with 1 FT; GW2 makes 3 transfers for -8, so 1 free one is used
+  const history = { current: [row(1, 15), row(2, 3, 8), row(3, 1)] };
+
+  assert.equal(getFreeTransfers(history, 3), 1);
+  assert.equal(getFreeTransfers(history, 4), 1);
+});
+
+test('wildcard and free hit transfers keep the bank intact', () => {
+  const history = {
+    current: [row(1), row(2), row(3, 10), row(4, 8)],
+    chips: [{ name: 'wildcard', event: 3 }, { name: 'freehit', event: 4 }]
+  };
+
+  assert.equal(getFreeTransfers(history, 5), 4);
+});
+
+test('calculateTransferPenalty charges transfers beyond the free ones', () => {
+  const history = { current: [row(1), row(2)] };
+  const transfers = [{ event: 3 }, { event: 3 }, { event: 3 }, { event: 3 }, { event: 2 }];
+
+  assert.deepEqual(
+    calculateTransferPenalty({ history, gameweek: 3, transfers }),
+    { freeTransfers: 2, transfersMade: 4, transferPenalty: -8 }
+  );
+});
+
+test('calculateTransferPenalty trusts the picks endpoint and free chips', () => {
+  const history = { current: [row(1), row(2)] };
+  const entryHistory = { event: 3, event_transfers: 3, event_transfers_cost: 0 };
+
+  assert.equal(calculateTransferPenalty({ history, gameweek: 3, entryHistory }).transferPenalty, 0);
+  assert.equal(calculateTransferPenalty({ history, gameweek: 3, transfers: new Array(6).fill({ event: 3 }), activeChip: 'wildcard' }).transferPenalty, 0);
+  assert.equal(calculateTransferPenalty({ history: { current: [] }, gameweek: 1, transfers: new Array(6).fill({ event: 1 }) }).transferPenalty, 0);
+});
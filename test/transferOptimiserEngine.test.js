@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectLineup, scoreLineup, optimiseTransfers } = require('../utils/transferOptimiserEngine');
+
+const LAYOUT = ['GK', 'GK', 'DEF', 'DEF', 'DEF', 'DEF', 'DEF', 'MID', 'MID', 'MID', 'MID', 'MID', 'FWD', 'FWD', 'FWD'];
+const GAMEWEEKS = [1, 2, 3];
+
+// Fifteen £5.0m players over teams 1-5, three per team; the midfielder from team 1 is ID 11
+const SQUAD = LAYOUT.map((positionType, index) => ({
+  id: index + 1,
+  name: `P${index + 1}`,
+  teamId: (index % 5) + 1,
+  positionType,
+  sellingPrice: 5
+}));
+
+const player = (id, positionType, teamId, cost) => ({ id, name: `P${id}`, teamId, positionType, cost });
+
+// Every squad player projects 2 a gameweek, plus any overrides
+const projectionsFor = (overrides = {}) => new Map(GAMEWEEKS.map(gw => [gw, new Map([
+  ...SQUAD.map(p => [p.id, 2]),
+  ...Object.entries(overrides).map(([id, xp]) => [Number(id), xp])
+])]));
+
+const plan = (options) => optimiseTransfers({
+  squad: SQUAD,
+  gameweeks: GAMEWEEKS,
+  bank: 0,
+  freeTransfers: 1,
+  ...options,
+  players: [...SQUAD.map(p => ({ ...p, cost: p.sellingPrice })), ...(options.players || [])]
+});
+const transfersIn = (result) => result.gameweeks.flatMap(gw => gw.transfers.map(t => t.in.id));
+
+test('selectLineup fills the formation minimums before the best of the rest', () => {
+  // Forwards project nothing but one still starts; the second goalkeeper never does
+  const xp = { 1: 5, 2: 4, 13: 0, 14: 0, 15: 0 };
+  const xi = selectLineup(SQUAD, id => xp[id] ?? 3);
+
+  const count = (positionType) => xi.filter(p => p.positionType === positionType).length;
+  assert.equal(xi.length, 11);
+  assert.equal(count('GK'), 1);
+  assert.equal(count('FWD'), 1);
+  assert.equal(count('DEF') + count('MID'), 9);
+  assert.ok(xi.some(p => p.id === 1));
+});
+
+test('scoreLineup counts the captain twice', () => {
+  const xp = { 8: 10 };
+  // Ten starters on 2 and the 10 point captain doubled
+  assert.equal(scoreLineup(SQUAD, id => xp[id] ?? 2), 10 * 2 + 20);
+});
+
+test('optimiseTransfers makes a clear upgrade with the free transfer', () => {
+  const result = plan({ players: [player(100, 'MID', 6, 5)], projections: projectionsFor({ 100: 10 }) });
+
+  assert.equal(result.baseline.projectedPoints, 3 * 24);
+  const [best] = result.plans;
+  assert.equal(best.gameweeks[0].transfers.length, 1);
+  assert.equal(best.gameweeks[0].transfers[0].in.id, 100);
+  assert.equal(best.gameweeks[0].transfers[0].out.sellingPrice, 5);
+  assert.equal(best.hitCost, 0);
+  assert.deepEqual(best.errors, []);
+  // Captained at 10 instead of a 2 point midfielder each gameweek
+  assert.equal(best.gainVsNoTransfers, 3 * (20 - 4));
+});
+
+test('optimiseTransfers only buys what the selling price and bank cover', () => {
+  const players = [player(100, 'MID', 6, 6)];
+  const projections = projectionsFor({ 100: 10 });
+
+  assert.ok(!plan({ players, projections, maxTransfersPerGameweek: 1 }).plans.some(p => transfersIn(p).includes(100)));
+
+  const [best] = plan({ players, projections, bank: 1 }).plans;
+  assert.deepEqual(transfersIn(best), [100]);
+  assert.equal(best.bank, 0);
+});
+
+test('optimiseTransfers keeps to three players per club', () => {
+  // Team 1 already has three players, so its new midfielder can only replace its old one
+  const result = plan({ players: [player(100, 'MID', 1, 5)], projections: projectionsFor({ 100: 10 }) });
+
+  const [transfer] = result.plans[0].gameweeks[0].transfers;
+  assert.equal(transfer.in.id, 100);
+  assert.equal(transfer.out.id, 11);
+});
+
+test('optimiseTransfers respects the hit limit', () => {
+  const players = [player(100, 'MID', 6, 5), player(101, 'MID', 7, 5), player(102, 'FWD', 8, 5)];
+  const projections = projectionsFor({ 100: 10, 101: 9, 102: 8 });
+
+  const noHits = plan({ players, projections, maxHits: 0 });
+  noHits.plans.forEach(p => {
+    assert.equal(p.hitCost, 0);
+    p.gameweeks.forEach(gw => assert.ok(gw.transfers.length <= gw.freeTransfers));
+  });
+
+  // Worth a -4 to bring all three in at once
+  const [best] = plan({ players, projections, maxHits: 2 }).plans;
+  assert.deepEqual(transfersIn(best).sort(), [100, 101, 102]);
+  assert.ok(best.hitCost > 0);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEoTier, validateEvents, simulateEvents, buildRankSwing } = require('../utils/whatIfEngine');
+
+const defender = (conceded = 0, cleanSheet = true) => ({
+  name: 'Defender',
+  positionType: 'DEF',
+  multiplier: 1,
+  basePoints: 6 - Math.floor(conceded / 2),
+  breakdown: [
+    { identifier: 'minutes', value: 90, points: 2 },
+    ...(cleanSheet ? [{ identifier: 'clean_sheets', value: 1, points: 4 }] : []),
+    ...(conceded ? [{ identifier: 'goals_conceded', value: conceded, points: -Math.floor(conceded / 2) }] : [])
+  ]
+});
+
+const deltaFor = (player, event) =>
+  simulateEvents([{ playerId: 1, ...event }], { players: new Map([[1, player]]) }).players[0].delta;
+
+test('getEoTier picks the closest tier to a rank', () => {
+  assert.equal(getEoTier(500), 'top1k');
+  assert.equal(getEoTier(50000), 'top100k');
+  assert.equal(getEoTier(null), 'top1m');
+});
+
+test('validateEvents rejects unknown types and missing values', () => {
+  assert.equal(validateEvents([{ playerId: 1, type: 'goal' }]), null);
+  assert.match(validateEvents([{ playerId: 1, type: 'hat_trick' }]), /Unknown event type/);
+  assert.match(validateEvents([{ playerId: 1, type: 'points' }]), /numeric value/);
+  assert.match(validateEvents([]), /non-empty/);
+});
+
+test('goals and assists use the position values from the rules', () => {
+  assert.equal(deltaFor(defender(), { type: 'goal', count: 2 }), 12);
+  assert.equal(deltaFor(defender(), { type: 'assist' }), 3);
+});
+
+test('clean_sheet_lost removes the clean sheet for one goal conceded', () => {
+  assert.equal(deltaFor(defender(), { type: 'clean_sheet_lost' }), -4);
+});
+
+test('clean_sheet_lost applies the goals conceded deduction for defenders', () => {
+  assert.equal(deltaFor(defender(), { type: 'clean_sheet_lost', count: 2 }), -5);
+  assert.equal(deltaFor(defender(), { type: 'clean_sheet_lost', count: 4 }), -6);
+  // One goal already conceded: another one reaches the next deduction
+  assert.equal(deltaFor(defender(1, false), { type: 'clean_sheet_lost' }), -1);
+});
+
+test('clean_sheet_lost has no goals conceded deduction for midfielders', () => {
+  const midfielder = {
+    positionType: 'MID',
+    multiplier: 1,
+    basePoints: 3,
+    breakdown: [{ identifier: 'minutes', value: 90, points: 2 }, { identifier: 'clean_sheets', value: 1, points: 1 }]
+  };
+
+  assert.equal(deltaFor(midfielder, { type: 'clean_sheet_lost', count: 3 }), -1);
+});
+
+test('a blank wipes the score and the field moves with effective ownership', () => {
+  const player = { name: 'Captain', positionType: 'FWD', multiplier: 2, basePoints: 10, breakdown: [] };
+  const result = simulateEvents([{ playerId: 1, type: 'blank' }, { playerId: 1, type: 'goal' }], {
+    players: new Map([[1, player]]),
+    eoByPlayer: { 1: { eo: '150' } }
+  });
+
+  assert.equal(result.managerDelta, -20);
+  assert.equal(result.fieldDelta, -15);
+  assert.equal(result.netDelta, -5);
+});
+
+test('buildRankSwing splits threats from gains by net ownership', () => {
+  const { threats, gains } = buildRankSwing({
+    picks: [{ playerId: 1, multiplier: 2 }, { playerId: 2, multiplier: 1 }],
+    eoByPlayer: { 1: { eo: 120 }, 2: { eo: 100 }, 3: { eo: 60 }, 4: { eo: 2 } },
+    rankPerPoint: 1000
+  });
+
+  assert.deepEqual(gains.map(g => [g.playerId, g.netPerPoint, g.rankPerPoint]), [[1, 0.8, 800]]);
+  assert.deepEqual(threats.map(t => [t.playerId, t.netPerPoint]), [[3, -0.6]]);
+});
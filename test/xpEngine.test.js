@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getTeamRatings,
+  getFixtureGoals,
+  getPlayerRates,
+  projectFixture,
+  projectGameweek
+} = require('../utils/xpEngine');
+const { getRules } = require('../utils/scoringEngine');
+
+const team = (id, attack, defence) => ({
+  id,
+  strength_attack_home: attack,
+  strength_attack_away: attack,
+  strength_defence_home: defence,
+  strength_defence_away: defence
+});
+
+// Two average sides and a side twice as strong in attack and defence
+const RATINGS = getTeamRatings([team(1, 1000, 1000), team(2, 1000, 1000), team(3, 2000, 2000)]);
+
+// Ninety minutes in every one of the last eight matches
+const regularHistory = (extra = {}) => Array.from({ length: 8 }, (_, i) => ({
+  round: i + 1,
+  kickoff_time: `2025-08-${String(i + 10).padStart(2, '0')}T15:00:00Z`,
+  minutes: 90,
+  goals_scored: 0,
+  assists: 0,
+  bonus: 0,
+  saves: 0,
+  yellow_cards: 0,
+  ...extra
+}));
+
+test('getTeamRatings scales strengths to the league mean', () => {
+  const ratings = getTeamRatings([team(1, 1000, 1200), team(2, 2000, 1200)]);
+
+  assert.equal(ratings.get(1).attackHome, 2 / 3);
+  assert.equal(ratings.get(2).attackAway, 4 / 3);
+  assert.equal(ratings.get(1).defenceHome, 1);
+  assert.equal(getTeamRatings([{ id: 4 }]).get(4).attackHome, 1);
+});
+
+test('getFixtureGoals applies home advantage and relative strength', () => {
+  const home = getFixtureGoals(1, 2, true, RATINGS);
+  const away = getFixtureGoals(2, 1, false, RATINGS);
+
+  assert.ok(Math.abs(home.goalsFor - 1.4 * 1.1) < 1e-9);
+  assert.ok(Math.abs(home.goalsAgainst - 1.4 / 1.1) < 1e-9);
+  assert.ok(Math.abs(away.goalsFor - home.goalsAgainst) < 1e-9);
+  assert.ok(getFixtureGoals(1, 3, true, RATINGS).goalsFor < home.goalsFor);
+  assert.ok(getFixtureGoals(3, 1, true, RATINGS).goalsAgainst < home.goalsAgainst);
+});
+
+test('getPlayerRates reads minutes from the recent matches and availability', () => {
+  const history = [
+    ...regularHistory(),
+    { round: 0, minutes: 0 }, // Older than the recent window
+    { round: 9, minutes: 0 },
+    { round: 10, minutes: 30 }
+  ];
+  const rates = getPlayerRates({ element_type: 3 }, history);
+
+  // Last eight: rounds 3-8 at 90, round 9 unused, round 10 a cameo
+  assert.equal(rates.positionType, 'MID');
+  assert.equal(rates.pPlay, 7 / 8);
+  assert.equal(rates.p60, 6 / 8);
+  assert.equal(rates.minutesWhenPlaying, (6 * 90 + 30) / 7);
+
+  const doubtful = getPlayerRates({ element_type: 3, chance_of_playing_next_round: 50 }, history);
+  assert.equal(doubtful.pPlay, 7 / 16);
+});
+
+test('getPlayerRates shrinks per-90 rates towards the position prior', () => {
+  assert.ok(Math.abs(getPlayerRates({ element_type: 4 }, []).rates.goals - 0.35) < 1e-9);
+  assert.equal(getPlayerRates({ element_type: 4 }, []).pPlay, 0);
+
+  // A one-minute cameo with a goal stays far below one goal per minute
+  const cameo = getPlayerRates({ element_type: 4 }, [{ round: 1, minutes: 1, goals_scored: 1 }]);
+  assert.ok(cameo.rates.goals > 0.35 && cameo.rates.goals < 1);
+
+  // Eight matches at a goal a game (720 minutes) against 270 of prior evidence
+  const scorer = getPlayerRates({ element_type: 4 }, regularHistory({ goals_scored: 1 }));
+  assert.ok(Math.abs(scorer.rates.goals - (8 + 0.35 * 3) / 11) < 1e-9);
+});
+
+test('projectFixture scores a regular starter and nothing for a non-player', () => {
+  const { rules } = getRules();
+  const fixture = getFixtureGoals(1, 2, true, RATINGS);
+  const regular = projectFixture(getPlayerRates({ element_type: 2 }, regularHistory()), fixture);
+
+  assert.equal(regular.pCleanSheet, Math.round(Math.exp(-fixture.goalsAgainst) * 100) / 100);
+  assert.ok(regular.xp > rules.minutes.long);
+
+  const absent = projectFixture(getPlayerRates({ element_type: 2 }, []), fixture);
+  assert.deepEqual(absent, { xp: 0, xGoals: 0, xAssists: 0, pCleanSheet: absent.pCleanSheet });
+});
+
+test('projectFixture projects more for an easier fixture', () => {
+  const player = getPlayerRates({ element_type: 4 }, regularHistory({ goals_scored: 1 }));
+
+  const easy = projectFixture(player, getFixtureGoals(3, 1, true, RATINGS));
+  const hard = projectFixture(player, getFixtureGoals(1, 3, false, RATINGS));
+  assert.ok(easy.xGoals > hard.xGoals);
+  assert.ok(easy.xp > hard.xp);
+});
+
+test('projectGameweek sums double gameweeks and blanks to 0', () => {
+  const element = { id: 10, element_type: 3, team: 1 };
+  const player = getPlayerRates(element, regularHistory());
+  const fixtures = [
+    { id: 1, team_h: 1, team_a: 2 },
+    { id: 2, team_h: 3, team_a: 1 }
+  ];
+
+  const single = projectGameweek(element, player, fixtures.slice(0, 1), RATINGS);
+  assert.equal(single.fixtures.length, 1);
+  assert.equal(single.xMins, 90);
+
+  const double = projectGameweek(element, player, fixtures, RATINGS);
+  assert.deepEqual(double.fixtures.map(f => [f.fixtureId, f.opponentId, f.isHome]), [[1, 2, true], [2, 3, false]]);
+  assert.ok(Math.abs(double.xp - (double.fixtures[0].xp + double.fixtures[1].xp)) < 0.011);
+  assert.equal(double.xMins, 180);
+
+  const blank = projectGameweek(element, player, [{ id: 3, team_h: 2, team_a: 3 }], RATINGS);
+  assert.deepEqual(blank, { xp: 0, xMins: 0, pPlay: 1, p60: 1, fixtures: [] });
+});
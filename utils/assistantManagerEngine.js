@@ -0,0 +1,295 @@
+/**
+ * Assistant Manager chip scoring
+ *
+ * The chosen manager scores from their club's fixtures in the gameweek
+ * (every fixture counts in a double gameweek):
+ * - 6 points for a win, 3 for a draw
+ * - 1 point per goal scored
+ * - 2 points for a clean sheet
+ * - table bonus: beating a club at least five places higher in the table at
+ *   the deadline is worth another 10 points, drawing with one another 5
+ *
+ * Scores for fixtures still in progress are provisional.
+ *
+ * Projections for upcoming fixtures use a simple strength model: the rating
+ * gap d between the clubs (bootstrap strength_overall_home/away, or the
+ * fixture difficulty when strengths are missing) gives
+ *
+ *   P(win) = (1 - DRAW_RATE) × 1 / (1 + e^-d)
+ *   goals for = BASE_GOALS × e^(GOAL_SENSITIVITY × d), P(clean sheet) = e^-(goals against)
+ *
+ * and the expected score adds the table bonus for opponents far enough above.
+ *
+ * Managers are bootstrap elements of their own element type, so the catalogue
+ * of pickable managers (club and cost) comes straight from bootstrap data.
+ */
+
+const AM_RULES = {
+  win: 6,
+  draw: 3,
+  goal: 1,
+  cleanSheet: 2,
+  tableBonusWin: 10,
+  tableBonusDraw: 5,
+  tableBonusGap: 5
+};
+const MANAGER_ELEMENT_TYPE = 5;
+const CHIP_WINDOW = 3; // Gameweeks the chip stays active once played
+const PROJECTION = {
+  drawRate: 0.25,
+  baseGoals: 1.4,
+  goalSensitivity: 0.3,
+  homeAdvantage: 0.3,
+  strengthScale: 100, // strength_overall points per unit of d
+  difficultyScale: 0.6 // d per step of fixture difficulty away from 3
+};
+
+/**
+ * Element type used for managers in bootstrap data
+ * @param {Object} bootstrapData - Bootstrap data (element_types when available)
+ * @returns {number} - Element type ID
+ */
+const getManagerElementType = (bootstrapData = {}) => {
+  const type = (bootstrapData.element_types || []).find(t =>
+    t.singular_name_short === 'AM' || t.singular_name === 'Manager' || t.plural_name === 'Managers'
+  );
+  return type?.id || MANAGER_ELEMENT_TYPE;
+};
+
+/**
+ * Manager catalogue from bootstrap elements
+ * @param {Object} bootstrapData - Bootstrap data (elements, element_types)
+ * @returns {Array} - [{ id, name, web_name, team_id, cost }] sorted by ID, cost in tenths
+ */
+const buildManagerCatalogue = (bootstrapData = {}) => {
+  const elementType = getManagerElementType(bootstrapData);
+  return (bootstrapData.elements || [])
+    .filter(el => el.element_type === elementType && el.team)
+    .map(el => ({
+      id: el.id,
+      name: [el.first_name, el.second_name].filter(Boolean).join(' ') || el.web_name || `Manager ${el.id}`,
+      web_name: el.web_name || null,
+      team_id: el.team,
+      cost: el.now_cost
+    }))
+    .sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Differences between a stored catalogue and a new one
+ * @param {Array} previous - Stored catalogue ([{ id, name, team_id, cost }])
+ * @param {Array} next - From buildManagerCatalogue()
+ * @returns {Object} - { added, removed, clubChanges: [{ id, name, fromTeamId, toTeamId }], costChanges: [{ id, name, fromCost, toCost }] }
+ */
+const diffManagerCatalogue = (previous = [], next = []) => {
+  const previousById = new Map(previous.map(m => [m.id, m]));
+  const nextIds = new Set(next.map(m => m.id));
+  const report = { added: [], removed: [], clubChanges: [], costChanges: [] };
+
+  next.forEach(manager => {
+    const before = previousById.get(manager.id);
+    if (!before) {
+      report.added.push({ id: manager.id, name: manager.name, teamId: manager.team_id });
+      return;
+    }
+    if (before.team_id !== manager.team_id) {
+      report.clubChanges.push({ id: manager.id, name: manager.name, fromTeamId: before.team_id, toTeamId: manager.team_id });
+    }
+    if (before.cost !== manager.cost) {
+      report.costChanges.push({ id: manager.id, name: manager.name, fromCost: before.cost, toCost: manager.cost });
+    }
+  });
+  previous
+    .filter(m => !nextIds.has(m.id))
+    .forEach(m => report.removed.push({ id: m.id, name: m.name, teamId: m.team_id }));
+
+  return report;
+};
+
+/**
+ * League table going into a gameweek, built from finished fixtures
+ * @param {Array} fixtures - Season fixtures (fixtures/)
+ * @param {number} gameweek - Gameweek whose deadline the table is taken at
+ * @returns {Map} - Team ID to table position (1 = top)
+ */
+const buildLeagueTable = (fixtures = [], gameweek) => {
+  const rows = new Map();
+  const row = (teamId) => {
+    if (!rows.has(teamId)) rows.set(teamId, { teamId, points: 0, goalDifference: 0, goalsFor: 0 });
+    return rows.get(teamId);
+  };
+
+  fixtures
+    .filter(f => f.event && f.event < gameweek && f.finished && f.team_h_score !== null && f.team_a_score !== null)
+    .forEach(f => {
+      const home = row(f.team_h);
+      const away = row(f.team_a);
+      home.goalsFor += f.team_h_score;
+      away.goalsFor += f.team_a_score;
+      home.goalDifference += f.team_h_score - f.team_a_score;
+      away.goalDifference += f.team_a_score - f.team_h_score;
+      if (f.team_h_score > f.team_a_score) home.points += 3;
+      else if (f.team_h_score < f.team_a_score) away.points += 3;
+      else {
+        home.points += 1;
+        away.points += 1;
+      }
+    });
+
+  // Clubs without a finished fixture yet still need a place
+  fixtures.forEach(f => {
+    if (f.team_h) row(f.team_h);
+    if (f.team_a) row(f.team_a);
+  });
+
+  const sorted = [...rows.values()].sort((a, b) =>
+    b.points - a.points || b.goalDifference - a.goalDifference || b.goalsFor - a.goalsFor || a.teamId - b.teamId
+  );
+  return new Map(sorted.map((entry, index) => [entry.teamId, index + 1]));
+};
+
+/**
+ * Club an assistant manager is in charge of
+ * @param {Object} assistantManager - { id, team_id | teamId }
+ * @param {Object} bootstrapData - Bootstrap data (managers, or elements of the manager element type)
+ * @param {Array} catalogue - Fallback manager list ([{ id, team_id }])
+ * @returns {number|null} - Team ID
+ */
+const resolveManagerTeam = (assistantManager, bootstrapData = {}, catalogue = []) => {
+  if (!assistantManager) return null;
+  const direct = assistantManager.team_id ?? assistantManager.teamId ?? assistantManager.team;
+  if (direct) return direct;
+  const fromBootstrap = (bootstrapData.managers || []).find(m => m.id === assistantManager.id);
+  if (fromBootstrap?.team_id) return fromBootstrap.team_id;
+  const elementType = getManagerElementType(bootstrapData);
+  const element = (bootstrapData.elements || []).find(el => el.id === assistantManager.id && el.element_type === elementType);
+  if (element?.team) return element.team;
+  return catalogue.find(m => m.id === assistantManager.id)?.team_id || null;
+};
+
+/**
+ * Score an assistant manager from their club's fixtures
+ * @param {number} teamId - Club the manager is in charge of
+ * @param {Array} fixtures - The gameweek's fixtures
+ * @param {Map} table - From buildLeagueTable()
+ * @returns {Object} - { points, provisional, fixtures: [{ fixtureId, opponentId, goalsFor, goalsAgainst, result, tableBonus, points }] }
+ */
+const scoreAssistantManager = (teamId, fixtures = [], table = new Map()) => {
+  const breakdown = fixtures
+    .filter(f => (f.team_h === teamId || f.team_a === teamId) && (f.started || f.finished))
+    .map(f => {
+      const isHome = f.team_h === teamId;
+      const goalsFor = (isHome ? f.team_h_score : f.team_a_score) || 0;
+      const goalsAgainst = (isHome ? f.team_a_score : f.team_h_score) || 0;
+      const opponentId = isHome ? f.team_a : f.team_h;
+      const result = goalsFor > goalsAgainst ? 'W' : goalsFor === goalsAgainst ? 'D' : 'L';
+
+      const teamPosition = table.get(teamId);
+      const opponentPosition = table.get(opponentId);
+      const opponentHigher = teamPosition && opponentPosition && teamPosition - opponentPosition >= AM_RULES.tableBonusGap;
+      const tableBonus = !opponentHigher ? 0
+        : result === 'W' ? AM_RULES.tableBonusWin
+          : result === 'D' ? AM_RULES.tableBonusDraw : 0;
+
+      const points = (result === 'W' ? AM_RULES.win : result === 'D' ? AM_RULES.draw : 0) +
+        goalsFor * AM_RULES.goal +
+        (goalsAgainst === 0 ? AM_RULES.cleanSheet : 0) +
+        tableBonus;
+
+      return {
+        fixtureId: f.id,
+        opponentId,
+        goalsFor,
+        goalsAgainst,
+        result,
+        tableBonus,
+        finished: !!(f.finished || f.finished_provisional),
+        points
+      };
+    });
+
+  return {
+    points: breakdown.reduce((sum, f) => sum + f.points, 0),
+    provisional: breakdown.some(f => !f.finished),
+    fixtures: breakdown
+  };
+};
+
+/**
+ * Project an assistant manager's points over upcoming fixtures
+ * @param {number} teamId - Club the manager is in charge of
+ * @param {Array} fixtures - Upcoming fixtures (fixtures/) in the chip window
+ * @param {Object} options - { table: from buildLeagueTable(), teams: bootstrap teams }
+ * @returns {Object} - { expectedPoints, winProbability, averageDifficulty, tableBonusFixtures, fixtures }
+ */
+const projectAssistantManager = (teamId, fixtures = [], { table = new Map(), teams = [] } = {}) => {
+  const teamsById = new Map(teams.map(team => [team.id, team]));
+  const round2 = (value) => Math.round(value * 100) / 100;
+
+  const projected = fixtures
+    .filter(f => f.team_h === teamId || f.team_a === teamId)
+    .map(f => {
+      const isHome = f.team_h === teamId;
+      const opponentId = isHome ? f.team_a : f.team_h;
+      const difficulty = isHome ? f.team_h_difficulty : f.team_a_difficulty;
+      const team = teamsById.get(teamId);
+      const opponent = teamsById.get(opponentId);
+      const teamStrength = isHome ? team?.strength_overall_home : team?.strength_overall_away;
+      const opponentStrength = isHome ? opponent?.strength_overall_away : opponent?.strength_overall_home;
+
+      const d = teamStrength && opponentStrength
+        ? (teamStrength - opponentStrength) / PROJECTION.strengthScale + (isHome ? PROJECTION.homeAdvantage : -PROJECTION.homeAdvantage)
+        : (3 - (difficulty || 3)) * PROJECTION.difficultyScale;
+      const winProbability = (1 - PROJECTION.drawRate) / (1 + Math.exp(-d));
+      const drawProbability = PROJECTION.drawRate;
+      const goalsFor = PROJECTION.baseGoals * Math.exp(PROJECTION.goalSensitivity * d);
+      const goalsAgainst = PROJECTION.baseGoals * Math.exp(-PROJECTION.goalSensitivity * d);
+      const cleanSheetProbability = Math.exp(-goalsAgainst);
+
+      const teamPosition = table.get(teamId);
+      const opponentPosition = table.get(opponentId);
+      const tableBonusEligible = !!(teamPosition && opponentPosition &&
+        teamPosition - opponentPosition >= AM_RULES.tableBonusGap);
+
+      const expectedPoints = winProbability * AM_RULES.win +
+        drawProbability * AM_RULES.draw +
+        goalsFor * AM_RULES.goal +
+        cleanSheetProbability * AM_RULES.cleanSheet +
+        (tableBonusEligible ? winProbability * AM_RULES.tableBonusWin + drawProbability * AM_RULES.tableBonusDraw : 0);
+
+      return {
+        fixtureId: f.id,
+        gameweek: f.event,
+        opponentId,
+        isHome,
+        difficulty: difficulty || null,
+        winProbability: round2(winProbability),
+        cleanSheetProbability: round2(cleanSheetProbability),
+        tableBonusEligible,
+        expectedPoints: round2(expectedPoints)
+      };
+    });
+
+  const count = projected.length;
+  const difficulties = projected.map(f => f.difficulty).filter(Boolean);
+  return {
+    expectedPoints: round2(projected.reduce((sum, f) => sum + f.expectedPoints, 0)),
+    winProbability: count ? round2(projected.reduce((sum, f) => sum + f.winProbability, 0) / count) : 0,
+    averageDifficulty: difficulties.length ? round2(difficulties.reduce((sum, v) => sum + v, 0) / difficulties.length) : null,
+    tableBonusFixtures: projected.filter(f => f.tableBonusEligible).length,
+    fixtures: projected
+  };
+};
+
+module.exports = {
+  AM_RULES,
+  CHIP_WINDOW,
+  MANAGER_ELEMENT_TYPE,
+  getManagerElementType,
+  buildManagerCatalogue,
+  diffManagerCatalogue,
+  buildLeagueTable,
+  resolveManagerTeam,
+  scoreAssistantManager,
+  projectAssistantManager
+};
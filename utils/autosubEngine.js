@@ -0,0 +1,145 @@
+/**
+ * FPL automatic substitution engine
+ *
+ * Applies the official autosub rules to a manager's picks:
+ * - a starter is only replaced once they have 0 minutes and all of their
+ *   team's fixtures for the gameweek are finished (blank teams count as finished)
+ * - bench players are tried in bench order; a bench player who also did not
+ *   play is skipped, one whose fixture is still to come holds the substitution
+ * - a goalkeeper can only be replaced by the bench goalkeeper
+ * - the resulting XI must keep at least 3 defenders and 1 forward
+ * - if the captain does not play, the vice-captain takes the armband
+ * - no substitutions are made while Bench Boost is active
+ */
+
+const MIN_DEFENDERS = 3;
+const MIN_FORWARDS = 1;
+const STARTING_SLOTS = 11;
+
+/**
+ * Index fixture completion by team
+ * @param {Array} fixtures - Fixtures for the gameweek (fixtures/?event={gw})
+ * @returns {Object} - { [teamId]: { fixtures, finished } }
+ */
+const buildTeamFixtureStatus = (fixtures = []) => {
+  const status = {};
+  fixtures.forEach(fixture => {
+    const done = !!(fixture.finished || fixture.finished_provisional);
+    [fixture.team_h, fixture.team_a].forEach(teamId => {
+      if (!status[teamId]) status[teamId] = { fixtures: 0, finished: true };
+      status[teamId].fixtures += 1;
+      status[teamId].finished = status[teamId].finished && done;
+    });
+  });
+  return status;
+};
+
+/**
+ * Whether a player has played, definitely did not play, or is still to play
+ * @param {Object} pick - { minutes, teamId }
+ * @param {Object|null} teamStatus - From buildTeamFixtureStatus(), or null if fixtures are unknown
+ * @returns {string} - 'played', 'dnp' or 'pending'
+ */
+const getPlayStatus = (pick, teamStatus) => {
+  if ((pick.minutes || 0) > 0) return 'played';
+  // Without fixture data nothing can be confirmed as finished
+  if (!teamStatus) return 'pending';
+  const team = teamStatus[pick.teamId];
+  // A team with no fixture this gameweek has blanked, so its players cannot play
+  if (!team || team.finished) return 'dnp';
+  return 'pending';
+};
+
+const isValidFormation = (lineup) => {
+  const count = (type) => lineup.filter(p => p.positionType === type).length;
+  return count('GK') === 1 && count('DEF') >= MIN_DEFENDERS && count('FWD') >= MIN_FORWARDS;
+};
+
+/**
+ * Apply automatic substitutions and vice-captain promotion
+ * @param {Array} picks - [{ playerId, position, positionType, multiplier, selectedMultiplier, minutes, teamId, basePoints, isCaptain, isViceCaptain }]
+ * @param {Object} options - { activeChip, fixtures }
+ * @returns {Object} - { picks, autosubs, viceCaptainPoints, pendingSubs }
+ */
+const applyAutosubs = (picks = [], { activeChip = null, fixtures = [] } = {}) => {
+  const teamStatus = fixtures.length > 0 ? buildTeamFixtureStatus(fixtures) : null;
+  // Always start from the multipliers the manager picked so re-running on live updates is safe
+  const result = picks.map(pick => {
+    const selectedMultiplier = pick.selectedMultiplier ?? pick.multiplier;
+    return { ...pick, selectedMultiplier, multiplier: selectedMultiplier };
+  });
+  const byId = new Map(result.map(pick => [pick.playerId, pick]));
+  const autosubs = [];
+  let pendingSubs = 0;
+
+  const starters = result.filter(p => p.position <= STARTING_SLOTS).sort((a, b) => a.position - b.position);
+  const bench = result.filter(p => p.position > STARTING_SLOTS).sort((a, b) => a.position - b.position);
+  const captain = starters.find(p => p.isCaptain);
+  const viceCaptain = starters.find(p => p.isViceCaptain);
+  const captainMultiplier = captain ? captain.multiplier : 0;
+
+  if (activeChip !== 'bboost') {
+    let lineup = [...starters];
+    const usedBench = new Set();
+
+    for (const starter of starters) {
+      if (getPlayStatus(starter, teamStatus) !== 'dnp') continue;
+
+      const candidates = bench.filter(p =>
+        !usedBench.has(p.playerId) && (starter.positionType === 'GK' ? p.positionType === 'GK' : p.positionType !== 'GK')
+      );
+
+      for (const candidate of candidates) {
+        const status = getPlayStatus(candidate, teamStatus);
+        if (status === 'dnp') continue;
+
+        const proposed = lineup.map(p => (p.playerId === starter.playerId ? candidate : p));
+        if (!isValidFormation(proposed)) continue;
+
+        // The next eligible bench player has not played yet, so this substitution cannot be decided
+        if (status === 'pending') {
+          pendingSubs++;
+          break;
+        }
+
+        lineup = proposed;
+        usedBench.add(candidate.playerId);
+        autosubs.push({ out: starter.playerId, in: candidate.playerId });
+        byId.get(candidate.playerId).multiplier = 1;
+        byId.get(starter.playerId).multiplier = 0;
+        break;
+      }
+    }
+  }
+
+  let viceCaptainPoints = 0;
+  if (captain && viceCaptain && getPlayStatus(captain, teamStatus) === 'dnp' &&
+      getPlayStatus(viceCaptain, teamStatus) === 'played') {
+    const vice = byId.get(viceCaptain.playerId);
+    const cap = byId.get(captain.playerId);
+    vice.multiplier = captainMultiplier;
+    if (cap.multiplier > 0) cap.multiplier = 1;
+    viceCaptainPoints = (vice.basePoints || 0) * captainMultiplier;
+  }
+
+  result.forEach(pick => {
+    pick.livePoints = (pick.basePoints || 0) * pick.multiplier;
+  });
+
+  return { picks: result, autosubs, viceCaptainPoints, pendingSubs };
+};
+
+/**
+ * Sum the points that count towards the gameweek total
+ * @param {Array} picks - Picks returned by applyAutosubs()
+ * @returns {number} - Total points before transfer costs
+ */
+const sumLivePoints = (picks = []) =>
+  picks.reduce((sum, pick) => sum + (pick.multiplier > 0 ? pick.livePoints || 0 : 0), 0);
+
+module.exports = {
+  buildTeamFixtureStatus,
+  getPlayStatus,
+  applyAutosubs,
+  sumLivePoints
+};
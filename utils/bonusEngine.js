@@ -0,0 +1,135 @@
+/**
+ * FPL bonus points engine
+ *
+ * Live element stats only carry `bonus` once FPL confirms it after a match.
+ * Until then bonus is projected from each fixture's BPS ranking:
+ * - the top BPS gets 3, second 2, third 1
+ * - tied players share the higher award and the next player drops a place
+ *   (two tied first get 3 each and the next gets 1)
+ * - a player with no BPS entry in the fixture gets nothing
+ */
+
+const BONUS_BY_RANK = { 1: 3, 2: 2, 3: 1 };
+
+/**
+ * Award bonus to a set of players from a single fixture by BPS
+ * @param {Array} entries - [{ element, bps }]
+ * @returns {Array} - [{ element, bps, bonus }] sorted by BPS, highest first
+ */
+const rankBonus = (entries = []) => {
+  const sorted = [...entries].sort((a, b) => b.bps - a.bps);
+  return sorted.map(entry => {
+    // Rank is one more than the number of players with strictly higher BPS
+    const rank = 1 + sorted.filter(other => other.bps > entry.bps).length;
+    return { ...entry, bonus: BONUS_BY_RANK[rank] || 0 };
+  });
+};
+
+const getFixtureStat = (fixture, identifier) =>
+  (fixture.stats || []).find(stat => stat.identifier === identifier);
+
+/**
+ * Collect BPS per player for a fixture, split by side
+ * @param {Object} fixture - Fixture from fixtures/?event={gw}
+ * @param {Array} liveElements - Elements from event/{gw}/live
+ * @param {Map} teamByElement - Element ID to team ID, used when BPS comes from explain data
+ * @returns {Object} - { h: [{ element, bps }], a: [{ element, bps }] }
+ */
+const collectBps = (fixture, liveElements = [], teamByElement = new Map()) => {
+  const bpsStat = getFixtureStat(fixture, 'bps');
+  if (bpsStat && ((bpsStat.h || []).length > 0 || (bpsStat.a || []).length > 0)) {
+    const toEntries = (list = []) => list.map(item => ({ element: item.element, bps: item.value || 0 }));
+    return { h: toEntries(bpsStat.h), a: toEntries(bpsStat.a) };
+  }
+
+  // Fall back to the per-fixture explain entries on the live elements
+  const sides = { h: [], a: [] };
+  liveElements.forEach(el => {
+    const explain = (el.explain || []).find(entry => entry.fixture === fixture.id);
+    if (!explain) return;
+    const bps = (explain.stats || []).find(stat => stat.identifier === 'bps');
+    if (!bps) return;
+    const team = teamByElement.get(el.id);
+    const side = team === fixture.team_a ? 'a' : 'h';
+    sides[side].push({ element: el.id, bps: bps.value || 0 });
+  });
+  return sides;
+};
+
+/**
+ * Work out bonus for one fixture, confirmed if FPL has awarded it, provisional otherwise
+ * @param {Object} fixture - Fixture from fixtures/?event={gw}
+ * @param {Array} liveElements - Elements from event/{gw}/live
+ * @param {Map} teamByElement - Element ID to team ID
+ * @returns {Object} - { fixtureId, provisional, confirmed, home, away, homeTotal, awayTotal }
+ */
+const computeFixtureBonus = (fixture, liveElements = [], teamByElement = new Map()) => {
+  const empty = { fixtureId: fixture.id, provisional: false, confirmed: false, home: [], away: [], homeTotal: 0, awayTotal: 0 };
+  if (!fixture.started) return empty;
+
+  const sides = collectBps(fixture, liveElements, teamByElement);
+  const bonusStat = getFixtureStat(fixture, 'bonus');
+  const awarded = !!bonusStat && ((bonusStat.h || []).length > 0 || (bonusStat.a || []).length > 0);
+  const confirmed = awarded || !!fixture.finished;
+
+  let ranked;
+  if (awarded) {
+    // Use FPL's own awards once they exist
+    const bpsById = new Map([...sides.h, ...sides.a].map(entry => [entry.element, entry.bps]));
+    const toAwards = (list = []) => list.map(item => ({
+      element: item.element,
+      bps: bpsById.get(item.element) || 0,
+      bonus: item.value || 0
+    }));
+    ranked = { h: toAwards(bonusStat.h), a: toAwards(bonusStat.a) };
+  } else {
+    const all = rankBonus([
+      ...sides.h.map(entry => ({ ...entry, side: 'h' })),
+      ...sides.a.map(entry => ({ ...entry, side: 'a' }))
+    ]).filter(entry => entry.bonus > 0);
+    const strip = ({ side, ...entry }) => entry;
+    ranked = {
+      h: all.filter(entry => entry.side === 'h').map(strip),
+      a: all.filter(entry => entry.side === 'a').map(strip)
+    };
+  }
+
+  const sum = (list) => list.reduce((total, entry) => total + entry.bonus, 0);
+  return {
+    fixtureId: fixture.id,
+    provisional: !confirmed,
+    confirmed,
+    home: ranked.h,
+    away: ranked.a,
+    homeTotal: sum(ranked.h),
+    awayTotal: sum(ranked.a)
+  };
+};
+
+/**
+ * Bonus per player across all fixtures in the gameweek (double gameweeks are summed)
+ * @param {Array} fixtures - Fixtures from fixtures/?event={gw}
+ * @param {Array} liveElements - Elements from event/{gw}/live
+ * @param {Map} teamByElement - Element ID to team ID
+ * @returns {Map} - Element ID to { points, provisional }
+ */
+const buildBonusMap = (fixtures = [], liveElements = [], teamByElement = new Map()) => {
+  const bonusMap = new Map();
+  fixtures.forEach(fixture => {
+    const fixtureBonus = computeFixtureBonus(fixture, liveElements, teamByElement);
+    [...fixtureBonus.home, ...fixtureBonus.away].forEach(entry => {
+      const current = bonusMap.get(entry.element) || { points: 0, provisional: false };
+      bonusMap.set(entry.element, {
+        points: current.points + entry.bonus,
+        provisional: current.provisional || fixtureBonus.provisional
+      });
+    });
+  });
+  return bonusMap;
+};
+
+module.exports = {
+  rankBonus,
+  computeFixtureBonus,
+  buildBonusMap
+};
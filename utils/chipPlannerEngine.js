@@ -0,0 +1,246 @@
+/**
+ * Chip strategy planner
+ *
+ * Projects the squad (and the whole player pool) for every remaining
+ * gameweek, then values each chip in each gameweek it can be played:
+ * - Bench Boost: projected points of the four bench players
+ * - Triple Captain: projected points of the best starter (the extra 1x)
+ * - Free Hit: best affordable XI for the gameweek minus the current XI
+ * - Wildcard: best affordable XI over the next WILDCARD_HORIZON gameweeks
+ *   minus the current XI over the same gameweeks
+ * - Assistant Manager: best manager's projection over the chip window
+ *
+ * A player's projection for a gameweek is their points per game scaled by the
+ * difficulty of each fixture, so blank gameweeks project 0 and double
+ * gameweeks project both fixtures. Chips are then assigned greedily, biggest
+ * gain first, with at most one chip per gameweek.
+ */
+
+const { buildTeamFixtures, getBlankAndDoubleTeams } = require('./fixtureEngine');
+
+const POSITION_LIMITS = {
+  GK: { squad: 2, minXI: 1, maxXI: 1 },
+  DEF: { squad: 5, minXI: 3, maxXI: 5 },
+  MID: { squad: 5, minXI: 2, maxXI: 5 },
+  FWD: { squad: 3, minXI: 1, maxXI: 3 }
+};
+const STARTING_XI = 11;
+const MAX_PER_TEAM = 3;
+const WILDCARD_HORIZON = 5;
+const WILDCARD_SPLIT = 20; // Last gameweek the first wildcard can be played
+const ASSISTANT_MANAGER_FROM = 24; // First gameweek the assistant manager chip can be played
+const DIFFICULTY_FACTORS = { 1: 1.25, 2: 1.1, 3: 1, 4: 0.85, 5: 0.7 };
+const FORM_WEIGHT = 0.5; // Share of recent form in a player's points per game
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Points per game a player is projected from
+ * @param {Object} player - { total_points, form }
+ * @param {number} gamesPlayed - Gameweeks played so far this season
+ * @returns {number} - Points per game
+ */
+const getPointsPerGame = (player, gamesPlayed) => {
+  const seasonRate = (player.total_points || 0) / Math.max(gamesPlayed, 1);
+  const form = parseFloat(player.form);
+  return Number.isFinite(form) ? FORM_WEIGHT * form + (1 - FORM_WEIGHT) * seasonRate : seasonRate;
+};
+
+/**
+ * Project one player for one gameweek
+ * @param {number} pointsPerGame - From getPointsPerGame()
+ * @param {Array} fixtures - The player's team fixtures in the gameweek
+ * @returns {number} - Projected points
+ */
+const projectPlayer = (pointsPerGame, fixtures = []) =>
+  fixtures.reduce((sum, f) => sum + pointsPerGame * (DIFFICULTY_FACTORS[f.difficulty] || 1), 0);
+
+/**
+ * Best XI a budget buys, picking the highest projections that still leave
+ * enough money and places to complete a valid formation
+ * @param {Array} players - [{ id, teamId, positionType, cost, projected }]
+ * @param {number} budget - Money available for the XI (£m)
+ * @returns {Object} - { players, projected, cost }
+ */
+const pickBestXI = (players, budget) => {
+  const cheapest = {};
+  players.forEach(p => {
+    if (cheapest[p.positionType] === undefined || p.cost < cheapest[p.positionType]) cheapest[p.positionType] = p.cost;
+  });
+
+  const counts = { GK: 0, DEF: 0, MID: 0, FWD: 0 };
+  const teams = {};
+  const chosen = [];
+  let spent = 0;
+
+  // Cheapest way to fill the formation minimums still missing, plus any other open places
+  const reserveFor = (nextCounts) => {
+    let slots = STARTING_XI - chosen.length - 1;
+    let reserve = 0;
+    Object.entries(POSITION_LIMITS).forEach(([pos, { minXI }]) => {
+      const missing = Math.max(0, minXI - nextCounts[pos]);
+      reserve += missing * (cheapest[pos] || 0);
+      slots -= missing;
+    });
+    return reserve + Math.max(0, slots) * Math.min(...Object.values(cheapest));
+  };
+
+  [...players]
+    .filter(p => POSITION_LIMITS[p.positionType])
+    .sort((a, b) => b.projected - a.projected)
+    .forEach(player => {
+      if (chosen.length >= STARTING_XI) return;
+      if (counts[player.positionType] >= POSITION_LIMITS[player.positionType].maxXI) return;
+      if ((teams[player.teamId] || 0) >= MAX_PER_TEAM) return;
+
+      const nextCounts = { ...counts, [player.positionType]: counts[player.positionType] + 1 };
+      const placesLeft = STARTING_XI - chosen.length - 1;
+      const minimumsLeft = Object.entries(POSITION_LIMITS)
+        .reduce((sum, [pos, { minXI }]) => sum + Math.max(0, minXI - nextCounts[pos]), 0);
+      if (minimumsLeft > placesLeft) return;
+      if (spent + player.cost + reserveFor(nextCounts) > budget) return;
+
+      chosen.push(player);
+      counts[player.positionType]++;
+      teams[player.teamId] = (teams[player.teamId] || 0) + 1;
+      spent += player.cost;
+    });
+
+  return {
+    players: chosen,
+    projected: chosen.reduce((sum, p) => sum + p.projected, 0),
+    cost: spent
+  };
+};
+
+/**
+ * Chips that can still be planned, including those that only unlock later in
+ * the season: neither the second wildcard (after WILDCARD_SPLIT) nor the
+ * Assistant Manager (from ASSISTANT_MANAGER_FROM) can have been played before then
+ * @param {Object} chipsAvailable - { wildcard1, wildcard2, freehit, bboost, triplecaptain, assistant_manager }
+ * @param {number} currentGameweek - Gameweek the manager's picks are from
+ * @returns {Object} - Chip name to whether it can be planned
+ */
+const getPlannableChips = (chipsAvailable = {}, currentGameweek = 1) => ({
+  ...chipsAvailable,
+  wildcard2: !!chipsAvailable.wildcard2 || currentGameweek <= WILDCARD_SPLIT,
+  assistant_manager: !!chipsAvailable.assistant_manager || currentGameweek < ASSISTANT_MANAGER_FROM
+});
+
+/**
+ * Value each chip in each gameweek and propose when to play them
+ * @param {Object} options
+ * @param {Array} options.squad - Current picks ([{ id, teamId, positionType, cost, sellingPrice, position, total_points, form }])
+ * @param {Array} options.players - All players ([{ id, teamId, positionType, cost, total_points }])
+ * @param {Array} options.fixtures - Planner fixtures
+ * @param {Object} options.chipsAvailable - { wildcard1, wildcard2, freehit, bboost, triplecaptain, assistant_manager }
+ * @param {number} options.currentGameweek - Gameweek the manager's picks are from
+ * @param {number} options.bank - Money in the bank (£m)
+ * @param {Object} options.assistantManagerGains - Gameweek to the best manager's projection over the chip window
+ * @returns {Object} - { startGameweek, plan, candidates, gameweeks }
+ */
+const planChips = ({
+  squad = [],
+  players = [],
+  fixtures = [],
+  chipsAvailable = {},
+  currentGameweek = 1,
+  bank = 0,
+  assistantManagerGains = {}
+}) => {
+  const startGameweek = currentGameweek + 1;
+  const gameweeks = fixtures.map(f => f.gameweek).filter(gw => gw >= startGameweek).sort((a, b) => a - b);
+  const teamFixtures = buildTeamFixtures(fixtures);
+  const teamIds = [...new Set(players.map(p => p.teamId).filter(Boolean))];
+
+  const squadRates = new Map(squad.map(p => [p.id, getPointsPerGame(p, currentGameweek)]));
+  const poolRates = new Map(players.map(p => [p.id, squadRates.get(p.id) ?? getPointsPerGame(p, currentGameweek)]));
+  const project = (player, gw, rates) =>
+    projectPlayer(rates.get(player.id) || 0, teamFixtures.get(gw)?.get(player.teamId));
+
+  const starters = squad.filter(p => p.position <= STARTING_XI);
+  const bench = squad.filter(p => p.position > STARTING_XI);
+  // The squad is worth what it sells for, which can be below the current price
+  const value = (p) => p.sellingPrice ?? p.cost ?? 0;
+  const benchCost = bench.reduce((sum, p) => sum + value(p), 0);
+  const xiBudget = squad.reduce((sum, p) => sum + value(p), 0) + bank - benchCost;
+  const xiProjection = (gw) => starters.reduce((sum, p) => sum + project(p, gw, squadRates), 0);
+
+  const candidates = { wildcard1: [], wildcard2: [], freehit: [], bboost: [], triplecaptain: [], assistant_manager: [] };
+  const gameweekSummary = [];
+
+  gameweeks.forEach(gw => {
+    const { blankTeams, doubleTeams } = getBlankAndDoubleTeams(teamFixtures.get(gw), teamIds);
+    const currentXI = xiProjection(gw);
+    gameweekSummary.push({
+      gameweek: gw,
+      blankTeams,
+      doubleTeams,
+      squadBlanks: starters.filter(p => blankTeams.includes(p.teamId)).length,
+      squadDoubles: squad.filter(p => doubleTeams.includes(p.teamId)).length,
+      projectedXI: round1(currentXI)
+    });
+
+    candidates.bboost.push({ gameweek: gw, expectedGain: bench.reduce((sum, p) => sum + project(p, gw, squadRates), 0) });
+    candidates.triplecaptain.push({
+      gameweek: gw,
+      expectedGain: Math.max(0, ...starters.map(p => project(p, gw, squadRates))),
+      playerId: starters.reduce((best, p) =>
+        (!best || project(p, gw, squadRates) > project(best, gw, squadRates) ? p : best), null)?.id || null
+    });
+
+    const gwPool = players.map(p => ({ ...p, projected: project(p, gw, poolRates) }));
+    candidates.freehit.push({ gameweek: gw, expectedGain: Math.max(0, pickBestXI(gwPool, xiBudget).projected - currentXI) });
+
+    const horizon = gameweeks.filter(g => g >= gw && g < gw + WILDCARD_HORIZON);
+    const horizonPool = players.map(p => ({
+      ...p,
+      projected: horizon.reduce((sum, g) => sum + project(p, g, poolRates), 0)
+    }));
+    const wildcardGain = Math.max(0,
+      pickBestXI(horizonPool, xiBudget).projected - horizon.reduce((sum, g) => sum + xiProjection(g), 0));
+    candidates[gw <= WILDCARD_SPLIT ? 'wildcard1' : 'wildcard2'].push({ gameweek: gw, expectedGain: wildcardGain });
+
+    if (gw >= ASSISTANT_MANAGER_FROM && assistantManagerGains[gw] !== undefined) {
+      candidates.assistant_manager.push({ gameweek: gw, expectedGain: assistantManagerGains[gw] });
+    }
+  });
+
+  const plannable = getPlannableChips(chipsAvailable, currentGameweek);
+
+  const ranked = Object.entries(candidates)
+    .filter(([chip]) => plannable[chip])
+    .flatMap(([chip, options]) => options.map(option => ({ chip, ...option })))
+    .sort((a, b) => b.expectedGain - a.expectedGain);
+
+  const plan = [];
+  const usedGameweeks = new Set();
+  ranked.forEach(option => {
+    if (option.expectedGain <= 0 || usedGameweeks.has(option.gameweek) || plan.some(p => p.chip === option.chip)) return;
+    plan.push({ ...option, expectedGain: round1(option.expectedGain) });
+    usedGameweeks.add(option.gameweek);
+  });
+
+  return {
+    startGameweek,
+    plan: plan.sort((a, b) => a.gameweek - b.gameweek),
+    candidates: Object.fromEntries(Object.entries(candidates)
+      .filter(([chip]) => plannable[chip])
+      .map(([chip, options]) => [chip, [...options]
+        .sort((a, b) => b.expectedGain - a.expectedGain)
+        .slice(0, 3)
+        .map(option => ({ ...option, expectedGain: round1(option.expectedGain) }))])),
+    gameweeks: gameweekSummary
+  };
+};
+
+module.exports = {
+  WILDCARD_HORIZON,
+  WILDCARD_SPLIT,
+  ASSISTANT_MANAGER_FROM,
+  getPlannableChips,
+  getPointsPerGame,
+  projectPlayer,
+  pickBestXI,
+  planChips
+};
@@ -0,0 +1,89 @@
+/**
+ * Blank and double gameweek detection
+ *
+ * A team blanks in a gameweek when it has no fixture in it (postponed or
+ * cup-clashed matches are moved out) and doubles when it has two or more
+ * (rearranged matches are moved in). Works on both the raw fixtures/ shape
+ * ({ team_h, team_a }) and the planner's per-gameweek matches
+ * ({ teamH, teamA, difficultyH, difficultyA }).
+ */
+
+/**
+ * Fixtures per team from raw fixtures
+ * @param {Array} fixtures - One gameweek of fixtures (fixtures/?event=N)
+ * @returns {Map} - Team ID to number of fixtures
+ */
+const countTeamFixtures = (fixtures = []) => {
+  const counts = new Map();
+  fixtures.forEach(f => {
+    counts.set(f.team_h, (counts.get(f.team_h) || 0) + 1);
+    counts.set(f.team_a, (counts.get(f.team_a) || 0) + 1);
+  });
+  return counts;
+};
+
+/**
+ * Fixtures per team in each gameweek
+ * @param {Array} fixtures - Planner fixtures ([{ gameweek, matches: [{ teamH, teamA, difficultyH, difficultyA }] }])
+ * @returns {Map} - Gameweek to Map of team ID to [{ opponentId, isHome, difficulty }]
+ */
+const buildTeamFixtures = (fixtures = []) => {
+  const byGameweek = new Map();
+  fixtures.forEach(({ gameweek, matches = [] }) => {
+    const teams = new Map();
+    const add = (teamId, entry) => {
+      if (!teams.has(teamId)) teams.set(teamId, []);
+      teams.get(teamId).push(entry);
+    };
+    matches.forEach(match => {
+      add(match.teamH, { opponentId: match.teamA, isHome: true, difficulty: match.difficultyH });
+      add(match.teamA, { opponentId: match.teamH, isHome: false, difficulty: match.difficultyA });
+    });
+    byGameweek.set(gameweek, teams);
+  });
+  return byGameweek;
+};
+
+/**
+ * Blank and double gameweek teams
+ * @param {Map} teamFixtures - Team ID to fixtures (or fixture count) for one gameweek
+ * @param {Array} teamIds - All team IDs
+ * @returns {Object} - { blankTeams, doubleTeams }
+ */
+const getBlankAndDoubleTeams = (teamFixtures = new Map(), teamIds = []) => {
+  const count = (id) => {
+    const value = teamFixtures.get(id);
+    return Array.isArray(value) ? value.length : value || 0;
+  };
+  return {
+    blankTeams: teamIds.filter(id => count(id) === 0),
+    doubleTeams: teamIds.filter(id => count(id) > 1)
+  };
+};
+
+/**
+ * Flag blank and double teams on each planner gameweek
+ * @param {Array} fixtures - Planner fixtures
+ * @param {Array} teamIds - All team IDs
+ * @returns {Array} - Fixtures with blankTeams, doubleTeams, isBlank and isDouble added
+ */
+const flagBlankAndDoubleGameweeks = (fixtures = [], teamIds = []) => {
+  const teamFixtures = buildTeamFixtures(fixtures);
+  return fixtures.map(gw => {
+    const { blankTeams, doubleTeams } = getBlankAndDoubleTeams(teamFixtures.get(gw.gameweek), teamIds);
+    return {
+      ...gw,
+      blankTeams,
+      doubleTeams,
+      isBlank: blankTeams.length > 0,
+      isDouble: doubleTeams.length > 0
+    };
+  });
+};
+
+module.exports = {
+  countTeamFixtures,
+  buildTeamFixtures,
+  getBlankAndDoubleTeams,
+  flagBlankAndDoubleGameweeks
+};
@@ -0,0 +1,212 @@
+/**
+ * Saved transfer plan evaluation
+ *
+ * A plan is a list of gameweeks, each with transfers, captain and vice,
+ * an optional chip and an optional bench order. Evaluating it replays the
+ * gameweeks in order from the manager's current squad:
+ * - transfers are checked and made with squadEngine.applyTransfers, so the
+ *   squad rules and selling-price budget hold at every step
+ * - free transfers bank one per gameweek as in transferEngine; transfers
+ *   beyond them cost TRANSFER_COST each, except under a Wildcard or Free Hit
+ * - a Free Hit squad reverts (with its bank) after its gameweek
+ * - the XI is everyone not on the bench (benchOrder, 4 players) or, without
+ *   a bench order, the best valid XI; the captain's points count twice, or
+ *   three times with Triple Captain, and Bench Boost counts all 15
+ *
+ * Projected points come from the per-gameweek projections passed in, so two
+ * plans compared against the same projections are directly comparable.
+ */
+
+const { applyTransfers } = require('./squadEngine');
+const { TRANSFER_COST, MAX_BANKED_TRANSFERS } = require('./transferEngine');
+const { selectLineup } = require('./transferOptimiserEngine');
+const { WILDCARD_SPLIT, ASSISTANT_MANAGER_FROM, getPlannableChips } = require('./chipPlannerEngine');
+
+const PLAN_CHIPS = ['wildcard', 'freehit', 'bboost', 'triplecaptain', 'assistant_manager'];
+const FREE_TRANSFER_CHIPS = ['wildcard', 'freehit'];
+const BENCH_SIZE = 4;
+const XI_MINIMUMS = { GK: 1, DEF: 3, MID: 2, FWD: 1 };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Check an XI has a valid formation
+ * @param {Array} xi - [{ positionType }]
+ * @returns {Array} - Reasons the formation is invalid
+ */
+const checkFormation = (xi) => {
+  const errors = [];
+  if (xi.filter(p => p.positionType === 'GK').length !== 1) errors.push('the XI must have exactly 1 GK');
+  Object.entries(XI_MINIMUMS)
+    .filter(([positionType]) => positionType !== 'GK')
+    .forEach(([positionType, minimum]) => {
+      if (xi.filter(p => p.positionType === positionType).length < minimum) {
+        errors.push(`the XI must have at least ${minimum} ${positionType}`);
+      }
+    });
+  return errors;
+};
+
+/**
+ * Replay a plan and project its points
+ * @param {Object} options
+ * @param {Array} options.plan - Plan gameweeks ([{ gameweek, transfers: [{ out, in }], captain, viceCaptain, chip, benchOrder }])
+ * @param {Array} options.squad - Current squad with selling prices (£m)
+ * @param {number} options.bank - Money in the bank (£m)
+ * @param {number} options.freeTransfers - Free transfers going into the next gameweek
+ * @param {number} options.currentGameweek - Gameweek the squad is from
+ * @param {Object} options.chipsAvailable - From getPlannerData()
+ * @param {Map} options.playersById - Player ID to { id, name, teamId, positionType, cost }
+ * @param {Map} options.projections - Gameweek to Map of player ID to projected points
+ * @returns {Object} - { valid, errors, projectedPoints, hitCost, gameweeks } where each gameweek lists its xi and bench player IDs
+ */
+const evaluatePlan = ({
+  plan = [],
+  squad = [],
+  bank = 0,
+  freeTransfers = 1,
+  currentGameweek = 1,
+  chipsAvailable = {},
+  playersById = new Map(),
+  projections = new Map()
+}) => {
+  const errors = [];
+  const gameweeks = [];
+  const chipsPlayed = [];
+  let currentSquad = squad;
+  let currentBank = bank;
+  let available = freeTransfers;
+  let lastGameweek = currentGameweek;
+  const plannable = getPlannableChips(chipsAvailable, currentGameweek);
+
+  [...plan].sort((a, b) => a.gameweek - b.gameweek).forEach(entry => {
+    const gw = entry.gameweek;
+    const fail = (message) => errors.push(`GW${gw}: ${message}`);
+    const xpOf = (id) => projections.get(gw)?.get(id) || 0;
+
+    if (gw <= currentGameweek) fail(`the plan can only cover gameweeks after GW${currentGameweek}`);
+    if (gw === lastGameweek && gameweeks.length > 0) fail('the gameweek appears more than once');
+    // A free transfer banks for every gameweek passed without a planned entry
+    available = Math.min(MAX_BANKED_TRANSFERS, available + Math.max(0, gw - lastGameweek - 1));
+    lastGameweek = gw;
+
+    const chip = entry.chip || null;
+    if (chip) {
+      // One wildcard up to WILDCARD_SPLIT and one after it
+      const half = gw <= WILDCARD_SPLIT ? 'first' : 'second';
+      const chipKey = chip === 'wildcard' ? (half === 'first' ? 'wildcard1' : 'wildcard2') : chip;
+      if (!PLAN_CHIPS.includes(chip)) {
+        fail(`unknown chip ${chip}`);
+      } else if (chip === 'wildcard' ? chipsPlayed.includes(`wildcard:${half}`) : chipsPlayed.includes(chip)) {
+        fail(`${chip} is already played earlier in the plan`);
+      } else if (chip === 'assistant_manager' && gw < ASSISTANT_MANAGER_FROM) {
+        fail(`assistant_manager can only be played from GW${ASSISTANT_MANAGER_FROM}`);
+      } else if (!plannable[chipKey]) {
+        fail(chip === 'wildcard' ? `the ${half} half wildcard has already been used` : `${chip} has already been used this season`);
+      }
+      chipsPlayed.push(chip === 'wildcard' ? `wildcard:${half}` : chip);
+    }
+
+    const transfers = entry.transfers || [];
+    const outcome = applyTransfers(currentSquad, currentBank, transfers, playersById);
+    outcome.results.forEach(result => result.errors.forEach(fail));
+    outcome.squadErrors.forEach(fail);
+
+    const paid = FREE_TRANSFER_CHIPS.includes(chip) ? 0 : Math.max(0, transfers.length - available);
+    const squadForGameweek = outcome.squad;
+    const ids = new Set(squadForGameweek.map(p => p.id));
+
+    // Bench order, or the best XI when the plan leaves it open
+    let xi;
+    const bench = entry.benchOrder || [];
+    if (bench.length > 0) {
+      if (bench.length !== BENCH_SIZE || bench.some(id => !ids.has(id)) || new Set(bench).size !== bench.length) {
+        fail(`the bench must be ${BENCH_SIZE} different players from the squad`);
+      }
+      xi = squadForGameweek.filter(p => !bench.includes(p.id));
+      checkFormation(xi).forEach(fail);
+    } else {
+      xi = selectLineup(squadForGameweek, xpOf);
+    }
+
+    const xiIds = new Set(xi.map(p => p.id));
+    if (entry.captain && !xiIds.has(entry.captain)) fail('the captain must be in the XI');
+    if (entry.viceCaptain && !xiIds.has(entry.viceCaptain)) fail('the vice-captain must be in the XI');
+    if (entry.captain && entry.captain === entry.viceCaptain) fail('the captain and vice-captain must be different players');
+
+    const captainId = entry.captain
+      || xi.reduce((best, p) => (!best || xpOf(p.id) > xpOf(best.id) ? p : best), null)?.id
+      || null;
+    let points = (chip === 'bboost' ? squadForGameweek : xi).reduce((sum, p) => sum + xpOf(p.id), 0);
+    points += xpOf(captainId) * (chip === 'triplecaptain' ? 2 : 1);
+    points -= paid * TRANSFER_COST;
+
+    gameweeks.push({
+      gameweek: gw,
+      chip,
+      transfers: transfers.length,
+      freeTransfers: available,
+      hitCost: paid * TRANSFER_COST,
+      captain: captainId,
+      viceCaptain: entry.viceCaptain || null,
+      bank: outcome.bank,
+      projectedPoints: round1(points),
+      xi: xi.map(p => p.id),
+      bench: bench.length > 0
+        ? bench
+        : squadForGameweek
+          .filter(p => !xiIds.has(p.id))
+          // The substitute goalkeeper always sits first on the bench
+          .sort((a, b) => (b.positionType === 'GK') - (a.positionType === 'GK') || xpOf(b.id) - xpOf(a.id))
+          .map(p => p.id)
+    });
+
+    // Transfers under a Wildcard or Free Hit keep the free transfer bank intact
+    available = FREE_TRANSFER_CHIPS.includes(chip)
+      ? Math.min(MAX_BANKED_TRANSFERS, available + 1)
+      : Math.min(MAX_BANKED_TRANSFERS, Math.max(0, available - transfers.length) + 1);
+
+    // A Free Hit squad only lasts the gameweek
+    if (chip !== 'freehit') {
+      currentSquad = outcome.squad;
+      currentBank = outcome.bank;
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    projectedPoints: round1(gameweeks.reduce((sum, gw) => sum + gw.projectedPoints, 0)),
+    hitCost: gameweeks.reduce((sum, gw) => sum + gw.hitCost, 0),
+    gameweeks
+  };
+};
+
+/**
+ * Gameweek by gameweek difference between two evaluated plans
+ * @param {Object} a - evaluatePlan() result
+ * @param {Object} b - evaluatePlan() result
+ * @returns {Object} - { difference, gameweeks: [{ gameweek, a, b, difference }] } (b minus a)
+ */
+const comparePlans = (a, b) => {
+  const byGameweek = (result) => new Map(result.gameweeks.map(gw => [gw.gameweek, gw.projectedPoints]));
+  const pointsA = byGameweek(a);
+  const pointsB = byGameweek(b);
+  const gameweeks = [...new Set([...pointsA.keys(), ...pointsB.keys()])].sort((x, y) => x - y);
+
+  return {
+    difference: round1(b.projectedPoints - a.projectedPoints),
+    gameweeks: gameweeks.map(gw => ({
+      gameweek: gw,
+      a: pointsA.get(gw) ?? null,
+      b: pointsB.get(gw) ?? null,
+      difference: round1((pointsB.get(gw) || 0) - (pointsA.get(gw) || 0))
+    }))
+  };
+};
+
+module.exports = {
+  PLAN_CHIPS,
+  evaluatePlan,
+  comparePlans
+};
@@ -0,0 +1,176 @@
+/**
+ * Live rank estimator
+ *
+ * Estimates overall rank from an empirical points distribution instead of a
+ * fitted curve. Sampled managers are grouped into overall rank bands (strata)
+ * whose sizes are known exactly from the real number of players. Within each
+ * band the share of managers ahead of a points total is estimated from the
+ * band's sample, and the bands are added up:
+ *
+ *   rank = 1 + Σ N_band × (sampled managers ahead / band sample size)
+ *
+ * The confidence interval comes from the sampling variance of each band's
+ * share, so it is driven by the bands the total falls inside. Bands with no
+ * samples borrow the nearest band's share with maximum variance, so gaps in
+ * the sample show up as wide intervals rather than false precision.
+ *
+ * Sampled managers are scored the same way as the manager being ranked: live
+ * stats with provisional bonus, then automatic substitutions and vice-captain
+ * promotion. Raw total_points would leave both out while games are live and
+ * bias the estimate.
+ */
+
+const scoringEngine = require('./scoringEngine');
+const bonusEngine = require('./bonusEngine');
+const autosubEngine = require('./autosubEngine');
+
+const RANK_BANDS = [1000, 10000, 100000, 1000000, Infinity];
+const MIN_SAMPLE_SIZE = 20;
+const Z_SCORES = { 0.8: 1.282, 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+/**
+ * Season points before a gameweek, taken from an entry summary
+ * @param {Object} entry - { summary_overall_points, summary_event_points, current_event }
+ * @param {number} gameweek - Gameweek being estimated
+ * @returns {number} - Season total excluding the gameweek's points
+ */
+const getPreGameweekPoints = (entry, gameweek) => {
+  const total = Number(entry?.summary_overall_points) || 0;
+  // The entry summary already includes the live gameweek once FPL has processed it
+  if (Number(entry?.current_event) === Number(gameweek)) {
+    return total - (Number(entry?.summary_event_points) || 0);
+  }
+  return total;
+};
+
+const POSITION_TYPES = { 1: 'GK', 2: 'DEF', 3: 'MID', 4: 'FWD' };
+
+/**
+ * Project each sampled manager's season total with live gameweek points
+ * @param {Array} managers - [{ rank, preGwPoints, transferCost, activeChip, picks: [{ element, position, multiplier, is_captain, is_vice_captain }] }]
+ * @param {Array} liveElements - Elements from event/{gw}/live
+ * @param {Object} context - { elements, fixtures }: bootstrap elements and fixtures/?event={gw}
+ * @returns {Array} - [{ rank, totalPoints }]
+ */
+const projectSampleTotals = (managers = [], liveElements = [], { elements = [], fixtures = [] } = {}) => {
+  const liveById = new Map(liveElements.map(el => [el.id, el]));
+  const playersById = new Map(elements.map(el => [el.id, el]));
+  const bonusMap = bonusEngine.buildBonusMap(fixtures, liveElements, new Map(elements.map(el => [el.id, el.team])));
+
+  return managers.map(manager => {
+    const picks = (manager.picks || []).map((pick, index) => {
+      const player = playersById.get(pick.element);
+      const liveElement = liveById.get(pick.element);
+      const positionType = POSITION_TYPES[player?.element_type] || 'UNK';
+      return {
+        playerId: pick.element,
+        // Samples stored before positions were kept list picks in position order
+        position: pick.position ?? index + 1,
+        positionType,
+        multiplier: pick.multiplier || 0,
+        isCaptain: pick.is_captain ?? (pick.multiplier || 0) >= 2,
+        isViceCaptain: !!pick.is_vice_captain,
+        teamId: player?.team,
+        minutes: liveElement?.stats?.minutes || 0,
+        basePoints: scoringEngine.withBonus(
+          scoringEngine.scoreElement(liveElement, positionType),
+          bonusMap.get(pick.element)
+        ).basePoints
+      };
+    });
+    const substitution = autosubEngine.applyAutosubs(picks, { activeChip: manager.activeChip || null, fixtures });
+    return {
+      rank: manager.rank,
+      totalPoints: (manager.preGwPoints || 0) + autosubEngine.sumLivePoints(substitution.picks) - (manager.transferCost || 0)
+    };
+  });
+};
+
+/**
+ * Split the player base into rank bands and place each sample in its band
+ * @param {Array} samples - [{ rank, totalPoints }]
+ * @param {number} totalPlayers - Real number of players (bootstrap total_players)
+ * @returns {Array} - [{ lower, upper, size, samples }]
+ */
+const buildStrata = (samples, totalPlayers) => {
+  const strata = [];
+  let lower = 1;
+  for (const bound of RANK_BANDS) {
+    if (lower > totalPlayers) break;
+    const upper = Math.min(bound, totalPlayers);
+    strata.push({
+      lower,
+      upper,
+      size: upper - lower + 1,
+      samples: samples.filter(s => s.rank >= lower && s.rank <= upper)
+    });
+    lower = upper + 1;
+  }
+  return strata;
+};
+
+/**
+ * Estimate the overall rank for a season points total
+ * @param {number} totalPoints - Manager's projected season total
+ * @param {Array} samples - Sampled managers from projectSampleTotals()
+ * @param {number} totalPlayers - Real number of players
+ * @param {Object} options - { confidence } (0.8, 0.9, 0.95 or 0.99)
+ * @returns {Object|null} - { rank, lower, upper, confidence, sampleSize, totalPlayers, method }, or null if the sample is too small
+ */
+const estimateRank = (totalPoints, samples = [], totalPlayers, { confidence = 0.95 } = {}) => {
+  const usable = samples.filter(s => Number.isFinite(s.rank) && Number.isFinite(s.totalPoints));
+  if (!totalPlayers || usable.length < MIN_SAMPLE_SIZE) return null;
+
+  const strata = buildStrata(usable, totalPlayers);
+  const shares = strata.map(stratum => {
+    const n = stratum.samples.length;
+    if (n === 0) return null;
+    return stratum.samples.filter(s => s.totalPoints > totalPoints).length / n;
+  });
+
+  let ahead = 0;
+  let variance = 0;
+  strata.forEach((stratum, index) => {
+    const n = stratum.samples.length;
+    if (n > 0) {
+      const share = shares[index];
+      const finitePopulation = Math.max(0, 1 - n / stratum.size);
+      ahead += stratum.size * share;
+      variance += (stratum.size ** 2) * share * (1 - share) / n * finitePopulation;
+      return;
+    }
+
+    // Borrow the nearest sampled band's share and treat it as unknown
+    let borrowed = 0.5;
+    for (let offset = 1; offset < strata.length; offset++) {
+      const candidate = shares[index - offset] ?? shares[index + offset];
+      if (candidate !== undefined && candidate !== null) {
+        borrowed = candidate;
+        break;
+      }
+    }
+    ahead += stratum.size * borrowed;
+    variance += (stratum.size ** 2) * 0.25;
+  });
+
+  const z = Z_SCORES[confidence] || Z_SCORES[0.95];
+  const margin = z * Math.sqrt(variance);
+  const rank = Math.round(Math.min(totalPlayers, 1 + ahead));
+  return {
+    rank,
+    lower: Math.round(Math.max(1, rank - margin)),
+    upper: Math.round(Math.min(totalPlayers, rank + margin)),
+    confidence: Z_SCORES[confidence] ? confidence : 0.95,
+    sampleSize: usable.length,
+    totalPlayers,
+    method: 'distribution'
+  };
+};
+
+module.exports = {
+  RANK_BANDS,
+  MIN_SAMPLE_SIZE,
+  getPreGameweekPoints,
+  projectSampleTotals,
+  estimateRank
+};
@@ -0,0 +1,84 @@
+/**
+ * Confidence intervals for sampled tier statistics
+ *
+ * Tier stats are estimated from a sample of managers, so every share carries
+ * sampling error. Ownership and chip usage are proportions (Wilson interval);
+ * EO is the mean multiplier across managers (0, 1, 2 or 3) times 100, so its
+ * interval comes from the sample variance of that multiplier.
+ */
+
+const Z_95 = 1.96;
+const WEAK_FALLBACK_SHARE = 0.25;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * 95% Wilson interval for a proportion, in percent
+ * @param {number} successes - Managers with the property
+ * @param {number} n - Sample size
+ * @returns {number[]} - [lower, upper]
+ */
+const proportionInterval = (successes, n) => {
+  if (!n) return [0, 100];
+  const p = successes / n;
+  const denominator = 1 + Z_95 ** 2 / n;
+  const centre = (p + Z_95 ** 2 / (2 * n)) / denominator;
+  const margin = (Z_95 * Math.sqrt(p * (1 - p) / n + Z_95 ** 2 / (4 * n * n))) / denominator;
+  return [round1(Math.max(0, centre - margin) * 100), round1(Math.min(1, centre + margin) * 100)];
+};
+
+/**
+ * 95% interval for effective ownership, in percent
+ * @param {number} owned - Managers starting the player (any multiplier above 0)
+ * @param {number} captained - Managers captaining the player (multiplier 2)
+ * @param {number} tripleCaptained - Managers triple captaining the player (multiplier 3)
+ * @param {number} n - Sample size
+ * @returns {number[]} - [lower, upper]
+ */
+const eoInterval = (owned, captained, tripleCaptained, n) => {
+  if (!n) return [0, 300];
+  const single = owned - captained - tripleCaptained;
+  const mean = (single + 2 * captained + 3 * tripleCaptained) / n;
+  const meanOfSquares = (single + 4 * captained + 9 * tripleCaptained) / n;
+  const variance = n > 1 ? (meanOfSquares - mean ** 2) * n / (n - 1) : meanOfSquares;
+  const margin = Z_95 * Math.sqrt(Math.max(0, variance) / n);
+  return [round1(Math.max(0, mean - margin) * 100), round1((mean + margin) * 100)];
+};
+
+/**
+ * Sample metadata for one tier
+ * @param {Array} managers - Managers in the tier, fallback ones flagged with fallback: true
+ * @param {number} minSamples - Minimum sample size for the tier
+ * @param {Date} collectedAt - When the panel managers were fetched
+ * @returns {Object} - { size, panelCount, fallbackCount, fallbackShare, minSamples, collectedAt, oldestFallbackAt, eoMarginOfError, weak, warning }
+ */
+const describeSample = (managers, minSamples, collectedAt = new Date()) => {
+  const size = managers.length;
+  const fallback = managers.filter(m => m.fallback);
+  const fallbackShare = size ? fallback.length / size : 0;
+  const fallbackTimes = fallback.map(m => m.collectedAt).filter(Boolean).map(t => new Date(t).getTime());
+
+  const warnings = [];
+  if (size < minSamples) warnings.push(`only ${size} managers sampled (minimum ${minSamples})`);
+  if (fallbackShare > WEAK_FALLBACK_SHARE) warnings.push(`${Math.round(fallbackShare * 100)}% of managers come from cached picks`);
+
+  return {
+    size,
+    panelCount: size - fallback.length,
+    fallbackCount: fallback.length,
+    fallbackShare: round1(fallbackShare * 100),
+    minSamples,
+    collectedAt,
+    oldestFallbackAt: fallbackTimes.length ? new Date(Math.min(...fallbackTimes)) : null,
+    // Worst case margin on a 50% owned player, as a quick measure of precision
+    eoMarginOfError: size ? round1(Z_95 * Math.sqrt(0.25 / size) * 100) : null,
+    weak: warnings.length > 0,
+    warning: warnings.length ? warnings.join('; ') : null
+  };
+};
+
+module.exports = {
+  proportionInterval,
+  eoInterval,
+  describeSample
+};
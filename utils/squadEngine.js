@@ -0,0 +1,211 @@
+/**
+ * FPL squad rules and selling prices
+ *
+ * A squad is 15 players: 2 goalkeepers, 5 defenders, 5 midfielders and
+ * 3 forwards, with at most MAX_PER_CLUB from any one club.
+ *
+ * Players are sold at their selling price, not their current price: if the
+ * price has risen since purchase the manager keeps half the rise, rounded
+ * down to the nearest £0.1m; if it has fallen they take the full drop.
+ * Prices here are in tenths of a million, as FPL returns them, so the
+ * rounding is exact.
+ *
+ * The purchase price is the element_in_cost of the latest transfer that
+ * brought the player in (entry/{id}/transfers/, by transfer time, since a
+ * player can be sold and bought back in one gameweek). Players kept since the
+ * manager's first deadline have no transfer, so their purchase price is
+ * their price in the manager's started_event: the start of season price
+ * (now_cost - cost_change_start) for managers from GW1, otherwise the value
+ * in the player's element-summary history for that gameweek. A player
+ * bought in a planned transfer is bought at, and so sells for, their
+ * current price.
+ */
+
+const SQUAD_LIMITS = { GK: 2, DEF: 5, MID: 5, FWD: 3 };
+const SQUAD_SIZE = 15;
+const MAX_PER_CLUB = 3;
+
+/**
+ * Price a player sells for
+ * @param {number} purchasePrice - Price paid (tenths)
+ * @param {number} currentPrice - Current price (tenths)
+ * @returns {number} - Selling price (tenths)
+ */
+const getSellingPrice = (purchasePrice, currentPrice) => {
+  if (purchasePrice === null || purchasePrice === undefined || currentPrice <= purchasePrice) return currentPrice;
+  return purchasePrice + Math.floor((currentPrice - purchasePrice) / 2);
+};
+
+/**
+ * A player's price in a gameweek from their element-summary history
+ * @param {Array} history - element-summary history ([{ round, value }])
+ * @param {number} gameweek - Gameweek to read the price for
+ * @returns {number|null} - Price (tenths), or null if the history has no price
+ */
+const getPriceAtGameweek = (history = [], gameweek) => {
+  const rows = history.filter(row => typeof row.value === 'number').sort((a, b) => a.round - b.round);
+  // A team blanking in the gameweek has no row, so take the next fixture's price
+  const row = rows.find(r => r.round >= gameweek) || rows[rows.length - 1];
+  return row ? row.value : null;
+};
+
+/**
+ * Whether transfer a was made after transfer b
+ * @param {Object} a - Transfer ({ time, event })
+ * @param {Object} b - Transfer ({ time, event })
+ * @returns {boolean} - True if a is the later transfer
+ */
+const isLaterTransfer = (a, b) => {
+  const aTime = Date.parse(a.time);
+  const bTime = Date.parse(b.time);
+  if (Number.isFinite(aTime) && Number.isFinite(bTime)) return aTime > bTime;
+  // Without times, transfers/ lists newest first, so the first seen in a gameweek is the latest
+  return a.event > b.event;
+};
+
+/**
+ * Purchase and selling prices for a squad
+ * @param {Array} playerIds - Squad player IDs
+ * @param {Array} transfers - entry/{id}/transfers/ ([{ element_in, element_in_cost, event, time }])
+ * @param {Array} elements - Raw bootstrap elements (now_cost, cost_change_start)
+ * @param {Array} freeHitEvents - Gameweeks the manager played a Free Hit in; those transfers are reverted
+ * @param {Map} startPrices - Player ID to price in the manager's started_event (tenths), for managers who joined after GW1
+ * @returns {Map} - Player ID to { purchasePrice, currentPrice, sellingPrice, fromTransfer } (tenths)
+ */
+const getSquadPrices = (playerIds, transfers = [], elements = [], freeHitEvents = [], startPrices = new Map()) => {
+  const elementsById = new Map(elements.map(el => [el.id, el]));
+  const latestIn = new Map();
+  transfers
+    .filter(t => !freeHitEvents.includes(t.event))
+    .forEach(t => {
+      const previous = latestIn.get(t.element_in);
+      if (!previous || isLaterTransfer(t, previous)) latestIn.set(t.element_in, t);
+    });
+
+  return new Map(playerIds.map(id => {
+    const element = elementsById.get(id) || {};
+    const currentPrice = element.now_cost || 0;
+    const transfer = latestIn.get(id);
+    const purchasePrice = transfer
+      ? transfer.element_in_cost
+      : startPrices.get(id) ?? currentPrice - (element.cost_change_start || 0);
+    return [id, {
+      purchasePrice,
+      currentPrice,
+      sellingPrice: getSellingPrice(purchasePrice, currentPrice),
+      fromTransfer: !!transfer
+    }];
+  }));
+};
+
+/**
+ * Check a squad against FPL's squad rules
+ * @param {Array} squad - [{ id, teamId, positionType }]
+ * @param {number} bank - Money left after buying the squad (£m); negative means over budget
+ * @returns {Array} - Reasons the squad is invalid (empty when valid)
+ */
+const validateSquad = (squad, bank = 0) => {
+  const errors = [];
+  if (squad.length !== SQUAD_SIZE) {
+    errors.push(`Squad has ${squad.length} players; it must have ${SQUAD_SIZE}`);
+  }
+
+  const ids = squad.map(p => p.id);
+  const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`Player ${[...new Set(duplicates)].join(', ')} appears more than once`);
+  }
+
+  Object.entries(SQUAD_LIMITS).forEach(([positionType, limit]) => {
+    const count = squad.filter(p => p.positionType === positionType).length;
+    if (count !== limit) errors.push(`Squad has ${count} ${positionType}; it must have ${limit}`);
+  });
+
+  const clubs = {};
+  squad.forEach(p => { clubs[p.teamId] = (clubs[p.teamId] || 0) + 1; });
+  Object.entries(clubs)
+    .filter(([, count]) => count > MAX_PER_CLUB)
+    .forEach(([teamId, count]) => errors.push(`Squad has ${count} players from team ${teamId}; the limit is ${MAX_PER_CLUB}`));
+
+  // Compare in tenths so float sums of £m prices do not trip the check
+  if (Math.round(bank * 10) < 0) {
+    errors.push(`Squad is £${(-bank).toFixed(1)}m over budget`);
+  }
+  return errors;
+};
+
+/**
+ * Make a sequence of transfers, checking each against the squad as it stands
+ * @param {Array} squad - [{ id, name, teamId, positionType, sellingPrice }] (£m)
+ * @param {number} bank - Money in the bank (£m)
+ * @param {Array} transfers - [{ out, in }] player IDs, in the order they are made
+ * @param {Map} playersById - Player ID to { id, name, teamId, positionType, cost } (£m)
+ * @returns {Object} - { squad, bank, results: [{ out, in, sellingPrice, cost, bank, errors }], squadErrors, valid }
+ */
+const applyTransfers = (squad, bank, transfers = [], playersById = new Map()) => {
+  let current = squad.map(p => ({ ...p }));
+  let bankTenths = Math.round(bank * 10);
+  const results = [];
+
+  transfers.forEach(({ out: outId, in: inId }) => {
+    const errors = [];
+    const playerOut = current.find(p => p.id === outId);
+    const playerIn = playersById.get(inId);
+
+    if (!playerOut) errors.push(`${playersById.get(outId)?.name || `Player ${outId}`} is not in the squad`);
+    if (!playerIn) errors.push(`Player ${inId} does not exist`);
+    if (playerIn && current.some(p => p.id === inId)) errors.push(`${playerIn.name} is already in the squad`);
+    if (playerOut && playerIn && playerOut.positionType !== playerIn.positionType) {
+      errors.push(`${playerIn.name} (${playerIn.positionType}) cannot replace ${playerOut.name} (${playerOut.positionType})`);
+    }
+
+    const sellingPrice = playerOut ? Math.round(playerOut.sellingPrice * 10) : 0;
+    const cost = playerIn ? Math.round(playerIn.cost * 10) : 0;
+    if (playerOut && playerIn) {
+      const clubCount = current.filter(p => p.teamId === playerIn.teamId && p.id !== outId).length;
+      if (clubCount >= MAX_PER_CLUB) {
+        errors.push(`${playerIn.name} would make ${clubCount + 1} players from team ${playerIn.teamId}; the limit is ${MAX_PER_CLUB}`);
+      }
+      const shortfall = cost - sellingPrice - bankTenths;
+      if (shortfall > 0) {
+        errors.push(`${playerIn.name} costs £${(cost / 10).toFixed(1)}m but selling ${playerOut.name} raises £${(sellingPrice / 10).toFixed(1)}m ` +
+          `with £${(bankTenths / 10).toFixed(1)}m in the bank (£${(shortfall / 10).toFixed(1)}m short)`);
+      }
+    }
+
+    if (errors.length === 0) {
+      current = current.map(p => (p.id === outId
+        ? { ...playerIn, position: p.position, multiplier: p.multiplier, purchasePrice: playerIn.cost, sellingPrice: playerIn.cost }
+        : p));
+      bankTenths += sellingPrice - cost;
+    }
+    results.push({
+      out: outId,
+      in: inId,
+      sellingPrice: sellingPrice / 10,
+      cost: cost / 10,
+      bank: bankTenths / 10,
+      errors
+    });
+  });
+
+  const squadErrors = validateSquad(current, bankTenths / 10);
+  return {
+    squad: current,
+    bank: bankTenths / 10,
+    results,
+    squadErrors,
+    valid: results.every(r => r.errors.length === 0) && squadErrors.length === 0
+  };
+};
+
+module.exports = {
+  SQUAD_LIMITS,
+  SQUAD_SIZE,
+  MAX_PER_CLUB,
+  getSellingPrice,
+  getPriceAtGameweek,
+  getSquadPrices,
+  validateSquad,
+  applyTransfers
+};
@@ -0,0 +1,110 @@
+/**
+ * Template team and template distance
+ *
+ * The template XI for a rank tier is the highest-EO valid starting XI in that
+ * tier's eoBreakdown. Template distance measures how far a manager's starting
+ * multipliers sit from the tier's EO:
+ *
+ *   overlap  = Σ min(multiplier, EO / 100) / max(Σ multiplier, Σ EO / 100)
+ *   distance = 1 - overlap
+ *
+ * so a team that mirrors the field (captain included) scores 0%, and a team
+ * of players the field doesn't start at all scores 100%.
+ */
+
+const POSITION_TYPES = { 1: 'GK', 2: 'DEF', 3: 'MID', 4: 'FWD' };
+const FORMATION_LIMITS = {
+  GK: { min: 1, max: 1 },
+  DEF: { min: 3, max: 5 },
+  MID: { min: 2, max: 5 },
+  FWD: { min: 1, max: 3 }
+};
+const STARTING_XI = 11;
+
+/**
+ * Highest-EO valid starting XI for a tier
+ * @param {Object} eoBreakdown - Tier eoBreakdown from getTop10kStats()
+ * @param {Array} elements - Bootstrap elements
+ * @returns {Array} - [{ id, name, positionType, eo, isCaptain }] in GK, DEF, MID, FWD order
+ */
+const buildTemplateXI = (eoBreakdown = {}, elements = []) => {
+  const elementMap = new Map(elements.map(el => [el.id, el]));
+  const candidates = Object.entries(eoBreakdown)
+    .map(([id, entry]) => {
+      const element = elementMap.get(parseInt(id));
+      return {
+        id: parseInt(id),
+        name: element?.web_name || entry.name,
+        positionType: POSITION_TYPES[element?.element_type],
+        eo: parseFloat(entry.eo) || 0,
+        captained: (entry.captained || 0) + (entry.tripleCaptained || 0)
+      };
+    })
+    .filter(player => player.positionType)
+    .sort((a, b) => b.eo - a.eo);
+
+  const counts = { GK: 0, DEF: 0, MID: 0, FWD: 0 };
+  const chosen = [];
+  const take = (player) => {
+    chosen.push(player);
+    counts[player.positionType]++;
+  };
+
+  // Fill each position's minimum first, then the best remaining EO within the maximums
+  Object.entries(FORMATION_LIMITS).forEach(([positionType, { min }]) => {
+    candidates.filter(p => p.positionType === positionType).slice(0, min).forEach(take);
+  });
+  candidates.forEach(player => {
+    if (chosen.length >= STARTING_XI || chosen.includes(player)) return;
+    if (counts[player.positionType] < FORMATION_LIMITS[player.positionType].max) take(player);
+  });
+
+  const captain = chosen.reduce((best, p) => (!best || p.captained > best.captained ? p : best), null);
+  const order = Object.keys(FORMATION_LIMITS);
+  return chosen
+    .sort((a, b) => order.indexOf(a.positionType) - order.indexOf(b.positionType) || b.eo - a.eo)
+    .map(({ captained, ...player }) => ({ ...player, isCaptain: player.id === captain?.id }));
+};
+
+/**
+ * How far a manager's starting picks are from a tier's EO
+ * @param {Array} picks - Manager picks ({ playerId, multiplier, selectedMultiplier })
+ * @param {Object} eoBreakdown - Tier eoBreakdown from getTop10kStats()
+ * @param {Array} templateXI - From buildTemplateXI()
+ * @returns {Object} - { distance, overlap, templateOwned, missing, differentials }
+ */
+const getTemplateDistance = (picks = [], eoBreakdown = {}, templateXI = []) => {
+  // Use the multipliers the manager picked, before autosubs, to match how EO is counted
+  const multipliers = new Map(picks.map(pick => [pick.playerId, pick.selectedMultiplier ?? pick.multiplier ?? 0]));
+  const fieldShares = new Map(
+    Object.entries(eoBreakdown).map(([id, entry]) => [parseInt(id), (parseFloat(entry.eo) || 0) / 100])
+  );
+
+  let shared = 0;
+  new Set([...multipliers.keys(), ...fieldShares.keys()]).forEach(id => {
+    shared += Math.min(multipliers.get(id) || 0, fieldShares.get(id) || 0);
+  });
+  const managerTotal = [...multipliers.values()].reduce((sum, m) => sum + m, 0);
+  const fieldTotal = [...fieldShares.values()].reduce((sum, share) => sum + share, 0);
+  const overlap = Math.max(managerTotal, fieldTotal) > 0 ? shared / Math.max(managerTotal, fieldTotal) : 0;
+
+  const starters = picks.filter(pick => (multipliers.get(pick.playerId) || 0) > 0);
+  const templateIds = new Set(templateXI.map(player => player.id));
+
+  return {
+    distance: Math.round((1 - overlap) * 1000) / 10,
+    overlap: Math.round(overlap * 1000) / 10,
+    templateOwned: starters.filter(pick => templateIds.has(pick.playerId)).length,
+    missing: templateXI
+      .filter(player => !multipliers.get(player.id))
+      .map(({ id, name, eo }) => ({ id, name, eo })),
+    differentials: starters
+      .filter(pick => !templateIds.has(pick.playerId))
+      .map(pick => ({ id: pick.playerId, name: pick.name, eo: Math.round((fieldShares.get(pick.playerId) || 0) * 1000) / 10 }))
+  };
+};
+
+module.exports = {
+  buildTemplateXI,
+  getTemplateDistance
+};
@@ -0,0 +1,83 @@
+/**
+ * FPL free transfer banking
+ *
+ * Rebuilds how many free transfers a manager has going into a gameweek from
+ * their entry history (entry/{id}/history/):
+ * - transfers before a manager's first deadline are unlimited
+ * - one free transfer is added after every gameweek, up to the banking cap
+ * - transfers made under a Wildcard or Free Hit are free and keep the bank intact
+ * - otherwise free transfers used are event_transfers minus the paid ones
+ *   (event_transfers_cost / 4)
+ */
+
+const TRANSFER_COST = 4;
+const MAX_BANKED_TRANSFERS = 5;
+const FREE_TRANSFER_CHIPS = ['wildcard', 'freehit'];
+
+/**
+ * Chips played per gameweek
+ * @param {Array} chips - history.chips ([{ name, event }])
+ * @returns {Map} - Gameweek to chip name
+ */
+const chipsByEvent = (chips = []) => new Map(chips.map(chip => [chip.event, chip.name]));
+
+/**
+ * Free transfers available going into a gameweek
+ * @param {Object} history - Entry history ({ current, chips })
+ * @param {number} gameweek - Gameweek to work out the bank for
+ * @returns {number|null} - Free transfers, or null when transfers are unlimited (first gameweek)
+ */
+const getFreeTransfers = (history, gameweek) => {
+  const rows = (history?.current || [])
+    .filter(row => row.event < gameweek)
+    .sort((a, b) => a.event - b.event);
+  // No completed gameweeks yet, so this is the manager's first deadline
+  if (rows.length === 0) return null;
+
+  const chips = chipsByEvent(history.chips);
+  let freeTransfers = 0;
+
+  rows.forEach((row, index) => {
+    if (index > 0 && !FREE_TRANSFER_CHIPS.includes(chips.get(row.event))) {
+      const paid = Math.floor((row.event_transfers_cost || 0) / TRANSFER_COST);
+      const freeUsed = Math.max(0, (row.event_transfers || 0) - paid);
+      freeTransfers = Math.max(0, freeTransfers - freeUsed);
+    }
+    freeTransfers = Math.min(MAX_BANKED_TRANSFERS, freeTransfers + 1);
+  });
+
+  return freeTransfers;
+};
+
+/**
+ * Work out the transfer hit for a gameweek
+ * @param {Object} options - { history, gameweek, activeChip, transfers, entryHistory }
+ *   transfers is the entry/{id}/transfers/ list, entryHistory the picks endpoint's entry_history
+ * @returns {Object} - { freeTransfers, transfersMade, transferPenalty }
+ */
+const calculateTransferPenalty = ({ history, gameweek, activeChip = null, transfers = [], entryHistory = null }) => {
+  const gw = parseInt(gameweek);
+  const freeTransfers = getFreeTransfers(history, gw);
+  const transfersMade = entryHistory?.event === gw && entryHistory.event_transfers !== undefined
+    ? entryHistory.event_transfers
+    : (Array.isArray(transfers) ? transfers.filter(t => t.event === gw).length : 0);
+
+  if (FREE_TRANSFER_CHIPS.includes(activeChip) || freeTransfers === null) {
+    return { freeTransfers, transfersMade, transferPenalty: 0 };
+  }
+
+  // FPL's own figure is authoritative once the picks endpoint reports it
+  if (entryHistory?.event === gw && typeof entryHistory.event_transfers_cost === 'number') {
+    return { freeTransfers, transfersMade, transferPenalty: 0 - entryHistory.event_transfers_cost };
+  }
+
+  const extraTransfers = Math.max(0, transfersMade - freeTransfers);
+  return { freeTransfers, transfersMade, transferPenalty: 0 - extraTransfers * TRANSFER_COST };
+};
+
+module.exports = {
+  TRANSFER_COST,
+  MAX_BANKED_TRANSFERS,
+  getFreeTransfers,
+  calculateTransferPenalty
+};
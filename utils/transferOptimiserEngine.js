@@ -0,0 +1,343 @@
+/**
+ * Multi-gameweek transfer optimiser
+ *
+ * Searches transfer sequences over a horizon of gameweeks with a beam
+ * search. From each squad in the beam, every gameweek can:
+ * - roll the free transfer (bank it, up to MAX_BANKED_TRANSFERS)
+ * - make one transfer: each player out for the best affordable
+ *   replacements in the same position over the rest of the horizon
+ * - make two transfers: pairs of those swaps, plus pairs where a downgrade
+ *   pays for a replacement the bank alone cannot afford
+ *
+ * Transfers beyond the free ones cost TRANSFER_COST each. A squad scores the
+ * best valid XI (1 GK, at least 3 DEF, 2 MID and 1 FWD) with the top scorer
+ * captained, using the projection for each gameweek. The beam keeps the
+ * BEAM_WIDTH squads with the most points so far plus what the squad would
+ * score if no more transfers were made.
+ *
+ * Money is handled in tenths of a million, and players are sold at their
+ * selling price (see squadEngine.js), so every plan stays inside the budget
+ * and the 2/5/5/3 and 3-per-club rules.
+ */
+
+const { MAX_PER_CLUB, validateSquad } = require('./squadEngine');
+const { TRANSFER_COST, MAX_BANKED_TRANSFERS } = require('./transferEngine');
+
+const BEAM_WIDTH = 30;
+const SWAPS_PER_STATE = 10;
+const REPLACEMENTS_PER_PLAYER = 2;
+const PREMIUM_SWAPS = 5; // Unaffordable swaps to try funding with a downgrade
+const XI_MINIMUMS = { GK: 1, DEF: 3, MID: 2, FWD: 1 };
+const XI_MAXIMUMS = { GK: 1, DEF: 5, MID: 5, FWD: 3 };
+
+const toTenths = (price) => Math.round((price || 0) * 10);
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Best valid XI from a squad for a gameweek
+ * @param {Array} squad - [{ id, positionType }]
+ * @param {Function} xpOf - (playerId) => projected points
+ * @returns {Array} - The 11 squad players picked
+ */
+const selectLineup = (squad, xpOf) => {
+  const ranked = [...squad].sort((a, b) => xpOf(b.id) - xpOf(a.id));
+  const counts = { GK: 0, DEF: 0, MID: 0, FWD: 0 };
+  const picked = new Set();
+  const pick = (player) => {
+    counts[player.positionType]++;
+    picked.add(player);
+  };
+
+  // Formation minimums first, then the best of the rest
+  Object.entries(XI_MINIMUMS).forEach(([positionType, minimum]) => {
+    ranked.filter(p => p.positionType === positionType).slice(0, minimum).forEach(pick);
+  });
+  ranked.forEach(player => {
+    if (picked.size < 11 && !picked.has(player) && counts[player.positionType] < XI_MAXIMUMS[player.positionType]) pick(player);
+  });
+
+  return ranked.filter(p => picked.has(p));
+};
+
+/**
+ * Points the best XI from a squad scores in a gameweek, captain included
+ * @param {Array} squad - [{ id, positionType }]
+ * @param {Function} xpOf - (playerId) => projected points
+ * @returns {number} - Projected points
+ */
+const scoreLineup = (squad, xpOf) => {
+  const xi = selectLineup(squad, xpOf);
+  const points = xi.reduce((sum, p) => sum + xpOf(p.id), 0);
+  const captain = xi.reduce((best, p) => Math.max(best, xpOf(p.id)), 0);
+  return points + captain;
+};
+
+/**
+ * Search transfer plans over a horizon
+ * @param {Object} options
+ * @param {Array} options.squad - Current squad ([{ id, name, teamId, positionType, sellingPrice }], £m)
+ * @param {Array} options.players - All players ([{ id, name, teamId, positionType, cost }], £m)
+ * @param {Map} options.projections - Gameweek to Map of player ID to projected points
+ * @param {Array} options.gameweeks - Gameweeks to plan, in order
+ * @param {number} options.bank - Money in the bank (£m)
+ * @param {number} options.freeTransfers - Free transfers going into the first gameweek
+ * @param {number} options.maxHits - Most paid transfers a plan may take in total
+ * @param {number} options.maxTransfersPerGameweek - 1 or 2
+ * @param {number} options.limit - Number of plans to return
+ * @returns {Object} - { baseline, plans }
+ */
+const optimiseTransfers = ({
+  squad = [],
+  players = [],
+  projections = new Map(),
+  gameweeks = [],
+  bank = 0,
+  freeTransfers = 1,
+  maxHits = 2,
+  maxTransfersPerGameweek = 2,
+  limit = 3
+}) => {
+  const xpOf = (id, gw) => projections.get(gw)?.get(id) || 0;
+  const squadPoints = (members, gws) => gws.reduce((sum, gw) => sum + scoreLineup(members, id => xpOf(id, gw)), 0);
+  const baselinePoints = squadPoints(squad, gameweeks);
+
+  const pool = players
+    .filter(p => XI_MAXIMUMS[p.positionType])
+    .map(p => ({ id: p.id, name: p.name, teamId: p.teamId, positionType: p.positionType, price: toTenths(p.cost) }));
+  const startSquad = squad.map(p => ({
+    id: p.id,
+    name: p.name,
+    teamId: p.teamId,
+    positionType: p.positionType,
+    price: toTenths(p.sellingPrice)
+  }));
+
+  // Pool sorted by value over the rest of the horizon, once per starting gameweek
+  const remainingValue = gameweeks.map((gw, index) => {
+    const gws = gameweeks.slice(index);
+    return new Map(pool.map(p => [p.id, gws.reduce((sum, g) => sum + xpOf(p.id, g), 0)]));
+  });
+  const sortedPool = gameweeks.map((gw, index) => {
+    const byPosition = {};
+    Object.keys(XI_MAXIMUMS).forEach(positionType => {
+      byPosition[positionType] = pool
+        .filter(p => p.positionType === positionType && remainingValue[index].get(p.id) > 0)
+        .sort((a, b) => remainingValue[index].get(b.id) - remainingValue[index].get(a.id));
+    });
+    return byPosition;
+  });
+
+  const clubCounts = (members) => {
+    const counts = {};
+    members.forEach(p => { counts[p.teamId] = (counts[p.teamId] || 0) + 1; });
+    return counts;
+  };
+
+  /**
+   * Best replacements for each player, within a budget and the club limit
+   * @returns {Array} - [{ out, in, gain, cost }] where cost is the net spend (tenths)
+   */
+  const findSwaps = (state, index, { ignoreBudget = false } = {}) => {
+    const values = remainingValue[index];
+    const owned = new Set(state.squad.map(p => p.id));
+    const clubs = clubCounts(state.squad);
+    const swaps = [];
+
+    state.squad.forEach(out => {
+      const outValue = values.get(out.id) || 0;
+      let found = 0;
+      for (const candidate of sortedPool[index][out.positionType]) {
+        if (found >= REPLACEMENTS_PER_PLAYER) break;
+        const gain = values.get(candidate.id) - outValue;
+        if (gain <= 0) break;
+        if (owned.has(candidate.id)) continue;
+        if ((clubs[candidate.teamId] || 0) - (out.teamId === candidate.teamId ? 1 : 0) >= MAX_PER_CLUB) continue;
+        const cost = candidate.price - out.price;
+        if (!ignoreBudget && cost > state.bank) continue;
+        swaps.push({ out, in: candidate, gain, cost });
+        found++;
+      }
+    });
+    return swaps.sort((a, b) => b.gain - a.gain);
+  };
+
+  /**
+   * Whether two swaps can be made together
+   */
+  const compatible = (state, a, b) => {
+    if (a.out.id === b.out.id || a.in.id === b.in.id) return false;
+    if (a.cost + b.cost > state.bank) return false;
+    const clubs = clubCounts(state.squad);
+    [a, b].forEach(swap => {
+      clubs[swap.out.teamId]--;
+      clubs[swap.in.teamId] = (clubs[swap.in.teamId] || 0) + 1;
+    });
+    return Object.values(clubs).every(count => count <= MAX_PER_CLUB);
+  };
+
+  /**
+   * Every set of transfers to consider from a squad in a gameweek
+   */
+  const transferOptions = (state, index) => {
+    const options = [[]];
+    const singles = findSwaps(state, index).slice(0, SWAPS_PER_STATE);
+    singles.forEach(swap => options.push([swap]));
+    if (maxTransfersPerGameweek < 2) return options;
+
+    for (let i = 0; i < singles.length; i++) {
+      for (let j = i + 1; j < singles.length; j++) {
+        if (compatible(state, singles[i], singles[j])) options.push([singles[i], singles[j]]);
+      }
+    }
+
+    // A swap the bank cannot cover alone, funded by the least costly downgrade elsewhere
+    const values = remainingValue[index];
+    findSwaps(state, index, { ignoreBudget: true })
+      .filter(swap => swap.cost > state.bank)
+      .slice(0, PREMIUM_SWAPS)
+      .forEach(premium => {
+        let best = null;
+        state.squad.forEach(out => {
+          if (out.id === premium.out.id) return;
+          const outValue = values.get(out.id) || 0;
+          const candidate = sortedPool[index][out.positionType].find(p => {
+            const swap = { out, in: p, cost: p.price - out.price };
+            return p.id !== premium.in.id
+              && !state.squad.some(member => member.id === p.id)
+              && compatible(state, premium, swap);
+          });
+          if (!candidate) return;
+          const downgrade = { out, in: candidate, gain: values.get(candidate.id) - outValue, cost: candidate.price - out.price };
+          if (!best || downgrade.gain > best.gain) best = downgrade;
+        });
+        if (best && premium.gain + best.gain > 0) options.push([premium, best]);
+      });
+
+    return options;
+  };
+
+  let beam = [{
+    squad: startSquad,
+    bank: toTenths(bank),
+    freeTransfers,
+    hits: 0,
+    points: 0,
+    steps: []
+  }];
+
+  gameweeks.forEach((gw, index) => {
+    const future = gameweeks.slice(index + 1);
+    const children = new Map();
+
+    beam.forEach(state => {
+      transferOptions(state, index).forEach(swaps => {
+        const paid = Math.max(0, swaps.length - state.freeTransfers);
+        if (state.hits + paid > maxHits) return;
+
+        const outIds = new Set(swaps.map(s => s.out.id));
+        const nextSquad = state.squad.filter(p => !outIds.has(p.id)).concat(swaps.map(s => s.in));
+        const gwPoints = scoreLineup(nextSquad, id => xpOf(id, gw)) - paid * TRANSFER_COST;
+        const child = {
+          squad: nextSquad,
+          bank: state.bank - swaps.reduce((sum, s) => sum + s.cost, 0),
+          freeTransfers: Math.min(MAX_BANKED_TRANSFERS, Math.max(0, state.freeTransfers - swaps.length) + 1),
+          hits: state.hits + paid,
+          points: state.points + gwPoints,
+          steps: [...state.steps, {
+            gameweek: gw,
+            freeTransfers: state.freeTransfers,
+            swaps,
+            hitCost: paid * TRANSFER_COST,
+            projectedPoints: gwPoints + paid * TRANSFER_COST
+          }]
+        };
+        child.estimate = child.points + squadPoints(nextSquad, future);
+
+        // The same squad reached in a different order only needs keeping once
+        const key = `${nextSquad.map(p => p.id).sort((a, b) => a - b).join(',')}:${child.freeTransfers}:${child.hits}`;
+        if (!children.has(key) || children.get(key).estimate < child.estimate) children.set(key, child);
+      });
+    });
+
+    beam = [...children.values()]
+      .sort((a, b) => b.estimate - a.estimate)
+      .slice(0, BEAM_WIDTH);
+  });
+
+  const describe = (state) => {
+    const steps = state.steps.map((step, index) => {
+      const horizon = gameweeks.slice(gameweeks.indexOf(step.gameweek));
+      const span = horizon.length > 1 ? `GW${horizon[0]}-${horizon[horizon.length - 1]}` : `GW${horizon[0]}`;
+      const transfers = step.swaps.map(swap => ({
+        out: { id: swap.out.id, name: swap.out.name, sellingPrice: swap.out.price / 10 },
+        in: { id: swap.in.id, name: swap.in.name, cost: swap.in.price / 10 },
+        gain: round1(swap.gain)
+      }));
+
+      let reason;
+      if (transfers.length === 0) {
+        const next = state.steps[index + 1];
+        reason = next
+          ? `GW${step.gameweek}: roll the transfer (${next.freeTransfers} free in GW${next.gameweek})`
+          : `GW${step.gameweek}: no transfer`;
+      } else {
+        const moves = transfers.map(t => `${t.out.name} -> ${t.in.name} (+${t.gain} xP over ${span})`).join(', ');
+        const hit = step.hitCost > 0 ? `, taking a -${step.hitCost} hit` : '';
+        reason = `GW${step.gameweek}: ${moves}${hit}`;
+      }
+
+      return {
+        gameweek: step.gameweek,
+        freeTransfers: step.freeTransfers,
+        transfers,
+        hitCost: step.hitCost,
+        projectedPoints: round1(step.projectedPoints),
+        reason
+      };
+    });
+
+    const finalSquad = state.squad.map(p => ({ ...p, cost: p.price / 10 }));
+    return {
+      projectedPoints: round1(state.points),
+      gainVsNoTransfers: round1(state.points - baselinePoints),
+      transfers: steps.reduce((sum, step) => sum + step.transfers.length, 0),
+      hitCost: state.hits * TRANSFER_COST,
+      bank: state.bank / 10,
+      freeTransfersAfter: state.freeTransfers,
+      gameweeks: steps,
+      errors: validateSquad(finalSquad, state.bank / 10),
+      reasoning: [
+        ...steps.map(step => step.reason),
+        `${state.points >= baselinePoints ? '+' : ''}${round1(state.points - baselinePoints)} xP over ${gameweeks.length} gameweeks compared with making no transfers`
+      ]
+    };
+  };
+
+  // Plans that make the same transfers in the same gameweeks are one plan
+  const seen = new Set();
+  const plans = [];
+  beam
+    .sort((a, b) => b.points - a.points)
+    .forEach(state => {
+      const key = state.steps
+        .map(step => `${step.gameweek}:${step.swaps.map(s => `${s.out.id}>${s.in.id}`).sort().join('+')}`)
+        .join('|');
+      if (seen.has(key) || plans.length >= limit) return;
+      seen.add(key);
+      plans.push(describe(state));
+    });
+
+  return {
+    baseline: {
+      projectedPoints: round1(baselinePoints),
+      gameweeks: gameweeks.map(gw => ({ gameweek: gw, projectedPoints: round1(squadPoints(squad, [gw])) }))
+    },
+    plans
+  };
+};
+
+module.exports = {
+  selectLineup,
+  scoreLineup,
+  optimiseTransfers
+};
@@ -0,0 +1,185 @@
+/**
+ * What-if rank simulation
+ *
+ * Turns hypothetical per-player events into point changes for the manager
+ * and for the field. The manager gains a player's change times their own
+ * multiplier; the field gains it times the player's effective ownership
+ * (EO / 100) in the comparison tier. Rank moves with the difference, so a
+ * haul from a player the field owns more heavily than you do costs you rank
+ * even though your own points do not change.
+ */
+
+const { getRules } = require('./scoringEngine');
+
+const WHAT_IF_EVENT_TYPES = ['goal', 'assist', 'clean_sheet_lost', 'blank', 'captain_blank', 'points'];
+const EO_TIERS = [
+  { name: 'top1k', maxRank: 1000 },
+  { name: 'top10k', maxRank: 10000 },
+  { name: 'top100k', maxRank: 100000 },
+  { name: 'top1m', maxRank: Infinity }
+];
+
+/**
+ * Comparison tier closest to a manager's rank
+ * @param {number} rank - Manager's overall or live rank
+ * @returns {string} - Tier name from getTop10kStats()
+ */
+const getEoTier = (rank) => {
+  const value = Number(rank) || Infinity;
+  return EO_TIERS.find(tier => value <= tier.maxRank).name;
+};
+
+/**
+ * Check a list of what-if events
+ * @param {Array} events - [{ playerId, type, count, value }]
+ * @returns {string|null} - Error message, or null if the events are valid
+ */
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) return 'events must be a non-empty array';
+  for (const event of events) {
+    if (!event || !WHAT_IF_EVENT_TYPES.includes(event.type)) {
+      return `Unknown event type: ${event?.type}. Expected one of ${WHAT_IF_EVENT_TYPES.join(', ')}`;
+    }
+    if (event.type !== 'captain_blank' && !Number.isInteger(Number(event.playerId))) {
+      return `Event ${event.type} needs an integer playerId`;
+    }
+    if (event.type === 'points' && !Number.isFinite(Number(event.value))) {
+      return 'Event points needs a numeric value';
+    }
+  }
+  return null;
+};
+
+/**
+ * Base points change for one player from their events (before any multiplier)
+ * @param {Array} events - That player's events
+ * @param {Object} player - { positionType, basePoints, breakdown }
+ * @param {string} rulesVersion - Rules version used for goal, assist and goals conceded values
+ * @returns {number} - Change in the player's base points
+ */
+const playerDelta = (events, player, rulesVersion) => {
+  // A blank wipes the player's score, whatever else was added
+  if (events.some(event => event.type === 'blank' || event.type === 'captain_blank')) {
+    return -(player.basePoints || 0);
+  }
+
+  const { rules } = getRules(rulesVersion);
+  return events.reduce((delta, event) => {
+    const count = Math.max(1, parseInt(event.count) || 1);
+    switch (event.type) {
+      case 'goal':
+        return delta + (rules.goals_scored[player.positionType] || 0) * count;
+      case 'assist':
+        return delta + rules.assists * count;
+      case 'clean_sheet_lost': {
+        // count is the goals conceded; GK and DEF also lose points per goals_conceded.per goals
+        const breakdown = player.breakdown || [];
+        const cleanSheet = breakdown.find(item => item.identifier === 'clean_sheets');
+        let change = -(cleanSheet ? cleanSheet.points : 0);
+        if (rules.goals_conceded.positions.includes(player.positionType)) {
+          const conceded = breakdown.find(item => item.identifier === 'goals_conceded')?.value || 0;
+          const deduction = (goals) => Math.floor(goals / rules.goals_conceded.per) * rules.goals_conceded.points;
+          change += deduction(conceded + count) - deduction(conceded);
+        }
+        return delta + change;
+      }
+      case 'points':
+        return delta + Number(event.value);
+      default:
+        return delta;
+    }
+  }, 0);
+};
+
+/**
+ * Apply what-if events to the manager and the field
+ * @param {Array} events - Validated events, captain_blank already resolved to a playerId
+ * @param {Object} context - { players: Map of playerId to { name, positionType, basePoints, breakdown, multiplier }, eoByPlayer, rulesVersion }
+ * @returns {Object} - { managerDelta, fieldDelta, netDelta, players }
+ */
+const simulateEvents = (events, { players, eoByPlayer = {}, rulesVersion } = {}) => {
+  const byPlayer = new Map();
+  events.forEach(event => {
+    const playerId = Number(event.playerId);
+    if (!byPlayer.has(playerId)) byPlayer.set(playerId, []);
+    byPlayer.get(playerId).push(event);
+  });
+
+  const results = [];
+  byPlayer.forEach((playerEvents, playerId) => {
+    const player = players.get(playerId);
+    if (!player) return;
+    const delta = playerDelta(playerEvents, player, rulesVersion);
+    const multiplier = player.multiplier || 0;
+    const eo = parseFloat(eoByPlayer[playerId]?.eo) || 0;
+    results.push({
+      playerId,
+      name: player.name,
+      events: playerEvents.map(event => event.type),
+      delta,
+      multiplier,
+      eo,
+      managerDelta: delta * multiplier,
+      fieldDelta: Math.round(delta * eo) / 100
+    });
+  });
+
+  const managerDelta = results.reduce((sum, r) => sum + r.managerDelta, 0);
+  const fieldDelta = Math.round(results.reduce((sum, r) => sum + r.fieldDelta, 0) * 100) / 100;
+  return {
+    managerDelta,
+    fieldDelta,
+    netDelta: Math.round((managerDelta - fieldDelta) * 100) / 100,
+    players: results
+  };
+};
+
+/**
+ * Rank swing per point for every player the manager owns or the field owns meaningfully
+ *
+ * Each point a player scores is worth (multiplier - EO / 100) points against the
+ * field. Multiplying by how many places one point is worth at the manager's current
+ * total gives the rank gained (positive) or lost (negative) per point.
+ * @param {Object} options - { picks: [{ playerId, multiplier }], eoByPlayer, elements, rankPerPoint, minEo }
+ * @returns {Object} - { threats, gains } sorted by size of swing
+ */
+const buildRankSwing = ({ picks = [], eoByPlayer = {}, elements = [], rankPerPoint = null, minEo = 5 } = {}) => {
+  const multipliers = new Map(picks.map(pick => [pick.playerId, pick.multiplier || 0]));
+  const elementMap = new Map(elements.map(el => [el.id, el]));
+  const playerIds = new Set([
+    ...picks.map(pick => pick.playerId),
+    ...Object.keys(eoByPlayer).map(Number).filter(id => (parseFloat(eoByPlayer[id]?.eo) || 0) >= minEo)
+  ]);
+
+  const swings = [];
+  playerIds.forEach(playerId => {
+    const element = elementMap.get(playerId);
+    const multiplier = multipliers.get(playerId) || 0;
+    const eo = parseFloat(eoByPlayer[playerId]?.eo) || 0;
+    const netPerPoint = Math.round((multiplier - eo / 100) * 100) / 100;
+    if (netPerPoint === 0) return;
+    swings.push({
+      playerId,
+      name: element?.web_name || eoByPlayer[playerId]?.name || `Player ${playerId}`,
+      teamId: element?.team || null,
+      multiplier,
+      eo,
+      netPerPoint,
+      rankPerPoint: rankPerPoint === null ? null : Math.round(netPerPoint * rankPerPoint)
+    });
+  });
+
+  const bySwing = (a, b) => Math.abs(b.netPerPoint) - Math.abs(a.netPerPoint);
+  return {
+    threats: swings.filter(swing => swing.netPerPoint < 0).sort(bySwing),
+    gains: swings.filter(swing => swing.netPerPoint > 0).sort(bySwing)
+  };
+};
+
+module.exports = {
+  WHAT_IF_EVENT_TYPES,
+  getEoTier,
+  validateEvents,
+  simulateEvents,
+  buildRankSwing
+};
@@ -0,0 +1,226 @@
+/**
+ * Expected points (xP) projection
+ *
+ * Each player's recent element-summary history gives:
+ * - minutes: P(plays) and P(60+ minutes) from their last RECENT_MATCHES
+ *   fixtures, scaled by chance_of_playing_next_round when it is set
+ * - per-90 rates for goals, assists, bonus, saves and cards, shrunk towards
+ *   a position prior with PRIOR_MINUTES of prior evidence so a few cameo
+ *   appearances do not produce extreme rates
+ *
+ * Each fixture's expected goals for and against come from bootstrap team
+ * ratings (strength_attack/defence_home/away relative to the league mean):
+ *
+ *   goals for = BASE_GOALS × attack / opponent defence × home advantage
+ *
+ * Player goal and assist rates are scaled by goals for / BASE_GOALS, clean
+ * sheets are P(0 conceded) under a Poisson model, and every component is
+ * turned into points with the season's scoring rules. Double gameweeks sum
+ * their fixtures; blank gameweeks project 0.
+ */
+
+const { getRules } = require('./scoringEngine');
+
+const POSITION_TYPES = { 1: 'GK', 2: 'DEF', 3: 'MID', 4: 'FWD' };
+const RECENT_MATCHES = 8;
+const PRIOR_MINUTES = 270;
+const BASE_GOALS = 1.4;
+const HOME_ADVANTAGE = 1.1;
+const MAX_POISSON_GOALS = 10;
+const POSITION_PRIORS = {
+  GK: { goals: 0, assists: 0.01, bonus: 0.25, saves: 2.8, yellow_cards: 0.05 },
+  DEF: { goals: 0.05, assists: 0.07, bonus: 0.25, saves: 0, yellow_cards: 0.15 },
+  MID: { goals: 0.15, assists: 0.15, bonus: 0.3, saves: 0, yellow_cards: 0.15 },
+  FWD: { goals: 0.35, assists: 0.12, bonus: 0.4, saves: 0, yellow_cards: 0.1 }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Team attack and defence relative to the league mean
+ * @param {Array} teams - Bootstrap teams
+ * @returns {Map} - Team ID to { attackHome, attackAway, defenceHome, defenceAway } (1 = average)
+ */
+const getTeamRatings = (teams = []) => {
+  const fields = ['strength_attack_home', 'strength_attack_away', 'strength_defence_home', 'strength_defence_away'];
+  const means = {};
+  fields.forEach(field => {
+    const values = teams.map(t => t[field]).filter(v => typeof v === 'number' && v > 0);
+    means[field] = values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+  });
+  const relative = (team, field) => (means[field] && team[field] > 0 ? team[field] / means[field] : 1);
+
+  return new Map(teams.map(team => [team.id, {
+    attackHome: relative(team, 'strength_attack_home'),
+    attackAway: relative(team, 'strength_attack_away'),
+    defenceHome: relative(team, 'strength_defence_home'),
+    defenceAway: relative(team, 'strength_defence_away')
+  }]));
+};
+
+/**
+ * Expected goals for and against a team in one fixture
+ * @param {number} teamId - Team ID
+ * @param {number} opponentId - Opponent team ID
+ * @param {boolean} isHome - Whether the team is at home
+ * @param {Map} ratings - From getTeamRatings()
+ * @returns {Object} - { goalsFor, goalsAgainst }
+ */
+const getFixtureGoals = (teamId, opponentId, isHome, ratings) => {
+  const team = ratings.get(teamId) || {};
+  const opponent = ratings.get(opponentId) || {};
+  const attack = (isHome ? team.attackHome : team.attackAway) || 1;
+  const defence = (isHome ? team.defenceHome : team.defenceAway) || 1;
+  const opponentAttack = (isHome ? opponent.attackAway : opponent.attackHome) || 1;
+  const opponentDefence = (isHome ? opponent.defenceAway : opponent.defenceHome) || 1;
+  const advantage = isHome ? HOME_ADVANTAGE : 1 / HOME_ADVANTAGE;
+  return {
+    goalsFor: BASE_GOALS * attack / opponentDefence * advantage,
+    goalsAgainst: BASE_GOALS * opponentAttack / defence / advantage
+  };
+};
+
+/**
+ * Expected value of floor(goals / per) for Poisson goals, for goals conceded deductions
+ * @param {number} mean - Expected goals
+ * @param {number} per - Goals per deduction
+ * @returns {number} - Expected number of deductions
+ */
+const expectedDeductions = (mean, per) => {
+  let probability = Math.exp(-mean);
+  let expected = 0;
+  for (let goals = 0; goals <= MAX_POISSON_GOALS; goals++) {
+    if (goals > 0) probability *= mean / goals;
+    expected += Math.floor(goals / per) * probability;
+  }
+  return expected;
+};
+
+/**
+ * Minutes and per-90 rates from a player's recent history
+ * @param {Object} element - Bootstrap element (element_type, chance_of_playing_next_round)
+ * @param {Array} history - element-summary history rows
+ * @param {string} rulesVersion - Scoring rules version, for the defensive contribution threshold
+ * @returns {Object} - { positionType, pPlay, p60, minutesWhenPlaying, rates, defensiveContributionRate }
+ */
+const getPlayerRates = (element, history = [], rulesVersion) => {
+  const positionType = POSITION_TYPES[element.element_type];
+  const prior = POSITION_PRIORS[positionType];
+  const recent = [...history]
+    .sort((a, b) => (a.round - b.round) || String(a.kickoff_time).localeCompare(String(b.kickoff_time)))
+    .slice(-RECENT_MATCHES);
+
+  const played = recent.filter(row => row.minutes > 0);
+  const chance = element.chance_of_playing_next_round;
+  const availability = chance === null || chance === undefined ? 1 : chance / 100;
+  const pPlay = recent.length ? (played.length / recent.length) * availability : 0;
+  const p60 = recent.length ? (recent.filter(row => row.minutes >= 60).length / recent.length) * availability : 0;
+  const minutes = played.reduce((sum, row) => sum + row.minutes, 0);
+
+  const per90 = (field, priorRate) => {
+    const total = played.reduce((sum, row) => sum + (Number(row[field]) || 0), 0);
+    return (total + priorRate * PRIOR_MINUTES / 90) / ((minutes + PRIOR_MINUTES) / 90);
+  };
+
+  const threshold = getRules(rulesVersion).rules.defensive_contribution?.[positionType];
+  const defensiveContributionRate = threshold && played.length
+    ? played.filter(row => (row.defensive_contribution || 0) >= threshold).length / played.length
+    : 0;
+
+  return {
+    positionType,
+    pPlay,
+    p60,
+    minutesWhenPlaying: played.length ? minutes / played.length : 0,
+    rates: {
+      goals: per90('goals_scored', prior.goals),
+      assists: per90('assists', prior.assists),
+      bonus: per90('bonus', prior.bonus),
+      saves: per90('saves', prior.saves),
+      yellow_cards: per90('yellow_cards', prior.yellow_cards)
+    },
+    defensiveContributionRate
+  };
+};
+
+/**
+ * Expected points for one fixture
+ * @param {Object} player - From getPlayerRates()
+ * @param {Object} fixture - { goalsFor, goalsAgainst } from getFixtureGoals()
+ * @param {string} rulesVersion - Scoring rules version
+ * @returns {Object} - { xp, xGoals, xAssists, pCleanSheet }
+ */
+const projectFixture = (player, { goalsFor, goalsAgainst }, rulesVersion) => {
+  const { rules } = getRules(rulesVersion);
+  const { positionType, pPlay, p60, minutesWhenPlaying, rates } = player;
+  const expectedNineties = pPlay * minutesWhenPlaying / 90;
+  const attackFactor = goalsFor / BASE_GOALS;
+
+  const xGoals = rates.goals * expectedNineties * attackFactor;
+  const xAssists = rates.assists * expectedNineties * attackFactor;
+  const pCleanSheet = Math.exp(-goalsAgainst);
+
+  let xp = pPlay * rules.minutes.short + p60 * (rules.minutes.long - rules.minutes.short);
+  xp += xGoals * rules.goals_scored[positionType];
+  xp += xAssists * rules.assists;
+  xp += p60 * pCleanSheet * (rules.clean_sheets[positionType] || 0);
+  xp += rates.bonus * expectedNineties;
+  xp += rates.yellow_cards * expectedNineties * rules.yellow_cards;
+  if (positionType === 'GK') {
+    xp += rates.saves * expectedNineties / rules.saves.per * rules.saves.points;
+  }
+  if (rules.goals_conceded.positions.includes(positionType)) {
+    xp += p60 * expectedDeductions(goalsAgainst, rules.goals_conceded.per) * rules.goals_conceded.points;
+  }
+  if (rules.defensive_contribution) {
+    xp += pPlay * player.defensiveContributionRate * rules.defensive_contribution.points;
+  }
+
+  return {
+    xp: round2(xp),
+    xGoals: round2(xGoals),
+    xAssists: round2(xAssists),
+    pCleanSheet: round2(pCleanSheet)
+  };
+};
+
+/**
+ * Expected points for one player in one gameweek
+ * @param {Object} element - Bootstrap element
+ * @param {Object} player - From getPlayerRates()
+ * @param {Array} fixtures - The gameweek's fixtures (fixtures/ shape)
+ * @param {Map} ratings - From getTeamRatings()
+ * @param {string} rulesVersion - Scoring rules version
+ * @returns {Object} - { xp, xMins, pPlay, p60, fixtures: [{ fixtureId, opponentId, isHome, xp, xGoals, xAssists, pCleanSheet }] }
+ */
+const projectGameweek = (element, player, fixtures, ratings, rulesVersion) => {
+  const projected = fixtures
+    .filter(f => f.team_h === element.team || f.team_a === element.team)
+    .map(f => {
+      const isHome = f.team_h === element.team;
+      const opponentId = isHome ? f.team_a : f.team_h;
+      return {
+        fixtureId: f.id,
+        opponentId,
+        isHome,
+        ...projectFixture(player, getFixtureGoals(element.team, opponentId, isHome, ratings), rulesVersion)
+      };
+    });
+
+  return {
+    xp: round2(projected.reduce((sum, f) => sum + f.xp, 0)),
+    xMins: Math.round(player.pPlay * player.minutesWhenPlaying * projected.length),
+    pPlay: round2(player.pPlay),
+    p60: round2(player.p60),
+    fixtures: projected
+  };
+};
+
+module.exports = {
+  POSITION_TYPES,
+  getTeamRatings,
+  getFixtureGoals,
+  getPlayerRates,
+  projectFixture,
+  projectGameweek
+};